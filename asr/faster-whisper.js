@@ -0,0 +1,51 @@
+// faster-whisper transcription (https://github.com/SYSTRAN/faster-whisper), run through Python
+// Needs the Python package: pip install faster-whisper. ASR_MODEL is a model size ("base", "small"...)
+// or a local CTranslate2 model directory; named models are downloaded on first use.
+const { execFile } = require('child_process');
+const util = require('util');
+
+const execFilePromise = util.promisify(execFile);
+
+// Prints one JSON line per segment: {"start": seconds, "text": "..."}
+const TRANSCRIBE_SCRIPT = `
+import json, sys
+from faster_whisper import WhisperModel
+model_name, audio_path, language, threads = sys.argv[1:5]
+model = WhisperModel(model_name, device="cpu", compute_type="int8", cpu_threads=int(threads))
+segments, info = model.transcribe(audio_path, language=language or None, vad_filter=True)
+for segment in segments:
+    print(json.dumps({"start": segment.start, "text": segment.text}), flush=True)
+`;
+
+function createFasterWhisperProvider(config = {}) {
+  const python = config.python || process.env.ASR_PYTHON_PATH || 'python3';
+  const model = config.model || process.env.ASR_MODEL || 'base';
+  const threads = config.threads || parseInt(process.env.ASR_THREADS) || 2;
+
+  return {
+    name: 'faster-whisper',
+    model,
+
+    async transcribe(audioPath, { language, timeoutMs }) {
+      let stdout;
+      try {
+        ({ stdout } = await execFilePromise(python, ['-c', TRANSCRIBE_SCRIPT, model, audioPath, language || '', String(threads)], {
+          timeout: timeoutMs,
+          maxBuffer: 50 * 1024 * 1024
+        }));
+      } catch (error) {
+        if (/No module named 'faster_whisper'/.test(error.stderr || '')) {
+          throw new Error('The faster-whisper ASR provider needs the faster-whisper Python package (pip install faster-whisper)');
+        }
+        throw error;
+      }
+
+      return stdout
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    }
+  };
+}
+
+module.exports = { createFasterWhisperProvider };
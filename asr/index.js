@@ -0,0 +1,119 @@
+// Local speech-to-text (ASR) for videos and feed episodes without subtitles or transcripts
+// Pick the engine with ASR_PROVIDER=whisper-cpp|faster-whisper|mock. The fallback is off when unset.
+// Adapters implement transcribe(audioPath, { language, timeoutMs }) -> [{ start, text }] (seconds).
+// Transcription is CPU-heavy: at most ASR_MAX_CONCURRENT run at once and long audio is refused.
+const { createWhisperCppProvider } = require('./whisper-cpp');
+const { createFasterWhisperProvider } = require('./faster-whisper');
+const { createMockAsrProvider } = require('./mock');
+
+const PROVIDERS = {
+  'whisper-cpp': createWhisperCppProvider,
+  'faster-whisper': createFasterWhisperProvider,
+  mock: createMockAsrProvider
+};
+
+const MAX_CONCURRENT = parseInt(process.env.ASR_MAX_CONCURRENT) || 1;
+
+// Longest audio transcribed, in seconds (audio of unknown length is refused too)
+const MAX_DURATION_SECONDS = parseInt(process.env.ASR_MAX_DURATION_SECONDS) || 2 * 60 * 60;
+
+// Use the fallback whenever subtitles are missing (processing, cron), not only when Retry Skipped asks for it
+const AUTO_TRANSCRIBE = process.env.ASR_AUTO === 'true';
+
+// A transcription may take this many seconds per second of audio (slow CPUs, larger models), at least MIN_TIMEOUT
+const TIMEOUT_PER_AUDIO_SECOND = 3;
+const MIN_TIMEOUT = 10 * 60 * 1000;
+
+// Create a provider by name (config is passed to the adapter)
+function createProvider(name, config = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown ASR provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(config);
+}
+
+let defaultProvider = null;
+
+function isEnabled() {
+  return !!(defaultProvider || process.env.ASR_PROVIDER);
+}
+
+// Get the provider configured through the environment (created once)
+function getProvider() {
+  if (!defaultProvider) {
+    if (!process.env.ASR_PROVIDER) {
+      throw new Error('Speech-to-text is not configured (set ASR_PROVIDER)');
+    }
+    defaultProvider = createProvider(process.env.ASR_PROVIDER.toLowerCase());
+    console.log(`[ASR] Using ${defaultProvider.name} provider (model: ${defaultProvider.model})`);
+  }
+  return defaultProvider;
+}
+
+// Override the default provider (tests, scripts)
+function setProvider(provider) {
+  defaultProvider = provider;
+}
+
+function isWithinDurationLimit(durationSeconds) {
+  return durationSeconds > 0 && durationSeconds <= MAX_DURATION_SECONDS;
+}
+
+// Concurrency cap: transcriptions past MAX_CONCURRENT wait for a slot, in order
+let running = 0;
+const waiting = [];
+
+async function acquireSlot() {
+  if (running < MAX_CONCURRENT) {
+    running++;
+    return;
+  }
+  await new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    running--;
+  }
+}
+
+// Transcribe an audio file into timed segments ({ start, text }).
+// durationSeconds is the length of the audio, checked against MAX_DURATION_SECONDS.
+async function transcribe(audioPath, { language = null, durationSeconds } = {}, provider = getProvider()) {
+  if (!isWithinDurationLimit(durationSeconds)) {
+    throw new Error(`Audio must be shorter than ${MAX_DURATION_SECONDS} seconds to be transcribed`);
+  }
+
+  await acquireSlot();
+  try {
+    const timeoutMs = Math.max(MIN_TIMEOUT, durationSeconds * TIMEOUT_PER_AUDIO_SECOND * 1000);
+    const segments = await provider.transcribe(audioPath, { language, timeoutMs });
+
+    return (segments || [])
+      .map(segment => ({ start: Math.max(0, Number(segment.start) || 0), text: String(segment.text || '').trim() }))
+      .filter(segment => segment.text);
+  } finally {
+    releaseSlot();
+  }
+}
+
+// Transcriptions running and waiting for a slot
+function getStatus() {
+  return { running, waiting: waiting.length, maxConcurrent: MAX_CONCURRENT };
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider,
+  isEnabled,
+  isWithinDurationLimit,
+  transcribe,
+  getStatus,
+  MAX_DURATION_SECONDS,
+  AUTO_TRANSCRIBE
+};
@@ -0,0 +1,18 @@
+// Deterministic offline provider for tests and local development
+// Returns a fixed transcript (one segment every 30 seconds) without reading the audio.
+
+function createMockAsrProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    async transcribe(audioPath, { language }) {
+      return [0, 30, 60].map(start => ({
+        start,
+        text: `Mock ${language || 'auto'} transcript segment at ${start} seconds of the audio.`
+      }));
+    }
+  };
+}
+
+module.exports = { createMockAsrProvider };
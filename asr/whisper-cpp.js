@@ -0,0 +1,49 @@
+// whisper.cpp command-line transcription (https://github.com/ggerganov/whisper.cpp)
+// Needs the whisper-cli binary (ASR_WHISPER_CPP_PATH) and a ggml model file (ASR_MODEL,
+// e.g. models/ggml-base.bin). whisper.cpp reads 16 kHz mono WAV, so the audio goes through ffmpeg first.
+const { execFile } = require('child_process');
+const util = require('util');
+const fs = require('fs');
+
+const execFilePromise = util.promisify(execFile);
+
+function createWhisperCppProvider(config = {}) {
+  const binary = config.binary || process.env.ASR_WHISPER_CPP_PATH || 'whisper-cli';
+  const model = config.model || process.env.ASR_MODEL;
+  const threads = config.threads || parseInt(process.env.ASR_THREADS) || 2;
+
+  if (!model) {
+    throw new Error('The whisper-cpp ASR provider needs a ggml model file (set ASR_MODEL)');
+  }
+
+  return {
+    name: 'whisper-cpp',
+    model,
+
+    async transcribe(audioPath, { language, timeoutMs }) {
+      const wavPath = `${audioPath}.wav`;
+      const outputBase = `${audioPath}.whisper`;
+
+      try {
+        await execFilePromise('ffmpeg', ['-y', '-loglevel', 'error', '-i', audioPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath], { timeout: timeoutMs });
+        await execFilePromise(binary, ['-m', model, '-f', wavPath, '-l', language || 'auto', '-t', String(threads), '-np', '-oj', '-of', outputBase], {
+          timeout: timeoutMs,
+          maxBuffer: 50 * 1024 * 1024
+        });
+
+        // -oj writes { transcription: [{ offsets: { from, to } (ms), text }] }
+        const output = JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8'));
+        return (output.transcription || []).map(segment => ({
+          start: ((segment.offsets && segment.offsets.from) || 0) / 1000,
+          text: segment.text || ''
+        }));
+      } finally {
+        for (const file of [wavPath, `${outputBase}.json`]) {
+          try { fs.unlinkSync(file); } catch (e) {}
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createWhisperCppProvider };
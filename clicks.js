@@ -0,0 +1,105 @@
+// Result click-through tracking and the ranking boost it feeds
+// Clicks on a result's YouTube/audio/Spotify links are recorded per query. An episode's click-through
+// rate for a query (clicks over searches for it, both decayed by age) raises its relevance on
+// later searches for that query, by at most CLICK_BOOST_MAX.
+const pool = require('./db');
+
+const CLICK_LINK_TYPES = ['youtube', 'audio', 'spotify'];
+
+// Largest boost: relevance_score is multiplied by at most 1 + CLICK_BOOST_MAX
+const CLICK_BOOST_MAX = 0.2;
+
+// Clicks and searches lose half their weight after this many days; older than the window they are ignored
+const CLICK_HALF_LIFE_DAYS = 30;
+const CLICK_WINDOW_DAYS = 180;
+
+// Searches assumed on top of the logged ones, so a few clicks on a rare query cannot max out the boost
+const CLICK_PRIOR_SEARCHES = 5;
+
+// A visitor clicking the same result again within this period counts once
+const CLICK_DEDUPE_HOURS = 24;
+
+// Most boosted episodes per query
+const MAX_BOOSTED_EPISODES = 50;
+
+// Boosts are cached per query for a few minutes (pages of one search see the same ranking)
+const BOOST_CACHE_TTL = 5 * 60 * 1000;
+const MAX_BOOST_CACHE_ENTRIES = 1000;
+
+// query -> { boosts, expiresAt }
+const cache = new Map();
+
+// SQL weight of a row created at created_at: 1 now, halving every CLICK_HALF_LIFE_DAYS
+const DECAY_SQL = `POW(0.5, TIMESTAMPDIFF(MINUTE, created_at, NOW()) / ${CLICK_HALF_LIFE_DAYS * 24 * 60})`;
+
+// Record a click on a result. click: { query (normalized), podcastId, position, link, clientHash }.
+// Returns false when it repeats a recent click by the same visitor.
+async function recordClick(click) {
+  const [recent] = await pool.execute(`
+    SELECT id FROM search_clicks
+    WHERE client_hash = ? AND podcast_id = ? AND query = ?
+      AND created_at > NOW() - INTERVAL ${CLICK_DEDUPE_HOURS} HOUR
+    LIMIT 1
+  `, [click.clientHash, click.podcastId, click.query]);
+  if (recent.length > 0) return false;
+
+  await pool.execute(
+    'INSERT INTO search_clicks (query, podcast_id, position, link_type, client_hash) VALUES (?, ?, ?, ?, ?)',
+    [click.query, click.podcastId, click.position, click.link, click.clientHash]
+  );
+  return true;
+}
+
+// Decayed click-through rates for a query turned into boosts: Map podcastId -> boost (0 to CLICK_BOOST_MAX)
+async function loadClickBoosts(query) {
+  const [clickRows] = await pool.execute(`
+    SELECT podcast_id, SUM(${DECAY_SQL}) as clicks
+    FROM search_clicks
+    WHERE query = ? AND created_at > NOW() - INTERVAL ${CLICK_WINDOW_DAYS} DAY
+    GROUP BY podcast_id
+    ORDER BY clicks DESC
+    LIMIT ${MAX_BOOSTED_EPISODES}
+  `, [query]);
+  if (clickRows.length === 0) return new Map();
+
+  const [[{ searches }]] = await pool.execute(`
+    SELECT SUM(${DECAY_SQL}) as searches
+    FROM search_queries
+    WHERE query = ? AND page_offset = 0 AND created_at > NOW() - INTERVAL ${CLICK_WINDOW_DAYS} DAY
+  `, [query]);
+
+  const searchWeight = (Number(searches) || 0) + CLICK_PRIOR_SEARCHES;
+  return new Map(clickRows.map(row => [
+    row.podcast_id,
+    CLICK_BOOST_MAX * Math.min(1, Number(row.clicks) / searchWeight)
+  ]));
+}
+
+// Click boosts for a normalized query (empty on errors: the boost must never break search)
+async function getClickBoosts(query) {
+  const cached = cache.get(query);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.boosts;
+  }
+
+  let boosts;
+  try {
+    boosts = await loadClickBoosts(query);
+  } catch (error) {
+    console.error('[Clicks] Loading click boosts failed:', error.message);
+    return new Map();
+  }
+
+  if (cache.size >= MAX_BOOST_CACHE_ENTRIES) {
+    // Evict the oldest entry (Map keeps insertion order)
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(query, { boosts, expiresAt: Date.now() + BOOST_CACHE_TTL });
+  return boosts;
+}
+
+module.exports = {
+  CLICK_LINK_TYPES,
+  recordClick,
+  getClickBoosts
+};
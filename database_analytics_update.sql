@@ -0,0 +1,20 @@
+-- Database updates for search analytics
+-- Run this script AFTER database_language_update.sql has been applied
+
+-- One row per /api/search call. query is normalized (lowercase, single spaces).
+-- result_count is the total match count (NULL for "load more" pages, which only fetch more of it).
+-- client_hash is a salted SHA-256 of the client IP and user agent, never the IP itself.
+CREATE TABLE IF NOT EXISTS search_queries (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  query VARCHAR(255) NOT NULL,
+  language VARCHAR(2) DEFAULT NULL,
+  channel_filter VARCHAR(255) DEFAULT NULL,
+  search_mode VARCHAR(10) NOT NULL DEFAULT 'lexical',
+  page_offset INT NOT NULL DEFAULT 0,
+  result_count INT DEFAULT NULL,
+  latency_ms INT NOT NULL,
+  client_hash CHAR(64) DEFAULT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_search_queries_created (created_at),
+  INDEX idx_search_queries_query (query, created_at)
+);
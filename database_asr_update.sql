@@ -0,0 +1,9 @@
+-- Database updates for the speech-to-text (ASR) fallback
+-- Run this script AFTER database_rss_source_update.sql has been applied
+
+-- Where an episode's transcript comes from: 'subtitles' (YouTube subtitles), 'feed'
+-- (<podcast:transcript> of an RSS episode) or 'asr' (local speech-to-text of the audio)
+ALTER TABLE podcasts
+ADD COLUMN IF NOT EXISTS transcript_source VARCHAR(10) NOT NULL DEFAULT 'subtitles';
+
+UPDATE podcasts SET transcript_source = 'feed' WHERE source_type = 'rss';
@@ -0,0 +1,20 @@
+-- Database updates for channel page URLs (/channel/:slug)
+-- Run this script AFTER database_subtitle_quality_update.sql has been applied
+
+-- URL slug of the channel name, looked up by the channel page instead of slugifying every name
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS slug VARCHAR(255) DEFAULT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_channels_slug ON channels(slug);
+
+-- Channels known only from their processed videos get a channels row to hold the slug
+INSERT IGNORE INTO channels (channel_name)
+SELECT DISTINCT podcast_name FROM podcasts WHERE podcast_name IS NOT NULL;
+
+-- Slugs of plain ASCII names (no "&", which may be an HTML entity). The server fills in the rest
+-- (accented and non-latin names, numbered duplicates) on startup with the same slugify as the links.
+UPDATE IGNORE channels
+SET slug = TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(channel_name), '[^a-z0-9]+', '-'))
+WHERE slug IS NULL
+  AND channel_name REGEXP '^[ -%''-~]+$'
+  AND TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(channel_name), '[^a-z0-9]+', '-')) != '';
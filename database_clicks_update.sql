@@ -0,0 +1,18 @@
+-- Database updates for result click-through tracking
+-- Run this script AFTER database_analytics_update.sql has been applied
+
+-- One row per click on a search result's YouTube or Spotify link.
+-- query is normalized like search_queries.query, so clicks can be compared with the searches for it.
+-- position is the 1-based rank of the result in the list the visitor saw.
+CREATE TABLE IF NOT EXISTS search_clicks (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  query VARCHAR(255) NOT NULL,
+  podcast_id INT NOT NULL,
+  position INT NOT NULL,
+  link_type VARCHAR(10) NOT NULL,
+  client_hash CHAR(64) DEFAULT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_search_clicks_query (query, created_at),
+  INDEX idx_search_clicks_client (client_hash, podcast_id, created_at),
+  FOREIGN KEY (podcast_id) REFERENCES podcasts(id) ON DELETE CASCADE
+);
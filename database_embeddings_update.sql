@@ -0,0 +1,20 @@
+-- Database updates for semantic search
+-- Run this script AFTER database_language_update.sql has been applied
+
+-- Embedding vectors of transcript chunks (float32, little-endian), one row per chunk and model.
+-- model_key = "provider:model"; vectors of different models are never compared.
+-- char_offset/char_length locate the chunk in podcasts.transcript (for snippets and timestamps).
+CREATE TABLE IF NOT EXISTS episode_chunk_embeddings (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  podcast_id INT NOT NULL,
+  model_key VARCHAR(150) NOT NULL,
+  chunk_index INT NOT NULL,
+  char_offset INT NOT NULL,
+  char_length INT NOT NULL,
+  dimensions SMALLINT NOT NULL,
+  embedding MEDIUMBLOB NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY idx_embeddings_chunk (podcast_id, model_key, chunk_index),
+  INDEX idx_embeddings_model (model_key),
+  FOREIGN KEY (podcast_id) REFERENCES podcasts(id) ON DELETE CASCADE
+);
@@ -0,0 +1,9 @@
+-- Database updates for search filters and facets
+-- Run this script AFTER database_language_update.sql has been applied
+
+-- Video length in seconds (from yt-dlp), used by the duration filter and facet on search.
+-- Existing episodes get it from the "Backfill Dates" admin action.
+ALTER TABLE podcasts
+ADD COLUMN IF NOT EXISTS duration_seconds INT DEFAULT NULL;
+
+CREATE INDEX idx_podcasts_duration ON podcasts(duration_seconds);
@@ -0,0 +1,27 @@
+-- Database updates for the persistent job queue
+-- Run this script AFTER database_language_update.sql has been applied
+
+-- Background jobs (channel processing, AI keywords, backfills).
+-- Jobs survive restarts: unfinished jobs are re-queued on startup and resumed by the worker.
+CREATE TABLE IF NOT EXISTS jobs (
+  id VARCHAR(32) PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  payload LONGTEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  total INT DEFAULT 0,
+  processed INT DEFAULT 0,
+  skipped INT DEFAULT 0,
+  failed INT DEFAULT 0,
+  current_item VARCHAR(500) DEFAULT NULL,
+  results LONGTEXT,
+  data LONGTEXT,
+  error TEXT,
+  attempts INT DEFAULT 0,
+  locked_by VARCHAR(100) DEFAULT NULL,
+  locked_at DATETIME DEFAULT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  finished_at DATETIME DEFAULT NULL,
+  INDEX idx_jobs_status (status, created_at),
+  INDEX idx_jobs_type (type)
+);
@@ -0,0 +1,64 @@
+-- Database updates for the episode <-> keyword junction table
+-- Run this script AFTER database_language_update.sql has been applied
+-- Replaces podcasts.keywords (comma-separated) and keywords.count with episode_keywords.
+
+-- One row per (episode, keyword); position keeps the extraction order
+CREATE TABLE IF NOT EXISTS episode_keywords (
+  podcast_id INT NOT NULL,
+  keyword_id INT NOT NULL,
+  position TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  PRIMARY KEY (podcast_id, keyword_id),
+  INDEX idx_episode_keywords_keyword (keyword_id),
+  FOREIGN KEY (podcast_id) REFERENCES podcasts(id) ON DELETE CASCADE,
+  FOREIGN KEY (keyword_id) REFERENCES keywords(id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- Backfill from the comma-separated column
+-- ============================================
+
+-- Episodes have at most 10 keywords, so split the CSV with a 1..10 numbers table
+CREATE TEMPORARY TABLE keyword_positions (n TINYINT UNSIGNED PRIMARY KEY);
+INSERT INTO keyword_positions (n) VALUES (1), (2), (3), (4), (5), (6), (7), (8), (9), (10);
+
+-- Make sure every (keyword, language) used by an episode exists (skip blacklisted)
+INSERT IGNORE INTO keywords (keyword, language)
+SELECT DISTINCT
+  TRIM(SUBSTRING_INDEX(SUBSTRING_INDEX(p.keywords, ',', kp.n), ',', -1)),
+  COALESCE(p.language, 'en')
+FROM podcasts p
+JOIN keyword_positions kp
+  ON kp.n <= 1 + LENGTH(p.keywords) - LENGTH(REPLACE(p.keywords, ',', ''))
+LEFT JOIN keyword_blacklist b
+  ON b.keyword = TRIM(SUBSTRING_INDEX(SUBSTRING_INDEX(p.keywords, ',', kp.n), ',', -1))
+WHERE p.keywords IS NOT NULL AND p.keywords != '' AND b.keyword IS NULL;
+
+-- Link episodes to their keywords
+INSERT IGNORE INTO episode_keywords (podcast_id, keyword_id, position)
+SELECT p.id, k.id, kp.n - 1
+FROM podcasts p
+JOIN keyword_positions kp
+  ON kp.n <= 1 + LENGTH(p.keywords) - LENGTH(REPLACE(p.keywords, ',', ''))
+JOIN keywords k
+  ON k.keyword = TRIM(SUBSTRING_INDEX(SUBSTRING_INDEX(p.keywords, ',', kp.n), ',', -1))
+  AND k.language = COALESCE(p.language, 'en')
+WHERE p.keywords IS NOT NULL AND p.keywords != '';
+
+DROP TEMPORARY TABLE keyword_positions;
+
+-- Remove keywords no episode uses
+DELETE k FROM keywords k
+LEFT JOIN episode_keywords ek ON ek.keyword_id = k.id
+WHERE ek.keyword_id IS NULL;
+
+-- ============================================
+-- Drop the denormalized columns
+-- ============================================
+
+-- Counts are derived from episode_keywords now
+ALTER TABLE keywords DROP INDEX idx_count;
+ALTER TABLE keywords DROP COLUMN count;
+
+-- Keywords live in episode_keywords now
+ALTER TABLE podcasts DROP INDEX idx_podcasts_keywords;
+ALTER TABLE podcasts DROP COLUMN keywords;
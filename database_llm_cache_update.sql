@@ -0,0 +1,11 @@
+-- Database updates for full-length transcript summarization
+-- Run this script AFTER database_language_update.sql has been applied
+
+-- Cache of per-chunk LLM results (map step of the map-reduce summarization).
+-- cache_key = sha256 of prompt version, provider, model, kind, language and chunk text.
+CREATE TABLE IF NOT EXISTS llm_chunk_cache (
+  cache_key CHAR(64) PRIMARY KEY,
+  kind VARCHAR(20) NOT NULL,
+  result LONGTEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,15 @@
+-- Database updates for podcast RSS feeds and Apple Podcasts links
+-- Run this script AFTER database_language_update.sql has been applied
+
+-- Optional podcast identities of a channel (set on the admin channels page)
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS rss_feed_url VARCHAR(500) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS apple_podcasts_id VARCHAR(20) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS feed_checked_at DATETIME DEFAULT NULL;
+
+-- The feed item an episode was matched to (by title, publish date and duration), with the match
+-- confidence (0-100) and the Apple Podcasts episode page when the iTunes lookup knows the item.
+ALTER TABLE podcasts
+ADD COLUMN IF NOT EXISTS feed_item_guid VARCHAR(500) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS feed_match_confidence TINYINT UNSIGNED DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS apple_episode_url VARCHAR(500) DEFAULT NULL;
@@ -0,0 +1,11 @@
+-- Database updates for podcast RSS feeds as a source (besides YouTube)
+-- Run this script AFTER database_podcast_feeds_update.sql has been applied
+
+-- Where a channel's episodes come from: 'youtube' (channel_url is a YouTube channel) or
+-- 'rss' (channel_url is the podcast feed, episodes use its <podcast:transcript> files)
+ALTER TABLE channels
+ADD COLUMN IF NOT EXISTS source_type VARCHAR(10) NOT NULL DEFAULT 'youtube';
+
+-- For 'rss' episodes spotify_url holds the audio file (or the episode page when there is none)
+ALTER TABLE podcasts
+ADD COLUMN IF NOT EXISTS source_type VARCHAR(10) NOT NULL DEFAULT 'youtube';
@@ -0,0 +1,13 @@
+-- Database updates for Spotify episode matching
+-- Run this script AFTER database_language_update.sql has been applied
+
+-- The Spotify show and episode an indexed video was matched to, with the match confidence (0-100).
+-- spotify_matched_at is set on every attempt, so unmatched episodes are only retried after a while.
+ALTER TABLE podcasts
+ADD COLUMN IF NOT EXISTS spotify_show_id VARCHAR(32) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS spotify_episode_id VARCHAR(32) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS spotify_episode_url VARCHAR(255) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS spotify_match_confidence TINYINT UNSIGNED DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS spotify_matched_at DATETIME DEFAULT NULL;
+
+CREATE INDEX idx_podcasts_spotify_matched ON podcasts(spotify_matched_at);
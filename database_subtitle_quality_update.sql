@@ -0,0 +1,10 @@
+-- Database updates for recording which subtitle track an episode's transcript came from
+-- Run this script AFTER database_asr_update.sql has been applied
+
+-- For transcript_source = 'subtitles': 'manual' (uploaded by the channel) or 'auto' (YouTube
+-- auto-captions), the track's language code as yt-dlp names it (e.g. 'en', 'fr-en') and whether it is
+-- a translation (NULL when unknown). All NULL for feed and speech-to-text transcripts.
+ALTER TABLE podcasts
+ADD COLUMN IF NOT EXISTS subtitle_kind VARCHAR(10) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS subtitle_lang VARCHAR(20) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS is_translated BOOLEAN DEFAULT NULL;
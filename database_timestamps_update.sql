@@ -0,0 +1,7 @@
+-- Database updates for transcript timestamps
+-- Run this script AFTER database_language_update.sql has been applied
+
+-- Timing index for the plain transcript: JSON array of [char_offset, seconds] pairs.
+-- Lets search snippets link to the exact moment in the video.
+ALTER TABLE podcasts
+ADD COLUMN IF NOT EXISTS transcript_timings LONGTEXT DEFAULT NULL;
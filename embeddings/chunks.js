@@ -0,0 +1,45 @@
+// Transcript chunking for embeddings
+// Chunks keep their character offset so a match can be turned back into a transcript
+// snippet and a video timestamp (see transcript_timings).
+
+// Target chunk size: a few sentences, small enough that one topic dominates each chunk
+const EMBEDDING_CHUNK_CHARS = parseInt(process.env.EMBEDDING_CHUNK_CHARS) || 1000;
+
+// Split text into [{ offset, length, text }] on word boundaries, preferring to end
+// a chunk at a sentence end once it is at least half full
+function chunkForEmbedding(text, maxChars = EMBEDDING_CHUNK_CHARS) {
+  const chunks = [];
+  const wordRegex = /\S+/g;
+  let start = null;
+  let end = 0;
+  let match;
+
+  const flush = () => {
+    if (start !== null) {
+      chunks.push({ offset: start, length: end - start, text: text.substring(start, end) });
+    }
+    start = null;
+  };
+
+  while ((match = wordRegex.exec(text || '')) !== null) {
+    const wordEnd = match.index + match[0].length;
+
+    if (start !== null && wordEnd - start > maxChars) {
+      flush();
+    }
+    if (start === null) start = match.index;
+    end = wordEnd;
+
+    if (/[.!?]$/.test(match[0]) && end - start >= maxChars / 2) {
+      flush();
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+module.exports = {
+  EMBEDDING_CHUNK_CHARS,
+  chunkForEmbedding
+};
@@ -0,0 +1,94 @@
+// Embedding provider layer for semantic search
+// Pick the provider with EMBEDDING_PROVIDER=local|openai|mock. Semantic search is off when unset.
+// Adapters implement embed(texts) -> array of vectors (one per text, same order).
+const { createLocalEmbeddingProvider } = require('./local');
+const { createOpenAiEmbeddingProvider } = require('./openai');
+const { createMockEmbeddingProvider } = require('./mock');
+const { chunkForEmbedding } = require('./chunks');
+const store = require('./store');
+
+const PROVIDERS = {
+  local: createLocalEmbeddingProvider,
+  openai: createOpenAiEmbeddingProvider,
+  mock: createMockEmbeddingProvider
+};
+
+// Chunks per embed() call
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 16;
+
+// Create a provider by name (config is passed to the adapter)
+function createProvider(name, config = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(config);
+}
+
+let defaultProvider = null;
+
+function isEnabled() {
+  return !!(defaultProvider || process.env.EMBEDDING_PROVIDER);
+}
+
+// Get the provider configured through the environment (created once)
+function getProvider() {
+  if (!defaultProvider) {
+    if (!process.env.EMBEDDING_PROVIDER) {
+      throw new Error('Semantic search is not configured (set EMBEDDING_PROVIDER)');
+    }
+    defaultProvider = createProvider(process.env.EMBEDDING_PROVIDER.toLowerCase());
+    console.log(`[Embeddings] Using ${defaultProvider.name} provider (model: ${defaultProvider.model})`);
+  }
+  return defaultProvider;
+}
+
+// Override the default provider (tests, scripts)
+function setProvider(provider) {
+  defaultProvider = provider;
+}
+
+async function embedTexts(provider, texts) {
+  const vectors = await provider.embed(texts);
+  if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+    throw new Error(`Embedding provider returned ${vectors ? vectors.length : 0} vectors for ${texts.length} texts`);
+  }
+  return vectors;
+}
+
+// Chunk and embed an episode transcript, replacing its stored vectors. Returns the chunk count.
+async function embedEpisode(podcastId, transcript, provider = getProvider()) {
+  const chunks = chunkForEmbedding(transcript || '');
+  const vectors = [];
+
+  for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+    vectors.push(...await embedTexts(provider, batch.map(c => c.text)));
+  }
+
+  await store.saveEpisodeEmbeddings(podcastId, provider, chunks, vectors);
+  return chunks.length;
+}
+
+// Transcript chunks closest in meaning to a query: [{ podcastId, offset, length, similarity }]
+async function searchChunks(queryText, limit, provider = getProvider()) {
+  const [queryVector] = await embedTexts(provider, [queryText]);
+  return store.findNearestChunks(provider, queryVector, limit);
+}
+
+// Episodes closest in meaning to an episode: [{ podcastId, similarity }]
+async function findSimilarEpisodes(podcastId, limit, provider = getProvider()) {
+  return store.findSimilarEpisodes(provider, podcastId, limit);
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider,
+  isEnabled,
+  embedEpisode,
+  searchChunks,
+  findSimilarEpisodes,
+  getModelKey: store.getModelKey,
+  chunkForEmbedding
+};
@@ -0,0 +1,34 @@
+// Local CPU embedding model through transformers.js (ONNX runtime, no GPU or server needed)
+// Requires the optional package: npm install @xenova/transformers
+// The model is downloaded on first use and cached (TRANSFORMERS_CACHE to choose where).
+function createLocalEmbeddingProvider(config = {}) {
+  const modelName = config.model || process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+  let extractorPromise = null;
+
+  // Load the model once, on first use
+  function getExtractor() {
+    if (!extractorPromise) {
+      extractorPromise = import('@xenova/transformers')
+        .catch(() => {
+          throw new Error('The local embedding provider needs the @xenova/transformers package (npm install @xenova/transformers)');
+        })
+        .then(({ pipeline }) => pipeline('feature-extraction', modelName));
+      // Allow a retry after a failed load
+      extractorPromise.catch(() => { extractorPromise = null; });
+    }
+    return extractorPromise;
+  }
+
+  return {
+    name: 'local',
+    model: modelName,
+
+    async embed(texts) {
+      const extractor = await getExtractor();
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    }
+  };
+}
+
+module.exports = { createLocalEmbeddingProvider };
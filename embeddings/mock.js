@@ -0,0 +1,40 @@
+// Deterministic offline embedding provider for tests and local development
+// Feature hashing of words and word prefixes into a fixed-size vector: texts sharing words
+// (or word stems like "longer"/"longevity") end up close, no model or network needed.
+const crypto = require('crypto');
+
+const DIMENSIONS = 256;
+
+// Bucket and sign for a feature, stable across runs and platforms
+function hashFeature(feature) {
+  const digest = crypto.createHash('md5').update(feature).digest();
+  return { index: digest.readUInt32LE(0) % DIMENSIONS, sign: digest[4] & 1 ? 1 : -1 };
+}
+
+function embedText(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+
+  for (const word of words) {
+    const features = [`w:${word}`];
+    if (word.length > 5) features.push(`p:${word.substring(0, 5)}`);
+    for (const feature of features) {
+      const { index, sign } = hashFeature(feature);
+      vector[index] += sign;
+    }
+  }
+  return vector;
+}
+
+function createMockEmbeddingProvider() {
+  return {
+    name: 'mock',
+    model: `hash-${DIMENSIONS}`,
+
+    async embed(texts) {
+      return texts.map(embedText);
+    }
+  };
+}
+
+module.exports = { createMockEmbeddingProvider };
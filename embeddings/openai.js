@@ -0,0 +1,40 @@
+// OpenAI-compatible embeddings adapter
+// Works with any server exposing /v1/embeddings: OpenAI, Ollama, llama.cpp server, vLLM, LM Studio...
+function createOpenAiEmbeddingProvider(config = {}) {
+  const baseUrl = (config.baseUrl || process.env.EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const apiKey = config.apiKey || process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY || '';
+  const modelName = config.model || process.env.EMBEDDING_MODEL || 'nomic-embed-text';
+  const timeout = config.timeout || parseInt(process.env.OPENAI_TIMEOUT_MS) || 120000;
+
+  return {
+    name: 'openai',
+    model: modelName,
+
+    async embed(texts) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      const response = await fetch(`${baseUrl}/embeddings`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: modelName, input: texts }),
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw new Error(`Embedding request failed (${response.status}): ${body.substring(0, 200)}`);
+      }
+
+      const data = await response.json();
+      // Results may come back out of order, "index" says which input each one belongs to
+      return [...(data.data || [])]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
+
+module.exports = { createOpenAiEmbeddingProvider };
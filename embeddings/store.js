@@ -0,0 +1,263 @@
+// Chunk embedding storage (MySQL table episode_chunk_embeddings) and in-memory vector index
+// Vectors are stored as little-endian float32 BLOBs, one row per transcript chunk, per model.
+// Search is a brute-force cosine scan over an in-memory copy, refreshed when the table changes.
+//
+// Sized for archives of up to about 250,000 chunks (5,000 hour-long episodes at 1000-character
+// chunks): the copy takes count x dimensions x 4 bytes, so about 380 MB at 384 dimensions and twice
+// that at 768, and a scan is a few hundred milliseconds on one core. Past that, move the vectors to
+// a database with a vector index instead of growing this cache.
+const pool = require('../db');
+
+// How often a cached index checks the table for new or deleted rows
+const INDEX_CHECK_INTERVAL = parseInt(process.env.EMBEDDING_INDEX_CHECK_MS) || 60000;
+
+// model key -> { signature, checkedAt, count, dimensions, podcastIds, offsets, lengths, vectors }
+const indexes = new Map();
+
+// model key -> in-flight load promise, so concurrent searches share one load
+const loading = new Map();
+
+// Vectors from different models are not comparable, rows are keyed by provider and model
+function getModelKey(provider) {
+  return `${provider.name}:${provider.model}`.substring(0, 150);
+}
+
+function normalize(vector) {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) norm += result[i] * result[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < result.length; i++) result[i] /= norm;
+  return result;
+}
+
+function vectorToBuffer(vector) {
+  const buffer = Buffer.alloc(vector.length * 4);
+  vector.forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+  return buffer;
+}
+
+// Replace an episode's chunk embeddings for a model in one transaction
+async function saveEpisodeEmbeddings(podcastId, provider, chunks, vectors) {
+  const modelKey = getModelKey(provider);
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await connection.execute(
+      'DELETE FROM episode_chunk_embeddings WHERE podcast_id = ? AND model_key = ?',
+      [podcastId, modelKey]
+    );
+
+    for (let i = 0; i < chunks.length; i++) {
+      const vector = normalize(vectors[i]);
+      await connection.execute(
+        `INSERT INTO episode_chunk_embeddings (podcast_id, model_key, chunk_index, char_offset, char_length, dimensions, embedding)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [podcastId, modelKey, i, chunks[i].offset, chunks[i].length, vector.length, vectorToBuffer(vector)]
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  // Force the next search to re-check the table
+  const index = indexes.get(modelKey);
+  if (index) index.checkedAt = 0;
+}
+
+// Cheap fingerprint of a model's rows: changes whenever rows are added or deleted
+async function getSignature(modelKey) {
+  const [rows] = await pool.execute(
+    'SELECT COUNT(*) as count, MAX(id) as max_id FROM episode_chunk_embeddings WHERE model_key = ?',
+    [modelKey]
+  );
+  return `${rows[0].count}:${rows[0].max_id}`;
+}
+
+async function loadIndex(modelKey, signature) {
+  const [rows] = await pool.execute(
+    `SELECT podcast_id, char_offset, char_length, dimensions, embedding
+     FROM episode_chunk_embeddings WHERE model_key = ?`,
+    [modelKey]
+  );
+
+  const dimensions = rows.length > 0 ? rows[0].dimensions : 0;
+  const usable = rows.filter(row => row.dimensions === dimensions);
+  const index = {
+    signature,
+    checkedAt: Date.now(),
+    count: usable.length,
+    dimensions,
+    podcastIds: new Int32Array(usable.length),
+    offsets: new Int32Array(usable.length),
+    lengths: new Int32Array(usable.length),
+    vectors: new Float32Array(usable.length * dimensions)
+  };
+
+  usable.forEach((row, i) => {
+    index.podcastIds[i] = row.podcast_id;
+    index.offsets[i] = row.char_offset;
+    index.lengths[i] = row.char_length;
+    for (let d = 0; d < dimensions; d++) {
+      index.vectors[i * dimensions + d] = row.embedding.readFloatLE(d * 4);
+    }
+  });
+
+  console.log(`[Embeddings] Loaded ${index.count} chunk vectors for ${modelKey}`);
+  return index;
+}
+
+// The in-memory index for a model, reloaded when the table changed since the last check
+async function getIndex(modelKey) {
+  const cached = indexes.get(modelKey);
+  if (cached && Date.now() - cached.checkedAt < INDEX_CHECK_INTERVAL) {
+    return cached;
+  }
+
+  if (!loading.has(modelKey)) {
+    loading.set(modelKey, (async () => {
+      const signature = await getSignature(modelKey);
+      if (cached && cached.signature === signature) {
+        cached.checkedAt = Date.now();
+        return cached;
+      }
+      const index = await loadIndex(modelKey, signature);
+      indexes.set(modelKey, index);
+      return index;
+    })().finally(() => loading.delete(modelKey)));
+  }
+  return loading.get(modelKey);
+}
+
+// Bounded min-heap keeping the `limit` best-scoring items seen, so a scan never sorts every row
+class TopK {
+  constructor(limit) {
+    this.limit = Math.max(0, limit);
+    this.items = [];
+    this.scores = [];
+  }
+
+  push(item, score) {
+    if (this.items.length < this.limit) {
+      this.items.push(item);
+      this.scores.push(score);
+      this.siftUp(this.items.length - 1);
+    } else if (this.limit > 0 && score > this.scores[0]) {
+      this.items[0] = item;
+      this.scores[0] = score;
+      this.siftDown(0);
+    }
+  }
+
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    [this.scores[a], this.scores[b]] = [this.scores[b], this.scores[a]];
+  }
+
+  siftUp(i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.scores[parent] <= this.scores[i]) break;
+      this.swap(parent, i);
+      i = parent;
+    }
+  }
+
+  siftDown(i) {
+    const size = this.items.length;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < size && this.scores[left] < this.scores[smallest]) smallest = left;
+      if (right < size && this.scores[right] < this.scores[smallest]) smallest = right;
+      if (smallest === i) break;
+      this.swap(smallest, i);
+      i = smallest;
+    }
+  }
+
+  // [{ item, score }], best first
+  sorted() {
+    return this.items
+      .map((item, i) => ({ item, score: this.scores[i] }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+// Nearest chunks to a query vector: [{ podcastId, offset, length, similarity }], best first
+async function findNearestChunks(provider, queryVector, limit) {
+  const index = await getIndex(getModelKey(provider));
+  if (index.count === 0) return [];
+
+  const query = normalize(queryVector);
+  if (query.length !== index.dimensions) {
+    throw new Error(`Query vector has ${query.length} dimensions, index has ${index.dimensions}`);
+  }
+
+  const best = new TopK(limit);
+  for (let i = 0; i < index.count; i++) {
+    let dot = 0;
+    const base = i * index.dimensions;
+    for (let d = 0; d < index.dimensions; d++) {
+      dot += index.vectors[base + d] * query[d];
+    }
+    best.push(i, dot);
+  }
+
+  return best.sorted().map(({ item: i, score }) => ({
+    podcastId: index.podcastIds[i],
+    offset: index.offsets[i],
+    length: index.lengths[i],
+    similarity: score
+  }));
+}
+
+// Per-episode mean of its chunk vectors (normalized), computed once per loaded index
+function getEpisodeCentroids(index) {
+  if (index.centroids) return index.centroids;
+
+  const centroids = new Map();
+  for (let i = 0; i < index.count; i++) {
+    const podcastId = index.podcastIds[i];
+    if (!centroids.has(podcastId)) centroids.set(podcastId, new Float32Array(index.dimensions));
+    const sum = centroids.get(podcastId);
+    const base = i * index.dimensions;
+    for (let d = 0; d < index.dimensions; d++) sum[d] += index.vectors[base + d];
+  }
+  for (const [podcastId, sum] of centroids) centroids.set(podcastId, normalize(sum));
+
+  index.centroids = centroids;
+  return centroids;
+}
+
+// Episodes closest in meaning to an episode, by cosine similarity of their centroids:
+// [{ podcastId, similarity }], best first. Empty when the episode has no vectors for this model.
+async function findSimilarEpisodes(provider, podcastId, limit) {
+  const centroids = getEpisodeCentroids(await getIndex(getModelKey(provider)));
+  const source = centroids.get(podcastId);
+  if (!source) return [];
+
+  const best = new TopK(limit);
+  for (const [otherId, centroid] of centroids) {
+    if (otherId === podcastId) continue;
+    let dot = 0;
+    for (let d = 0; d < centroid.length; d++) dot += centroid[d] * source[d];
+    best.push(otherId, dot);
+  }
+
+  return best.sorted().map(({ item, score }) => ({ podcastId: item, similarity: score }));
+}
+
+module.exports = {
+  getModelKey,
+  saveEpisodeEmbeddings,
+  findNearestChunks,
+  findSimilarEpisodes
+};
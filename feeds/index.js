@@ -0,0 +1,199 @@
+// Podcast feeds and Apple Podcasts links for indexed channels
+// Channels can have an RSS feed URL and an Apple Podcasts ID. Episodes are matched to feed items
+// by title, publish date and duration; matched episodes get "Listen on Apple Podcasts" and
+// "Open in your podcast app" links. Feeds can also be indexed on their own (RSS channels), using the
+// transcripts their items link. Parsing is in parse.js and transcripts.js (pure, testable with fixture feeds).
+const dns = require('dns').promises;
+const net = require('net');
+const { parseFeed } = require('./parse');
+const { pickTranscript } = require('./transcripts');
+const match = require('../spotify/match');
+
+const FEED_TIMEOUT = 30000;
+const MAX_REDIRECTS = 5;
+
+// Feed and transcript URLs come from admins and from third-party feeds: they must not reach the
+// server's own network (loopback, private ranges, link-local cloud metadata endpoints...)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Largest feed accepted (long-running shows with full show notes reach a few MB)
+const MAX_FEED_BYTES = 20 * 1024 * 1024;
+const MAX_TRANSCRIPT_BYTES = 5 * 1024 * 1024;
+
+// Apple episode links come from the iTunes lookup API (the RSS feed has no Apple IDs)
+const ITUNES_LOOKUP_URL = 'https://itunes.apple.com/lookup';
+const ITUNES_LOOKUP_LIMIT = 200;
+
+// Downloads (feeds and transcript files) go through fetchText; tests and scripts can swap it
+// for one reading local fixture files with setFetcher
+let fetcher = fetchText;
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 ("::ffff:127.0.0.1") is checked as the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Throw unless url is http(s) and its host resolves to public addresses only
+async function assertPublicUrl(url) {
+  if (!/^https?:\/\//i.test(url)) {
+    throw new Error(`Only http:// and https:// URLs can be fetched: ${url}`);
+  }
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`${url} points to a private or local address`);
+  }
+}
+
+async function fetchText(url, maxBytes) {
+  // Redirects are followed by hand so every hop is checked
+  let response;
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects++) {
+    await assertPublicUrl(currentUrl);
+    response = await fetch(currentUrl, {
+      headers: { 'User-Agent': 'PodSearch/1.0 (+feed matching)' },
+      signal: AbortSignal.timeout(FEED_TIMEOUT),
+      redirect: 'manual'
+    });
+
+    const location = response.status >= 300 && response.status < 400 ? response.headers.get('location') : null;
+    if (!location) break;
+    if (response.body) await response.body.cancel();
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`Too many redirects for ${url}`);
+    }
+    currentUrl = new URL(location, currentUrl).href;
+  }
+
+  if (!response.ok) {
+    throw new Error(`Request for ${url} failed (${response.status})`);
+  }
+
+  // Refuse early when the server announces a larger body, then count what actually arrives
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    if (response.body) await response.body.cancel();
+    throw new Error(`${url} is too large (over ${maxBytes} bytes)`);
+  }
+  return readText(response, url, maxBytes);
+}
+
+// Body of a response as UTF-8 text, read as a stream and given up once it passes maxBytes
+// (so a huge or endless body is never buffered whole)
+async function readText(response, url, maxBytes) {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel();
+      throw new Error(`${url} is too large (over ${maxBytes} bytes)`);
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Override the downloader: fn(url, maxBytes) -> Promise<string>. Pass null to restore the default.
+function setFetcher(fn) {
+  fetcher = fn || fetchText;
+}
+
+// Download and parse a feed (public http and https URLs only); throws when it is not an RSS feed
+async function fetchFeed(url) {
+  return parseFeed(await fetcher(url, MAX_FEED_BYTES));
+}
+
+// Download an item's transcript in the preferred language and format:
+// { format: 'json' | 'vtt' | 'srt' (subtitles/ format names), url, content }, or null when the item has none usable
+async function fetchTranscript(item, language = null) {
+  const picked = pickTranscript(item.transcripts, language);
+  if (!picked) return null;
+  const content = await fetcher(picked.transcript.url, MAX_TRANSCRIPT_BYTES);
+  return { format: picked.format, url: picked.transcript.url, content };
+}
+
+// Stable identity of a feed item: its guid, or its enclosure (or title) when it has none
+function itemGuid(item) {
+  return (item.guid || item.enclosure_url || item.title || '').substring(0, 500) || null;
+}
+
+// Apple Podcasts ID from an ID or a podcasts.apple.com URL (".../id1234567890"), or null
+function parseApplePodcastsId(input) {
+  const idMatch = String(input || '').trim().match(/^(?:.*\/id)?(\d{5,15})(?:[/?#].*)?$/);
+  return idMatch ? idMatch[1] : null;
+}
+
+function appleShowUrl(applePodcastsId) {
+  return `https://podcasts.apple.com/podcast/id${applePodcastsId}`;
+}
+
+// Subscribe link that podcast apps (Apple Podcasts, Overcast, Pocket Casts...) register for
+function podcastAppUrl(feedUrl) {
+  return `podcast://${feedUrl.replace(/^https?:\/\//i, '')}`;
+}
+
+// Apple episode URLs of a show by feed item guid: Map guid -> URL (newest ITUNES_LOOKUP_LIMIT episodes)
+async function lookupAppleEpisodes(applePodcastsId) {
+  const params = new URLSearchParams({ id: applePodcastsId, entity: 'podcastEpisode', limit: ITUNES_LOOKUP_LIMIT });
+  const response = await fetch(`${ITUNES_LOOKUP_URL}?${params}`, { signal: AbortSignal.timeout(FEED_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`iTunes lookup failed (${response.status})`);
+  }
+
+  const data = await response.json();
+  return new Map((data.results || [])
+    .filter(result => result.wrapperType === 'podcastEpisode' && result.episodeGuid && result.trackViewUrl)
+    .map(result => [result.episodeGuid, result.trackViewUrl]));
+}
+
+// Match indexed episodes to feed items.
+// episodes: [{ id, episode_title, upload_date, duration_seconds }] (decoded text), items: parsed feed items.
+// Returns Map episodeId -> { item, confidence (0-100) } for the episodes that matched.
+function matchFeedItems(episodes, items) {
+  const candidates = items
+    .filter(item => item.title)
+    .map(item => ({
+      item,
+      name: item.title,
+      release_date: item.published_at,
+      duration_ms: item.duration_seconds ? item.duration_seconds * 1000 : null
+    }));
+
+  const matches = new Map();
+  for (const episode of episodes) {
+    const best = match.pickEpisode(episode, candidates);
+    if (best) {
+      matches.set(episode.id, { item: best.candidate.item, confidence: Math.round(100 * best.score) });
+    }
+  }
+  return matches;
+}
+
+module.exports = {
+  fetchFeed,
+  fetchTranscript,
+  setFetcher,
+  parseFeed,
+  itemGuid,
+  parseApplePodcastsId,
+  appleShowUrl,
+  podcastAppUrl,
+  lookupAppleEpisodes,
+  matchFeedItems
+};
@@ -0,0 +1,135 @@
+// Podcast RSS feed parsing
+// A small tag-level parser for the parts of RSS 2.0 (with the itunes: and podcast: namespaces)
+// the app uses. Pure functions on the feed XML, no network access.
+
+// Tag names in regexes (namespace prefixes contain a colon, which needs no escaping)
+function tagPattern(name, flags = 'i') {
+  return new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)<\\/${name}>`, flags);
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(dec))
+    .replace(/&#x([0-9a-fA-F]+);/g, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// Text content of the first <name> element (CDATA unwrapped, entities decoded), or null
+function tagText(xml, name) {
+  const match = xml.match(tagPattern(name));
+  if (!match) return null;
+  const text = match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (m, cdata) => cdata.replace(/&/g, '&amp;').replace(/</g, '&lt;'));
+  return decodeXmlEntities(text.replace(/<[^>]+>/g, '')).trim() || null;
+}
+
+// Attributes of every <name ...> element: [{ attribute: value }]
+function tagAttributes(xml, name) {
+  const elements = [];
+  const pattern = new RegExp(`<${name}\\b([^>]*?)\\/?>`, 'gi');
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    const attributes = {};
+    const attributePattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let attribute;
+    while ((attribute = attributePattern.exec(match[1])) !== null) {
+      attributes[attribute[1].toLowerCase()] = decodeXmlEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+    }
+    elements.push(attributes);
+  }
+  return elements;
+}
+
+// An http(s) URL from the feed, or null: feed values end up in downloads and links, so javascript:,
+// file: and anything that does not parse as a URL is dropped
+function httpUrl(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// <itunes:duration> as seconds: "3600", "59:30" or "1:02:03"; null when missing or malformed
+function parseDuration(text) {
+  if (!text) return null;
+  const parts = text.trim().split(':').map(Number);
+  if (parts.length > 3 || parts.some(isNaN)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0) || null;
+}
+
+// RFC 822 pubDate as an ISO string, or null
+function parseDate(text) {
+  if (!text) return null;
+  const time = Date.parse(text);
+  return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function parseItem(itemXml) {
+  const enclosure = tagAttributes(itemXml, 'enclosure')[0] || {};
+  const image = tagAttributes(itemXml, 'itunes:image')[0] || {};
+  return {
+    guid: tagText(itemXml, 'guid'),
+    title: tagText(itemXml, 'title') || tagText(itemXml, 'itunes:title'),
+    link: httpUrl(tagText(itemXml, 'link')),
+    published_at: parseDate(tagText(itemXml, 'pubDate')),
+    duration_seconds: parseDuration(tagText(itemXml, 'itunes:duration')),
+    enclosure_url: httpUrl(enclosure.url),
+    enclosure_type: enclosure.type || null,
+    image_url: httpUrl(image.href),
+    // <podcast:transcript url type language rel> (Podcasting 2.0)
+    transcripts: tagAttributes(itemXml, 'podcast:transcript')
+      .filter(t => httpUrl(t.url))
+      .map(t => ({ url: httpUrl(t.url), type: t.type || null, language: t.language || null, rel: t.rel || null }))
+  };
+}
+
+// Name of the document element, after the XML declaration, comments and doctype ("rss", "feed"...)
+function rootElementName(xml) {
+  const match = String(xml)
+    .replace(/^\uFEFF/, '')
+    .replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>/gi, '')
+    .match(/^\s*<([\w:.-]+)/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Parse a feed into { title, link, author, image_url, language, items: [...] }, items in feed order.
+// Throws when the document is not an RSS feed (an HTML page, an Atom feed, anything else).
+function parseFeed(xml) {
+  const root = rootElementName(xml);
+  if (root === 'feed') {
+    throw new Error('Atom feeds are not supported, use the podcast\'s RSS feed');
+  }
+  const channelMatch = root === 'rss' || root === 'rdf:rdf' ? String(xml).match(tagPattern('channel')) : null;
+  if (!channelMatch) {
+    throw new Error('Not an RSS feed (no <rss> element with a <channel>)');
+  }
+
+  const itemPattern = tagPattern('item', 'gi');
+  const items = [...channelMatch[1].matchAll(itemPattern)].map(match => parseItem(match[1]));
+  // Channel-level tags, without the items (which have their own <title>, <link>...)
+  const channelXml = channelMatch[1].replace(itemPattern, '');
+  const itunesImage = tagAttributes(channelXml, 'itunes:image')[0];
+  const imageBlock = channelXml.match(tagPattern('image'));
+
+  return {
+    title: tagText(channelXml, 'title'),
+    link: httpUrl(tagText(channelXml, 'link')),
+    author: tagText(channelXml, 'itunes:author'),
+    image_url: httpUrl((itunesImage && itunesImage.href) || (imageBlock ? tagText(imageBlock[1], 'url') : null)),
+    language: tagText(channelXml, 'language'),
+    items
+  };
+}
+
+module.exports = {
+  parseFeed,
+  httpUrl,
+  parseDuration,
+  decodeXmlEntities
+};
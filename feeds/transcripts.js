@@ -0,0 +1,43 @@
+// Episode transcripts published in podcast feeds (Podcasting 2.0 <podcast:transcript>)
+// A feed item can link several transcript files (formats, languages). The timed formats are
+// supported: WebVTT, SRT and the Podcasting 2.0 JSON format (parsed by subtitles/). Pure functions,
+// no network access.
+
+// Supported formats, most preferred first (JSON keeps speaker turns as separate segments)
+const TRANSCRIPT_FORMATS = ['json', 'vtt', 'srt'];
+
+const FORMAT_BY_TYPE = {
+  'application/json': 'json',
+  'text/vtt': 'vtt',
+  'application/x-subrip': 'srt',
+  'application/srt': 'srt',
+  'text/srt': 'srt'
+};
+
+// Format of a <podcast:transcript> ({ url, type }): from its MIME type, else the file extension; null when unsupported
+function transcriptFormat(transcript) {
+  const type = (transcript.type || '').toLowerCase().split(';')[0].trim();
+  if (FORMAT_BY_TYPE[type]) return FORMAT_BY_TYPE[type];
+
+  const extension = (transcript.url || '').toLowerCase().split(/[?#]/)[0].match(/\.(json|vtt|srt)$/);
+  return extension ? extension[1] : null;
+}
+
+// The transcript to download for an item: the requested language first (files without a language
+// are assumed to match), then by format preference. Null when none is in a supported format.
+function pickTranscript(transcripts, language = null) {
+  const languageRank = t => !language || !t.language || t.language.toLowerCase().startsWith(language) ? 0 : 1;
+
+  const candidates = (transcripts || [])
+    .map(transcript => ({ transcript, format: transcriptFormat(transcript) }))
+    .filter(candidate => candidate.format)
+    .sort((a, b) => languageRank(a.transcript) - languageRank(b.transcript)
+      || TRANSCRIPT_FORMATS.indexOf(a.format) - TRANSCRIPT_FORMATS.indexOf(b.format));
+
+  return candidates.length > 0 ? candidates[0] : null;
+}
+
+module.exports = {
+  transcriptFormat,
+  pickTranscript
+};
@@ -0,0 +1,264 @@
+// Persistent background job queue (MySQL-backed)
+// Jobs survive restarts: interrupted jobs are re-queued on startup and resumed by the worker.
+const crypto = require('crypto');
+const pool = require('./db');
+
+// Statuses that mean a job is finished and will not be picked up again
+const FINAL_STATUSES = ['completed', 'error'];
+
+// Keep only the most recent results to bound the row size
+const MAX_RESULTS = 50;
+
+const WORKER_ID = `${require('os').hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 3000;
+const CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+
+// Running jobs refresh locked_at every heartbeat; a lock older than the stale threshold belongs to a
+// worker that died (crash, redeploy) and the job is handed to another worker
+const HEARTBEAT_INTERVAL = parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS) || 30000;
+const STALE_AFTER_SECONDS = Math.max(
+  parseInt(process.env.JOB_STALE_AFTER_SECONDS) || 120,
+  Math.ceil(HEARTBEAT_INTERVAL * 2 / 1000)
+);
+// A job interrupted this many times is marked failed instead of being re-queued again
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+// type -> async handler(job)
+const handlers = new Map();
+
+// Jobs currently running in this process (id -> job)
+const runningJobs = new Map();
+
+let workerTimer = null;
+
+function generateJobId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// Convert a jobs table row to the in-memory job object handlers work with
+function rowToJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    payload: parseJson(row.payload, {}),
+    status: row.status,
+    total: row.total || 0,
+    processed: row.processed || 0,
+    skipped: row.skipped || 0,
+    failed: row.failed || 0,
+    currentItem: row.current_item,
+    results: parseJson(row.results, []),
+    data: parseJson(row.data, {}),
+    error: row.error,
+    attempts: row.attempts || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at
+  };
+}
+
+// Register the handler for a job type
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+// Create a queued job, returns the job ID
+async function createJob(type, payload = {}, initial = {}) {
+  const id = generateJobId();
+  await pool.execute(
+    `INSERT INTO jobs (id, type, payload, status, total, data)
+     VALUES (?, ?, ?, 'queued', ?, ?)`,
+    [id, type, JSON.stringify(payload), initial.total || 0, JSON.stringify(initial.data || {})]
+  );
+
+  // Wake the worker right away instead of waiting for the next poll
+  setImmediate(tick);
+  return id;
+}
+
+// Get a job by ID (in-memory copy if it is running here, so progress is live)
+async function getJob(id) {
+  if (runningJobs.has(id)) {
+    return runningJobs.get(id);
+  }
+  const [rows] = await pool.execute('SELECT * FROM jobs WHERE id = ?', [id]);
+  return rows.length > 0 ? rowToJob(rows[0]) : null;
+}
+
+// Persist a job's progress counters, status and results
+async function saveJob(job) {
+  if (job.results.length > MAX_RESULTS) {
+    job.results = job.results.slice(-MAX_RESULTS);
+  }
+  const finished = FINAL_STATUSES.includes(job.status);
+
+  await pool.execute(
+    `UPDATE jobs
+     SET status = ?, total = ?, processed = ?, skipped = ?, failed = ?,
+         current_item = ?, results = ?, data = ?, error = ?,
+         finished_at = ${finished ? 'NOW()' : 'NULL'}, updated_at = NOW()
+     WHERE id = ?`,
+    [
+      job.status,
+      job.total,
+      job.processed,
+      job.skipped,
+      job.failed,
+      job.currentItem ? String(job.currentItem).substring(0, 500) : null,
+      JSON.stringify(job.results),
+      JSON.stringify(job.data),
+      job.error || null,
+      job.id
+    ]
+  );
+}
+
+// Atomically claim the oldest queued job for this worker
+async function claimNextJob() {
+  const types = [...handlers.keys()];
+  if (types.length === 0) return null;
+
+  const [candidates] = await pool.query(
+    `SELECT id FROM jobs WHERE status = 'queued' AND type IN (?) ORDER BY created_at ASC LIMIT 5`,
+    [types]
+  );
+
+  for (const candidate of candidates) {
+    const [result] = await pool.execute(
+      `UPDATE jobs
+       SET status = 'running', locked_by = ?, locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+       WHERE id = ? AND status = 'queued'`,
+      [WORKER_ID, candidate.id]
+    );
+    if (result.affectedRows === 1) {
+      const [rows] = await pool.execute('SELECT * FROM jobs WHERE id = ?', [candidate.id]);
+      return rows.length > 0 ? rowToJob(rows[0]) : null;
+    }
+  }
+  return null;
+}
+
+// Keep this worker's lock on a running job fresh so it is not taken for an abandoned one
+async function heartbeat(job) {
+  try {
+    await pool.execute(
+      `UPDATE jobs SET locked_at = NOW() WHERE id = ? AND locked_by = ? AND status = 'running'`,
+      [job.id, WORKER_ID]
+    );
+  } catch (error) {
+    console.error(`[Jobs] Heartbeat failed for job ${job.id}:`, error.message);
+  }
+}
+
+// Run a claimed job with its handler and record the outcome
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  runningJobs.set(job.id, job);
+  const heartbeatTimer = setInterval(() => heartbeat(job), HEARTBEAT_INTERVAL);
+
+  // A job claimed more than once was interrupted before; handlers use this to skip finished work
+  job.resumed = job.attempts > 1;
+
+  try {
+    await handler(job);
+    if (!FINAL_STATUSES.includes(job.status)) {
+      job.status = 'completed';
+    }
+  } catch (error) {
+    console.error(`[Jobs] ${job.type} job ${job.id} failed:`, error);
+    job.status = 'error';
+    job.error = error.message;
+  } finally {
+    clearInterval(heartbeatTimer);
+    job.currentItem = null;
+    try {
+      await saveJob(job);
+    } catch (dbError) {
+      console.error(`[Jobs] Failed to save job ${job.id}:`, dbError.message);
+    }
+    runningJobs.delete(job.id);
+  }
+}
+
+// One worker iteration: fill free slots with queued jobs
+async function tick() {
+  try {
+    while (runningJobs.size < CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+      console.log(`[Jobs] Starting ${job.type} job ${job.id}${job.attempts > 1 ? ` (resume, attempt ${job.attempts})` : ''}`);
+      runJob(job);
+    }
+  } catch (error) {
+    console.error('[Jobs] Worker error:', error.message);
+  }
+}
+
+// Re-queue jobs whose worker stopped heartbeating, or fail them once they used up their attempts.
+// Jobs locked by a live worker (this one or another instance) are left alone.
+async function resumeInterruptedJobs() {
+  const abandoned = `status NOT IN ('queued', 'completed', 'error')
+     AND (locked_by IS NULL OR locked_by != ?)
+     AND (locked_at IS NULL OR locked_at < NOW() - INTERVAL ? SECOND)`;
+
+  const [failed] = await pool.execute(
+    `UPDATE jobs
+     SET status = 'error', error = ?, locked_by = NULL, locked_at = NULL, finished_at = NOW(), updated_at = NOW()
+     WHERE ${abandoned} AND attempts >= ?`,
+    [`Interrupted ${MAX_ATTEMPTS} times, giving up`, WORKER_ID, STALE_AFTER_SECONDS, MAX_ATTEMPTS]
+  );
+  if (failed.affectedRows > 0) {
+    console.log(`[Jobs] Marked ${failed.affectedRows} repeatedly interrupted job(s) as failed`);
+  }
+
+  const [result] = await pool.execute(
+    `UPDATE jobs
+     SET status = 'queued', locked_by = NULL, locked_at = NULL, updated_at = NOW()
+     WHERE ${abandoned} AND attempts < ?`,
+    [WORKER_ID, STALE_AFTER_SECONDS, MAX_ATTEMPTS]
+  );
+  return result.affectedRows;
+}
+
+// Re-queue abandoned jobs, logging instead of throwing (runs on startup and periodically)
+async function recoverStaleJobs() {
+  try {
+    const resumed = await resumeInterruptedJobs();
+    if (resumed > 0) {
+      console.log(`[Jobs] Re-queued ${resumed} interrupted job(s)`);
+    }
+  } catch (error) {
+    console.error('[Jobs] Could not resume interrupted jobs:', error.message);
+  }
+}
+
+// Start the worker loop (call once, after handlers are registered)
+async function startWorker() {
+  if (workerTimer) return;
+
+  await recoverStaleJobs();
+
+  // A job abandoned by a worker that just restarted only becomes stale later, so keep checking
+  setInterval(recoverStaleJobs, STALE_AFTER_SECONDS * 1000);
+  workerTimer = setInterval(tick, POLL_INTERVAL);
+  tick();
+}
+
+module.exports = {
+  registerHandler,
+  createJob,
+  getJob,
+  saveJob,
+  startWorker,
+  resumeInterruptedJobs
+};
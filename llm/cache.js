@@ -0,0 +1,42 @@
+// Cache for per-chunk LLM results (MySQL table llm_chunk_cache)
+// Lets a re-run of a long transcript reuse the chunk results it already paid for.
+const crypto = require('crypto');
+const pool = require('../db');
+
+// Bump when prompts change so stale results are not reused
+const PROMPT_VERSION = 1;
+
+function buildCacheKey(provider, kind, language, text) {
+  return crypto
+    .createHash('sha256')
+    .update([PROMPT_VERSION, provider.name, provider.model, kind, language, text].join('\u0000'))
+    .digest('hex');
+}
+
+// Cache failures are never fatal: a missing table just means no caching
+async function get(key) {
+  try {
+    const [rows] = await pool.execute('SELECT result FROM llm_chunk_cache WHERE cache_key = ?', [key]);
+    return rows.length > 0 ? JSON.parse(rows[0].result) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function set(key, kind, value) {
+  try {
+    await pool.execute(
+      `INSERT INTO llm_chunk_cache (cache_key, kind, result) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE result = VALUES(result), created_at = NOW()`,
+      [key, kind, JSON.stringify(value)]
+    );
+  } catch (e) {
+    console.error('[LLM cache] Could not save chunk result:', e.message);
+  }
+}
+
+module.exports = {
+  buildCacheKey,
+  get,
+  set
+};
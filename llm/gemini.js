@@ -0,0 +1,26 @@
+// Google Gemini adapter
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+function createGeminiProvider(config = {}) {
+  const apiKey = config.apiKey || process.env.GEMINI_API_KEY;
+  const modelName = config.model || process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+
+  if (!apiKey) {
+    console.error('WARNING: GEMINI_API_KEY environment variable is not set');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const model = genAI.getGenerativeModel({ model: modelName });
+
+  return {
+    name: 'gemini',
+    model: modelName,
+
+    async generateText(prompt) {
+      const result = await model.generateContent(prompt);
+      return result.response.text();
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
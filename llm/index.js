@@ -0,0 +1,96 @@
+// LLM provider layer
+// Pick the provider with LLM_PROVIDER=gemini|openai|mock (default: gemini).
+// Adapters only need generateText(prompt); the higher-level methods are built on top
+// unless the adapter implements them itself (like the mock provider).
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAiProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const prompts = require('./prompts');
+const summarize = require('./summarize');
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider,
+  mock: createMockProvider
+};
+
+// Wrap an adapter with the common provider interface
+function withDefaults(adapter) {
+  return {
+    name: adapter.name,
+    model: adapter.model,
+    generateText: (prompt) => adapter.generateText(prompt),
+
+    // Returns { summary, best_part }
+    async generateAnalysis(input) {
+      if (adapter.generateAnalysis) return adapter.generateAnalysis(input);
+      const text = await adapter.generateText(prompts.buildAnalysisPrompt(input));
+      return prompts.parseAnalysis(text);
+    },
+
+    // Merges per-part analyses ({ partials: [{ summary, best_part }] }) into one { summary, best_part }
+    async mergeAnalyses(input) {
+      if (adapter.mergeAnalyses) return adapter.mergeAnalyses(input);
+      const text = await adapter.generateText(prompts.buildMergePrompt(input));
+      return prompts.parseAnalysis(text);
+    },
+
+    // Answers a question from numbered passages ({ question, passages: [{ title, channel, text }] }).
+    // Returns { answer, citations } with citations as 1-based passage numbers.
+    async answerQuestion(input) {
+      if (adapter.answerQuestion) return adapter.answerQuestion(input);
+      const text = await adapter.generateText(prompts.buildAnswerPrompt(input));
+      return prompts.parseAnswer(text, input.passages.length);
+    },
+
+    // Returns an array of raw keyword strings (callers clean and filter them)
+    async extractKeywords(input) {
+      if (adapter.extractKeywords) return adapter.extractKeywords(input);
+      const text = await adapter.generateText(prompts.buildKeywordsPrompt(input));
+      return prompts.parseKeywords(text);
+    }
+  };
+}
+
+// Create a provider by name (config is passed to the adapter)
+function createProvider(name, config = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return withDefaults(factory(config));
+}
+
+let defaultProvider = null;
+
+// Get the provider configured through the environment (created once)
+function getProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createProvider((process.env.LLM_PROVIDER || 'gemini').toLowerCase());
+    console.log(`[LLM] Using ${defaultProvider.name} provider (model: ${defaultProvider.model})`);
+  }
+  return defaultProvider;
+}
+
+// Override the default provider (tests, scripts)
+function setProvider(provider) {
+  defaultProvider = provider;
+}
+
+// Full-length transcript analysis with the default provider (map-reduce for long transcripts)
+function analyzeTranscript(input, provider = getProvider()) {
+  return summarize.analyzeTranscript(provider, input);
+}
+
+function extractTranscriptKeywords(input, provider = getProvider()) {
+  return summarize.extractTranscriptKeywords(provider, input);
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider,
+  analyzeTranscript,
+  extractTranscriptKeywords,
+  chunkTranscript: summarize.chunkTranscript
+};
@@ -0,0 +1,68 @@
+// Deterministic offline provider for tests and local development
+// Derives summaries and keywords from the input text itself, no network access.
+
+const STOPWORDS = new Set([
+  'the', 'and', 'that', 'this', 'with', 'have', 'from', 'they', 'what', 'about', 'there', 'their',
+  'would', 'could', 'should', 'which', 'when', 'where', 'were', 'your', 'just', 'like', 'really',
+  'know', 'think', 'going', 'because', 'people', 'things', 'thing', 'yeah', 'right', 'something',
+  'dans', 'pour', 'avec', 'mais', 'est-ce', 'cette', 'sont', 'nous', 'vous', 'elle', 'tout', 'comme'
+]);
+
+function splitSentences(text) {
+  return (text || '')
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.trim())
+    .filter(s => s.length > 0);
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    async generateText(prompt) {
+      return `MOCK RESPONSE: ${(prompt || '').substring(0, 200)}`;
+    },
+
+    // Summary = first two sentences, best part = longest of the first twenty sentences
+    async generateAnalysis({ transcript }) {
+      const sentences = splitSentences(transcript);
+      const summary = sentences.slice(0, 2).join(' ') || 'No content';
+      const bestPart = sentences.slice(0, 20).reduce((best, s) => (s.length > best.length ? s : best), '');
+      return { summary, best_part: bestPart };
+    },
+
+    // Merged summary = first sentence of each part (max 3), best part = longest part quote
+    async mergeAnalyses({ partials }) {
+      const summary = partials.map(p => splitSentences(p.summary)[0]).filter(Boolean).slice(0, 3).join(' ');
+      const bestPart = partials.reduce((best, p) => ((p.best_part || '').length > best.length ? p.best_part : best), '');
+      return { summary: summary || 'No content', best_part: bestPart };
+    },
+
+    // Answer = first sentence of the first passage, cited as [1]
+    async answerQuestion({ passages }) {
+      if (passages.length === 0) {
+        return { answer: 'The archive does not cover this question.', citations: [] };
+      }
+      const sentence = splitSentences(passages[0].text)[0] || passages[0].text;
+      return { answer: `${sentence} [1]`, citations: [1] };
+    },
+
+    // Keywords = most frequent non-stopwords (ties broken alphabetically)
+    async extractKeywords({ title, summary, transcript }) {
+      const counts = new Map();
+      const text = `${title || ''} ${summary || ''} ${transcript || ''}`.toLowerCase();
+      for (const word of text.match(/[\p{L}][\p{L}'-]{3,}/gu) || []) {
+        if (!STOPWORDS.has(word)) {
+          counts.set(word, (counts.get(word) || 0) + 1);
+        }
+      }
+      return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, 8)
+        .map(([word]) => word);
+    }
+  };
+}
+
+module.exports = { createMockProvider };
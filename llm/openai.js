@@ -0,0 +1,41 @@
+// OpenAI-compatible chat completions adapter
+// Works with any server exposing /v1/chat/completions: OpenAI, Ollama, llama.cpp server, vLLM, LM Studio...
+function createOpenAiProvider(config = {}) {
+  const baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY || '';
+  const modelName = config.model || process.env.OPENAI_MODEL || 'llama3.1';
+  const timeout = config.timeout || parseInt(process.env.OPENAI_TIMEOUT_MS) || 120000;
+
+  return {
+    name: 'openai',
+    model: modelName,
+
+    async generateText(prompt) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: modelName,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0.2
+        }),
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw new Error(`LLM request failed (${response.status}): ${body.substring(0, 200)}`);
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    }
+  };
+}
+
+module.exports = { createOpenAiProvider };
@@ -0,0 +1,181 @@
+// Prompt builders and response parsers shared by the text-generation providers
+
+// Language-specific instructions for summaries
+const ANALYSIS_LANG_INSTRUCTIONS = {
+  'en': 'Respond in English.',
+  'fr': 'Réponds en français.'
+};
+
+// Language-specific instructions for keywords
+const KEYWORD_LANG_INSTRUCTIONS = {
+  'en': 'Extract keywords in English.',
+  'fr': 'Extrais les mots-clés en français.'
+};
+
+// Prompt for summary + best part of a transcript (or of one part of it, when part/parts are given)
+function buildAnalysisPrompt({ title, channel, transcript, language = 'en', part = null, parts = null }) {
+  const langInstruction = ANALYSIS_LANG_INSTRUCTIONS[language] || 'Respond in the same language as the transcript.';
+  const partNote = part && parts > 1
+    ? `\nNOTE: This is part ${part} of ${parts} of the transcript. Only describe this part.\n`
+    : '';
+
+  return `Analyze this YouTube video transcript and provide the following in JSON format:
+{
+  "summary": "A concise 2-3 sentence summary of the video content",
+  "best_part": "The most interesting, insightful, or valuable quote or segment (1-3 sentences, exact quote from the transcript)"
+}
+
+IMPORTANT: ${langInstruction}
+${partNote}
+Video Title: ${title}
+Channel: ${channel}
+
+Transcript:
+${transcript}`;
+}
+
+// Prompt to merge per-part analyses of a long transcript into one summary + best part
+function buildMergePrompt({ title, channel, partials, language = 'en' }) {
+  const langInstruction = ANALYSIS_LANG_INSTRUCTIONS[language] || 'Respond in the same language as the transcript.';
+  const parts = partials.map((p, i) =>
+    `Part ${i + 1} summary: ${p.summary}\nPart ${i + 1} best quote: ${p.best_part}`
+  ).join('\n\n');
+
+  return `These are summaries of consecutive parts of one long YouTube video transcript, each with its best quote.
+Combine them and provide the following in JSON format:
+{
+  "summary": "A concise 2-3 sentence summary of the whole video, covering all parts",
+  "best_part": "The single most interesting, insightful, or valuable quote, copied exactly from one of the part quotes"
+}
+
+IMPORTANT: ${langInstruction}
+
+Video Title: ${title}
+Channel: ${channel}
+
+${parts}`;
+}
+
+// Prompt for 5-10 keywords
+function buildKeywordsPrompt({ title, channel, summary, transcript, language = 'en' }) {
+  const langInstruction = KEYWORD_LANG_INSTRUCTIONS[language] || 'Extract keywords in the same language as the content.';
+  const textToAnalyze = `Title: ${title}\nChannel: ${channel}\nSummary: ${summary || ''}\n\nTranscript excerpt: ${transcript || ''}`;
+
+  return `Extract 5-10 main keywords/topics from this video content. Return ONLY a JSON array of lowercase keywords, no explanations. Focus on main subjects, people mentioned, concepts discussed.
+
+IMPORTANT: ${langInstruction}
+
+Example output: ["artificial intelligence", "elon musk", "space exploration", "neural networks"]
+
+Content:
+${textToAnalyze}`;
+}
+
+// Prompt to answer a question from numbered transcript passages, citing them as [n]
+function buildAnswerPrompt({ question, passages, language = 'en' }) {
+  const langInstruction = ANALYSIS_LANG_INSTRUCTIONS[language] || 'Respond in the same language as the question.';
+  const context = passages.map((p, i) =>
+    `[${i + 1}] Episode: "${p.title}" (${p.channel})\n${p.text}`
+  ).join('\n\n');
+
+  return `Answer the question using ONLY the numbered podcast transcript passages below. Do not use outside knowledge.
+Cite every passage you rely on with its number in square brackets, e.g. [2]. If the passages do not answer the question, say so plainly instead of guessing.
+Provide the result in JSON format:
+{
+  "answer": "A concise answer (2-5 sentences) with [n] citations",
+  "citations": [1, 3]
+}
+
+IMPORTANT: ${langInstruction}
+
+Question: ${question}
+
+Passages:
+${context}`;
+}
+
+// What parseAnalysis returns when a response holds no analysis
+const FALLBACK_ANALYSIS = Object.freeze({
+  summary: 'Could not generate summary',
+  best_part: 'Could not extract best part'
+});
+
+// Whether an analysis is the fallback (or empty): not worth caching or merging as a real result
+function isFailedAnalysis(analysis) {
+  return !analysis
+    || (!analysis.summary && !analysis.best_part)
+    || (analysis.summary === FALLBACK_ANALYSIS.summary && analysis.best_part === FALLBACK_ANALYSIS.best_part);
+}
+
+// Parse { summary, best_part } from a model response (FALLBACK_ANALYSIS when there is none)
+function parseAnalysis(text) {
+  try {
+    const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const analysis = JSON.parse(jsonMatch[0]);
+      return {
+        summary: analysis.summary || '',
+        best_part: analysis.best_part || ''
+      };
+    }
+  } catch (e) {
+    // Fall through to the default below
+  }
+  return { ...FALLBACK_ANALYSIS };
+}
+
+// Parse a keyword list from a model response (JSON array, or comma-separated as a fallback)
+function parseKeywords(text) {
+  text = text || '';
+  try {
+    const jsonMatch = text.match(/\[[\s\S]*\]/);
+    if (jsonMatch) {
+      const keywords = JSON.parse(jsonMatch[0]);
+      return keywords.filter(k => typeof k === 'string');
+    }
+  } catch (e) {
+    // Fall through to comma-separated parsing
+  }
+  return text.split(',').map(k => k.trim().toLowerCase().replace(/["\[\]]/g, '')).filter(k => k.length > 2);
+}
+
+// Parse { answer, citations } from a model response. Citations are passage numbers (1-based)
+// from the JSON list and from [n] markers in the answer, limited to 1..passageCount.
+function parseAnswer(text, passageCount) {
+  text = text || '';
+  let answer = text.trim();
+  let cited = [];
+
+  try {
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const parsed = JSON.parse(jsonMatch[0]);
+      answer = String(parsed.answer || '').trim();
+      cited = Array.isArray(parsed.citations) ? parsed.citations.map(Number) : [];
+    }
+  } catch (e) {
+    // Not JSON: use the raw text as the answer
+  }
+
+  for (const marker of answer.matchAll(/\[(\d+)\]/g)) {
+    cited.push(Number(marker[1]));
+  }
+
+  const citations = [...new Set(cited)]
+    .filter(n => Number.isInteger(n) && n >= 1 && n <= passageCount)
+    .sort((a, b) => a - b);
+
+  return { answer, citations };
+}
+
+module.exports = {
+  buildAnalysisPrompt,
+  buildAnswerPrompt,
+  buildKeywordsPrompt,
+  buildMergePrompt,
+  parseAnalysis,
+  FALLBACK_ANALYSIS,
+  isFailedAnalysis,
+  parseAnswer,
+  parseKeywords
+};
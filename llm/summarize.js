@@ -0,0 +1,116 @@
+// Map-reduce analysis for full-length transcripts
+// Short transcripts go to the provider in one call. Long ones are chunked on sentence
+// boundaries, each chunk is analyzed (results cached), then the partial results are merged.
+const chunkCache = require('./cache');
+const { FALLBACK_ANALYSIS, isFailedAnalysis } = require('./prompts');
+
+// Transcripts up to this size are analyzed in a single call
+const SINGLE_PASS_CHARS = parseInt(process.env.LLM_SINGLE_PASS_CHARS) || 30000;
+
+// Target chunk size for the map step
+const CHUNK_CHARS = parseInt(process.env.LLM_CHUNK_CHARS) || 20000;
+
+// Split text into chunks of at most maxChars, cutting on sentence boundaries.
+// Auto-generated captions often have no punctuation, so overlong "sentences" are cut on spaces.
+function chunkTranscript(text, maxChars = CHUNK_CHARS) {
+  const sentences = (text || '').split(/(?<=[.!?])\s+/).filter(s => s.length > 0);
+  const chunks = [];
+  let current = '';
+
+  const pushPiece = (piece) => {
+    if (current && current.length + 1 + piece.length > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${piece}` : piece;
+  };
+
+  for (let sentence of sentences) {
+    while (sentence.length > maxChars) {
+      let cut = sentence.lastIndexOf(' ', maxChars);
+      if (cut <= 0) cut = maxChars;
+      pushPiece(sentence.substring(0, cut));
+      sentence = sentence.substring(cut).trim();
+    }
+    if (sentence) pushPiece(sentence);
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Run fn for a chunk, reusing a cached result when the same chunk was processed before.
+// Only results passing isUsable are cached, so a malformed reply is retried on the next run.
+async function cachedChunkResult(provider, kind, language, chunk, fn, isUsable) {
+  const key = chunkCache.buildCacheKey(provider, kind, language, chunk);
+  const cached = await chunkCache.get(key);
+  if (cached) return cached;
+
+  const result = await fn();
+  if (isUsable(result)) {
+    await chunkCache.set(key, kind, result);
+  }
+  return result;
+}
+
+// Summary + best part for a whole transcript
+async function analyzeTranscript(provider, { title, channel, transcript, language = 'en' }) {
+  if ((transcript || '').length <= SINGLE_PASS_CHARS) {
+    return provider.generateAnalysis({ title, channel, transcript, language });
+  }
+
+  const chunks = chunkTranscript(transcript);
+  console.log(`[LLM] Long transcript (${transcript.length} chars), analyzing ${chunks.length} chunks`);
+
+  const partials = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const partial = await cachedChunkResult(provider, 'analysis', language, chunks[i], () =>
+      provider.generateAnalysis({ title, channel, transcript: chunks[i], language, part: i + 1, parts: chunks.length }),
+      analysis => !isFailedAnalysis(analysis)
+    );
+    partials.push(partial);
+  }
+
+  // Failed chunks are left out of the merge, or their error text could end up in the summary
+  const usable = partials.filter(partial => !isFailedAnalysis(partial));
+  if (usable.length === 0) {
+    console.error(`[LLM] No usable analysis in any of the ${chunks.length} chunks`);
+    return { ...FALLBACK_ANALYSIS };
+  }
+  if (usable.length < partials.length) {
+    console.log(`[LLM] Merging ${usable.length} of ${partials.length} chunk analyses (the others failed)`);
+  }
+  return provider.mergeAnalyses({ title, channel, language, partials: usable });
+}
+
+// Keywords for a whole transcript: per-chunk keywords ranked by how many chunks mention them
+async function extractTranscriptKeywords(provider, { title, channel, summary, transcript, language = 'en' }) {
+  if ((transcript || '').length <= SINGLE_PASS_CHARS) {
+    return provider.extractKeywords({ title, channel, summary, transcript, language });
+  }
+
+  const chunks = chunkTranscript(transcript);
+  const scores = new Map();
+
+  for (let i = 0; i < chunks.length; i++) {
+    const keywords = await cachedChunkResult(provider, 'keywords', language, chunks[i], () =>
+      provider.extractKeywords({ title, channel, summary, transcript: chunks[i], language }),
+      list => Array.isArray(list) && list.length > 0
+    );
+    // Earlier keywords in a chunk's list are more central to it
+    keywords.forEach((keyword, rank) => {
+      const k = String(keyword).toLowerCase().trim();
+      scores.set(k, (scores.get(k) || 0) + 1 + (keywords.length - rank) / (keywords.length * 10));
+    });
+  }
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([keyword]) => keyword);
+}
+
+module.exports = {
+  chunkTranscript,
+  analyzeTranscript,
+  extractTranscriptKeywords
+};
@@ -9,6 +9,20 @@ function getAdminEmail() {
   return localStorage.getItem('adminEmail');
 }
 
+// fetch() wrapper that sends the admin token and returns to login on 401
+async function adminFetch(url, options = {}) {
+  const headers = Object.assign({}, options.headers, { 'X-Admin-Token': getAdminToken() || '' });
+  const response = await fetch(url, Object.assign({}, options, { headers }));
+
+  if (response.status === 401) {
+    localStorage.removeItem('adminToken');
+    localStorage.removeItem('adminEmail');
+    window.location.href = 'login.html';
+  }
+
+  return response;
+}
+
 async function checkAdminAuth() {
   const token = getAdminToken();
   if (!token) {
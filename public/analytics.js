@@ -0,0 +1,133 @@
+// DOM Elements
+const fromDate = document.getElementById('fromDate');
+const toDate = document.getElementById('toDate');
+const langFilter = document.getElementById('langFilter');
+const refreshBtn = document.getElementById('refreshBtn');
+const totalSearches = document.getElementById('totalSearches');
+const uniqueQueries = document.getElementById('uniqueQueries');
+const uniqueClients = document.getElementById('uniqueClients');
+const zeroResultRate = document.getElementById('zeroResultRate');
+const avgLatency = document.getElementById('avgLatency');
+const topQueries = document.getElementById('topQueries');
+const trendingQueries = document.getElementById('trendingQueries');
+const zeroResultQueries = document.getElementById('zeroResultQueries');
+
+// Use existing API_BASE if defined by admin-auth.js
+if (typeof API_BASE === 'undefined') {
+  var API_BASE = window.location.origin;
+}
+
+// Default to the last 7 days and load the reports
+document.addEventListener('DOMContentLoaded', () => {
+  const today = new Date();
+  const weekAgo = new Date(today.getTime() - 6 * 86400000);
+  toDate.value = today.toISOString().split('T')[0];
+  fromDate.value = weekAgo.toISOString().split('T')[0];
+  loadAnalytics();
+});
+
+// Event listeners
+refreshBtn.addEventListener('click', loadAnalytics);
+fromDate.addEventListener('change', loadAnalytics);
+toDate.addEventListener('change', loadAnalytics);
+langFilter.addEventListener('change', loadAnalytics);
+
+// Query string shared by all reports
+function reportParams() {
+  const params = new URLSearchParams();
+  if (fromDate.value) params.set('from', fromDate.value);
+  if (toDate.value) params.set('to', toDate.value);
+  if (langFilter.value) params.set('lang', langFilter.value);
+  return params.toString();
+}
+
+async function fetchReport(name) {
+  const response = await adminFetch(`${API_BASE}/api/analytics/${name}?${reportParams()}`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Request failed');
+  }
+  return data;
+}
+
+// Load the summary and all three query reports
+async function loadAnalytics() {
+  try {
+    const [summary, top, trending, zeroResults] = await Promise.all([
+      fetchReport('summary'),
+      fetchReport('top-queries'),
+      fetchReport('trending-queries'),
+      fetchReport('zero-result-queries')
+    ]);
+
+    renderSummary(summary);
+    renderQueryTable(topQueries, top.queries, [
+      { label: 'Searches', value: q => q.searches },
+      { label: 'Visitors', value: q => q.clients },
+      { label: 'Avg results', value: q => q.avg_results ?? '-' }
+    ]);
+    renderQueryTable(trendingQueries, trending.queries, [
+      { label: 'Searches', value: q => q.searches },
+      { label: 'Before', value: q => q.previous_searches },
+      { label: 'Growth', value: q => `×${q.growth}` }
+    ]);
+    renderQueryTable(zeroResultQueries, zeroResults.queries, [
+      { label: 'Searches', value: q => q.searches },
+      { label: 'Visitors', value: q => q.clients },
+      { label: 'Language', value: q => q.languages || '-' }
+    ]);
+
+  } catch (error) {
+    const message = `<p class="loading-text">Failed to load analytics: ${escapeHtml(error.message)}</p>`;
+    topQueries.innerHTML = message;
+    trendingQueries.innerHTML = message;
+    zeroResultQueries.innerHTML = message;
+    console.error('Failed to load analytics:', error);
+  }
+}
+
+function renderSummary(summary) {
+  const searches = Number(summary.searches) || 0;
+  totalSearches.textContent = searches;
+  uniqueQueries.textContent = summary.unique_queries || 0;
+  uniqueClients.textContent = summary.unique_clients || 0;
+  zeroResultRate.textContent = searches > 0
+    ? `${Math.round((summary.zero_result_searches / searches) * 100)}%`
+    : '0%';
+  avgLatency.textContent = `${summary.avg_latency_ms || 0} ms`;
+}
+
+// Table of queries with the given numeric columns; queries link to the public search
+function renderQueryTable(container, queries, columns) {
+  if (queries.length === 0) {
+    container.innerHTML = '<p class="empty-state">No searches in this period.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="analytics-table">
+      <thead>
+        <tr>
+          <th>Query</th>
+          ${columns.map(column => `<th class="number">${column.label}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${queries.map(q => `
+          <tr>
+            <td><a href="/?q=${encodeURIComponent(q.query)}" target="_blank">${escapeHtml(q.query)}</a></td>
+            ${columns.map(column => `<td class="number">${escapeHtml(String(column.value(q)))}</td>`).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Escape HTML
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
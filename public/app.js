@@ -46,8 +46,12 @@ langBtns.forEach(btn => {
 // Load history on page load
 document.addEventListener('DOMContentLoaded', loadHistory);
 
-// Detect URL type
+// Detect URL type (any other web address is taken for a podcast RSS feed)
 function detectUrlType(url) {
+  if (!url.includes('youtube.com') && !url.includes('youtu.be')) {
+    return /^https?:\/\/\S+$/i.test(url) ? 'feed' : 'unknown';
+  }
+
   if (url.includes('/watch?v=') || url.includes('youtu.be/')) {
     return 'video';
   } else if (url.includes('/channel/') || url.includes('/c/') || url.includes('/@') || url.includes('/user/')) {
@@ -65,12 +69,7 @@ form.addEventListener('submit', async (e) => {
   const url = urlInput.value.trim();
 
   if (!url) {
-    showError('Please enter a YouTube URL.');
-    return;
-  }
-
-  if (!url.includes('youtube.com') && !url.includes('youtu.be')) {
-    showError('Please enter a valid YouTube URL');
+    showError('Please enter a YouTube or podcast RSS feed URL.');
     return;
   }
 
@@ -87,10 +86,10 @@ form.addEventListener('submit', async (e) => {
   try {
     if (urlType === 'video') {
       await processVideo(url);
-    } else if (urlType === 'channel' || urlType === 'playlist') {
+    } else if (urlType === 'channel' || urlType === 'playlist' || urlType === 'feed') {
       await processChannel(url, urlType);
     } else {
-      throw new Error('Could not determine URL type. Use a video, channel, or playlist URL.');
+      throw new Error('Could not determine URL type. Use a YouTube video, channel or playlist URL, or a podcast RSS feed URL.');
     }
   } catch (error) {
     hideProgress();
@@ -104,7 +103,7 @@ form.addEventListener('submit', async (e) => {
 async function processVideo(url) {
   updateProgress(5, 'Checking if already processed...');
 
-  const checkResponse = await fetch(`${API_BASE}/api/check?url=${encodeURIComponent(url)}`);
+  const checkResponse = await adminFetch(`${API_BASE}/api/check?url=${encodeURIComponent(url)}`);
   const checkData = await checkResponse.json();
 
   if (checkData.exists) {
@@ -116,7 +115,7 @@ async function processVideo(url) {
   updateProgress(20, 'Fetching subtitles...');
 
   const language = languageSelect ? languageSelect.value : 'en';
-  const processResponse = await fetch(`${API_BASE}/api/process`, {
+  const processResponse = await adminFetch(`${API_BASE}/api/process`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ url, language })
@@ -142,7 +141,7 @@ async function processChannel(url, type) {
   updateProgress(5, `Starting ${type} processing...`);
 
   const language = languageSelect ? languageSelect.value : 'en';
-  const processResponse = await fetch(`${API_BASE}/api/process`, {
+  const processResponse = await adminFetch(`${API_BASE}/api/process`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ url, maxVideos: 50, language })
@@ -168,14 +167,20 @@ async function pollChannelStatus(jobId) {
   while (!completed) {
     await sleep(2000);
 
-    const statusResponse = await fetch(`${API_BASE}/api/channel-status/${jobId}`);
+    const statusResponse = await adminFetch(`${API_BASE}/api/channel-status/${jobId}`);
     const status = await statusResponse.json();
 
+    if (!statusResponse.ok) {
+      throw new Error(status.error || 'Job not found');
+    }
+
     if (status.status === 'error') {
       throw new Error(status.error || 'Channel processing failed');
     }
 
-    if (status.status === 'fetching_videos') {
+    if (status.status === 'queued') {
+      updateProgress(10, 'Waiting in queue...');
+    } else if (status.status === 'fetching_videos') {
       updateProgress(15, 'Fetching video list from channel...');
     } else if (status.status === 'processing') {
       const percent = status.total > 0
@@ -301,7 +306,7 @@ function hideChannelResults() {
 
 async function loadHistory() {
   try {
-    const response = await fetch(`${API_BASE}/api/podcasts`);
+    const response = await adminFetch(`${API_BASE}/api/podcasts`);
     const podcasts = await response.json();
 
     if (podcasts.length === 0) {
@@ -324,7 +329,7 @@ async function loadHistory() {
 
 async function showPodcastDetails(id) {
   try {
-    const response = await fetch(`${API_BASE}/api/podcasts/${id}`);
+    const response = await adminFetch(`${API_BASE}/api/podcasts/${id}`);
     const podcast = await response.json();
 
     showResults({
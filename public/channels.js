@@ -17,6 +17,13 @@ const backfillThumbnailsBtn = document.getElementById('backfillThumbnailsBtn');
 const backfillDatesBtn = document.getElementById('backfillDatesBtn');
 const missingThumbnails = document.getElementById('missingThumbnails');
 const missingDates = document.getElementById('missingDates');
+const buildEmbeddingsBtn = document.getElementById('buildEmbeddingsBtn');
+const embeddingsStat = document.getElementById('embeddingsStat');
+const videosWithoutEmbeddings = document.getElementById('videosWithoutEmbeddings');
+const matchSpotifyBtn = document.getElementById('matchSpotifyBtn');
+const syncFeedsBtn = document.getElementById('syncFeedsBtn');
+const spotifyStat = document.getElementById('spotifyStat');
+const videosWithoutSpotifyMatch = document.getElementById('videosWithoutSpotifyMatch');
 const processNewOnlyBtn = document.getElementById('processNewOnlyBtn');
 const videosWithoutKeywords = document.getElementById('videosWithoutKeywords');
 
@@ -41,6 +48,13 @@ if (typeof API_BASE === 'undefined') {
 let selectedKeywords = new Set();
 let showingBlacklist = false;
 
+// Channels from the last load, by name (for editing podcast links)
+let loadedChannels = new Map();
+
+// Speech-to-text fallback: configured on the server, and whether it already runs on every video
+let asrEnabled = false;
+let asrAuto = false;
+
 // Load data on page load
 document.addEventListener('DOMContentLoaded', () => {
   loadChannels();
@@ -94,7 +108,7 @@ blacklistSelectedBtn.addEventListener('click', async () => {
   if (selectedKeywords.size === 0) return;
 
   try {
-    const response = await fetch(`${API_BASE}/api/keyword-blacklist/bulk`, {
+    const response = await adminFetch(`${API_BASE}/api/keyword-blacklist/bulk`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ keywords: Array.from(selectedKeywords) })
@@ -123,7 +137,7 @@ async function addToBlacklist() {
   if (!keyword) return;
 
   try {
-    const response = await fetch(`${API_BASE}/api/keyword-blacklist`, {
+    const response = await adminFetch(`${API_BASE}/api/keyword-blacklist`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ keyword })
@@ -156,6 +170,15 @@ backfillThumbnailsBtn.addEventListener('click', startThumbnailBackfill);
 // Backfill dates button
 backfillDatesBtn.addEventListener('click', startDateBackfill);
 
+// Build embeddings button
+buildEmbeddingsBtn.addEventListener('click', startEmbeddingBuild);
+
+// Match Spotify button
+matchSpotifyBtn.addEventListener('click', startSpotifyMatching);
+
+// Sync podcast feeds button
+syncFeedsBtn.addEventListener('click', startFeedSync);
+
 // Load channels list
 async function loadChannels() {
   channelsList.innerHTML = '<p class="loading-text">Loading channels...</p>';
@@ -163,7 +186,7 @@ async function loadChannels() {
   hideSuccess();
 
   try {
-    const response = await fetch(`${API_BASE}/api/channels`);
+    const response = await adminFetch(`${API_BASE}/api/channels`);
     const channels = await response.json();
 
     if (channels.length === 0) {
@@ -171,6 +194,7 @@ async function loadChannels() {
       return;
     }
 
+    loadedChannels = new Map(channels.map(channel => [channel.channel_name, channel]));
     channelsList.innerHTML = channels.map(channel => createChannelCard(channel)).join('');
   } catch (error) {
     channelsList.innerHTML = '<p class="loading-text">Failed to load channels</p>';
@@ -202,6 +226,22 @@ function createChannelCard(channel) {
     ? new Date(channel.last_video_date_on_youtube).toLocaleDateString()
     : 'N/A';
 
+  // RSS channels count the episodes of their feed instead of YouTube videos
+  const source = channel.source_type === 'rss' ? 'in feed' : 'on YouTube';
+
+  // Subtitle tracks used for the indexed videos: manual vs auto-captions, translations, languages
+  const subs = channel.subtitles;
+  const subtitlesSummary = subs && subs.manual + subs.auto > 0
+    ? [
+      `${subs.manual} manual`,
+      `${subs.auto} auto`,
+      subs.translated > 0 ? `${subs.translated} translated` : null,
+      subs.other_language > 0 ? `${subs.other_language} in another language` : null,
+      subs.languages.length > 0 ? subs.languages.join(', ') : null
+    ].filter(Boolean).join(' · ')
+    : null;
+  const subtitlesWarning = subs && (subs.translated > 0 || subs.other_language > 0);
+
   // New videos indicator
   const hasNewVideos = channel.has_new_videos;
   const newVideosIndicator = hasNewVideos
@@ -214,6 +254,13 @@ function createChannelCard(channel) {
         <div class="channel-info">
           <h3>${escapeHtml(channel.channel_name)} ${newVideosIndicator}</h3>
           <p class="channel-url">${escapeHtml(channel.channel_url || 'No URL saved')}</p>
+          ${channel.rss_feed_url || channel.apple_podcasts_id ? `
+            <p class="channel-url">
+              ${channel.rss_feed_url ? `RSS: ${escapeHtml(channel.rss_feed_url)}` : 'No RSS feed'}
+              ${channel.apple_podcasts_id ? ` · Apple Podcasts: ${escapeHtml(channel.apple_podcasts_id)}` : ''}
+              ${channel.feed_checked_at ? ` · Feed synced ${new Date(channel.feed_checked_at).toLocaleString()}` : ''}
+            </p>
+          ` : ''}
         </div>
       </div>
 
@@ -228,7 +275,7 @@ function createChannelCard(channel) {
         </div>
         <div class="stat ${hasMissing ? 'warning' : ''}">
           <div class="stat-value">${channel.total_available}</div>
-          <div class="stat-label">On YouTube</div>
+          <div class="stat-label">${channel.source_type === 'rss' ? 'In Feed' : 'On YouTube'}</div>
         </div>
         <div class="stat ${hasMissing ? 'error' : ''}">
           <div class="stat-value">${actualMissing}</div>
@@ -242,13 +289,19 @@ function createChannelCard(channel) {
           <span class="date-value">${newestVideoDate}</span>
         </div>
         <div class="date-info">
-          <span class="date-label">Latest on YouTube:</span>
+          <span class="date-label">Latest ${source}:</span>
           <span class="date-value ${hasNewVideos ? 'highlight' : ''}">${lastVideoOnYoutube}</span>
         </div>
         <div class="date-info">
           <span class="date-label">Last checked:</span>
           <span class="date-value">${lastChecked}</span>
         </div>
+        ${subtitlesSummary ? `
+          <div class="date-info">
+            <span class="date-label">Subtitles:</span>
+            <span class="date-value ${subtitlesWarning ? 'warning' : ''}">${escapeHtml(subtitlesSummary)}</span>
+          </div>
+        ` : ''}
       </div>
 
       <div class="video-progress">
@@ -272,6 +325,9 @@ function createChannelCard(channel) {
         <button class="channel-btn secondary" onclick="refreshChannelCount('${escapeHtml(channel.channel_name)}', '${escapeHtml(channel.channel_url || '')}')">
           Check for Updates
         </button>
+        <button class="channel-btn secondary" onclick="editPodcastLinks('${escapeHtml(channel.channel_name)}')">
+          Podcast Links
+        </button>
       </div>
     </div>
   `;
@@ -280,7 +336,7 @@ function createChannelCard(channel) {
 // Load AI processing status
 async function loadAiStatus() {
   try {
-    const response = await fetch(`${API_BASE}/api/ai-status`);
+    const response = await adminFetch(`${API_BASE}/api/ai-status`);
     const status = await response.json();
 
     lastProcessed.textContent = status.last_processed
@@ -312,6 +368,25 @@ async function loadAiStatus() {
     } else {
       backfillDatesBtn.disabled = false;
     }
+
+    // Semantic search indexing (only when an embedding provider is configured)
+    embeddingsStat.style.display = status.embeddings_enabled ? 'block' : 'none';
+    buildEmbeddingsBtn.style.display = status.embeddings_enabled ? 'inline-block' : 'none';
+    if (status.embeddings_enabled) {
+      videosWithoutEmbeddings.textContent = status.videos_without_embeddings || 0;
+      buildEmbeddingsBtn.disabled = status.videos_without_embeddings === 0;
+    }
+
+    // Spotify episode matching (only when a catalog provider is configured)
+    spotifyStat.style.display = status.spotify_enabled ? 'block' : 'none';
+    matchSpotifyBtn.style.display = status.spotify_enabled ? 'inline-block' : 'none';
+    if (status.spotify_enabled) {
+      videosWithoutSpotifyMatch.textContent = status.videos_without_spotify_match || 0;
+      matchSpotifyBtn.disabled = status.videos_without_spotify_match === 0;
+    }
+
+    asrEnabled = !!status.asr_enabled;
+    asrAuto = !!status.asr_auto;
   } catch (error) {
     console.error('Failed to load AI status:', error);
   }
@@ -326,7 +401,7 @@ async function startAiProcessing(newOnly = false) {
   updateAiProgress(0, newOnly ? 'Starting AI processing (new videos only)...' : 'Starting AI processing (all videos)...');
 
   try {
-    const response = await fetch(`${API_BASE}/api/process-ai`, {
+    const response = await adminFetch(`${API_BASE}/api/process-ai`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ newOnly })
@@ -358,7 +433,7 @@ async function startThumbnailBackfill() {
   updateAiProgress(0, 'Starting thumbnail backfill...');
 
   try {
-    const response = await fetch(`${API_BASE}/api/backfill-thumbnails`, {
+    const response = await adminFetch(`${API_BASE}/api/backfill-thumbnails`, {
       method: 'POST'
     });
 
@@ -395,7 +470,7 @@ async function startDateBackfill() {
   updateAiProgress(0, 'Starting date backfill...');
 
   try {
-    const response = await fetch(`${API_BASE}/api/backfill-dates`, {
+    const response = await adminFetch(`${API_BASE}/api/backfill-dates`, {
       method: 'POST'
     });
 
@@ -423,6 +498,154 @@ function setDateLoading(loading) {
   backfillDatesBtn.querySelector('.btn-loading').style.display = loading ? 'inline' : 'none';
 }
 
+// Start embedding build (semantic search index)
+async function startEmbeddingBuild() {
+  hideError();
+  hideSuccess();
+  setEmbeddingsLoading(true);
+  showAiProgress();
+  updateAiProgress(0, 'Starting embedding build...');
+
+  try {
+    const response = await adminFetch(`${API_BASE}/api/process-embeddings`, {
+      method: 'POST'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to start embedding build');
+    }
+
+    // Poll for status
+    await pollJobStatus(data.jobId, 'embeddings');
+
+  } catch (error) {
+    hideAiProgress();
+    showError('Embedding build failed: ' + error.message);
+  } finally {
+    setEmbeddingsLoading(false);
+  }
+}
+
+function setEmbeddingsLoading(loading) {
+  buildEmbeddingsBtn.disabled = loading;
+  buildEmbeddingsBtn.querySelector('.btn-text').style.display = loading ? 'none' : 'inline';
+  buildEmbeddingsBtn.querySelector('.btn-loading').style.display = loading ? 'inline' : 'none';
+}
+
+// Start matching episodes to Spotify shows and episodes
+async function startSpotifyMatching() {
+  hideError();
+  hideSuccess();
+  setSpotifyLoading(true);
+  showAiProgress();
+  updateAiProgress(0, 'Starting Spotify matching...');
+
+  try {
+    const response = await adminFetch(`${API_BASE}/api/match-spotify`, {
+      method: 'POST'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to start Spotify matching');
+    }
+
+    // Poll for status
+    await pollJobStatus(data.jobId, 'spotify');
+
+  } catch (error) {
+    hideAiProgress();
+    showError('Spotify matching failed: ' + error.message);
+  } finally {
+    setSpotifyLoading(false);
+  }
+}
+
+function setSpotifyLoading(loading) {
+  matchSpotifyBtn.disabled = loading;
+  matchSpotifyBtn.querySelector('.btn-text').style.display = loading ? 'none' : 'inline';
+  matchSpotifyBtn.querySelector('.btn-loading').style.display = loading ? 'inline' : 'none';
+}
+
+// Set a channel's RSS feed and Apple Podcasts ID (empty clears them), then match its episodes to the feed
+async function editPodcastLinks(channelName) {
+  const channel = loadedChannels.get(channelName) || {};
+
+  const rssFeedUrl = prompt(`RSS feed URL for ${channelName} (empty to remove):`, channel.rss_feed_url || '');
+  if (rssFeedUrl === null) return;
+  const applePodcastsId = prompt(`Apple Podcasts ID or URL for ${channelName} (empty to remove):`, channel.apple_podcasts_id || '');
+  if (applePodcastsId === null) return;
+
+  hideError();
+  hideSuccess();
+
+  try {
+    const response = await adminFetch(`${API_BASE}/api/channels/podcast-links`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ channelName, rssFeedUrl: rssFeedUrl.trim(), applePodcastsId: applePodcastsId.trim() })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to save podcast links');
+    }
+
+    if (data.jobId) {
+      showAiProgress();
+      updateAiProgress(0, `Matching ${channelName} episodes to the feed...`);
+      await pollJobStatus(data.jobId, 'feeds');
+    } else {
+      showSuccess(`Podcast links removed for ${channelName}.`);
+      loadChannels();
+    }
+
+  } catch (error) {
+    hideAiProgress();
+    showError('Podcast links failed: ' + error.message);
+  }
+}
+
+// Re-match all channels with a feed (picks up new episodes on both sides)
+async function startFeedSync() {
+  hideError();
+  hideSuccess();
+  setFeedSyncLoading(true);
+  showAiProgress();
+  updateAiProgress(0, 'Starting feed sync...');
+
+  try {
+    const response = await adminFetch(`${API_BASE}/api/sync-feeds`, {
+      method: 'POST'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to start feed sync');
+    }
+
+    // Poll for status
+    await pollJobStatus(data.jobId, 'feeds');
+
+  } catch (error) {
+    hideAiProgress();
+    showError('Feed sync failed: ' + error.message);
+  } finally {
+    setFeedSyncLoading(false);
+  }
+}
+
+function setFeedSyncLoading(loading) {
+  syncFeedsBtn.disabled = loading;
+  syncFeedsBtn.querySelector('.btn-text').style.display = loading ? 'none' : 'inline';
+  syncFeedsBtn.querySelector('.btn-loading').style.display = loading ? 'inline' : 'none';
+}
+
 // Poll job status (works for both AI and thumbnail jobs)
 async function pollJobStatus(jobId, type) {
   let completed = false;
@@ -431,9 +654,13 @@ async function pollJobStatus(jobId, type) {
     await sleep(2000);
 
     try {
-      const response = await fetch(`${API_BASE}/api/ai-status/${jobId}`);
+      const response = await adminFetch(`${API_BASE}/api/ai-status/${jobId}`);
       const status = await response.json();
 
+      if (!response.ok) {
+        throw new Error(status.error || 'Job not found');
+      }
+
       if (status.status === 'error') {
         throw new Error(status.error || `${type} processing failed`);
       }
@@ -445,6 +672,9 @@ async function pollJobStatus(jobId, type) {
         let label = 'Extracting keywords';
         if (type === 'thumbnails') label = 'Fetching thumbnails';
         else if (type === 'dates') label = 'Fetching dates';
+        else if (type === 'embeddings') label = 'Embedding transcripts';
+        else if (type === 'spotify') label = 'Matching on Spotify';
+        else if (type === 'feeds') label = 'Syncing podcast feeds';
         updateAiProgress(percent, `Processing ${status.processed}/${status.total}: ${label}...`);
       } else if (status.status === 'completed') {
         completed = true;
@@ -455,6 +685,12 @@ async function pollJobStatus(jobId, type) {
           showSuccess(`Thumbnail backfill complete! Updated ${status.processed} videos.`);
         } else if (type === 'dates') {
           showSuccess(`Date backfill complete! Updated ${status.processed} videos.`);
+        } else if (type === 'embeddings') {
+          showSuccess(`Embedding build complete! Indexed ${status.processed} videos.`);
+        } else if (type === 'spotify') {
+          showSuccess(`Spotify matching complete! Checked ${status.processed} videos.`);
+        } else if (type === 'feeds') {
+          showSuccess(`Feed sync complete! ${status.matched_count} episodes matched across ${status.processed} feeds${status.failed ? ` (${status.failed} failed, see Logs)` : ''}.`);
         } else {
           showSuccess(`AI processing complete! Extracted ${status.keywords_count} keywords from ${status.processed} videos.`);
         }
@@ -476,9 +712,13 @@ async function pollAiStatus(jobId, newOnly = false) {
     await sleep(2000);
 
     try {
-      const response = await fetch(`${API_BASE}/api/ai-status/${jobId}`);
+      const response = await adminFetch(`${API_BASE}/api/ai-status/${jobId}`);
       const status = await response.json();
 
+      if (!response.ok) {
+        throw new Error(status.error || 'Job not found');
+      }
+
       if (status.status === 'error') {
         throw new Error(status.error || 'AI processing failed');
       }
@@ -526,7 +766,7 @@ async function processMissingVideos(channelName, channelUrl) {
   updateAiProgress(0, `Starting processing for ${channelName}...`);
 
   try {
-    const response = await fetch(`${API_BASE}/api/process-missing`, {
+    const response = await adminFetch(`${API_BASE}/api/process-missing`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ channelName, channelUrl })
@@ -559,14 +799,20 @@ async function pollChannelJobStatus(jobId, channelName, btn) {
     await sleep(2000);
 
     try {
-      const response = await fetch(`${API_BASE}/api/channel-status/${jobId}`);
+      const response = await adminFetch(`${API_BASE}/api/channel-status/${jobId}`);
       const status = await response.json();
 
+      if (!response.ok) {
+        throw new Error(status.error || 'Job not found');
+      }
+
       if (status.status === 'error') {
         throw new Error(status.error || 'Processing failed');
       }
 
-      if (status.status === 'fetching_videos') {
+      if (status.status === 'queued') {
+        updateAiProgress(0, `Waiting in queue for ${channelName}...`);
+      } else if (status.status === 'fetching_videos') {
         updateAiProgress(0, `Fetching video list for ${channelName}...`);
       } else if (status.status === 'processing') {
         const total = status.total || 1;
@@ -610,6 +856,9 @@ async function retrySkippedVideos(channelName, channelUrl) {
     return;
   }
 
+  // Offer the speech-to-text fallback for videos that still have no subtitles (always used with ASR_AUTO)
+  const useAsr = asrEnabled && (asrAuto || confirm('Transcribe the audio of videos without subtitles (speech-to-text)? This downloads the audio and is slow.'));
+
   hideError();
   hideSuccess();
 
@@ -626,10 +875,10 @@ async function retrySkippedVideos(channelName, channelUrl) {
   updateAiProgress(0, `Clearing skipped videos for ${channelName}...`);
 
   try {
-    const response = await fetch(`${API_BASE}/api/retry-skipped`, {
+    const response = await adminFetch(`${API_BASE}/api/retry-skipped`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ channelName, channelUrl })
+      body: JSON.stringify({ channelName, channelUrl, useAsr })
     });
 
     const data = await response.json();
@@ -670,7 +919,7 @@ async function refreshChannelCount(channelName, channelUrl) {
   }
 
   try {
-    const response = await fetch(`${API_BASE}/api/refresh-channel-count`, {
+    const response = await adminFetch(`${API_BASE}/api/refresh-channel-count`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ channelName, channelUrl })
@@ -683,7 +932,8 @@ async function refreshChannelCount(channelName, channelUrl) {
     }
 
     // Show detailed result
-    let message = `${channelName}: ${data.totalVideos} videos on YouTube, ${data.videosInDb} indexed.`;
+    const source = loadedChannels.get(channelName)?.source_type === 'rss' ? 'episodes in the feed' : 'videos on YouTube';
+    let message = `${channelName}: ${data.totalVideos} ${source}, ${data.videosInDb} indexed.`;
     if (data.lastVideoDate) {
       message += ` Latest: ${new Date(data.lastVideoDate).toLocaleDateString()}.`;
     }
@@ -779,7 +1029,7 @@ async function loadKeywords() {
   updateBlacklistButton();
 
   try {
-    const response = await fetch(`${API_BASE}/api/keywords?limit=200`);
+    const response = await adminFetch(`${API_BASE}/api/keywords?limit=200`);
     const keywords = await response.json();
 
     if (keywords.length === 0) {
@@ -803,7 +1053,7 @@ async function loadBlacklist() {
   blacklistList.innerHTML = '<p class="loading-text">Loading blacklist...</p>';
 
   try {
-    const response = await fetch(`${API_BASE}/api/keyword-blacklist`);
+    const response = await adminFetch(`${API_BASE}/api/keyword-blacklist`);
     const keywords = await response.json();
 
     if (keywords.length === 0) {
@@ -845,7 +1095,7 @@ function updateBlacklistButton() {
 // Remove keyword from blacklist
 async function removeFromBlacklist(keyword) {
   try {
-    const response = await fetch(`${API_BASE}/api/keyword-blacklist/${encodeURIComponent(keyword)}`, {
+    const response = await adminFetch(`${API_BASE}/api/keyword-blacklist/${encodeURIComponent(keyword)}`, {
       method: 'DELETE'
     });
 
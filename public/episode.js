@@ -0,0 +1,68 @@
+// Episode page: in-page find for the server-rendered transcript
+const episodeTranscript = document.getElementById('episodeTranscript');
+const transcriptFind = document.getElementById('transcriptFind');
+const findCount = document.getElementById('findCount');
+
+// Transcript text elements and their original text, read once from the page
+const transcriptTexts = [...episodeTranscript.querySelectorAll('.transcript-text')];
+const originalTexts = transcriptTexts.map(el => el.textContent);
+
+let findMatches = [];          // <mark> elements for the current find query
+let currentMatch = -1;
+let findTimer = null;
+
+// Highlight matches for the find query in every transcript section
+function highlightTranscript(query = '') {
+  const pattern = query ? new RegExp(`(${escapeRegex(escapeHtml(query))})`, 'gi') : null;
+
+  transcriptTexts.forEach((el, i) => {
+    const text = escapeHtml(originalTexts[i]);
+    el.innerHTML = pattern ? text.replace(pattern, '<mark class="find-match">$1</mark>') : text;
+  });
+
+  findMatches = [...episodeTranscript.querySelectorAll('.find-match')];
+  currentMatch = -1;
+  if (findMatches.length > 0) {
+    goToMatch(1);
+  } else {
+    findCount.textContent = query ? 'No matches' : '';
+  }
+}
+
+// Move to the next (1) or previous (-1) match, wrapping around
+function goToMatch(direction) {
+  if (findMatches.length === 0) return;
+
+  if (currentMatch >= 0) findMatches[currentMatch].classList.remove('current');
+  currentMatch = (currentMatch + direction + findMatches.length) % findMatches.length;
+
+  const match = findMatches[currentMatch];
+  match.classList.add('current');
+  match.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  findCount.textContent = `${currentMatch + 1} / ${findMatches.length}`;
+}
+
+// Re-highlight shortly after typing stops (long transcripts are slow to re-render on every key)
+transcriptFind.addEventListener('input', () => {
+  clearTimeout(findTimer);
+  findTimer = setTimeout(() => highlightTranscript(transcriptFind.value.trim()), 250);
+});
+
+// Enter jumps to the next match, Shift+Enter to the previous one
+transcriptFind.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    goToMatch(e.shiftKey ? -1 : 1);
+  }
+});
+
+// Helper functions
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
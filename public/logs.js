@@ -50,7 +50,7 @@ async function loadLogs() {
       url += `&type=${type}`;
     }
 
-    const response = await fetch(url);
+    const response = await adminFetch(url);
     const logs = await response.json();
 
     renderLogs(logs);
@@ -95,7 +95,7 @@ function renderLogs(logs) {
 // Update stats
 function updateStats(logs) {
   // Get full logs for stats (without type filter)
-  fetch(`${API_BASE}/api/logs?limit=500`)
+  adminFetch(`${API_BASE}/api/logs?limit=500`)
     .then(res => res.json())
     .then(allLogs => {
       totalLogs.textContent = allLogs.length;
@@ -26,12 +26,37 @@ const totalEpisodes = document.getElementById('totalEpisodes');
 const sortRelevanceBtn = document.getElementById('sortRelevance');
 const sortNewestBtn = document.getElementById('sortNewest');
 const channelFilters = document.getElementById('channelFilters');
-let currentResults = [];        // Results for "All" (top 50 global)
-let currentChannelResults = []; // Results for selected channel
+const loadMoreBtn = document.getElementById('loadMoreBtn');
+const filterFrom = document.getElementById('filterFrom');
+const filterTo = document.getElementById('filterTo');
+const filterDuration = document.getElementById('filterDuration');
+const clearFiltersBtn = document.getElementById('clearFiltersBtn');
+const searchModeSelect = document.getElementById('searchMode');
+const preferManualCheckbox = document.getElementById('preferManual');
+const keywordFacetRow = document.getElementById('keywordFacetRow');
+const keywordFacets = document.getElementById('keywordFacets');
+const askBtn = document.getElementById('askBtn');
+const suggestList = document.getElementById('suggestList');
+const answerPanel = document.getElementById('answerPanel');
+const answerText = document.getElementById('answerText');
+const answerCitations = document.getElementById('answerCitations');
+let currentResults = [];        // Results loaded so far for the current query, channel and sort
+let currentNextCursor = null;   // Cursor for the next page, null when everything is loaded
 let currentQuery = '';
+let currentTerms = [];          // Parsed search terms from the API, used for highlighting
 let currentSort = 'relevance';
 let currentChannelFilter = 'all';
 
+// Search filters (upload date range, duration in minutes, keyword facet), mirrored in the URL
+const FILTER_PARAMS = ['from', 'to', 'minDuration', 'maxDuration', 'keyword'];
+let currentFilters = {};
+
+// Search mode: lexical (exact words), semantic (by meaning) or hybrid; only offered when the server supports it
+let currentMode = 'lexical';
+
+// Rank episodes transcribed from manual subtitles (not auto-captions) first
+let currentPreferManual = false;
+
 // Language selection
 let currentLanguage = 'en';
 
@@ -55,16 +80,20 @@ function setLanguage(lang) {
 
   // Reset all state
   currentResults = [];
-  currentChannelResults = [];
+  currentNextCursor = null;
   currentQuery = '';
+  currentTerms = [];
   currentSort = 'relevance';
   currentChannelFilter = 'all';
+  currentFilters = {};
   allSearchChannels = [];
   totalSearchResults = 0;
+  syncFilterControls();
 
   // Clear search input and results
   searchInput.value = '';
   resultsSection.style.display = 'none';
+  hideAnswer();
   resultsList.innerHTML = '';
   channelFilters.innerHTML = '';
 
@@ -79,9 +108,38 @@ function setLanguage(lang) {
   loadIndexedStats();
 }
 
+// Build the /api/search URL for the current query, channel and sort
+function buildSearchUrl(cursor = null) {
+  let url = `${API_BASE}/api/search?q=${encodeURIComponent(currentQuery)}&lang=${currentLanguage}&sort=${currentSort}`;
+  if (currentChannelFilter !== 'all') {
+    url += `&channel=${encodeURIComponent(currentChannelFilter)}`;
+  }
+  url += filterQueryString();
+  if (currentMode !== 'lexical') {
+    url += `&mode=${currentMode}`;
+  }
+  if (currentPreferManual) {
+    url += '&prefer=manual';
+  }
+  if (cursor) {
+    url += `&cursor=${encodeURIComponent(cursor)}`;
+  }
+  return url;
+}
+
+// Fetch a page of results, throws with the API error message on failure
+async function fetchSearchPage(cursor = null) {
+  const response = await fetch(buildSearchUrl(cursor));
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Search failed');
+  }
+  return data;
+}
+
 // Sort results
 function sortResults(sortType) {
-  if (currentResults.length === 0) return;
+  if (!currentQuery || sortType === currentSort) return;
 
   currentSort = sortType;
 
@@ -89,94 +147,97 @@ function sortResults(sortType) {
   sortRelevanceBtn.classList.toggle('active', sortType === 'relevance');
   sortNewestBtn.classList.toggle('active', sortType === 'newest');
 
-  // Apply filter and sort, then render
-  renderFilteredResults();
-  scrollToResults();
+  // Sorting happens on the server, reload from the first page
+  reloadResults();
 }
 
 // Filter by channel
-async function filterByChannel(channel) {
+function filterByChannel(channel) {
   currentChannelFilter = channel;
 
-  // Update button states and labels
+  // Update button states
   document.querySelectorAll('.channel-filter-btn').forEach(btn => {
     btn.classList.toggle('active', btn.dataset.channel === channel);
   });
 
-  // If "All" selected, use cached results, otherwise fetch from API with channel filter
-  if (channel === 'all') {
-    currentChannelResults = [];
-    renderFilteredResults();
+  reloadResults();
+}
+
+// Reload the first page for the current channel and sort
+async function reloadResults() {
+  showLoading();
+
+  try {
+    const data = await fetchSearchPage();
+    currentResults = data.results;
+    currentNextCursor = data.nextCursor || null;
+    renderResults();
+  } catch (error) {
+    console.error('Filter error:', error);
+    resultsList.innerHTML = '<p class="loading-text">Failed to load results</p>';
+    loadMoreBtn.style.display = 'none';
+  } finally {
+    hideLoading();
     scrollToResults();
-  } else {
-    // Show loading overlay
-    showLoading();
-
-    try {
-      const response = await fetch(`${API_BASE}/api/search?q=${encodeURIComponent(currentQuery)}&lang=${currentLanguage}&channel=${encodeURIComponent(channel)}`);
-      const data = await response.json();
-
-      const results = Array.isArray(data) ? data : data.results;
-      // Store channel results for sorting
-      currentChannelResults = results;
-
-      // Find channel info by rawName (which is what we filter by)
-      const channelInfo = allSearchChannels.find(c => (c.rawName || c.name) === channel);
-      const totalForChannel = channelInfo ? channelInfo.count : results.length;
-      const displayName = channelInfo ? channelInfo.name : channel;
-
-      // Update the channel button label to show displayed/total
-      const activeBtn = document.querySelector('.channel-filter-btn.active');
-      if (activeBtn && results.length < totalForChannel) {
-        activeBtn.textContent = `${displayName} (${results.length}/${totalForChannel})`;
-      }
-
-      // Update count
-      resultsCount.textContent = `${results.length} of ${totalForChannel} result${totalForChannel !== 1 ? 's' : ''} in ${displayName}`;
-
-      // Render with current sort
-      renderFilteredResults();
-    } catch (error) {
-      console.error('Filter error:', error);
-      resultsList.innerHTML = '<p class="loading-text">Failed to load results</p>';
-    } finally {
-      hideLoading();
-      scrollToResults();
-    }
   }
 }
 
-// Render results with current filter and sort
-function renderFilteredResults() {
-  // Use channel-specific results if a channel is selected, otherwise use global results
-  let filteredResults = currentChannelFilter === 'all'
-    ? [...currentResults]
-    : [...currentChannelResults];
+// Append the next page to the list
+async function loadMoreResults() {
+  if (!currentNextCursor) return;
 
-  // Sort the results
-  if (currentSort === 'relevance') {
-    filteredResults.sort((a, b) => (b.relevance_score || 0) - (a.relevance_score || 0));
-  } else if (currentSort === 'newest') {
-    filteredResults.sort((a, b) => {
-      const dateA = a.upload_date ? new Date(a.upload_date) : new Date(a.processed_at || 0);
-      const dateB = b.upload_date ? new Date(b.upload_date) : new Date(b.processed_at || 0);
-      return dateB - dateA;
-    });
+  loadMoreBtn.disabled = true;
+  loadMoreBtn.textContent = 'Loading...';
+
+  try {
+    const data = await fetchSearchPage(currentNextCursor);
+    currentResults = currentResults.concat(data.results);
+    currentNextCursor = data.nextCursor || null;
+    resultsList.insertAdjacentHTML('beforeend', data.results.map(episode => createEpisodeCard(episode, currentTerms)).join(''));
+    updateResultsCount();
+  } catch (error) {
+    console.error('Load more error:', error);
+  } finally {
+    loadMoreBtn.disabled = false;
+    loadMoreBtn.textContent = 'Load more results';
+    loadMoreBtn.style.display = currentNextCursor ? 'block' : 'none';
   }
+}
 
-  // Update count display
-  if (currentChannelFilter === 'all') {
-    const displayedCount = filteredResults.length;
-    if (displayedCount < totalSearchResults) {
-      resultsCount.textContent = `${displayedCount} of ${totalSearchResults} results`;
-    } else {
-      resultsCount.textContent = `${displayedCount} result${displayedCount !== 1 ? 's' : ''}`;
-    }
+// Total number of results for the current channel filter
+function currentTotalResults() {
+  if (currentChannelFilter === 'all') return totalSearchResults;
+  const channelInfo = allSearchChannels.find(c => (c.rawName || c.name) === currentChannelFilter);
+  return channelInfo ? channelInfo.count : currentResults.length;
+}
+
+// Update the "X of Y results" line and the active filter button label
+function updateResultsCount() {
+  const loaded = currentResults.length;
+  const total = currentTotalResults();
+  let text = loaded < total
+    ? `${loaded} of ${total} results`
+    : `${loaded} result${loaded !== 1 ? 's' : ''}`;
+
+  if (currentChannelFilter !== 'all') {
+    const channelInfo = allSearchChannels.find(c => (c.rawName || c.name) === currentChannelFilter);
+    text += ` in ${channelInfo ? channelInfo.name : currentChannelFilter}`;
   }
-  // For channel filter, count is already set in filterByChannel
+  resultsCount.textContent = text;
 
-  // Render results
-  if (filteredResults.length === 0) {
+  const activeBtn = document.querySelector('.channel-filter-btn.active');
+  if (activeBtn) {
+    const channelInfo = allSearchChannels.find(c => (c.rawName || c.name) === currentChannelFilter);
+    const label = currentChannelFilter === 'all' ? 'All' : (channelInfo ? channelInfo.name : currentChannelFilter);
+    activeBtn.textContent = loaded < total ? `${label} (${loaded}/${total})` : `${label} (${total})`;
+  }
+}
+
+// Render the loaded results (already sorted and filtered by the server)
+function renderResults() {
+  updateResultsCount();
+
+  if (currentResults.length === 0) {
     resultsList.innerHTML = `
       <div class="no-results">
         <h3>No results in this channel</h3>
@@ -184,16 +245,141 @@ function renderFilteredResults() {
       </div>
     `;
   } else {
-    resultsList.innerHTML = filteredResults.map(episode => createEpisodeCard(episode, currentQuery)).join('');
+    resultsList.innerHTML = currentResults.map(episode => createEpisodeCard(episode, currentTerms)).join('');
   }
+
+  loadMoreBtn.style.display = currentNextCursor ? 'block' : 'none';
 }
 
+// Filter params as a query string fragment ("&from=...&keyword=...")
+function filterQueryString() {
+  return FILTER_PARAMS
+    .filter(name => currentFilters[name])
+    .map(name => `&${name}=${encodeURIComponent(currentFilters[name])}`)
+    .join('');
+}
+
+// Put the query and filters in the address bar so filtered searches can be shared
+function updateSearchUrl(query) {
+  const modeParam = currentMode !== 'lexical' ? `&mode=${currentMode}` : '';
+  const preferParam = currentPreferManual ? '&prefer=manual' : '';
+  window.history.pushState({}, '', `?q=${encodeURIComponent(query)}${filterQueryString()}${modeParam}${preferParam}`);
+}
+
+// Load filters from URL params (page load, back/forward)
+function readFiltersFromUrl(params) {
+  currentFilters = {};
+  FILTER_PARAMS.forEach(name => {
+    const value = params.get(name);
+    if (value) currentFilters[name] = value;
+  });
+  currentMode = ['semantic', 'hybrid'].includes(params.get('mode')) ? params.get('mode') : 'lexical';
+  searchModeSelect.value = currentMode;
+  currentPreferManual = params.get('prefer') === 'manual';
+  preferManualCheckbox.checked = currentPreferManual;
+  syncFilterControls();
+}
+
+// Duration select value for a min/max pair ("30-60", "-30", "120-")
+function durationValue(min, max) {
+  return (min || max) ? `${min || ''}-${max || ''}` : '';
+}
+
+// Show the current filters in the filter controls
+function syncFilterControls() {
+  filterFrom.value = currentFilters.from || '';
+  filterTo.value = currentFilters.to || '';
+
+  const value = durationValue(currentFilters.minDuration, currentFilters.maxDuration);
+  if (value && ![...filterDuration.options].some(option => option.value === value)) {
+    // Range from a shared URL that is not one of the buckets
+    filterDuration.add(new Option(`${value.replace('-', '–')} min`, value));
+  }
+  filterDuration.value = value;
+
+  clearFiltersBtn.style.display = Object.keys(currentFilters).length > 0 ? 'inline-block' : 'none';
+}
+
+// Re-run the current search with the current filters
+function searchWithFilters() {
+  syncFilterControls();
+  if (!currentQuery) return;
+  updateSearchUrl(currentQuery);
+  performSearch(currentQuery);
+}
+
+// Read the date and duration controls into the filters
+function applyFilterControls() {
+  const [minDuration, maxDuration] = filterDuration.value.split('-');
+  const keyword = currentFilters.keyword;
+  currentFilters = {};
+  if (filterFrom.value) currentFilters.from = filterFrom.value;
+  if (filterTo.value) currentFilters.to = filterTo.value;
+  if (minDuration) currentFilters.minDuration = minDuration;
+  if (maxDuration) currentFilters.maxDuration = maxDuration;
+  if (keyword) currentFilters.keyword = keyword;
+  searchWithFilters();
+}
+
+// Toggle the keyword facet
+function filterByKeyword(keyword) {
+  if (currentFilters.keyword === keyword) {
+    delete currentFilters.keyword;
+  } else {
+    currentFilters.keyword = keyword;
+  }
+  searchWithFilters();
+}
+
+function clearFilters() {
+  currentFilters = {};
+  searchWithFilters();
+}
+
+// Render facet counts from the API: duration options and keyword chips
+function renderFacets(facets) {
+  if (!facets) return;
+
+  filterDuration.innerHTML = '<option value="">Any length</option>' + facets.durations.map(bucket =>
+    `<option value="${durationValue(bucket.min, bucket.max)}">${escapeHtml(bucket.label)} (${bucket.count})</option>`
+  ).join('');
+
+  // Keep the selected keyword visible even when it is not among the top ones
+  const keywords = [...facets.keywords];
+  if (currentFilters.keyword && !keywords.some(k => k.keyword === currentFilters.keyword)) {
+    keywords.unshift({ keyword: currentFilters.keyword, count: totalSearchResults });
+  }
+
+  keywordFacets.innerHTML = keywords.map(k =>
+    `<button class="channel-filter-btn${k.keyword === currentFilters.keyword ? ' active' : ''}" data-keyword="${escapeHtml(k.keyword)}">${escapeHtml(k.keyword)} (${k.count})</button>`
+  ).join('');
+  keywordFacetRow.style.display = keywords.length > 0 ? 'flex' : 'none';
+
+  syncFilterControls();
+}
+
+filterFrom.addEventListener('change', applyFilterControls);
+filterTo.addEventListener('change', applyFilterControls);
+filterDuration.addEventListener('change', applyFilterControls);
+searchModeSelect.addEventListener('change', () => {
+  currentMode = searchModeSelect.value;
+  searchWithFilters();
+});
+preferManualCheckbox.addEventListener('change', () => {
+  currentPreferManual = preferManualCheckbox.checked;
+  searchWithFilters();
+});
+keywordFacets.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-keyword]');
+  if (button) filterByKeyword(button.dataset.keyword);
+});
+
 // Build channel filter buttons from results
 // Store all channels from search for filtering
 let allSearchChannels = [];
 let totalSearchResults = 0;
 
-function buildChannelFilters(channels, totalResults, displayedCount = 50) {
+function buildChannelFilters(channels, totalResults) {
   // channels is now an array of {name, rawName, count} from the API
   allSearchChannels = channels;
   totalSearchResults = totalResults;
@@ -201,15 +387,13 @@ function buildChannelFilters(channels, totalResults, displayedCount = 50) {
   // Sort channels alphabetically by display name
   const sortedChannels = [...channels].sort((a, b) => a.name.localeCompare(b.name));
 
-  // Build buttons: "All" first (showing displayed/total), then channels
-  const allLabel = displayedCount < totalResults ? `All (${displayedCount}/${totalResults})` : `All (${totalResults})`;
-  let html = `<button class="channel-filter-btn active" data-channel="all" onclick="filterByChannel('all')">${allLabel}</button>`;
+  // Build buttons: "All" first, then channels (renderResults adds loaded/total to the active one)
+  let html = `<button class="channel-filter-btn active" data-channel="all" onclick="filterByChannel('all')">All (${totalResults})</button>`;
 
   sortedChannels.forEach(channel => {
     // Use rawName for filtering (matches DB), name for display
     const rawName = channel.rawName || channel.name;
-    const escapedRawName = escapeHtml(rawName).replace(/'/g, "\\'");
-    html += `<button class="channel-filter-btn" data-channel="${escapeHtml(rawName)}" onclick="filterByChannel('${escapedRawName}')">${escapeHtml(channel.name)} (${channel.count})</button>`;
+    html += `<button class="channel-filter-btn" data-channel="${escapeHtml(rawName)}" onclick="filterByChannel(this.dataset.channel)">${escapeHtml(channel.name)} (${channel.count})</button>`;
   });
 
   channelFilters.innerHTML = html;
@@ -220,9 +404,10 @@ document.addEventListener('DOMContentLoaded', () => {
   loadPopularTags();
   loadIndexedStats();
 
-  // Check for search query in URL
+  // Check for search query and filters in URL
   const params = new URLSearchParams(window.location.search);
   const query = params.get('q');
+  readFiltersFromUrl(params);
   if (query) {
     searchInput.value = query;
     performSearch(query);
@@ -233,13 +418,147 @@ document.addEventListener('DOMContentLoaded', () => {
 searchForm.addEventListener('submit', (e) => {
   e.preventDefault();
   const query = searchInput.value.trim();
+  hideSuggestions();
   if (query) {
+    hideAnswer();
     performSearch(query);
     // Update URL
-    window.history.pushState({}, '', `?q=${encodeURIComponent(query)}`);
+    updateSearchUrl(query);
   }
 });
 
+// Ask: answer the question from the transcripts and show the matching episodes below it
+askBtn.addEventListener('click', () => {
+  const question = searchInput.value.trim();
+  if (question) {
+    askArchive(question);
+    performSearch(question);
+    updateSearchUrl(question);
+  }
+});
+
+// ============================================
+// AUTOCOMPLETE
+// ============================================
+
+const SUGGEST_DELAY_MS = 200;
+const SUGGEST_TYPE_LABELS = { keyword: 'Topic', channel: 'Channel', episode: 'Episode' };
+
+let suggestions = [];
+let activeSuggestion = -1;
+let suggestTimer = null;
+let suggestRequest = 0;   // Only the latest request may render (responses can arrive out of order)
+
+function hideSuggestions() {
+  clearTimeout(suggestTimer);
+  suggestRequest++;
+  suggestions = [];
+  activeSuggestion = -1;
+  suggestList.style.display = 'none';
+  searchInput.setAttribute('aria-expanded', 'false');
+  searchInput.removeAttribute('aria-activedescendant');
+}
+
+async function loadSuggestions(prefix) {
+  const request = ++suggestRequest;
+  try {
+    const response = await fetch(`${API_BASE}/api/suggest?q=${encodeURIComponent(prefix)}&lang=${currentLanguage}`);
+    const data = await response.json();
+    if (request !== suggestRequest) return;
+    renderSuggestions(data.suggestions || []);
+  } catch (error) {
+    console.error('Suggest error:', error);
+  }
+}
+
+function renderSuggestions(items) {
+  suggestions = items;
+  activeSuggestion = -1;
+  if (items.length === 0) {
+    hideSuggestions();
+    return;
+  }
+
+  suggestList.innerHTML = items.map((item, i) => `
+    <li id="suggestion-${i}" class="suggest-item" role="option" aria-selected="false" data-index="${i}">
+      <span class="suggest-text">${escapeHtml(item.text)}</span>
+      <span class="suggest-type">${SUGGEST_TYPE_LABELS[item.type] || ''}</span>
+    </li>
+  `).join('');
+  suggestList.style.display = 'block';
+  searchInput.setAttribute('aria-expanded', 'true');
+}
+
+function setActiveSuggestion(index) {
+  const items = suggestList.querySelectorAll('.suggest-item');
+  items.forEach((el, i) => {
+    el.classList.toggle('active', i === index);
+    el.setAttribute('aria-selected', i === index ? 'true' : 'false');
+  });
+  activeSuggestion = index;
+  if (index >= 0) {
+    searchInput.setAttribute('aria-activedescendant', `suggestion-${index}`);
+    items[index].scrollIntoView({ block: 'nearest' });
+  } else {
+    searchInput.removeAttribute('aria-activedescendant');
+  }
+}
+
+// Topics search right away, channels and episodes open their page
+function selectSuggestion(index) {
+  const item = suggestions[index];
+  hideSuggestions();
+  if (!item) return;
+
+  if (item.url) {
+    window.location.href = item.url;
+    return;
+  }
+  searchInput.value = item.text;
+  hideAnswer();
+  performSearch(item.text);
+  updateSearchUrl(item.text);
+}
+
+searchInput.addEventListener('input', () => {
+  const prefix = searchInput.value.trim();
+  clearTimeout(suggestTimer);
+  if (prefix.length < 2) {
+    hideSuggestions();
+    return;
+  }
+  suggestTimer = setTimeout(() => loadSuggestions(prefix), SUGGEST_DELAY_MS);
+});
+
+// Arrow keys move through the list, Enter picks the highlighted entry, Escape closes it
+searchInput.addEventListener('keydown', (e) => {
+  if (suggestions.length === 0) return;
+
+  if (e.key === 'ArrowDown') {
+    e.preventDefault();
+    setActiveSuggestion((activeSuggestion + 1) % suggestions.length);
+  } else if (e.key === 'ArrowUp') {
+    e.preventDefault();
+    setActiveSuggestion(activeSuggestion <= 0 ? suggestions.length - 1 : activeSuggestion - 1);
+  } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+    e.preventDefault();
+    selectSuggestion(activeSuggestion);
+  } else if (e.key === 'Escape') {
+    hideSuggestions();
+  }
+});
+
+// mousedown fires before the input loses focus (and blur hides the list)
+suggestList.addEventListener('mousedown', (e) => {
+  const item = e.target.closest('.suggest-item');
+  if (item) {
+    e.preventDefault();
+    selectSuggestion(Number(item.dataset.index));
+  }
+});
+
+searchInput.addEventListener('blur', hideSuggestions);
+
 // Load popular tags (no size highlighting)
 // Track if all keywords are shown
 let allKeywordsExpanded = false;
@@ -259,7 +578,7 @@ async function loadPopularTags() {
 
     const tagsHtml = keywords.map(keyword => {
       return `
-        <a href="#" class="tag" onclick="searchByTag('${escapeHtml(keyword.keyword)}'); return false;">
+        <a href="#" class="tag" data-keyword="${escapeHtml(keyword.keyword)}" onclick="searchByTag(this.dataset.keyword); return false;">
           ${escapeHtml(keyword.keyword)}
         </a>
       `;
@@ -300,7 +619,7 @@ async function showAllKeywords() {
 
     const tagsHtml = keywords.map(keyword => {
       return `
-        <a href="#" class="tag" onclick="searchByTag('${escapeHtml(keyword.keyword)}'); return false;">
+        <a href="#" class="tag" data-keyword="${escapeHtml(keyword.keyword)}" onclick="searchByTag(this.dataset.keyword); return false;">
           ${escapeHtml(keyword.keyword)}
         </a>
       `;
@@ -320,8 +639,9 @@ async function showAllKeywords() {
 // Search by clicking a tag
 function searchByTag(tag) {
   searchInput.value = tag;
+  hideAnswer();
   performSearch(tag);
-  window.history.pushState({}, '', `?q=${encodeURIComponent(tag)}`);
+  updateSearchUrl(tag);
 }
 
 // Perform search
@@ -330,48 +650,45 @@ async function performSearch(query) {
   showLoading();
   resultsSection.style.display = 'block';
   channelFilters.innerHTML = '';
+  loadMoreBtn.style.display = 'none';
 
-  try {
-    const response = await fetch(`${API_BASE}/api/search?q=${encodeURIComponent(query)}&lang=${currentLanguage}`);
-    const data = await response.json();
+  // A new search starts on the first page, sorted by relevance, across all channels
+  currentQuery = query;
+  currentSort = 'relevance';
+  currentChannelFilter = 'all';
+  currentResults = [];
+  currentNextCursor = null;
 
-    // Handle both old format (array) and new format ({results, channels, totalResults})
-    const results = Array.isArray(data) ? data : data.results;
-    const channels = Array.isArray(data) ? null : data.channels;
-    const totalResults = Array.isArray(data) ? results.length : data.totalResults;
+  // Reset sort buttons
+  sortRelevanceBtn.classList.add('active');
+  sortNewestBtn.classList.remove('active');
 
-    // Store results for sorting
-    currentResults = results;
-    currentQuery = query;
-    currentSort = 'relevance';
-    currentChannelFilter = 'all';
+  try {
+    const data = await fetchSearchPage();
 
-    // Reset sort buttons
-    sortRelevanceBtn.classList.add('active');
-    sortNewestBtn.classList.remove('active');
+    currentResults = data.results;
+    currentNextCursor = data.nextCursor || null;
+    currentTerms = data.terms || query.toLowerCase().split(/\s+/);
+    totalSearchResults = data.totalResults || 0;
+    renderFacets(data.facets);
 
-    if (results.length === 0) {
+    if (currentResults.length === 0) {
       resultsList.innerHTML = `
         <div class="no-results">
           <h3>No results found</h3>
-          <p>Try different keywords or browse the popular topics above</p>
+          ${data.didYouMean ? `<p class="did-you-mean">Did you mean <a href="#" data-query="${escapeHtml(data.didYouMean)}" onclick="searchByTag(this.dataset.query); return false;">${escapeHtml(data.didYouMean)}</a>?</p>` : ''}
+          <p>${Object.keys(currentFilters).length > 0 ? 'Try removing some filters' : 'Try different keywords or browse the popular topics above'}</p>
         </div>
       `;
       resultsCount.textContent = '0 results';
       channelFilters.innerHTML = '';
     } else {
-      resultsCount.textContent = `${results.length} of ${totalResults} result${totalResults !== 1 ? 's' : ''}`;
-      if (channels) {
-        buildChannelFilters(channels, totalResults, results.length);
-      } else {
-        // Fallback for old API format
-        buildChannelFiltersFromResults(results);
-      }
-      resultsList.innerHTML = results.map(episode => createEpisodeCard(episode, query)).join('');
+      buildChannelFilters(data.channels, data.totalResults);
+      renderResults();
     }
 
   } catch (error) {
-    resultsList.innerHTML = '<p class="loading-text">Search failed. Please try again.</p>';
+    resultsList.innerHTML = `<p class="loading-text">${escapeHtml(error.message || 'Search failed')}. Please try again.</p>`;
     channelFilters.innerHTML = '';
     console.error('Search error:', error);
   } finally {
@@ -381,41 +698,70 @@ async function performSearch(query) {
   }
 }
 
-// Fallback function to build filters from results (old API format)
-function buildChannelFiltersFromResults(results) {
-  const channelCounts = {};
-  results.forEach(r => {
-    const channel = r.podcast_name || 'Unknown';
-    channelCounts[channel] = (channelCounts[channel] || 0) + 1;
-  });
+// ============================================
+// ASK THE ARCHIVE
+// ============================================
+
+function hideAnswer() {
+  answerPanel.style.display = 'none';
+}
 
-  const channels = Object.keys(channelCounts).map(name => ({
-    name,
-    count: channelCounts[name]
-  }));
+// Ask a question and show the answer with the episodes it cites
+async function askArchive(question) {
+  answerPanel.style.display = 'block';
+  answerText.textContent = 'Thinking...';
+  answerCitations.innerHTML = '';
+  askBtn.disabled = true;
 
-  buildChannelFilters(channels, results.length);
+  try {
+    const response = await fetch(`${API_BASE}/api/ask`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ question, lang: currentLanguage })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Could not answer the question');
+    }
+
+    if (!data.answer) {
+      answerText.textContent = "We couldn't find anything in the archive about this.";
+      return;
+    }
+
+    // Turn [n] markers into links to the matching citation
+    const citedNumbers = new Set(data.citations.map(c => c.n));
+    answerText.innerHTML = escapeHtml(data.answer).replace(/\[(\d+)\]/g, (marker, n) =>
+      citedNumbers.has(Number(n)) ? `<a href="#citation-${n}" class="answer-marker">[${n}]</a>` : marker
+    );
+
+    answerCitations.innerHTML = data.citations.map(citation => `
+      <li id="citation-${citation.n}" value="${citation.n}">
+        <a href="/episode/${citation.episode_id}" class="citation-title">${escapeHtml(citation.title)}</a>
+        ${citation.channel ? `<span class="citation-channel">${escapeHtml(citation.channel)}</span>` : ''}
+        ${citation.timestamp_url ? `<a href="${safeUrl(citation.timestamp_url)}" target="_blank" rel="noopener" class="citation-time">&#9658; ${formatTimestamp(citation.start)}</a>` : ''}
+        <p class="citation-snippet">"${escapeHtml(decodeHtmlEntities(citation.snippet))}"</p>
+      </li>
+    `).join('');
+  } catch (error) {
+    answerText.textContent = `${error.message}. Please try again.`;
+    console.error('Ask error:', error);
+  } finally {
+    askBtn.disabled = false;
+  }
 }
 
 // Create episode card HTML
-function createEpisodeCard(episode, searchQuery = null) {
+function createEpisodeCard(episode, searchTerms = []) {
   const keywords = episode.keywords ? episode.keywords.split(',').slice(0, 5) : [];
   const hasSnippets = episode.context_snippets && episode.context_snippets.length > 0;
 
   // Decode any HTML entities that might be in the data, then escape for safe display
-  let summary = decodeHtmlEntities(episode.summary) || 'No summary available';
+  let summary = escapeHtml(decodeHtmlEntities(episode.summary) || 'No summary available');
   const title = decodeHtmlEntities(episode.episode_title) || 'Unknown Title';
 
-  // Highlight search terms in summary if provided
-  if (searchQuery) {
-    const terms = searchQuery.toLowerCase().split(/\s+/);
-    terms.forEach(term => {
-      if (term.length > 2) {
-        const regex = new RegExp(`(${escapeRegex(term)})`, 'gi');
-        summary = summary.replace(regex, '<span class="highlight">$1</span>');
-      }
-    });
-  }
+  // Highlight search terms in summary
+  summary = highlightTerms(summary, searchTerms.filter(term => term.length > 2));
 
   // Build context snippets HTML with highlighting
   let snippetsHtml = '';
@@ -426,12 +772,15 @@ function createEpisodeCard(episode, searchQuery = null) {
         ${episode.context_snippets.map(snippet => {
           // Decode then escape to handle any stored HTML entities
           let text = escapeHtml(decodeHtmlEntities(snippet.text));
-          // Highlight the matched term
-          if (snippet.matchedTerm) {
-            const regex = new RegExp(`(${escapeRegex(snippet.matchedTerm)})`, 'gi');
-            text = text.replace(regex, '<span class="highlight">$1</span>');
+          // Highlight the matched term and any other search terms in the snippet
+          text = highlightTerms(text, [snippet.matchedTerm, ...searchTerms].filter(Boolean));
+          // Link the snippet to the exact moment in the video when we know it
+          // Passages found by meaning (semantic search) rather than by the words themselves
+          const snippetClass = snippet.matchedTerm === null && snippet.similarity !== undefined ? 'snippet semantic-snippet' : 'snippet';
+          if (snippet.timestamp_url) {
+            return `<p class="${snippetClass}"><a href="${safeUrl(snippet.timestamp_url)}" target="_blank" rel="noopener" class="snippet-time">&#9658; ${formatTimestamp(snippet.start)}</a> "${text}"</p>`;
           }
-          return `<p class="snippet">"${text}"</p>`;
+          return `<p class="${snippetClass}">"${text}"</p>`;
         }).join('')}
       </div>
     `;
@@ -439,7 +788,7 @@ function createEpisodeCard(episode, searchQuery = null) {
 
   // Generate thumbnail HTML
   const thumbnailHtml = episode.thumbnail_url
-    ? `<img src="${episode.thumbnail_url}" alt="${escapeHtml(title)}" class="episode-thumbnail" loading="lazy">`
+    ? `<img src="${safeUrl(episode.thumbnail_url)}" alt="${escapeHtml(title)}" class="episode-thumbnail" loading="lazy">`
     : `<div class="episode-thumbnail placeholder"><span>No thumbnail</span></div>`;
 
   // Generate Spotify search URL
@@ -451,19 +800,20 @@ function createEpisodeCard(episode, searchQuery = null) {
     : null;
 
   return `
-    <div class="episode-card">
+    <div class="episode-card" data-episode-id="${episode.id}">
       <div class="episode-card-content">
-        <a href="${episode.spotify_url}" target="_blank" rel="noopener" class="episode-thumbnail-wrapper">
+        <a href="${safeUrl(episode.spotify_url)}" target="_blank" rel="noopener" class="episode-thumbnail-wrapper" data-click="${episode.source_type === 'rss' ? 'audio' : 'youtube'}">
           ${thumbnailHtml}
         </a>
         <div class="episode-details">
           <div class="episode-card-header">
             <div class="episode-title-group">
-              <h3>${escapeHtml(title)}</h3>
+              <h3><a href="/episode/${episode.id}" class="episode-title-link">${escapeHtml(title)}</a></h3>
               ${episode.podcast_name ? `<p class="channel-name">${escapeHtml(episode.podcast_name)}</p>` : ''}
             </div>
             <div class="episode-meta">
               ${uploadDateStr ? `<span class="upload-date">${uploadDateStr}</span>` : ''}
+              ${episode.duration_seconds ? `<span class="episode-duration">${formatDuration(episode.duration_seconds)}</span>` : ''}
               ${episode.relevance_score ? `<span class="relevance-badge">${Math.round(episode.relevance_score)}% match</span>` : ''}
             </div>
           </div>
@@ -477,19 +827,95 @@ function createEpisodeCard(episode, searchQuery = null) {
             </div>
           ` : ''}
           <div class="episode-links">
-            <a href="${episode.spotify_url}" target="_blank" rel="noopener" class="episode-link youtube">
+            ${episode.source_type === 'rss' ? `
+            <a href="${safeUrl(episode.spotify_url)}" target="_blank" rel="noopener" class="episode-link audio" data-click="audio">
+              <span class="link-icon">&#9658;</span> Play episode
+            </a>` : `
+            <a href="${safeUrl(episode.spotify_url)}" target="_blank" rel="noopener" class="episode-link youtube" data-click="youtube">
               <span class="link-icon">&#9658;</span> YouTube
-            </a>
-            <a href="${spotifySearchUrl}" target="_blank" rel="noopener" class="episode-link spotify">
+            </a>`}
+            ${episode.spotify_episode_url ? `
+            <a href="${safeUrl(episode.spotify_episode_url)}" target="_blank" rel="noopener" class="episode-link spotify" data-click="spotify">
+              <span class="link-icon">&#9835;</span> Listen on Spotify
+            </a>` : `
+            <a href="${safeUrl(spotifySearchUrl)}" target="_blank" rel="noopener" class="episode-link spotify" data-click="spotify">
               <span class="link-icon">&#9835;</span> Search on Spotify
-            </a>
+            </a>`}
+            ${episode.apple_podcasts_url ? `
+            <a href="${safeUrl(episode.apple_podcasts_url)}" target="_blank" rel="noopener" class="episode-link apple">
+              <span class="link-icon">&#9835;</span> Listen on Apple Podcasts
+            </a>` : ''}
+            ${episode.podcast_app_url ? `
+            <a href="${safeUrl(episode.podcast_app_url)}" class="episode-link podcast-app">
+              <span class="link-icon">&#9654;</span> Open in your podcast app
+            </a>` : ''}
+            <button type="button" class="episode-link more-like-this-btn" onclick="toggleMoreLikeThis(${episode.id}, this)">
+              More like this
+            </button>
           </div>
+          <div class="more-like-this" id="moreLikeThis-${episode.id}" style="display: none;"></div>
         </div>
       </div>
     </div>
   `;
 }
 
+// Report clicks on a result's YouTube/audio/Spotify links (with the query and rank) to improve ranking.
+// sendBeacon survives the page being left, and failures never get in the way of the link.
+function trackResultClick(e) {
+  const link = e.target.closest('[data-click]');
+  const card = link && link.closest('.episode-card');
+  if (!card || !currentQuery || !navigator.sendBeacon) return;
+
+  const episodeId = Number(card.dataset.episodeId);
+  const position = currentResults.findIndex(episode => episode.id === episodeId) + 1;
+  if (position === 0) return;
+
+  const payload = JSON.stringify({ q: currentQuery, episode_id: episodeId, position, link: link.dataset.click });
+  navigator.sendBeacon(`${API_BASE}/api/search/click`, new Blob([payload], { type: 'application/json' }));
+}
+
+// Left and middle clicks (opening in a new tab)
+resultsList.addEventListener('click', trackResultClick);
+resultsList.addEventListener('auxclick', (e) => {
+  if (e.button === 1) trackResultClick(e);
+});
+
+// Show or hide related episodes under a result card (loaded on first open)
+async function toggleMoreLikeThis(episodeId, button) {
+  const container = document.getElementById(`moreLikeThis-${episodeId}`);
+  if (container.style.display !== 'none') {
+    container.style.display = 'none';
+    return;
+  }
+
+  container.style.display = 'flex';
+  if (container.dataset.loaded) return;
+
+  container.innerHTML = '<p class="loading-text">Loading...</p>';
+  button.disabled = true;
+  try {
+    const response = await fetch(`${API_BASE}/api/podcasts/${episodeId}/related?limit=4`);
+    if (!response.ok) throw new Error('Failed to load related episodes');
+    const data = await response.json();
+
+    container.innerHTML = data.related.length === 0
+      ? '<p class="loading-text">No related episodes yet.</p>'
+      : data.related.map(related => `
+        <a href="/episode/${related.id}" class="more-like-this-item">
+          <span class="more-like-this-title">${escapeHtml(related.episode_title)}</span>
+          <span class="more-like-this-meta">${escapeHtml(related.podcast_name || '')}${related.shared_keywords.length > 0 ? ` · ${escapeHtml(related.shared_keywords.slice(0, 3).join(', '))}` : ''}</span>
+        </a>
+      `).join('');
+    container.dataset.loaded = 'true';
+  } catch (error) {
+    container.innerHTML = `<p class="loading-text">${escapeHtml(error.message)}</p>`;
+    console.error('Related error:', error);
+  } finally {
+    button.disabled = false;
+  }
+}
+
 // Helper functions
 function setLoading(loading) {
   searchBtn.disabled = loading;
@@ -497,25 +923,63 @@ function setLoading(loading) {
   searchBtn.querySelector('.btn-loading').style.display = loading ? 'inline' : 'none';
 }
 
+// Escape text for element content and quoted attribute values (textContent/innerHTML leaves quotes as they are)
 function escapeHtml(text) {
   if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Escaped URL for an href or src: web, site-relative and podcast:// links only (URLs come from
+// third-party feeds), anything else becomes "#"
+function safeUrl(url) {
+  if (!url) return '#';
+  const value = String(url).trim();
+  return /^(https?:\/\/|podcast:\/\/|\/(?!\/))/i.test(value) ? escapeHtml(value) : '#';
 }
 
 // Decode HTML entities (for data that may have been stored with encoded entities)
+// (a <textarea> parses its content as text, so markup in the data never becomes elements)
 function decodeHtmlEntities(text) {
   if (!text) return '';
-  const div = document.createElement('div');
-  div.innerHTML = text;
-  return div.textContent;
+  const textarea = document.createElement('textarea');
+  textarea.innerHTML = text;
+  return textarea.value;
+}
+
+// Format seconds as H:MM:SS or M:SS
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds || 0);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Episode length for cards, e.g. "1h 23m" or "45 min"
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
 }
 
 function escapeRegex(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+// Wrap every occurrence of the terms in a highlight span (one pass, longest terms first,
+// so a phrase wins over its own words and terms never match inside inserted markup)
+function highlightTerms(text, terms) {
+  const unique = [...new Set(terms.map(term => term.toLowerCase()))].sort((a, b) => b.length - a.length);
+  if (unique.length === 0) return text;
+  const regex = new RegExp(`(${unique.map(escapeRegex).join('|')})`, 'gi');
+  return text.replace(regex, '<span class="highlight">$1</span>');
+}
+
 function scrollToResults() {
   resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
@@ -524,6 +988,7 @@ function scrollToResults() {
 function clearSearch() {
   searchInput.value = '';
   resultsSection.style.display = 'none';
+  hideAnswer();
   window.history.pushState({}, '', window.location.pathname);
 }
 
@@ -531,6 +996,7 @@ function clearSearch() {
 window.addEventListener('popstate', () => {
   const params = new URLSearchParams(window.location.search);
   const query = params.get('q');
+  readFiltersFromUrl(params);
   if (query) {
     searchInput.value = query;
     performSearch(query);
@@ -551,6 +1017,9 @@ async function loadIndexedStats() {
 
     totalEpisodes.textContent = stats.total_episodes.toLocaleString();
 
+    // Offer the search mode selector when semantic search is set up on the server
+    searchModeSelect.style.display = stats.semantic_search ? 'inline-block' : 'none';
+
     // Update language indicator in footer
     const langIndicator = document.getElementById('footerLangIndicator');
     if (langIndicator) {
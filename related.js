@@ -0,0 +1,186 @@
+// Related-episode recommendations ("More like this")
+// Candidates share keywords (rarer keywords count more), come from the same channel, or are close
+// in meaning when embeddings exist. They are ranked on topic similarity, same channel and recency.
+const pool = require('./db');
+const embeddings = require('./embeddings');
+
+const RELATED_LIMIT = 6;
+const MAX_RELATED_LIMIT = 20;
+
+// Candidates considered per source (keyword matches, same channel, nearest by embedding)
+const KEYWORD_CANDIDATES = 100;
+const CHANNEL_CANDIDATES = 20;
+const EMBEDDING_CANDIDATES = 50;
+
+// Score weights: topic similarity (0-1), same channel, recency (0-1)
+const RELATED_WEIGHTS = { topic: 0.75, channel: 0.15, recency: 0.1 };
+
+// Recency decays with this half-life
+const RECENCY_HALF_LIFE_DAYS = 365;
+
+// Cached results expire after this long (rarity shifts slowly as episodes are added)
+const CACHE_TTL = parseInt(process.env.RELATED_CACHE_TTL_MS) || 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 5000;
+
+// podcastId -> { related, expiresAt }
+const cache = new Map();
+
+// Drop an episode's cached recommendations, and any cached lists that include it
+function invalidate(podcastId) {
+  const id = Number(podcastId);
+  cache.delete(id);
+  for (const [key, entry] of cache) {
+    if (entry.related.some(episode => episode.id === id)) cache.delete(key);
+  }
+}
+
+function clearCache() {
+  cache.clear();
+}
+
+// The episode's non-blacklisted keywords with their rarity (inverse document frequency)
+async function getKeywordWeights(podcastId) {
+  const [[{ total }]] = await pool.execute('SELECT COUNT(*) as total FROM podcasts');
+  const [rows] = await pool.execute(`
+    SELECT k.id, k.keyword, COUNT(other.podcast_id) as episode_count
+    FROM episode_keywords ek
+    JOIN keywords k ON k.id = ek.keyword_id
+    LEFT JOIN keyword_blacklist b ON k.keyword = b.keyword
+    JOIN episode_keywords other ON other.keyword_id = ek.keyword_id
+    WHERE ek.podcast_id = ? AND b.keyword IS NULL
+    GROUP BY k.id, k.keyword
+  `, [podcastId]);
+
+  return rows.map(row => ({
+    id: row.id,
+    keyword: row.keyword,
+    weight: Math.log(1 + total / row.episode_count)
+  }));
+}
+
+// Episodes sharing the most keyword weight: Map podcastId -> { weight, keywords }
+async function findKeywordCandidates(podcastId, keywordWeights) {
+  if (keywordWeights.length === 0) return new Map();
+
+  const weightCase = `CASE ek.keyword_id ${keywordWeights.map(() => 'WHEN ? THEN ?').join(' ')} ELSE 0 END`;
+  const weightParams = keywordWeights.flatMap(k => [k.id, k.weight]);
+
+  const [rows] = await pool.query(`
+    SELECT ek.podcast_id, SUM(${weightCase}) as weight, GROUP_CONCAT(ek.keyword_id) as keyword_ids
+    FROM episode_keywords ek
+    WHERE ek.keyword_id IN (?) AND ek.podcast_id != ?
+    GROUP BY ek.podcast_id
+    ORDER BY weight DESC
+    LIMIT ${KEYWORD_CANDIDATES}
+  `, [...weightParams, keywordWeights.map(k => k.id), podcastId]);
+
+  const keywordsById = new Map(keywordWeights.map(k => [k.id, k.keyword]));
+  return new Map(rows.map(row => [row.podcast_id, {
+    weight: Number(row.weight),
+    keywords: String(row.keyword_ids).split(',').map(id => keywordsById.get(Number(id))).filter(Boolean)
+  }]));
+}
+
+// Closest episodes by embedding similarity: Map podcastId -> similarity (empty without a backend)
+async function findEmbeddingCandidates(podcastId) {
+  if (!embeddings.isEnabled()) return new Map();
+  try {
+    const similar = await embeddings.findSimilarEpisodes(podcastId, EMBEDDING_CANDIDATES);
+    return new Map(similar.map(s => [s.podcastId, s.similarity]));
+  } catch (error) {
+    console.error('[Related] Embedding similarity failed, using keywords:', error.message);
+    return new Map();
+  }
+}
+
+function recencyScore(uploadDate) {
+  if (!uploadDate) return 0;
+  const ageDays = Math.max(0, (Date.now() - new Date(uploadDate).getTime()) / 86400000);
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+}
+
+// Rank related episodes for an episode (uncached)
+async function computeRelated(podcastId, limit) {
+  const [sourceRows] = await pool.execute('SELECT id, podcast_name, language FROM podcasts WHERE id = ?', [podcastId]);
+  if (sourceRows.length === 0) return null;
+  const source = sourceRows[0];
+
+  const keywordWeights = await getKeywordWeights(podcastId);
+  const totalWeight = keywordWeights.reduce((sum, k) => sum + k.weight, 0);
+  const keywordCandidates = await findKeywordCandidates(podcastId, keywordWeights);
+  const embeddingCandidates = await findEmbeddingCandidates(podcastId);
+
+  const [channelRows] = await pool.execute(`
+    SELECT id FROM podcasts
+    WHERE podcast_name = ? AND id != ?
+    ORDER BY upload_date DESC, id DESC
+    LIMIT ${CHANNEL_CANDIDATES}
+  `, [source.podcast_name, podcastId]);
+
+  const candidateIds = [...new Set([...keywordCandidates.keys(), ...embeddingCandidates.keys(), ...channelRows.map(r => r.id)])];
+  if (candidateIds.length === 0) return [];
+
+  // Recommend in the episode's own language
+  const [rows] = await pool.query(`
+    SELECT id, episode_title, podcast_name, thumbnail_url, upload_date, duration_seconds
+    FROM podcasts
+    WHERE id IN (?) AND language <=> ?
+  `, [candidateIds, source.language]);
+
+  return rows
+    .map(row => {
+      const keywordMatch = keywordCandidates.get(row.id);
+      // Embedding similarity replaces keyword overlap when the backend knows both episodes
+      const topic = embeddingCandidates.has(row.id)
+        ? Math.max(0, embeddingCandidates.get(row.id))
+        : (keywordMatch && totalWeight > 0 ? keywordMatch.weight / totalWeight : 0);
+      const sameChannel = row.podcast_name === source.podcast_name;
+
+      const score = RELATED_WEIGHTS.topic * topic
+        + (sameChannel ? RELATED_WEIGHTS.channel : 0)
+        + RELATED_WEIGHTS.recency * recencyScore(row.upload_date);
+
+      return {
+        id: row.id,
+        episode_title: row.episode_title,
+        podcast_name: row.podcast_name,
+        thumbnail_url: row.thumbnail_url,
+        upload_date: row.upload_date,
+        duration_seconds: row.duration_seconds,
+        shared_keywords: keywordMatch ? keywordMatch.keywords : [],
+        same_channel: sameChannel,
+        score: Math.round(score * 100)
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.id - a.id)
+    .slice(0, limit);
+}
+
+// Related episodes for an episode, best first (null when the episode does not exist)
+async function findRelated(podcastId, limit = RELATED_LIMIT) {
+  const id = Number(podcastId);
+  if (!Number.isInteger(id)) return null;
+  const count = Math.min(Math.max(parseInt(limit) || RELATED_LIMIT, 1), MAX_RELATED_LIMIT);
+
+  const cached = cache.get(id);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.related.slice(0, count);
+  }
+
+  const related = await computeRelated(id, MAX_RELATED_LIMIT);
+  if (related === null) return null;
+
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    // Evict the oldest entry (Map keeps insertion order)
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(id, { related, expiresAt: Date.now() + CACHE_TTL });
+
+  return related.slice(0, count);
+}
+
+module.exports = {
+  findRelated,
+  invalidate,
+  clearCache
+};
@@ -0,0 +1,173 @@
+// Search benchmark: LIKE scans vs FULLTEXT MATCH ... AGAINST
+// Seeds a separate local database with synthetic episodes, then times both search variants.
+//
+// Usage: node scripts/benchmark-search.js
+// Uses DB_HOST / DB_PORT / DB_USER / DB_PASSWORD from .env. The data goes into BENCH_DB_NAME
+// (default podcast_search_bench), which is dropped and recreated - never point it at the real database.
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+const { parseQuery, compileQuery, withRelevanceScore } = require('../search');
+
+const BENCH_DB_NAME = process.env.BENCH_DB_NAME || 'podcast_search_bench';
+const BENCH_ROWS = parseInt(process.env.BENCH_ROWS) || 2000;
+const BENCH_WORDS = parseInt(process.env.BENCH_WORDS) || 3000; // words per transcript
+const BENCH_RUNS = parseInt(process.env.BENCH_RUNS) || 5;
+
+const QUERIES = ['quantum', 'ancient civilization', 'sleep', 'artificial intelligence', 'mars colony'];
+
+const VOCABULARY = (
+  'the a and of to in is that it was for on are with as they be at one have this from or had by word ' +
+  'but what some we can out other were all there when up use your how said an each she which do their ' +
+  'time if will way about many then them write would like so these her long make thing see him two has ' +
+  'look more day could go come did number sound no most people my over know water than call first who ' +
+  'quantum physics ancient civilization sleep science artificial intelligence mars colony rocket ocean ' +
+  'history economy health brain memory music training nutrition energy climate crypto startup interview'
+).split(' ');
+
+const DATABASE_NAME_PATTERN = /^[a-zA-Z0-9_]+$/;
+
+// Small deterministic PRNG so every run seeds the same data
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function randomText(random, words) {
+  const out = [];
+  for (let i = 0; i < words; i++) {
+    out.push(VOCABULARY[Math.floor(random() * VOCABULARY.length)]);
+  }
+  return out.join(' ');
+}
+
+async function seed(connection) {
+  console.log(`Seeding ${BENCH_ROWS} episodes (${BENCH_WORDS} words each) into ${BENCH_DB_NAME}...`);
+
+  await connection.query(`DROP DATABASE IF EXISTS \`${BENCH_DB_NAME}\``);
+  await connection.query(`CREATE DATABASE \`${BENCH_DB_NAME}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`);
+  await connection.query(`USE \`${BENCH_DB_NAME}\``);
+
+  await connection.query(`
+    CREATE TABLE podcasts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      podcast_name VARCHAR(255),
+      episode_title VARCHAR(500),
+      summary TEXT,
+      transcript LONGTEXT,
+      upload_date DATE NULL,
+      processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await connection.query('CREATE TABLE keywords (id INT AUTO_INCREMENT PRIMARY KEY, keyword VARCHAR(100))');
+  await connection.query('CREATE TABLE episode_keywords (podcast_id INT, keyword_id INT, position INT, PRIMARY KEY (podcast_id, keyword_id))');
+
+  const random = createRandom(42);
+  const batchSize = 100;
+  for (let start = 0; start < BENCH_ROWS; start += batchSize) {
+    const rows = [];
+    for (let i = start; i < Math.min(start + batchSize, BENCH_ROWS); i++) {
+      rows.push([
+        `Channel ${i % 25}`,
+        randomText(random, 8),
+        randomText(random, 120),
+        randomText(random, BENCH_WORDS)
+      ]);
+    }
+    await connection.query(
+      'INSERT INTO podcasts (podcast_name, episode_title, summary, transcript) VALUES ?',
+      [rows]
+    );
+  }
+
+  // Same indexes as database_update.sql (added after the bulk insert, which is faster)
+  await connection.query('ALTER TABLE podcasts ADD FULLTEXT INDEX idx_transcript_fulltext (transcript)');
+  await connection.query('ALTER TABLE podcasts ADD FULLTEXT INDEX idx_all_text_fulltext (episode_title, summary, transcript)');
+}
+
+// The search as it was before FULLTEXT: four LIKE scans with fixed column scores
+function buildLikeSearch(query) {
+  const pattern = `%${query}%`;
+  return {
+    sql: `
+      SELECT id, episode_title,
+        (
+          (CASE WHEN LOWER(episode_title) LIKE ? THEN 50 ELSE 0 END) +
+          (CASE WHEN LOWER(summary) LIKE ? THEN 30 ELSE 0 END) +
+          (CASE WHEN LOWER(transcript) LIKE ? THEN 20 ELSE 0 END)
+        ) as relevance_score
+      FROM podcasts
+      WHERE (LOWER(episode_title) LIKE ? OR LOWER(summary) LIKE ? OR LOWER(transcript) LIKE ?)
+      ORDER BY relevance_score DESC, upload_date DESC, processed_at DESC LIMIT 50
+    `,
+    params: [pattern, pattern, pattern, pattern, pattern, pattern]
+  };
+}
+
+// The current search (keyword boosts included, the episode_keywords tables are just empty here)
+function buildFulltextSearch(query) {
+  const compiled = compileQuery(parseQuery(query));
+  const innerSql = `
+    SELECT id, episode_title, upload_date, processed_at, ${compiled.scoreColumns}
+    FROM podcasts
+    WHERE ${compiled.condition}
+  `;
+  return {
+    sql: withRelevanceScore(innerSql) + ' ORDER BY relevance_score DESC, upload_date DESC, processed_at DESC LIMIT 50',
+    params: [...compiled.scoreParams, ...compiled.conditionParams]
+  };
+}
+
+// Median wall time of a query over BENCH_RUNS runs (after one warm-up run)
+async function timeQuery(connection, { sql, params }) {
+  const [rows] = await connection.query(sql, params);
+  const timings = [];
+  for (let i = 0; i < BENCH_RUNS; i++) {
+    const started = process.hrtime.bigint();
+    await connection.query(sql, params);
+    timings.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+  timings.sort((a, b) => a - b);
+  return { ms: timings[Math.floor(timings.length / 2)], rows: rows.length };
+}
+
+async function main() {
+  if (!DATABASE_NAME_PATTERN.test(BENCH_DB_NAME) || BENCH_DB_NAME === process.env.DB_NAME) {
+    throw new Error('BENCH_DB_NAME must be a plain name and must not be the application database');
+  }
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST || 'localhost',
+    port: process.env.DB_PORT || 3306,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD
+  });
+
+  try {
+    await seed(connection);
+
+    console.log(`\nMedian of ${BENCH_RUNS} runs per query:\n`);
+    console.log('query'.padEnd(26) + 'LIKE (ms)'.padStart(12) + 'FULLTEXT (ms)'.padStart(16) + 'speedup'.padStart(10));
+
+    for (const query of QUERIES) {
+      const like = await timeQuery(connection, buildLikeSearch(query));
+      const fulltext = await timeQuery(connection, buildFulltextSearch(query));
+
+      console.log(
+        query.padEnd(26) +
+        like.ms.toFixed(1).padStart(12) +
+        fulltext.ms.toFixed(1).padStart(16) +
+        `${(like.ms / fulltext.ms).toFixed(1)}x`.padStart(10)
+      );
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+main().catch(error => {
+  console.error('Benchmark failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,509 @@
+// Search query parsing and SQL building for transcript search
+// Queries support quoted phrases, implicit AND, OR, -exclusions and title:/channel:/keyword: prefixes.
+// Text terms use the FULLTEXT index idx_all_text_fulltext (episode_title, summary, transcript)
+// and fall back to LIKE scans for words FULLTEXT cannot see (shorter than the min token size).
+
+// Columns of idx_all_text_fulltext (MATCH must list exactly these)
+const FULLTEXT_COLUMNS = 'episode_title, summary, transcript';
+
+// innodb_ft_min_token_size on the server (MySQL/MariaDB default: 3)
+const FT_MIN_TOKEN_SIZE = parseInt(process.env.FT_MIN_TOKEN_SIZE) || 3;
+
+// InnoDB's default FULLTEXT stopwords: never indexed, so a FULLTEXT term made of one cannot match
+const FULLTEXT_STOPWORDS = new Set([
+  'a', 'about', 'an', 'are', 'as', 'at', 'be', 'by', 'com', 'de', 'en', 'for', 'from', 'how', 'i', 'in',
+  'is', 'it', 'la', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'who',
+  'will', 'with', 'und', 'www'
+]);
+
+// Ranking weights: fixed boosts for title/keyword hits plus the normalized text relevance
+const SEARCH_WEIGHTS = {
+  title: 50,
+  keyword: 40,
+  text: 60
+};
+
+// Semantic search (mode=semantic|hybrid): nearest chunks considered, episodes kept, minimum similarity
+const SEMANTIC_CHUNK_LIMIT = 300;
+const SEMANTIC_EPISODE_LIMIT = 100;
+const SEMANTIC_MIN_SIMILARITY = parseFloat(process.env.SEMANTIC_MIN_SIMILARITY) || 0.2;
+
+// Share of the lexical score in hybrid mode (the rest is semantic similarity)
+const HYBRID_LEXICAL_WEIGHT = 0.5;
+
+const SEARCH_MODES = ['lexical', 'semantic', 'hybrid'];
+
+// Field prefixes accepted in queries (anything else before a colon is part of the word)
+const SEARCH_FIELDS = ['title', 'channel', 'keyword'];
+
+// Upper bound on terms per query, keeps the generated SQL small
+const MAX_QUERY_TERMS = 10;
+
+// Page sizes for /api/search
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+
+// ORDER BY clauses for each sort. Both end on id so the order is total and pages never overlap.
+const SEARCH_SORTS = {
+  relevance: 'relevance_score DESC, upload_date DESC, processed_at DESC, id DESC',
+  newest: 'COALESCE(upload_date, DATE(processed_at)) DESC, processed_at DESC, id DESC'
+};
+
+// Duration buckets for the duration facet, in minutes (min inclusive, max exclusive, null = open)
+const DURATION_BUCKETS = [
+  { key: 'short', label: 'Under 30 min', min: null, max: 30 },
+  { key: 'medium', label: '30-60 min', min: 30, max: 60 },
+  { key: 'long', label: '1-2 hours', min: 60, max: 120 },
+  { key: 'xlong', label: 'Over 2 hours', min: 120, max: null }
+];
+
+// Number of keywords returned in the keyword facet
+const KEYWORD_FACET_LIMIT = 12;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// SQL condition: the episode has exactly this keyword (takes one parameter)
+const EPISODE_HAS_KEYWORD_SQL = `EXISTS (
+  SELECT 1 FROM episode_keywords ek
+  JOIN keywords k ON k.id = ek.keyword_id
+  WHERE ek.podcast_id = podcasts.id AND k.keyword = ?
+)`;
+
+// SQL condition: one of the episode's keywords matches a LIKE pattern (takes one parameter).
+// Correlated on podcasts.id, so use it in queries on the (unaliased) podcasts table.
+const EPISODE_KEYWORD_MATCH_SQL = `EXISTS (
+  SELECT 1 FROM episode_keywords ek
+  JOIN keywords k ON k.id = ek.keyword_id
+  WHERE ek.podcast_id = podcasts.id AND k.keyword LIKE ?
+)`;
+
+// Words of a value as InnoDB indexes them: runs of letters, digits and underscores (apostrophes
+// inside a word kept). "covid-19" is indexed as "covid" + "19" and "10:30" as "10" + "30"; FULLTEXT
+// boolean operators (+-<>()~*"@) are separators too, so none reach the expression.
+function fulltextTokens(value) {
+  return value
+    .split(/[^\p{L}\p{N}_']+/u)
+    .map(word => word.replace(/^'+|'+$/g, ''))
+    .filter(word => word.length > 0);
+}
+
+// LIKE pattern matching value anywhere, with LIKE wildcards in the value escaped
+function containsPattern(value) {
+  return `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// Split a query into terms and OR operators.
+// Term: { field: 'text'|'title'|'channel'|'keyword', value, phrase, exclude }
+function tokenizeQuery(query) {
+  const tokens = [];
+  const tokenRegex = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|([^\s"]+))/gi;
+  let match;
+
+  while ((match = tokenRegex.exec(query)) !== null) {
+    const [raw, minus, prefix, phraseValue, wordValue] = match;
+
+    if (raw === 'OR' || raw === '|') {
+      tokens.push('OR');
+      continue;
+    }
+
+    let field = 'text';
+    let value = phraseValue !== undefined ? phraseValue : wordValue;
+    if (prefix) {
+      if (SEARCH_FIELDS.includes(prefix.toLowerCase())) {
+        field = prefix.toLowerCase();
+      } else {
+        // Not a field (e.g. "10:30"), keep the colon as part of the word
+        value = `${prefix}:${value || ''}`;
+      }
+    }
+
+    value = (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    // Ignore stray punctuation ("-", "&", ...)
+    if (!/[\p{L}\p{N}]/u.test(value)) continue;
+
+    tokens.push({ field, value, phrase: phraseValue !== undefined, exclude: !!minus });
+  }
+
+  return tokens;
+}
+
+// Parse a query into AND-ed groups of OR-ed terms, plus excluded terms.
+// "elon musk OR tesla -crypto" => groups [[elon], [musk, tesla]], excludes [crypto]
+function parseQuery(query) {
+  const groups = [];
+  const excludes = [];
+  let termCount = 0;
+  let joinWithPrevious = false;
+
+  // Bare stopwords ("what", "the") add nothing to a search with other terms, so they are dropped;
+  // a query made only of stopwords keeps them (they fall back to LIKE matching)
+  const tokens = tokenizeQuery(query || '');
+  const isStopword = token => token !== 'OR' && token.field === 'text' && !token.phrase && FULLTEXT_STOPWORDS.has(token.value);
+  const hasOtherTerms = tokens.some(token => token !== 'OR' && !isStopword(token));
+
+  for (const token of tokens) {
+    if (hasOtherTerms && isStopword(token)) continue;
+    if (token === 'OR') {
+      joinWithPrevious = groups.length > 0;
+      continue;
+    }
+    if (termCount >= MAX_QUERY_TERMS) break;
+    termCount++;
+
+    if (token.exclude) {
+      excludes.push(token);
+    } else if (joinWithPrevious) {
+      groups[groups.length - 1].push(token);
+    } else {
+      groups.push([token]);
+    }
+    joinWithPrevious = false;
+  }
+
+  return { groups, excludes };
+}
+
+// FULLTEXT boolean-mode expression for a text term, or null when it needs the LIKE fallback
+// (a word shorter than the min token size, including parts of "covid-19" or "10:30")
+function fulltextExpression(term) {
+  const words = fulltextTokens(term.value);
+  if (words.length === 0 || !words.every(w => w.length >= FT_MIN_TOKEN_SIZE)) return null;
+  if (words.length === 1 && FULLTEXT_STOPWORDS.has(words[0])) return null;
+
+  // One bare word: prefix match ("ufo" finds "ufos"). Phrases and words InnoDB splits
+  // ("self-driving"): the exact phrase of their tokens.
+  if (words.length === 1 && !term.phrase) return `${words[0]}*`;
+  return `"${words.join(' ')}"`;
+}
+
+// IDs of episodes with a keyword matching a LIKE pattern (takes one parameter)
+const KEYWORD_MATCH_IDS_SQL = `SELECT ek.podcast_id AS id FROM episode_keywords ek
+  JOIN keywords k ON k.id = ek.keyword_id WHERE k.keyword LIKE ?`;
+
+// SQL condition (and params) for episodes matching any of these FULLTEXT-able text terms: in their
+// text, through the FULLTEXT index, or in one of their keywords. Each MATCH runs on its own in a
+// UNION (OR-ed with another condition it could not use the index, and every row would be scanned),
+// materialized once as a derived table.
+function fulltextCandidates(terms) {
+  const parts = [];
+  const params = [];
+  for (const term of terms) {
+    parts.push(`SELECT id FROM podcasts WHERE MATCH(${FULLTEXT_COLUMNS}) AGAINST (? IN BOOLEAN MODE)`, KEYWORD_MATCH_IDS_SQL);
+    params.push(fulltextExpression(term), containsPattern(term.value));
+  }
+  return { sql: `podcasts.id IN (SELECT id FROM (${parts.join(' UNION ')}) fulltext_matches)`, params };
+}
+
+// SQL condition (and params) for a single term that is not looked up through the FULLTEXT index
+function termCondition(term) {
+  const pattern = containsPattern(term.value);
+
+  switch (term.field) {
+    case 'title':
+      return { sql: 'LOWER(episode_title) LIKE ?', params: [pattern] };
+    case 'channel':
+      return { sql: 'LOWER(podcast_name) LIKE ?', params: [pattern] };
+    case 'keyword':
+      return { sql: EPISODE_KEYWORD_MATCH_SQL, params: [pattern] };
+  }
+
+  // Plain text the FULLTEXT index cannot find: the episode's text or one of its keywords
+  return {
+    sql: `(LOWER(episode_title) LIKE ? OR LOWER(summary) LIKE ? OR LOWER(transcript) LIKE ? OR ${EPISODE_KEYWORD_MATCH_SQL})`,
+    params: [pattern, pattern, pattern, pattern]
+  };
+}
+
+// "CASE WHEN (a OR b) THEN weight ELSE 0 END" over the given conditions, or 0 when there are none
+function boostExpression(conditions, weight) {
+  if (conditions.length === 0) return { sql: '0', params: [] };
+  return {
+    sql: `(CASE WHEN (${conditions.map(c => c.sql).join(' OR ')}) THEN ${weight} ELSE 0 END)`,
+    params: conditions.flatMap(c => c.params)
+  };
+}
+
+// Compile a parsed query to parameterized SQL:
+// - condition/conditionParams: WHERE condition selecting matching episodes
+// - scoreColumns/scoreParams: title_boost, keyword_boost and text_score select columns
+// - terms: positive terms to look for in transcripts and highlight
+function compileQuery(parsed) {
+  const positiveTerms = parsed.groups.flat();
+
+  const conditionParts = [];
+  const conditionParams = [];
+
+  const isIndexed = term => term.field === 'text' && fulltextExpression(term) !== null;
+
+  // A group of only FULLTEXT-able terms is a single IN (...) the optimizer can start from
+  for (const group of parsed.groups) {
+    const indexed = group.filter(isIndexed);
+    const conditions = [
+      ...(indexed.length > 0 ? [fulltextCandidates(indexed)] : []),
+      ...group.filter(term => !isIndexed(term)).map(termCondition)
+    ];
+    conditionParts.push(`(${conditions.map(c => c.sql).join(' OR ')})`);
+    conditions.forEach(c => conditionParams.push(...c.params));
+  }
+
+  for (const term of parsed.excludes) {
+    if (isIndexed(term)) {
+      const candidates = fulltextCandidates([term]);
+      conditionParts.push(`NOT ${candidates.sql}`);
+      conditionParams.push(...candidates.params);
+      continue;
+    }
+    const condition = termCondition(term);
+    // COALESCE: a LIKE on a NULL column must not exclude the row
+    conditionParts.push(`NOT COALESCE(${condition.sql}, FALSE)`);
+    conditionParams.push(...condition.params);
+  }
+
+  const textTerms = positiveTerms.filter(t => t.field === 'text');
+
+  const titleBoost = boostExpression(
+    positiveTerms
+      .filter(t => t.field === 'text' || t.field === 'title')
+      .map(t => ({ sql: 'LOWER(episode_title) LIKE ?', params: [containsPattern(t.value)] })),
+    SEARCH_WEIGHTS.title
+  );
+
+  const keywordBoost = boostExpression(
+    positiveTerms
+      .filter(t => t.field === 'text' || t.field === 'keyword')
+      .map(t => ({ sql: EPISODE_KEYWORD_MATCH_SQL, params: [containsPattern(t.value)] })),
+    SEARCH_WEIGHTS.keyword
+  );
+
+  // Text relevance: one natural-language MATCH over all FULLTEXT-able words (term frequency aware),
+  // plus fixed summary/transcript scores for terms that need the LIKE fallback
+  const scoreParts = [];
+  const textScoreParams = [];
+  const fulltextWords = textTerms.filter(t => fulltextExpression(t)).map(t => t.value);
+  if (fulltextWords.length > 0) {
+    scoreParts.push(`MATCH(${FULLTEXT_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE)`);
+    textScoreParams.push(fulltextWords.join(' '));
+  }
+  for (const term of textTerms.filter(t => !fulltextExpression(t))) {
+    const pattern = containsPattern(term.value);
+    scoreParts.push('((CASE WHEN LOWER(summary) LIKE ? THEN 30 ELSE 0 END) + (CASE WHEN LOWER(transcript) LIKE ? THEN 20 ELSE 0 END))');
+    textScoreParams.push(pattern, pattern);
+  }
+  const textScore = scoreParts.length > 0 ? scoreParts.join(' + ') : '0';
+
+  return {
+    condition: conditionParts.join(' AND '),
+    conditionParams,
+    scoreColumns: `${titleBoost.sql} as title_boost, ${keywordBoost.sql} as keyword_boost, (${textScore}) as text_score`,
+    scoreParams: [...titleBoost.params, ...keywordBoost.params, ...textScoreParams],
+    terms: positiveTerms
+      .filter(t => t.field !== 'channel')
+      .map(t => t.value)
+      .filter((value, i, all) => all.indexOf(value) === i)
+  };
+}
+
+// Parse the from/to (upload date), minDuration/maxDuration (minutes) and keyword search params.
+// Returns { clauses, filters } where clauses holds one SQL condition per facet dimension,
+// or { error } when a value is malformed.
+function parseSearchFilters(query) {
+  const clauses = {};
+  const filters = {};
+
+  const from = query.from ? String(query.from) : null;
+  const to = query.to ? String(query.to) : null;
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return { error: 'Dates must use the YYYY-MM-DD format' };
+  }
+  if (from || to) {
+    const parts = [];
+    const params = [];
+    if (from) { parts.push('upload_date >= ?'); params.push(from); filters.from = from; }
+    if (to) { parts.push('upload_date <= ?'); params.push(to); filters.to = to; }
+    clauses.date = { sql: parts.join(' AND '), params };
+  }
+
+  const minDuration = query.minDuration !== undefined && query.minDuration !== '' ? Number(query.minDuration) : null;
+  const maxDuration = query.maxDuration !== undefined && query.maxDuration !== '' ? Number(query.maxDuration) : null;
+  if ([minDuration, maxDuration].some(d => d !== null && (!Number.isFinite(d) || d < 0))) {
+    return { error: 'Durations must be a positive number of minutes' };
+  }
+  if (minDuration !== null || maxDuration !== null) {
+    const parts = [];
+    const params = [];
+    if (minDuration !== null) { parts.push('duration_seconds >= ?'); params.push(Math.round(minDuration * 60)); filters.minDuration = minDuration; }
+    if (maxDuration !== null) { parts.push('duration_seconds < ?'); params.push(Math.round(maxDuration * 60)); filters.maxDuration = maxDuration; }
+    clauses.duration = { sql: parts.join(' AND '), params };
+  }
+
+  if (query.keyword) {
+    const keyword = String(query.keyword).toLowerCase().trim();
+    clauses.keyword = { sql: EPISODE_HAS_KEYWORD_SQL, params: [keyword] };
+    filters.keyword = keyword;
+  }
+
+  return { clauses, filters };
+}
+
+// " AND ..." SQL (and params) for the parsed filters, optionally leaving out one dimension
+// (facet counts ignore their own filter so the other options keep meaningful counts)
+function filterConditions(searchFilters, exceptDimension = null) {
+  const parts = Object.entries(searchFilters.clauses).filter(([dimension]) => dimension !== exceptDimension);
+  return {
+    sql: parts.map(([, clause]) => ` AND ${clause.sql}`).join(''),
+    params: parts.flatMap(([, clause]) => clause.params)
+  };
+}
+
+// SELECT columns counting episodes per duration bucket (named after the bucket keys)
+function durationFacetColumns() {
+  return DURATION_BUCKETS.map(bucket => {
+    const conditions = ['duration_seconds IS NOT NULL'];
+    if (bucket.min !== null) conditions.push(`duration_seconds >= ${bucket.min * 60}`);
+    if (bucket.max !== null) conditions.push(`duration_seconds < ${bucket.max * 60}`);
+    return `SUM(CASE WHEN ${conditions.join(' AND ')} THEN 1 ELSE 0 END) as \`${bucket.key}\``;
+  }).join(', ');
+}
+
+// Wrap a query selecting title_boost, keyword_boost and text_score columns so it also
+// returns relevance_score: boosts plus text_score normalized against the best match in the set.
+function withRelevanceScore(innerSql) {
+  return `
+    SELECT ranked.*,
+      (
+        ranked.title_boost + ranked.keyword_boost +
+        CASE WHEN MAX(ranked.text_score) OVER () > 0
+          THEN ${SEARCH_WEIGHTS.text} * ranked.text_score / MAX(ranked.text_score) OVER ()
+          ELSE 0
+        END
+      ) as relevance_score
+    FROM (${innerSql}) ranked
+  `;
+}
+
+// Group nearest chunks by episode: Map podcastId -> { similarity (best chunk), chunks (best first) },
+// keeping the most similar episodes above the similarity threshold
+function groupChunksByEpisode(chunks) {
+  const episodes = new Map();
+  for (const chunk of chunks) {
+    if (chunk.similarity < SEMANTIC_MIN_SIMILARITY) continue;
+    if (!episodes.has(chunk.podcastId)) {
+      if (episodes.size >= SEMANTIC_EPISODE_LIMIT) continue;
+      episodes.set(chunk.podcastId, { similarity: chunk.similarity, chunks: [] });
+    }
+    episodes.get(chunk.podcastId).chunks.push(chunk);
+  }
+  return episodes;
+}
+
+// SELECT expression giving each episode its semantic similarity (0 when not among the matches)
+function semanticScoreColumn(semanticEpisodes) {
+  if (semanticEpisodes.size === 0) return { sql: '0', params: [] };
+  const params = [];
+  const cases = [];
+  for (const [podcastId, episode] of semanticEpisodes) {
+    cases.push('WHEN ? THEN ?');
+    params.push(podcastId, episode.similarity);
+  }
+  return { sql: `(CASE podcasts.id ${cases.join(' ')} ELSE 0 END)`, params };
+}
+
+// SQL condition: the episode is one of the semantic matches
+function semanticMatchCondition(semanticEpisodes) {
+  if (semanticEpisodes.size === 0) return { sql: 'FALSE', params: [] };
+  const ids = [...semanticEpisodes.keys()];
+  return { sql: `podcasts.id IN (${ids.map(() => '?').join(', ')})`, params: ids };
+}
+
+// Wrap a withRelevanceScore() query that also selects semantic_score, replacing relevance_score
+// with the 0-100 blend of lexical relevance and semantic similarity for the mode
+function withSemanticScore(rankedSql, mode) {
+  const lexicalWeight = mode === 'hybrid' ? HYBRID_LEXICAL_WEIGHT : 0;
+  const maxLexical = SEARCH_WEIGHTS.title + SEARCH_WEIGHTS.keyword + SEARCH_WEIGHTS.text;
+  return `
+    SELECT blended.id, blended.upload_date, blended.processed_at, blended.semantic_score,
+      100 * (
+        ${lexicalWeight} * blended.relevance_score / ${maxLexical} +
+        ${1 - lexicalWeight} * GREATEST(blended.semantic_score, 0)
+      ) as relevance_score
+    FROM (${rankedSql}) blended
+  `;
+}
+
+// Wrap a ranked query, multiplying relevance_score by 1 + the episode's click-through boost
+// (clickBoosts: Map podcastId -> boost). The returned params go before those of the wrapped query.
+function withClickBoost(rankedSql, clickBoosts) {
+  const params = [];
+  const cases = [];
+  for (const [podcastId, boost] of clickBoosts) {
+    cases.push('WHEN ? THEN ?');
+    params.push(podcastId, boost);
+  }
+  return {
+    sql: `
+    SELECT boosted.id, boosted.upload_date, boosted.processed_at,
+      boosted.relevance_score * (1 + CASE boosted.id ${cases.join(' ')} ELSE 0 END) as relevance_score
+    FROM (${rankedSql}) boosted
+  `,
+    params
+  };
+}
+
+// Wrap a ranked query so it also returns manual_transcript: 1 when the episode's transcript comes from
+// subtitles the channel uploaded (not auto-captions, feed transcripts or speech-to-text), else 0.
+// Ordering on it first puts those episodes ahead (prefer=manual). subtitle_kind comes from a
+// subquery so the SEARCH_SORTS columns stay unambiguous.
+function withManualTranscriptFirst(rankedSql) {
+  return `
+    SELECT preferred.id, preferred.upload_date, preferred.processed_at, preferred.relevance_score,
+      CASE WHEN (SELECT episode.subtitle_kind FROM podcasts episode WHERE episode.id = preferred.id) = 'manual'
+        THEN 1 ELSE 0 END as manual_transcript
+    FROM (${rankedSql}) preferred
+  `;
+}
+
+// Opaque pagination cursor: the offset of the next page, tied to the sort it was made for
+function encodeSearchCursor(offset, sort) {
+  return Buffer.from(JSON.stringify({ o: offset, s: sort })).toString('base64url');
+}
+
+// Offset from a cursor, or null if the cursor is malformed or belongs to another sort
+function decodeSearchCursor(cursor, sort) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (data.s !== sort || !Number.isInteger(data.o) || data.o < 0) return null;
+    return data.o;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  FULLTEXT_COLUMNS,
+  FULLTEXT_STOPWORDS,
+  SEARCH_WEIGHTS,
+  SEARCH_PAGE_SIZE,
+  MAX_SEARCH_PAGE_SIZE,
+  SEARCH_SORTS,
+  SEARCH_MODES,
+  SEMANTIC_CHUNK_LIMIT,
+  DURATION_BUCKETS,
+  KEYWORD_FACET_LIMIT,
+  EPISODE_HAS_KEYWORD_SQL,
+  EPISODE_KEYWORD_MATCH_SQL,
+  parseQuery,
+  compileQuery,
+  parseSearchFilters,
+  filterConditions,
+  durationFacetColumns,
+  withRelevanceScore,
+  groupChunksByEpisode,
+  semanticScoreColumn,
+  semanticMatchCondition,
+  withSemanticScore,
+  withClickBoost,
+  withManualTranscriptFirst,
+  encodeSearchCursor,
+  decodeSearchCursor
+};
@@ -0,0 +1,466 @@
+// Server-rendered pages for crawlers (episode, topic and channel pages) and the sitemap
+// Rendering only: server.js loads the data and passes it in already decoded.
+
+const SITE_URL = process.env.SITE_URL || 'https://podsearch.cloud';
+const SITE_NAME = 'Podcast Search';
+
+// Episodes per page on topic and channel pages
+const SEO_PAGE_SIZE = 30;
+
+// Search engines accept at most 50,000 URLs per sitemap file
+const SITEMAP_MAX_URLS = Math.min(parseInt(process.env.SITEMAP_MAX_URLS) || 50000, 50000);
+
+// Meta descriptions are cut to roughly what search engines display
+const META_DESCRIPTION_CHARS = 160;
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// URL slug for a channel name ("Lex Fridman Podcast" -> "lex-fridman-podcast"), stored on the channels
+// row when it is created. Names without any latin letters or digits fall back to the encoded name.
+function slugify(name) {
+  const slug = String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || encodeURIComponent(String(name || '').trim().toLowerCase());
+}
+
+function episodeUrl(id) {
+  return `${SITE_URL}/episode/${id}`;
+}
+
+function topicUrl(keyword, page = 1) {
+  return `${SITE_URL}/topic/${encodeURIComponent(keyword)}${page > 1 ? `?page=${page}` : ''}`;
+}
+
+// Channel page path for a stored slug (channels.slug, kept decoded)
+function channelPath(slug) {
+  return `/channel/${encodeURIComponent(slug)}`;
+}
+
+function channelUrl(slug, page = 1) {
+  return `${SITE_URL}${channelPath(slug)}${page > 1 ? `?page=${page}` : ''}`;
+}
+
+// Channel name of an episode card, linked to the channel page when the channel has a slug
+function renderChannelName(episode) {
+  const name = escapeHtml(episode.podcast_name);
+  return episode.channel_slug
+    ? `<p class="channel-name"><a href="${escapeHtml(channelPath(episode.channel_slug))}" class="channel-link">${name}</a></p>`
+    : `<p class="channel-name">${name}</p>`;
+}
+
+// Shorten text to a meta description, cutting on a word boundary
+function truncate(text, maxChars = META_DESCRIPTION_CHARS) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxChars) return clean;
+  const cut = clean.lastIndexOf(' ', maxChars - 1);
+  return clean.substring(0, cut > 0 ? cut : maxChars - 1) + '…';
+}
+
+function isoDate(date) {
+  return date ? new Date(date).toISOString().split('T')[0] : null;
+}
+
+function displayDate(date, language) {
+  return new Date(date).toLocaleDateString(language === 'fr' ? 'fr-FR' : 'en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// ISO 8601 duration for schema.org (3725 -> "PT1H2M5S")
+function isoDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  return `PT${h ? `${h}H` : ''}${m ? `${m}M` : ''}${s || (!h && !m) ? `${s}S` : ''}`;
+}
+
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds || 0);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// schema.org PodcastEpisode for an episode (detail or list row)
+function episodeJsonLd(episode) {
+  const data = {
+    '@type': 'PodcastEpisode',
+    name: episode.episode_title,
+    url: episodeUrl(episode.id)
+  };
+  if (episode.summary) data.description = truncate(episode.summary, 500);
+  if (episode.upload_date) data.datePublished = isoDate(episode.upload_date);
+  if (episode.duration_seconds) data.timeRequired = isoDuration(episode.duration_seconds);
+  if (episode.thumbnail_url) data.image = episode.thumbnail_url;
+  if (episode.language) data.inLanguage = episode.language;
+  if (episode.keywords && episode.keywords.length > 0) data.keywords = episode.keywords.join(', ');
+  if (episode.spotify_url) data.associatedMedia = { '@type': 'MediaObject', contentUrl: episode.spotify_url };
+  if (episode.podcast_name) {
+    data.partOfSeries = { '@type': 'PodcastSeries', name: episode.podcast_name };
+    if (episode.channel_slug) data.partOfSeries.url = channelUrl(episode.channel_slug);
+  }
+  return data;
+}
+
+// A list page's episodes as an ItemList of PodcastEpisode
+function episodeListJsonLd(name, url, episodes, offset = 0) {
+  return {
+    '@type': 'ItemList',
+    name,
+    url,
+    itemListElement: episodes.map((episode, i) => ({
+      '@type': 'ListItem',
+      position: offset + i + 1,
+      item: episodeJsonLd(episode)
+    }))
+  };
+}
+
+// JSON-LD script tag; "<" is escaped so text like "</script>" cannot end the tag
+function jsonLdScript(data) {
+  const json = JSON.stringify({ '@context': 'https://schema.org', ...data }).replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">${json}</script>`;
+}
+
+// Full HTML document with title, description, canonical URL and Open Graph tags
+function renderPage({ title, description, canonicalUrl, language = 'en', image = null, ogType = 'website', jsonLd = null, links = '', body, scripts = [] }) {
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <link rel="canonical" href="${escapeHtml(canonicalUrl)}">
+  ${links}
+  <meta property="og:site_name" content="${SITE_NAME}">
+  <meta property="og:type" content="${ogType}">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(canonicalUrl)}">
+  ${image ? `<meta property="og:image" content="${escapeHtml(image)}">` : ''}
+  <meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">
+  <link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">
+  <link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">
+  <link rel="icon" type="image/png" sizes="16x16" href="/favicon-16x16.png">
+  <link rel="icon" type="image/x-icon" href="/favicon.ico">
+  <link rel="manifest" href="/site.webmanifest">
+  <link rel="stylesheet" href="/style.css">
+  <link rel="stylesheet" href="/search.css">
+  <link rel="stylesheet" href="/episode.css">
+  ${jsonLd ? jsonLdScript(jsonLd) : ''}
+</head>
+<body>
+  <div class="container wide">
+    <header>
+      <h1><a href="/" class="home-link">${SITE_NAME}</a></h1>
+    </header>
+
+    <main>
+${body}
+    </main>
+
+    <footer>
+      <p class="footer-credit">Jonathan Guernon 2026</p>
+    </footer>
+  </div>
+${scripts.map(src => `  <script src="${src}"></script>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+function renderEpisodeLinks(episode) {
+  return `<div class="episode-links">
+            ${episode.source_type === 'rss' ? `<a href="${escapeHtml(episode.spotify_url)}" target="_blank" rel="noopener" class="episode-link audio">
+              <span class="link-icon">&#9658;</span> Play episode
+            </a>` : `<a href="${escapeHtml(episode.spotify_url)}" target="_blank" rel="noopener" class="episode-link youtube">
+              <span class="link-icon">&#9658;</span> YouTube
+            </a>`}
+            ${episode.spotify_episode_url ? `<a href="${escapeHtml(episode.spotify_episode_url)}" target="_blank" rel="noopener" class="episode-link spotify">
+              <span class="link-icon">&#9835;</span> Listen on Spotify
+            </a>` : `<a href="${escapeHtml(episode.spotify_search_url)}" target="_blank" rel="noopener" class="episode-link spotify">
+              <span class="link-icon">&#9835;</span> Search on Spotify
+            </a>`}
+            ${episode.apple_podcasts_url ? `<a href="${escapeHtml(episode.apple_podcasts_url)}" target="_blank" rel="noopener" class="episode-link apple">
+              <span class="link-icon">&#9835;</span> Listen on Apple Podcasts
+            </a>` : ''}
+            ${episode.podcast_app_url ? `<a href="${escapeHtml(episode.podcast_app_url)}" class="episode-link podcast-app">
+              <span class="link-icon">&#9654;</span> Open in your podcast app
+            </a>` : ''}
+          </div>`;
+}
+
+function renderThumbnail(episode, className = 'episode-thumbnail') {
+  return episode.thumbnail_url
+    ? `<img src="${escapeHtml(episode.thumbnail_url)}" alt="${escapeHtml(episode.episode_title)}" class="${className}" loading="lazy">`
+    : `<div class="${className} placeholder"><span>No thumbnail</span></div>`;
+}
+
+// Episode page: details, summary, best part, topics, transcript (with in-page find) and related episodes
+function renderEpisodePage(episode) {
+  const meta = [];
+  if (episode.upload_date) meta.push(displayDate(episode.upload_date, episode.language));
+  if (episode.duration_seconds) meta.push(formatDuration(episode.duration_seconds));
+
+  const keywordsHtml = episode.keywords.length > 0 ? `
+        <section class="episode-section">
+          <h3>Topics</h3>
+          <div class="tags-cloud">
+            ${episode.keywords.map(k => `<a href="/topic/${encodeURIComponent(k)}" class="tag">${escapeHtml(k)}</a>`).join('\n            ')}
+          </div>
+        </section>` : '';
+
+  const transcriptHtml = episode.transcript_sections.length > 0
+    ? episode.transcript_sections.map(section => {
+      const time = section.timestamp_url
+        ? `<a href="${escapeHtml(section.timestamp_url)}" target="_blank" rel="noopener" class="snippet-time">&#9658; ${formatTimestamp(section.start)}</a>`
+        : '';
+      return `<p class="transcript-section">${time}<span class="transcript-text">${escapeHtml(section.text)}</span></p>`;
+    }).join('\n')
+    : '<p class="loading-text">No transcript available.</p>';
+
+  const relatedHtml = episode.related.length > 0 ? `
+        <section class="episode-section">
+          <h3>More like this</h3>
+          <div class="related-episodes">
+            ${episode.related.map(related => `<a href="/episode/${related.id}" class="related-episode">
+              ${related.thumbnail_url ? `<img src="${escapeHtml(related.thumbnail_url)}" alt="" class="related-thumbnail" loading="lazy">` : '<div class="related-thumbnail placeholder"></div>'}
+              <span class="related-title">${escapeHtml(related.episode_title)}</span>
+              <span class="related-channel">${escapeHtml(related.podcast_name || '')}</span>
+            </a>`).join('\n            ')}
+          </div>
+        </section>` : '';
+
+  const body = `      <article class="episode-page">
+        <div class="episode-hero">
+          <div class="episode-hero-thumbnail">${renderThumbnail(episode)}</div>
+          <div class="episode-hero-details">
+            <h2>${escapeHtml(episode.episode_title)}</h2>
+            ${episode.podcast_name ? renderChannelName(episode) : ''}
+            <p class="episode-page-meta">${escapeHtml(meta.join(' · '))}</p>
+            ${renderEpisodeLinks(episode)}
+          </div>
+        </div>
+
+        <section class="episode-section">
+          <h3>Summary</h3>
+          <p class="episode-summary">${escapeHtml(episode.summary || 'No summary yet.')}</p>
+        </section>
+        ${episode.best_part ? `
+        <section class="episode-section">
+          <h3>Best part</h3>
+          <p class="episode-best-part">${escapeHtml(episode.best_part)}</p>
+        </section>` : ''}
+        ${keywordsHtml}
+
+        <section class="episode-section">
+          <div class="transcript-header">
+            <h3>Transcript</h3>
+            <div class="transcript-find">
+              <input type="search" id="transcriptFind" placeholder="Find in transcript..." autocomplete="off">
+              <span id="findCount" class="find-count"></span>
+              <button type="button" class="find-btn" title="Previous match" onclick="goToMatch(-1)">&#8593;</button>
+              <button type="button" class="find-btn" title="Next match" onclick="goToMatch(1)">&#8595;</button>
+            </div>
+          </div>
+          <div id="episodeTranscript" class="episode-transcript">
+${transcriptHtml}
+          </div>
+        </section>
+        ${relatedHtml}
+      </article>`;
+
+  const description = truncate(episode.summary || `${episode.episode_title} from ${episode.podcast_name}: summary, topics and full transcript.`);
+
+  return renderPage({
+    title: `${episode.episode_title}${episode.podcast_name ? ` - ${episode.podcast_name}` : ''} | ${SITE_NAME}`,
+    description,
+    canonicalUrl: episodeUrl(episode.id),
+    language: episode.language || 'en',
+    image: episode.thumbnail_url,
+    ogType: 'article',
+    jsonLd: episodeJsonLd(episode),
+    body,
+    scripts: ['/episode.js']
+  });
+}
+
+// Episode cards for topic and channel pages
+function renderEpisodeList(episodes, showChannel = true) {
+  return episodes.map(episode => `        <div class="episode-card">
+          <div class="episode-card-content">
+            <a href="/episode/${episode.id}" class="episode-thumbnail-wrapper">${renderThumbnail(episode)}</a>
+            <div class="episode-details">
+              <div class="episode-card-header">
+                <div class="episode-title-group">
+                  <h3><a href="/episode/${episode.id}" class="episode-title-link">${escapeHtml(episode.episode_title)}</a></h3>
+                  ${showChannel && episode.podcast_name ? renderChannelName(episode) : ''}
+                </div>
+                <div class="episode-meta">
+                  ${episode.upload_date ? `<span class="upload-date">${escapeHtml(displayDate(episode.upload_date, episode.language))}</span>` : ''}
+                  ${episode.duration_seconds ? `<span class="episode-duration">${formatDuration(episode.duration_seconds)}</span>` : ''}
+                </div>
+              </div>
+              <p class="summary">${escapeHtml(episode.summary || '')}</p>
+            </div>
+          </div>
+        </div>`).join('\n');
+}
+
+// Previous/next links for a paginated list page
+function renderPagination(urlForPage, page, totalPages) {
+  if (totalPages <= 1) return '';
+  return `      <nav class="seo-pagination">
+        ${page > 1 ? `<a href="${escapeHtml(urlForPage(page - 1))}" rel="prev" class="load-more-btn">&larr; Newer</a>` : ''}
+        <span class="results-count">Page ${page} of ${totalPages}</span>
+        ${page < totalPages ? `<a href="${escapeHtml(urlForPage(page + 1))}" rel="next" class="load-more-btn">Older &rarr;</a>` : ''}
+      </nav>`;
+}
+
+function paginationLinks(urlForPage, page, totalPages) {
+  return [
+    page > 1 ? `<link rel="prev" href="${escapeHtml(urlForPage(page - 1))}">` : '',
+    page < totalPages ? `<link rel="next" href="${escapeHtml(urlForPage(page + 1))}">` : ''
+  ].join('');
+}
+
+// Topic page: episodes tagged with a keyword, newest first
+function renderTopicPage({ keyword, episodes, total, page, totalPages, channels }) {
+  const urlForPage = p => topicUrl(keyword, p);
+  const channelList = channels.slice(0, 3).join(', ');
+
+  const body = `      <section class="results-section">
+        <div class="results-header">
+          <div class="results-header-left">
+            <h2>${escapeHtml(keyword)}</h2>
+            <p class="results-count">${total} episode${total === 1 ? '' : 's'} about ${escapeHtml(keyword)}</p>
+          </div>
+          <a href="/?q=${encodeURIComponent(keyword)}" class="tag">Search all mentions</a>
+        </div>
+        <div class="results-list">
+${renderEpisodeList(episodes)}
+        </div>
+${renderPagination(urlForPage, page, totalPages)}
+      </section>`;
+
+  return renderPage({
+    title: `${keyword} - Podcast episodes${page > 1 ? ` (page ${page})` : ''} | ${SITE_NAME}`,
+    description: truncate(`${total} podcast episode${total === 1 ? '' : 's'} about ${keyword}${channelList ? `, from ${channelList}` : ''}. Summaries, best moments and full transcripts.`),
+    canonicalUrl: urlForPage(page),
+    image: episodes.length > 0 ? episodes[0].thumbnail_url : null,
+    links: paginationLinks(urlForPage, page, totalPages),
+    jsonLd: episodeListJsonLd(`${keyword} podcast episodes`, urlForPage(page), episodes, (page - 1) * SEO_PAGE_SIZE),
+    body
+  });
+}
+
+// Channel page: the channel's episodes, newest first, and its main topics
+function renderChannelPage({ channel, slug, episodes, total, page, totalPages, keywords, language }) {
+  const urlForPage = p => channelUrl(slug, p);
+
+  const keywordsHtml = keywords.length > 0 ? `
+        <div class="tags-cloud channel-topics">
+          ${keywords.map(k => `<a href="/topic/${encodeURIComponent(k)}" class="tag">${escapeHtml(k)}</a>`).join('\n          ')}
+        </div>` : '';
+
+  const body = `      <section class="results-section">
+        <div class="results-header">
+          <div class="results-header-left">
+            <h2>${escapeHtml(channel)}</h2>
+            <p class="results-count">${total} episode${total === 1 ? '' : 's'} indexed</p>
+          </div>
+          <a href="/?q=${encodeURIComponent(`channel:"${channel.replace(/"/g, '')}"`)}" class="tag">Search this channel</a>
+        </div>
+        ${keywordsHtml}
+        <div class="results-list">
+${renderEpisodeList(episodes, false)}
+        </div>
+${renderPagination(urlForPage, page, totalPages)}
+      </section>`;
+
+  const jsonLd = episodeListJsonLd(`${channel} episodes`, urlForPage(page), episodes, (page - 1) * SEO_PAGE_SIZE);
+
+  return renderPage({
+    title: `${channel} - Episodes and transcripts${page > 1 ? ` (page ${page})` : ''} | ${SITE_NAME}`,
+    description: truncate(`${total} episode${total === 1 ? '' : 's'} of ${channel} with summaries and searchable transcripts${keywords.length > 0 ? `. Topics: ${keywords.slice(0, 5).join(', ')}` : ''}.`),
+    canonicalUrl: urlForPage(page),
+    language: language || 'en',
+    image: episodes.length > 0 ? episodes[0].thumbnail_url : null,
+    links: paginationLinks(urlForPage, page, totalPages),
+    jsonLd,
+    body
+  });
+}
+
+// 404 page for unknown episodes, topics and channels
+function renderNotFoundPage(message) {
+  return renderPage({
+    title: `Not found | ${SITE_NAME}`,
+    description: message,
+    canonicalUrl: `${SITE_URL}/`,
+    body: `      <div class="no-results">
+        <h3>${escapeHtml(message)}</h3>
+        <p><a href="/" class="tag">Search all podcasts</a></p>
+      </div>`
+  }).replace('<head>', '<head>\n  <meta name="robots" content="noindex">');
+}
+
+// ============================================
+// SITEMAP
+// ============================================
+
+// <urlset> for [{ loc, lastmod, changefreq, priority }]
+function renderUrlset(urls) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url>
+    <loc>${escapeHtml(url.loc)}</loc>
+${url.lastmod ? `    <lastmod>${isoDate(url.lastmod)}</lastmod>\n` : ''}    <changefreq>${url.changefreq}</changefreq>
+    <priority>${url.priority}</priority>
+  </url>`).join('\n')}
+</urlset>`;
+}
+
+// <sitemapindex> for [{ loc, lastmod }]
+function renderSitemapIndex(sitemaps) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.map(sitemap => `  <sitemap>
+    <loc>${escapeHtml(sitemap.loc)}</loc>
+${sitemap.lastmod ? `    <lastmod>${isoDate(sitemap.lastmod)}</lastmod>\n` : ''}  </sitemap>`).join('\n')}
+</sitemapindex>`;
+}
+
+module.exports = {
+  SITE_URL,
+  SEO_PAGE_SIZE,
+  SITEMAP_MAX_URLS,
+  slugify,
+  episodeUrl,
+  topicUrl,
+  channelPath,
+  channelUrl,
+  renderEpisodePage,
+  renderTopicPage,
+  renderChannelPage,
+  renderNotFoundPage,
+  renderUrlset,
+  renderSitemapIndex
+};
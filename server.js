@@ -4,12 +4,29 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const util = require('util');
 const crypto = require('crypto');
-const execPromise = util.promisify(exec);
+const execFilePromise = util.promisify(execFile);
 const pool = require('./db');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const jobs = require('./jobs');
+const llm = require('./llm');
+const embeddings = require('./embeddings');
+const spotify = require('./spotify');
+const feeds = require('./feeds');
+const asr = require('./asr');
+const subtitles = require('./subtitles');
+const seo = require('./seo');
+const related = require('./related');
+const suggest = require('./suggest');
+const clicks = require('./clicks');
+const {
+  parseQuery, compileQuery, withRelevanceScore, encodeSearchCursor, decodeSearchCursor,
+  parseSearchFilters, filterConditions, durationFacetColumns,
+  groupChunksByEpisode, semanticScoreColumn, semanticMatchCondition, withSemanticScore, withClickBoost, withManualTranscriptFirst,
+  FULLTEXT_COLUMNS, FULLTEXT_STOPWORDS, EPISODE_HAS_KEYWORD_SQL,
+  SEARCH_SORTS, SEARCH_MODES, SEMANTIC_CHUNK_LIMIT, SEARCH_PAGE_SIZE, MAX_SEARCH_PAGE_SIZE, DURATION_BUCKETS, KEYWORD_FACET_LIMIT
+} = require('./search');
 
 // ============================================
 // ADMIN AUTHENTICATION HELPERS
@@ -33,16 +50,42 @@ function generateToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
+// Middleware: require a valid admin session (X-Admin-Token header)
+async function requireAdmin(req, res, next) {
+  const token = req.headers['x-admin-token'];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const [sessions] = await pool.execute(
+      'SELECT s.user_id, u.email FROM admin_sessions s JOIN admin_users u ON s.user_id = u.id WHERE s.token = ? AND s.expires_at > NOW()',
+      [token]
+    );
+
+    if (sessions.length === 0) {
+      return res.status(401).json({ error: 'Invalid session' });
+    }
+
+    req.admin = { userId: sessions[0].user_id, email: sessions[0].email };
+    next();
+  } catch (error) {
+    console.error('Admin auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Gemini AI
-if (!process.env.GEMINI_API_KEY) {
-  console.error('WARNING: GEMINI_API_KEY environment variable is not set');
-}
+// Proxies in front of the app (Railway: 1, 0 when clients connect directly). req.ip is then the
+// address the outermost trusted proxy saw, not whatever a client puts in X-Forwarded-For.
+const TRUST_PROXY_HOPS = process.env.TRUST_PROXY_HOPS !== undefined ? parseInt(process.env.TRUST_PROXY_HOPS) || 0 : 1;
+app.set('trust proxy', TRUST_PROXY_HOPS);
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
+// Initialize the LLM provider (LLM_PROVIDER=gemini|openai|mock, see llm/index.js)
+llm.getProvider();
 
 // Middleware
 app.use(cors());
@@ -66,12 +109,6 @@ if (!fs.existsSync(TEMP_DIR)) {
   fs.mkdirSync(TEMP_DIR, { recursive: true });
 }
 
-// Track channel processing jobs
-const channelJobs = new Map();
-
-// Track AI processing jobs
-const aiJobs = new Map();
-
 // System logs for cron/automation (keep last 500 entries in memory)
 const systemLogs = [];
 const MAX_LOGS = 500;
@@ -113,22 +150,28 @@ if (YT_DLP_COOKIES_BASE64 && !YT_DLP_COOKIES_FILE) {
   }
 }
 
-let YT_DLP_OPTS = '';
+const YT_DLP_OPTS = [];
 if (cookiesFilePath) {
-  YT_DLP_OPTS = `--cookies "${cookiesFilePath}"`;
+  YT_DLP_OPTS.push('--cookies', cookiesFilePath);
 } else if (YT_DLP_BROWSER) {
-  YT_DLP_OPTS = `--cookies-from-browser ${YT_DLP_BROWSER}`;
+  YT_DLP_OPTS.push('--cookies-from-browser', YT_DLP_BROWSER);
 }
 // Always add age-limit
-YT_DLP_OPTS += ' --age-limit 99';
+YT_DLP_OPTS.push('--age-limit', '99');
 
-// Helper function to build yt-dlp command
-function ytdlp(args) {
-  return `${YT_DLP_PATH} ${YT_DLP_OPTS} ${args}`;
+// Run yt-dlp on a URL, resolving to { stdout, stderr }. No shell is involved: URLs come from users
+// and third-party feeds, and are passed after "--" so they are never read as options either.
+function ytdlp(args, url, options) {
+  return execFilePromise(YT_DLP_PATH, [...YT_DLP_OPTS, ...args, '--', url], options);
 }
 
 // Detect URL type
 function detectUrlType(url) {
+  // Any other web address is taken for a podcast RSS feed
+  if (!url.includes('youtube.com') && !url.includes('youtu.be')) {
+    return /^https?:\/\/\S+$/i.test(url) ? 'feed' : 'unknown';
+  }
+
   if (url.includes('/watch?v=') || url.includes('youtu.be/')) {
     return 'video';
   } else if (url.includes('/channel/') || url.includes('/c/') || url.includes('/@') || url.includes('/user/')) {
@@ -157,8 +200,9 @@ async function getChannelVideos(channelUrl, maxVideos = 50) {
   console.log(`Fetching videos from channel (max ${maxVideos})...`);
 
   try {
-    const { stdout } = await execPromise(
-      ytdlp(`--flat-playlist --dump-json --playlist-end ${maxVideos} "${channelUrl}"`),
+    const { stdout } = await ytdlp(
+      ['--flat-playlist', '--dump-json', '--playlist-end', String(maxVideos)],
+      channelUrl,
       { timeout: 120000, maxBuffer: 50 * 1024 * 1024 }
     );
 
@@ -191,10 +235,7 @@ async function getChannelVideos(channelUrl, maxVideos = 50) {
 // Get YouTube video info
 async function getYoutubeInfo(youtubeUrl) {
   try {
-    const { stdout } = await execPromise(
-      ytdlp(`--dump-json --no-download "${youtubeUrl}"`),
-      { timeout: 30000 }
-    );
+    const { stdout } = await ytdlp(['--dump-json', '--no-download'], youtubeUrl, { timeout: 30000 });
     const info = JSON.parse(stdout);
 
     // Get best thumbnail
@@ -213,22 +254,59 @@ async function getYoutubeInfo(youtubeUrl) {
       uploadDate = `${dateStr.substring(0, 4)}-${dateStr.substring(4, 6)}-${dateStr.substring(6, 8)}`;
     }
 
+    // Spoken language: yt-dlp labels the untranslated auto-caption track "<lang>-orig"
+    const originalTrack = Object.keys(info.automatic_captions || {}).find(key => key.endsWith('-orig'));
+
     return {
       title: info.title || 'Unknown',
       channel: info.uploader || info.channel || 'Unknown',
       duration: info.duration || 0,
       thumbnail: thumbnail,
-      uploadDate: uploadDate
+      uploadDate: uploadDate,
+      originalLanguage: originalTrack ? originalTrack.slice(0, -'-orig'.length) : (info.language || null)
     };
   } catch (error) {
     console.error('Could not get YouTube info:', error.message);
-    return { title: 'Unknown', channel: 'Unknown', duration: 0, thumbnail: null, uploadDate: null };
+    return { title: 'Unknown', channel: 'Unknown', duration: 0, thumbnail: null, uploadDate: null, originalLanguage: null };
+  }
+}
+
+// Subtitle formats asked from yt-dlp, most preferred first; "best" takes whatever the video offers
+const SUBTITLE_DOWNLOAD_FORMATS = 'vtt/srt/json3/srv3/ttml/best';
+
+// true: only use subtitles in the requested language (the video is skipped instead of falling back
+// to a track in another language, e.g. English auto-captions on a French channel)
+const SUBTITLES_REQUIRE_LANGUAGE = process.env.SUBTITLES_REQUIRE_LANGUAGE === 'true';
+
+// Primary language subtag ("en" for "en-US", "en-orig", "en-fr")
+function primaryLanguage(code) {
+  return code ? String(code).split('-')[0].toLowerCase() : null;
+}
+
+// Language and translation status of a downloaded subtitle track, from its file name
+// (<videoId>.<lang>.<ext>). Manual tracks are never translated. yt-dlp names auto-translations
+// of a manual track "<lang>-<source lang>" (lower case, unlike regions such as "en-US"); other
+// auto tracks are translated when not in the spoken language (null when that is unknown).
+function subtitleTrack(filename, videoId, kind, originalLanguage) {
+  const code = filename.slice(videoId.length + 1).split('.')[0];
+  const lang = code.replace(/-orig$/, '');
+
+  let translated = false;
+  if (kind === 'auto' && !code.endsWith('-orig')) {
+    if (/^[a-z]{2,3}-[a-z]{2,3}$/.test(lang)) {
+      translated = true;
+    } else {
+      translated = originalLanguage ? primaryLanguage(lang) !== primaryLanguage(originalLanguage) : null;
+    }
   }
+  return { lang, translated };
 }
 
-// Download subtitles from YouTube using yt-dlp
+// Download subtitles from YouTube using yt-dlp. Returns { segments, kind: 'manual' | 'auto', lang, translated }
+// for the track used, or null when none was found. originalLanguage (spoken language, from getYoutubeInfo)
+// tells auto-translated tracks apart.
 // Priority: 1. Manual subs in requested language, 2. Auto-generated in requested language, 3. Any available subs
-async function downloadSubtitles(youtubeUrl, videoId, language = 'en') {
+async function downloadSubtitles(youtubeUrl, videoId, language = 'en', originalLanguage = null) {
   const outputPath = path.join(TEMP_DIR, videoId);
 
   // Map language codes to yt-dlp subtitle language patterns
@@ -238,19 +316,46 @@ async function downloadSubtitles(youtubeUrl, videoId, language = 'en') {
   };
   const subLang = langPatterns[language] || `${language}.*,${language}`;
 
-  // Helper to check for and read subtitle files
-  const checkAndReadSubs = () => {
-    const files = fs.readdirSync(TEMP_DIR).filter(f => f.startsWith(videoId) && f.endsWith('.vtt'));
-    if (files.length > 0) {
-      const subtitlePath = path.join(TEMP_DIR, files[0]);
-      const vttContent = fs.readFileSync(subtitlePath, 'utf8');
-      // Clean up all subtitle files for this video
-      files.forEach(f => {
-        try { fs.unlinkSync(path.join(TEMP_DIR, f)); } catch (e) {}
-      });
-      return parseVTT(vttContent);
+  const strategies = [
+    { kind: 'manual', flag: '--write-subs', subLang, label: `manual subs in ${language}` },
+    { kind: 'auto', flag: '--write-auto-subs', subLang, label: `auto-generated subs in ${language}` }
+  ];
+  if (!SUBTITLES_REQUIRE_LANGUAGE) {
+    strategies.push(
+      { kind: 'manual', flag: '--write-subs', subLang: null, label: 'any manual subs' },
+      { kind: 'auto', flag: '--write-auto-subs', subLang: null, label: 'any auto-generated subs' }
+    );
+  }
+
+  // Helper to check for and read subtitle files (in whichever format yt-dlp could get).
+  // A language pattern can match several tracks: untranslated ones are read first.
+  const checkAndReadSubs = (kind) => {
+    const files = fs.readdirSync(TEMP_DIR).filter(f => f.startsWith(`${videoId}.`) && subtitles.formatFromFilename(f));
+    const translationRank = track => track.translated === false ? 0 : track.translated === null ? 1 : 2;
+    const tracks = files
+      .map(file => ({ file, ...subtitleTrack(file, videoId, kind, originalLanguage) }))
+      .sort((a, b) => translationRank(a) - translationRank(b));
+
+    let result = null;
+    for (const track of tracks) {
+      if (SUBTITLES_REQUIRE_LANGUAGE && primaryLanguage(track.lang) !== primaryLanguage(language)) continue;
+      try {
+        const content = fs.readFileSync(path.join(TEMP_DIR, track.file), 'utf8');
+        const segments = subtitles.parseSubtitles(content, subtitles.formatFromFilename(track.file), { auto: kind === 'auto' });
+        if (segments.length > 0) {
+          result = { segments, kind, lang: track.lang, translated: track.translated };
+          break;
+        }
+      } catch (e) {
+        console.error(`[Subtitles] Could not parse ${track.file}:`, e.message);
+      }
     }
-    return null;
+
+    // Clean up all subtitle files for this video
+    files.forEach(f => {
+      try { fs.unlinkSync(path.join(TEMP_DIR, f)); } catch (e) {}
+    });
+    return result;
   };
 
   // Helper to clean up files
@@ -262,60 +367,23 @@ async function downloadSubtitles(youtubeUrl, videoId, language = 'en') {
   };
 
   try {
-    // 1. First try manual subtitles in the requested language
-    console.log(`[Subtitles] Trying manual subs in ${language}...`);
-    try {
-      const cmd1 = ytdlp(`--skip-download --write-subs --sub-lang "${subLang}" --sub-format vtt -o "${outputPath}" --no-playlist "${youtubeUrl}"`);
-      await execPromise(cmd1, { timeout: 60000 });
-      const result1 = checkAndReadSubs();
-      if (result1) {
-        console.log(`[Subtitles] Found manual subs in ${language}`);
-        return result1;
-      }
-    } catch (e) {
-      cleanupFiles();
-    }
-
-    // 2. Try auto-generated subtitles in the requested language
-    console.log(`[Subtitles] Trying auto-generated subs in ${language}...`);
-    try {
-      const cmd2 = ytdlp(`--skip-download --write-auto-subs --sub-lang "${subLang}" --sub-format vtt -o "${outputPath}" --no-playlist "${youtubeUrl}"`);
-      await execPromise(cmd2, { timeout: 60000 });
-      const result2 = checkAndReadSubs();
-      if (result2) {
-        console.log(`[Subtitles] Found auto-generated subs in ${language}`);
-        return result2;
-      }
-    } catch (e) {
-      cleanupFiles();
-    }
-
-    // 3. Try any manual subtitles
-    console.log(`[Subtitles] Trying any manual subs...`);
-    try {
-      const cmd3 = ytdlp(`--skip-download --write-subs --sub-format vtt -o "${outputPath}" --no-playlist "${youtubeUrl}"`);
-      await execPromise(cmd3, { timeout: 60000 });
-      const result3 = checkAndReadSubs();
-      if (result3) {
-        console.log(`[Subtitles] Found manual subs in another language`);
-        return result3;
-      }
-    } catch (e) {
-      cleanupFiles();
-    }
-
-    // 4. Try any auto-generated subtitles
-    console.log(`[Subtitles] Trying any auto-generated subs...`);
-    try {
-      const cmd4 = ytdlp(`--skip-download --write-auto-subs --sub-format vtt -o "${outputPath}" --no-playlist "${youtubeUrl}"`);
-      await execPromise(cmd4, { timeout: 60000 });
-      const result4 = checkAndReadSubs();
-      if (result4) {
-        console.log(`[Subtitles] Found auto-generated subs in another language`);
-        return result4;
+    for (const strategy of strategies) {
+      console.log(`[Subtitles] Trying ${strategy.label}...`);
+      try {
+        const langArgs = strategy.subLang ? ['--sub-lang', strategy.subLang] : [];
+        await ytdlp(
+          ['--skip-download', strategy.flag, ...langArgs, '--sub-format', SUBTITLE_DOWNLOAD_FORMATS, '-o', outputPath, '--no-playlist'],
+          youtubeUrl,
+          { timeout: 60000 }
+        );
+        const result = checkAndReadSubs(strategy.kind);
+        if (result) {
+          console.log(`[Subtitles] Found ${strategy.label} (${result.lang}${result.translated ? ', translated' : ''})`);
+          return result;
+        }
+      } catch (e) {
+        cleanupFiles();
       }
-    } catch (e) {
-      cleanupFiles();
     }
 
     console.log(`[Subtitles] No subtitles found for ${videoId}`);
@@ -327,38 +395,118 @@ async function downloadSubtitles(youtubeUrl, videoId, language = 'en') {
   }
 }
 
-// Parse VTT subtitle format to plain text
-function parseVTT(vttContent) {
-  const lines = vttContent.split('\n');
-  const textLines = [];
-  let lastLine = '';
+// Download the audio track of a video or feed episode (yt-dlp also handles direct audio links).
+// Returns the path of the downloaded file.
+async function downloadAudio(url, fileId) {
+  const prefix = `${fileId}.audio.`;
+  await ytdlp(
+    ['-f', 'bestaudio/best', '--no-playlist', '-o', `${path.join(TEMP_DIR, prefix)}%(ext)s`],
+    url,
+    { timeout: 30 * 60 * 1000 }
+  );
+
+  const file = fs.readdirSync(TEMP_DIR).find(f => f.startsWith(prefix) && !f.endsWith('.part'));
+  if (!file) {
+    throw new Error('yt-dlp did not produce an audio file');
+  }
+  return path.join(TEMP_DIR, file);
+}
+
+// Whether to fall back to speech-to-text: when asked (Retry Skipped) or always with ASR_AUTO
+function shouldUseAsr(options = {}) {
+  return asr.isEnabled() && (!!options.useAsr || asr.AUTO_TRANSCRIBE);
+}
+
+// Speech-to-text fallback for audio without subtitles or transcript. Returns { segments } when
+// transcribed, else { reason } to record in skipped_videos (too long or unknown length, failure).
+async function transcribeAudioFallback(url, fileId, durationSeconds, language) {
+  if (!asr.isWithinDurationLimit(durationSeconds)) {
+    console.log(`[ASR] Not transcribing ${fileId}: duration ${durationSeconds || 'unknown'} is over the limit`);
+    return { reason: 'asr_duration_limit' };
+  }
+
+  try {
+    console.log(`[ASR] Transcribing ${fileId} (${Math.round(durationSeconds / 60)} min)...`);
+    const audioPath = await downloadAudio(url, fileId);
+    const segments = await asr.transcribe(audioPath, { language, durationSeconds });
+    return { segments };
+  } catch (error) {
+    console.error(`[ASR] Transcription failed for ${fileId}:`, error.message);
+    return { reason: 'asr_failed' };
+  } finally {
+    fs.readdirSync(TEMP_DIR)
+      .filter(f => f.startsWith(`${fileId}.audio.`))
+      .forEach(f => {
+        try { fs.unlinkSync(path.join(TEMP_DIR, f)); } catch (e) {}
+      });
+  }
+}
+
+// Join timed segments into the plain transcript plus a timing index.
+// timings is a list of [charOffset, seconds] pairs, one per second boundary,
+// so any position in the transcript can be mapped back to the video time.
+function buildTimedTranscript(segments) {
+  let transcript = '';
+  const timings = [];
+
+  for (const segment of segments) {
+    const text = segment.text.replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+
+    if (transcript) transcript += ' ';
 
-  for (const line of lines) {
-    if (line.startsWith('WEBVTT') ||
-        line.startsWith('Kind:') ||
-        line.startsWith('Language:') ||
-        line.includes('-->') ||
-        line.trim() === '' ||
-        /^\d+$/.test(line.trim())) {
-      continue;
+    const seconds = Math.floor(segment.start);
+    if (timings.length === 0 || timings[timings.length - 1][1] !== seconds) {
+      timings.push([transcript.length, seconds]);
     }
+    transcript += text;
+  }
+
+  return { transcript, timings };
+}
+
+// Parse the stored transcript_timings column (JSON text) into an array
+function parseTimings(raw) {
+  if (!raw) return null;
+  if (Array.isArray(raw)) return raw;
+  try {
+    const timings = JSON.parse(raw);
+    return Array.isArray(timings) && timings.length > 0 ? timings : null;
+  } catch (e) {
+    return null;
+  }
+}
 
-    let cleanLine = line
-      .replace(/<[^>]+>/g, '')
-      .replace(/&nbsp;/g, ' ')
-      .trim();
+// Find the video time (seconds) for a character offset in the transcript
+function findTimeAtOffset(timings, offset) {
+  if (!timings || timings.length === 0) return null;
 
-    if (cleanLine && cleanLine !== lastLine) {
-      textLines.push(cleanLine);
-      lastLine = cleanLine;
+  let low = 0;
+  let high = timings.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (timings[mid][0] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
     }
   }
+  return timings[low][1];
+}
 
-  return textLines.join(' ').replace(/\s+/g, ' ').trim();
+// Build a link that starts playback at the given time: YouTube's t parameter, or a media
+// fragment (#t=) on the audio file of an episode from an RSS feed
+function buildTimestampUrl(url, seconds) {
+  if (!url || seconds === null || seconds === undefined) return null;
+  const videoId = extractYoutubeId(url);
+  if (videoId) return `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(seconds)}s`;
+  if (!/^https?:\/\//i.test(url)) return null;
+  return `${url.split('#')[0]}#t=${Math.floor(seconds)}`;
 }
 
 // Process a single video and save to database
-async function processVideo(url, videoId, skipExisting = true, language = 'en') {
+// options.useAsr: transcribe the audio when there are no subtitles (see shouldUseAsr)
+async function processVideo(url, videoId, skipExisting = true, language = 'en', options = {}) {
   // Check if already processed in podcasts
   if (skipExisting) {
     const [existing] = await pool.execute(
@@ -383,7 +531,18 @@ async function processVideo(url, videoId, skipExisting = true, language = 'en')
   const ytInfo = await getYoutubeInfo(url);
 
   // Download subtitles in the selected language
-  const transcript = await downloadSubtitles(url, videoId, language);
+  const subs = await downloadSubtitles(url, videoId, language, ytInfo.originalLanguage);
+  let { transcript, timings } = buildTimedTranscript(subs ? subs.segments : []);
+  let transcriptSource = 'subtitles';
+  let skipReason = 'no_subtitles';
+
+  // No usable subtitles: transcribe the audio when the speech-to-text fallback is on
+  if ((!transcript || transcript.length < 50) && shouldUseAsr(options)) {
+    const fallback = await transcribeAudioFallback(url, videoId, ytInfo.duration, language);
+    ({ transcript, timings } = buildTimedTranscript(fallback.segments || []));
+    transcriptSource = 'asr';
+    skipReason = fallback.reason || 'no_speech';
+  }
 
   if (!transcript || transcript.length < 50) {
     // Save to skipped_videos table so we don't retry this video
@@ -391,72 +550,62 @@ async function processVideo(url, videoId, skipExisting = true, language = 'en')
       await pool.execute(
         `INSERT IGNORE INTO skipped_videos (video_id, video_url, channel_name, video_title, skip_reason)
          VALUES (?, ?, ?, ?, ?)`,
-        [videoId, url, ytInfo.channel || 'Unknown', ytInfo.title || 'Unknown', 'no_subtitles']
+        [videoId, url, ytInfo.channel || 'Unknown', ytInfo.title || 'Unknown', skipReason]
       );
     } catch (e) {
       // Ignore errors (duplicate key, etc.)
     }
-    return { skipped: true, reason: 'no_subtitles', channel: ytInfo.channel, title: ytInfo.title };
+    return { skipped: true, reason: skipReason, channel: ytInfo.channel, title: ytInfo.title };
   }
 
-  // Language-specific instructions for Gemini
-  const langInstructions = {
-    'en': 'Respond in English.',
-    'fr': 'Réponds en français.'
-  };
-  const langInstruction = langInstructions[language] || 'Respond in the same language as the transcript.';
-
-  // Analyze with Gemini
-  const prompt = `Analyze this YouTube video transcript and provide the following in JSON format:
-{
-  "summary": "A concise 2-3 sentence summary of the video content",
-  "best_part": "The most interesting, insightful, or valuable quote or segment (1-3 sentences, exact quote from the transcript)"
-}
-
-IMPORTANT: ${langInstruction}
-
-Video Title: ${ytInfo.title}
-Channel: ${ytInfo.channel}
-
-Transcript:
-${transcript.substring(0, 30000)}`;
-
-  const result = await model.generateContent(prompt);
-  const response = result.response;
-  const text = response.text();
-
-  let analysis;
-  try {
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      analysis = JSON.parse(jsonMatch[0]);
-    } else {
-      throw new Error('No JSON found');
-    }
-  } catch (e) {
-    analysis = {
-      summary: 'Could not generate summary',
-      best_part: 'Could not extract best part'
-    };
-  }
+  // Analyze the full transcript with the configured LLM provider (chunked when long)
+  const analysis = await llm.analyzeTranscript({
+    title: ytInfo.title,
+    channel: ytInfo.channel,
+    transcript,
+    language
+  });
 
-  // Save to database with thumbnail, language and upload date
+  // Save to database with timings, thumbnail, language, upload date and duration
   const [insertResult] = await pool.execute(
-    `INSERT INTO podcasts (spotify_url, podcast_name, episode_title, transcript, best_part, summary, thumbnail_url, language, upload_date)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    `INSERT INTO podcasts (spotify_url, podcast_name, episode_title, transcript, transcript_timings, best_part, summary, thumbnail_url, language, upload_date, duration_seconds, transcript_source, subtitle_kind, subtitle_lang, is_translated)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       url,
       ytInfo.channel || 'Unknown',
       ytInfo.title || 'Unknown',
       transcript,
+      JSON.stringify(timings),
       analysis.best_part || '',
       analysis.summary || '',
       ytInfo.thumbnail || null,
       language,
-      ytInfo.uploadDate || null
+      ytInfo.uploadDate || null,
+      ytInfo.duration ? Math.round(ytInfo.duration) : null,
+      transcriptSource,
+      // Which subtitle track the transcript came from (none for speech-to-text)
+      transcriptSource === 'subtitles' ? subs.kind : null,
+      transcriptSource === 'subtitles' ? subs.lang : null,
+      transcriptSource === 'subtitles' ? subs.translated : null
     ]
   );
 
+  // The channel page needs the channel's slug (backfillChannelSlugs catches up on failures)
+  try {
+    await ensureChannelSlug(ytInfo.channel || 'Unknown');
+  } catch (error) {
+    console.error(`[Channels] Could not set the slug of ${ytInfo.channel}:`, error.message);
+  }
+
+  // Index the transcript for semantic search (the "Build Embeddings" job can catch up on failures)
+  if (embeddings.isEnabled()) {
+    try {
+      await embeddings.embedEpisode(insertResult.insertId, transcript);
+    } catch (error) {
+      console.error(`[Embeddings] Could not embed video ${videoId}:`, error.message);
+    }
+  }
+
   return {
     success: true,
     id: insertResult.insertId,
@@ -469,7 +618,7 @@ ${transcript.substring(0, 30000)}`;
 }
 
 // Check if URL already exists
-app.get('/api/check', async (req, res) => {
+app.get('/api/check', requireAdmin, async (req, res) => {
   try {
     const url = req.query.url;
     if (!url) {
@@ -493,7 +642,7 @@ app.get('/api/check', async (req, res) => {
 });
 
 // Process single video or start channel processing
-app.post('/api/process', async (req, res) => {
+app.post('/api/process', requireAdmin, async (req, res) => {
   try {
     const { url, maxVideos = 50, language = 'en' } = req.body;
 
@@ -501,10 +650,6 @@ app.post('/api/process', async (req, res) => {
       return res.status(400).json({ error: 'URL is required' });
     }
 
-    if (!url.includes('youtube.com') && !url.includes('youtu.be')) {
-      return res.status(400).json({ error: 'Please provide a valid YouTube URL' });
-    }
-
     const urlType = detectUrlType(url);
 
     if (urlType === 'video') {
@@ -536,18 +681,11 @@ app.post('/api/process', async (req, res) => {
       });
 
     } else if (urlType === 'channel' || urlType === 'playlist') {
-      // Channel/playlist processing - return job ID immediately
-      const jobId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-
-      channelJobs.set(jobId, {
-        status: 'starting',
+      // Channel/playlist processing - queue a job and return its ID immediately
+      const jobId = await jobs.createJob('channel', {
         url: url,
-        language: language,
-        total: 0,
-        processed: 0,
-        skipped: 0,
-        failed: 0,
-        results: []
+        maxVideos: Math.min(maxVideos, 100),
+        language: language
       });
 
       res.json({
@@ -557,11 +695,28 @@ app.post('/api/process', async (req, res) => {
         message: `Started processing ${urlType}. Use /api/channel-status/${jobId} to check progress.`
       });
 
-      // Process in background
-      processChannelAsync(jobId, url, Math.min(maxVideos, 100), language);
+    } else if (urlType === 'feed') {
+      // Podcast RSS feed - index its episodes that publish a transcript (checked to be a feed first)
+      try {
+        await feeds.fetchFeed(url);
+      } catch (error) {
+        return res.status(400).json({ error: `Could not read a podcast RSS feed at this URL: ${error.message}` });
+      }
+      const jobId = await jobs.createJob('rss_feed', {
+        url: url,
+        maxEpisodes: Math.min(maxVideos, 100),
+        language: language
+      });
+
+      res.json({
+        success: true,
+        type: urlType,
+        jobId: jobId,
+        message: `Started processing feed. Use /api/channel-status/${jobId} to check progress.`
+      });
 
     } else {
-      return res.status(400).json({ error: 'Could not determine URL type. Use a video, channel, or playlist URL.' });
+      return res.status(400).json({ error: 'Could not determine URL type. Use a YouTube video, channel or playlist URL, or a podcast RSS feed URL.' });
     }
 
   } catch (error) {
@@ -570,255 +725,620 @@ app.post('/api/process', async (req, res) => {
   }
 });
 
-// Background channel processing
-async function processChannelAsync(jobId, channelUrl, maxVideos, language = 'en') {
-  const job = channelJobs.get(jobId);
+// Job progress helpers: remember which items a job has handled so a resumed job skips them
+function getJobDoneIds(job) {
+  return new Set(job.data.doneIds || []);
+}
 
-  try {
-    job.status = 'fetching_videos';
-    const allVideos = await getChannelVideos(channelUrl, maxVideos);
+async function markJobItemDone(job, itemId) {
+  job.data.doneIds = job.data.doneIds || [];
+  job.data.doneIds.push(itemId);
+  await jobs.saveJob(job);
+}
+
+// Background channel processing (job type: channel)
+async function processChannelAsync(job) {
+  const { url: channelUrl, maxVideos, language = 'en' } = job.payload;
+  const jobId = job.id;
 
-    // Get already processed video URLs to skip them
-    const [processed] = await pool.execute('SELECT spotify_url FROM podcasts');
-    const processedUrls = new Set(processed.map(p => p.spotify_url));
+  job.status = 'fetching_videos';
+  await jobs.saveJob(job);
+  const allVideos = await getChannelVideos(channelUrl, maxVideos);
 
-    // Filter out already processed videos
-    const newVideos = allVideos.filter(v => !processedUrls.has(v.url));
-    const skippedCount = allVideos.length - newVideos.length;
+  // Get already processed video URLs to skip them
+  const [processed] = await pool.execute('SELECT spotify_url FROM podcasts');
+  const processedUrls = new Set(processed.map(p => p.spotify_url));
 
+  // Filter out already processed videos
+  const newVideos = allVideos.filter(v => !processedUrls.has(v.url));
+  const skippedCount = allVideos.length - newVideos.length;
+
+  // Keep the original counters when resuming
+  if (!job.resumed || job.total === 0) {
     job.total = newVideos.length;
     job.skipped = skippedCount;
-    job.status = 'processing';
+  }
+  const doneIds = getJobDoneIds(job);
+  const pendingVideos = newVideos.filter(v => !doneIds.has(v.id));
 
-    console.log(`[${jobId}] Found ${allVideos.length} videos, ${skippedCount} already processed, ${newVideos.length} new to process`);
+  job.status = 'processing';
+  job.data.totalVideosOnYoutube = allVideos.length;
+  await jobs.saveJob(job);
 
-    // Store channel URL for later use (will be updated with channel_name after first video is processed)
-    job.channelUrl = channelUrl;
-    job.totalVideosOnYoutube = allVideos.length;
+  console.log(`[${jobId}] Found ${allVideos.length} videos, ${skippedCount} already processed, ${pendingVideos.length} new to process`);
 
-    for (let i = 0; i < newVideos.length; i++) {
-      const video = newVideos[i];
-      job.currentVideo = video.title;
+  for (let i = 0; i < pendingVideos.length; i++) {
+    const video = pendingVideos[i];
+    job.currentItem = video.title;
 
-      try {
-        console.log(`[${jobId}] Processing ${i + 1}/${newVideos.length}: ${video.title}`);
-        const result = await processVideo(video.url, video.id, false, language); // skipExisting=false since we already filtered
-
-        if (result.skipped) {
-          job.skipped++;
-          job.results.push({
-            title: video.title,
-            status: 'skipped',
-            reason: result.reason
-          });
-        } else {
-          job.processed++;
-          job.results.push({
-            title: video.title,
-            status: 'success',
-            id: result.id,
-            summary: result.summary
-          });
-
-          // Save channel URL to channels table after first successful video
-          if (job.processed === 1 && result.channel && job.channelUrl) {
-            try {
-              await pool.execute(`
-                INSERT INTO channels (channel_name, channel_url, total_videos, last_checked, updated_at)
-                VALUES (?, ?, ?, NOW(), NOW())
-                ON DUPLICATE KEY UPDATE
-                  channel_url = COALESCE(channel_url, VALUES(channel_url)),
-                  total_videos = VALUES(total_videos),
-                  last_checked = NOW(),
-                  updated_at = NOW()
-              `, [result.channel, job.channelUrl, job.totalVideosOnYoutube]);
-              console.log(`[${jobId}] Saved channel URL for ${result.channel}`);
-            } catch (dbError) {
-              console.error(`[${jobId}] Failed to save channel URL:`, dbError.message);
-            }
-          }
-        }
-      } catch (error) {
-        console.error(`[${jobId}] Error processing ${video.title}:`, error.message);
-        job.failed++;
+    try {
+      console.log(`[${jobId}] Processing ${i + 1}/${pendingVideos.length}: ${video.title}`);
+      const result = await processVideo(video.url, video.id, false, language); // skipExisting=false since we already filtered
+
+      if (result.skipped) {
+        job.skipped++;
         job.results.push({
           title: video.title,
-          status: 'failed',
-          error: error.message
+          status: 'skipped',
+          reason: result.reason
+        });
+      } else {
+        job.processed++;
+        job.results.push({
+          title: video.title,
+          status: 'success',
+          id: result.id,
+          summary: result.summary
         });
-      }
 
-      // Small delay between videos to avoid rate limiting
-      await new Promise(r => setTimeout(r, 1000));
+        // Save channel URL to channels table after first successful video
+        if (!job.data.channelSaved && result.channel) {
+          try {
+            await pool.execute(`
+              INSERT INTO channels (channel_name, channel_url, total_videos, last_checked, updated_at)
+              VALUES (?, ?, ?, NOW(), NOW())
+              ON DUPLICATE KEY UPDATE
+                channel_url = COALESCE(channel_url, VALUES(channel_url)),
+                total_videos = VALUES(total_videos),
+                last_checked = NOW(),
+                updated_at = NOW()
+            `, [result.channel, channelUrl, allVideos.length]);
+            await ensureChannelSlug(result.channel);
+            job.data.channelSaved = true;
+            console.log(`[${jobId}] Saved channel URL for ${result.channel}`);
+          } catch (dbError) {
+            console.error(`[${jobId}] Failed to save channel URL:`, dbError.message);
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`[${jobId}] Error processing ${video.title}:`, error.message);
+      job.failed++;
+      job.results.push({
+        title: video.title,
+        status: 'failed',
+        error: error.message
+      });
     }
 
-    job.status = 'completed';
-    job.currentVideo = null;
+    await markJobItemDone(job, video.id);
 
-  } catch (error) {
-    console.error(`[${jobId}] Channel processing error:`, error);
-    job.status = 'error';
-    job.error = error.message;
+    // Small delay between videos to avoid rate limiting
+    await new Promise(r => setTimeout(r, 1000));
   }
+
+  job.status = 'completed';
 }
 
 // Get channel processing status
-app.get('/api/channel-status/:jobId', (req, res) => {
-  const job = channelJobs.get(req.params.jobId);
-
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
-  }
-
-  res.json({
-    status: job.status,
-    url: job.url,
-    total: job.total,
-    processed: job.processed,
-    skipped: job.skipped,
-    failed: job.failed,
-    currentVideo: job.currentVideo,
-    results: job.results,
-    error: job.error
-  });
-});
-
-// Get single podcast by ID
-app.get('/api/podcasts/:id', async (req, res) => {
+app.get('/api/channel-status/:jobId', requireAdmin, async (req, res) => {
   try {
-    const [rows] = await pool.execute(
-      'SELECT * FROM podcasts WHERE id = ?',
-      [req.params.id]
-    );
+    const job = await jobs.getJob(req.params.jobId);
 
-    if (rows.length === 0) {
-      return res.status(404).json({ error: 'Podcast not found' });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
 
-    res.json(rows[0]);
+    res.json({
+      status: job.status,
+      url: job.payload.url || job.payload.channelUrl,
+      total: job.total,
+      processed: job.processed,
+      skipped: job.skipped,
+      failed: job.failed,
+      currentVideo: job.currentItem,
+      results: job.results,
+      error: job.error
+    });
   } catch (error) {
-    console.error('Get error:', error);
+    console.error('Channel status error:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Health check endpoint for Railway
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
 // ============================================
-// SEO: ROBOTS.TXT & SITEMAP.XML
+// EPISODE PAGE
 // ============================================
 
-const SITE_URL = process.env.SITE_URL || 'https://podsearch.cloud';
+// Target size of a transcript section on the episode page
+const TRANSCRIPT_SECTION_CHARS = 1200;
+
+// Split a transcript into readable sections, cut on sentence boundaries,
+// each with the video time it starts at when timings are known
+function splitTranscriptSections(transcript, timings, sectionChars = TRANSCRIPT_SECTION_CHARS) {
+  const sections = [];
+  let offset = 0;
+
+  while (transcript && offset < transcript.length) {
+    let end = Math.min(offset + sectionChars, transcript.length);
+    if (end < transcript.length) {
+      // Prefer the last sentence end in the section, then the last space (captions often lack punctuation)
+      const slice = transcript.substring(offset, end);
+      const sentenceEnd = Math.max(slice.lastIndexOf(". "), slice.lastIndexOf("? "), slice.lastIndexOf("! "));
+      const cut = sentenceEnd > sectionChars / 2 ? sentenceEnd + 1 : slice.lastIndexOf(" ");
+      if (cut > 0) end = offset + cut;
+    }
 
-// robots.txt
-app.get('/robots.txt', (req, res) => {
-  res.type('text/plain');
-  res.send(`User-agent: *
-Allow: /
-Disallow: /admin
-Disallow: /admin-*
-Disallow: /login.html
-Disallow: /api/
+    const text = transcript.substring(offset, end).trim();
+    if (text) {
+      sections.push({ start: findTimeAtOffset(timings, offset), text });
+    }
+    offset = end;
+  }
 
-Sitemap: ${SITE_URL}/sitemap.xml
-`);
-});
+  return sections;
+}
 
-// sitemap.xml - dynamically generated with keywords/tags
-app.get('/sitemap.xml', async (req, res) => {
-  try {
-    // Get popular keywords (excluding blacklisted)
-    const [keywords] = await pool.execute(`
-      SELECT k.keyword, SUM(k.count) as total_count, MAX(k.updated_at) as last_updated
-      FROM keywords k
-      LEFT JOIN keyword_blacklist b ON k.keyword = b.keyword
-      WHERE b.keyword IS NULL
-      GROUP BY k.keyword
-      ORDER BY total_count DESC
-      LIMIT 500
-    `);
+// Related episodes with their text columns decoded for display
+async function getRelatedEpisodes(podcastId, limit) {
+  const episodes = await related.findRelated(podcastId, limit);
+  return episodes && episodes.map(episode => ({
+    ...episode,
+    episode_title: decodeHtmlEntities(episode.episode_title),
+    podcast_name: decodeHtmlEntities(episode.podcast_name)
+  }));
+}
 
-    // Get unique channels
-    const [channels] = await pool.execute(`
-      SELECT DISTINCT podcast_name, MAX(processed_at) as last_updated
-      FROM podcasts
-      GROUP BY podcast_name
-    `);
+// Load an episode with everything the episode page shows, or null when it does not exist
+async function getEpisodeDetails(id) {
+  const [rows] = await pool.execute(
+    `SELECT id, spotify_url, podcast_name, episode_title, summary, best_part, ${EPISODE_KEYWORDS_SQL} as keywords,
+      thumbnail_url, transcript, transcript_timings, language, upload_date, duration_seconds,
+      spotify_episode_url, spotify_match_confidence, feed_item_guid, apple_episode_url, source_type,
+      ${CHANNEL_SLUG_SQL} as channel_slug
+     FROM podcasts WHERE id = ?`,
+    [id]
+  );
 
-    const today = new Date().toISOString().split('T')[0];
-
-    let xml = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <!-- Homepage -->
-  <url>
-    <loc>${SITE_URL}/</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>daily</changefreq>
-    <priority>1.0</priority>
-  </url>
-`;
-
-    // Add keyword/tag pages
-    for (const kw of keywords) {
-      const lastmod = kw.last_updated
-        ? new Date(kw.last_updated).toISOString().split('T')[0]
-        : today;
-
-      xml += `  <url>
-    <loc>${SITE_URL}/?q=${encodeURIComponent(kw.keyword)}</loc>
-    <lastmod>${lastmod}</lastmod>
-    <changefreq>weekly</changefreq>
-    <priority>0.8</priority>
-  </url>
-`;
-    }
-
-    // Add channel pages
-    for (const channel of channels) {
-      const lastmod = channel.last_updated
-        ? new Date(channel.last_updated).toISOString().split('T')[0]
-        : today;
-      const channelSlug = encodeURIComponent(channel.podcast_name);
+  if (rows.length === 0) return null;
 
-      xml += `  <url>
-    <loc>${SITE_URL}/?channel=${channelSlug}</loc>
-    <lastmod>${lastmod}</lastmod>
-    <changefreq>weekly</changefreq>
-    <priority>0.7</priority>
-  </url>
-`;
-    }
+  const row = rows[0];
+  const title = decodeHtmlEntities(row.episode_title);
+  const channelLinks = await getChannelPodcastLinks([row]);
+  const sections = splitTranscriptSections(decodeHtmlEntities(row.transcript), parseTimings(row.transcript_timings))
+    .map(section => ({ ...section, timestamp_url: buildTimestampUrl(row.spotify_url, section.start) }));
 
-    xml += `</urlset>`;
+  return {
+    id: row.id,
+    spotify_url: row.spotify_url,
+    source_type: row.source_type,
+    podcast_name: decodeHtmlEntities(row.podcast_name),
+    channel_slug: row.channel_slug,
+    episode_title: title,
+    summary: decodeHtmlEntities(row.summary),
+    best_part: decodeHtmlEntities(row.best_part),
+    keywords: row.keywords ? row.keywords.split(',') : [],
+    thumbnail_url: row.thumbnail_url,
+    language: row.language,
+    upload_date: row.upload_date,
+    duration_seconds: row.duration_seconds,
+    spotify_search_url: `https://open.spotify.com/search/${encodeURIComponent(title)}`,
+    spotify_episode_url: directSpotifyUrl(row),
+    ...podcastLinks(row, channelLinks.get(row.podcast_name)),
+    transcript_sections: sections,
+    related: await getRelatedEpisodes(row.id)
+  };
+}
 
-    res.type('application/xml');
-    res.send(xml);
+// Public episode page (server-rendered for crawlers, episode.js adds the transcript find)
+app.get('/episode/:id', async (req, res) => {
+  try {
+    const episode = /^\d+$/.test(req.params.id) ? await getEpisodeDetails(req.params.id) : null;
+    if (!episode) {
+      return res.status(404).send(seo.renderNotFoundPage('Episode not found'));
+    }
+    res.send(seo.renderEpisodePage(episode));
+  } catch (error) {
+    console.error('Episode page error:', error);
+    res.status(500).send('Error loading episode');
+  }
+});
 
+// Get a single episode: details, summary, keywords, transcript sections and related episodes
+app.get('/api/podcasts/:id', async (req, res) => {
+  try {
+    const episode = await getEpisodeDetails(req.params.id);
+    if (!episode) {
+      return res.status(404).json({ error: 'Podcast not found' });
+    }
+    res.json(episode);
   } catch (error) {
-    console.error('Sitemap error:', error);
-    res.status(500).send('Error generating sitemap');
+    console.error('Get error:', error);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-// ============================================
-// CHANNEL MANAGEMENT ENDPOINTS
-// ============================================
+// "More like this": episodes related by rarer shared keywords (or embeddings), channel and recency
+app.get('/api/podcasts/:id/related', async (req, res) => {
+  try {
+    const episodes = await getRelatedEpisodes(req.params.id, req.query.limit);
+    if (!episodes) {
+      return res.status(404).json({ error: 'Podcast not found' });
+    }
+    res.json({ related: episodes });
+  } catch (error) {
+    console.error('Related error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
 
-// Get all channels with stats
-app.get('/api/channels', async (req, res) => {
+// Page number from ?page= (1 when missing or invalid)
+function parsePageParam(value) {
+  const page = parseInt(value);
+  return page > 0 ? page : 1;
+}
+
+// Decode the text columns of episode rows for the list pages
+function decodeEpisodeRows(rows) {
+  return rows.map(row => ({
+    ...row,
+    episode_title: decodeHtmlEntities(row.episode_title),
+    podcast_name: decodeHtmlEntities(row.podcast_name),
+    summary: decodeHtmlEntities(row.summary)
+  }));
+}
+
+// Slug of an episode's channel page (NULL until the channel has one, see ensureChannelSlug)
+const CHANNEL_SLUG_SQL = '(SELECT c.slug FROM channels c WHERE c.channel_name = podcasts.podcast_name)';
+
+const SEO_EPISODE_COLUMNS = `id, spotify_url, podcast_name, episode_title, summary, thumbnail_url, language, upload_date, duration_seconds, ${CHANNEL_SLUG_SQL} as channel_slug`;
+
+// Topic page: episodes tagged with a keyword, newest first
+app.get('/topic/:keyword', async (req, res) => {
   try {
-    // Get channels that have processed videos
-    const [rows] = await pool.execute(`
-      SELECT
-        podcast_name as channel_name,
+    const keyword = req.params.keyword.toLowerCase().trim();
+    const page = parsePageParam(req.query.page);
+
+    const [blacklisted] = await pool.execute('SELECT 1 FROM keyword_blacklist WHERE keyword = ?', [keyword]);
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) as total FROM podcasts WHERE ${EPISODE_HAS_KEYWORD_SQL}`,
+      [keyword]
+    );
+    const total = countRows[0].total;
+    const totalPages = Math.ceil(total / seo.SEO_PAGE_SIZE);
+
+    if (blacklisted.length > 0 || total === 0 || page > totalPages) {
+      return res.status(404).send(seo.renderNotFoundPage(`No episodes about "${keyword}"`));
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT ${SEO_EPISODE_COLUMNS} FROM podcasts
+       WHERE ${EPISODE_HAS_KEYWORD_SQL}
+       ORDER BY upload_date DESC, id DESC
+       LIMIT ${seo.SEO_PAGE_SIZE} OFFSET ${(page - 1) * seo.SEO_PAGE_SIZE}`,
+      [keyword]
+    );
+
+    const [channelRows] = await pool.execute(
+      `SELECT podcast_name, COUNT(*) as count FROM podcasts
+       WHERE ${EPISODE_HAS_KEYWORD_SQL} AND podcast_name IS NOT NULL
+       GROUP BY podcast_name ORDER BY count DESC LIMIT 3`,
+      [keyword]
+    );
+
+    res.send(seo.renderTopicPage({
+      keyword,
+      episodes: decodeEpisodeRows(rows),
+      total,
+      page,
+      totalPages,
+      channels: channelRows.map(row => decodeHtmlEntities(row.podcast_name))
+    }));
+  } catch (error) {
+    console.error('Topic page error:', error);
+    res.status(500).send('Error loading topic');
+  }
+});
+
+// Stored slug of a channel name: the slug its links use, decoded like the route param
+// (slugs of non-latin names are percent-encoded in URLs)
+function channelSlug(channelName) {
+  return decodeURIComponent(seo.slugify(decodeHtmlEntities(channelName))).substring(0, 240);
+}
+
+// Make sure a channel has a channels row with its slug. Two names with the same slug are numbered
+// (-2, -3, ...), so channel links and the sitemap are always built from the stored slug.
+async function ensureChannelSlug(channelName) {
+  if (!channelName) return;
+  await pool.execute('INSERT IGNORE INTO channels (channel_name) VALUES (?)', [channelName]);
+
+  const base = channelSlug(channelName);
+  for (let n = 1; n <= 20; n++) {
+    try {
+      await pool.execute(
+        'UPDATE channels SET slug = ? WHERE channel_name = ? AND slug IS NULL',
+        [n === 1 ? base : `${base}-${n}`, channelName]
+      );
+      return;
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') throw error;
+    }
+  }
+}
+
+// Fill in slugs the migration could not compute in SQL (accented and non-latin names, duplicates)
+async function backfillChannelSlugs() {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT channel_name FROM channels WHERE slug IS NULL
+      UNION
+      SELECT DISTINCT podcast_name FROM podcasts
+      WHERE podcast_name IS NOT NULL AND podcast_name NOT IN (SELECT channel_name FROM channels)
+    `);
+    for (const row of rows) {
+      await ensureChannelSlug(row.channel_name);
+    }
+    if (rows.length > 0) {
+      console.log(`[Channels] Set URL slugs for ${rows.length} channel(s)`);
+    }
+  } catch (error) {
+    console.log('Channel slugs not ready:', error.message);
+  }
+}
+
+// Find the channel name (as stored) for a URL slug (channel links are built from the stored slug)
+async function findChannelBySlug(slug) {
+  const [rows] = await pool.execute('SELECT channel_name FROM channels WHERE slug = ?', [slug]);
+  return rows.length > 0 ? rows[0].channel_name : null;
+}
+
+// Channel page: the channel's episodes, newest first, with its main topics
+app.get('/channel/:slug', async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const channel = await findChannelBySlug(slug);
+    const page = parsePageParam(req.query.page);
+
+    if (!channel) {
+      return res.status(404).send(seo.renderNotFoundPage('Channel not found'));
+    }
+
+    const [countRows] = await pool.execute(
+      'SELECT COUNT(*) as total, MAX(language) as language FROM podcasts WHERE podcast_name = ?',
+      [channel]
+    );
+    const total = countRows[0].total;
+    const totalPages = Math.ceil(total / seo.SEO_PAGE_SIZE);
+
+    if (page > totalPages) {
+      return res.status(404).send(seo.renderNotFoundPage('Channel not found'));
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT ${SEO_EPISODE_COLUMNS} FROM podcasts
+       WHERE podcast_name = ?
+       ORDER BY upload_date DESC, id DESC
+       LIMIT ${seo.SEO_PAGE_SIZE} OFFSET ${(page - 1) * seo.SEO_PAGE_SIZE}`,
+      [channel]
+    );
+
+    const [keywordRows] = await pool.execute(`
+      SELECT k.keyword, COUNT(*) as count
+      FROM podcasts p
+      JOIN episode_keywords ek ON ek.podcast_id = p.id
+      JOIN keywords k ON k.id = ek.keyword_id
+      LEFT JOIN keyword_blacklist b ON k.keyword = b.keyword
+      WHERE p.podcast_name = ? AND b.keyword IS NULL
+      GROUP BY k.keyword
+      ORDER BY count DESC
+      LIMIT 12
+    `, [channel]);
+
+    res.send(seo.renderChannelPage({
+      channel: decodeHtmlEntities(channel),
+      slug,
+      episodes: decodeEpisodeRows(rows),
+      total,
+      page,
+      totalPages,
+      keywords: keywordRows.map(row => row.keyword),
+      language: countRows[0].language
+    }));
+  } catch (error) {
+    console.error('Channel page error:', error);
+    res.status(500).send('Error loading channel');
+  }
+});
+
+// Health check endpoint for Railway
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// ============================================
+// SEO: ROBOTS.TXT & SITEMAP.XML
+// ============================================
+
+const SITE_URL = seo.SITE_URL;
+
+// robots.txt
+app.get('/robots.txt', (req, res) => {
+  res.type('text/plain');
+  res.send(`User-agent: *
+Allow: /
+Disallow: /admin
+Disallow: /admin-*
+Disallow: /login.html
+Disallow: /api/
+
+Sitemap: ${SITE_URL}/sitemap.xml
+`);
+});
+
+// Sitemap sections: how many URLs each has and how to load a slice of them.
+// Small sites get a single sitemap.xml; larger ones a sitemap index over sitemap-<section>-<n>.xml files.
+const SITEMAP_SECTIONS = {
+  pages: {
+    count: async () => 1,
+    load: async () => [{ loc: `${SITE_URL}/`, lastmod: new Date(), changefreq: 'daily', priority: '1.0' }]
+  },
+
+  // Non-blacklisted keywords, most used first
+  topics: {
+    count: async () => {
+      const [rows] = await pool.execute(`
+        SELECT COUNT(DISTINCT k.keyword) as count
+        FROM keywords k
+        JOIN episode_keywords ek ON ek.keyword_id = k.id
+        LEFT JOIN keyword_blacklist b ON k.keyword = b.keyword
+        WHERE b.keyword IS NULL
+      `);
+      return rows[0].count;
+    },
+    load: async (limit, offset) => {
+      const [rows] = await pool.execute(`
+        SELECT k.keyword, COUNT(ek.podcast_id) as total_count, MAX(k.updated_at) as last_updated
+        FROM keywords k
+        JOIN episode_keywords ek ON ek.keyword_id = k.id
+        LEFT JOIN keyword_blacklist b ON k.keyword = b.keyword
+        WHERE b.keyword IS NULL
+        GROUP BY k.keyword
+        ORDER BY total_count DESC, k.keyword
+        LIMIT ${limit} OFFSET ${offset}
+      `);
+      return rows.map(row => ({ loc: seo.topicUrl(row.keyword), lastmod: row.last_updated, changefreq: 'weekly', priority: '0.8' }));
+    }
+  },
+
+  // Channels with a slug and at least one episode (the channel page is a 404 otherwise)
+  channels: {
+    count: async () => {
+      const [rows] = await pool.execute(`
+        SELECT COUNT(*) as count FROM channels c
+        WHERE c.slug IS NOT NULL AND EXISTS (SELECT 1 FROM podcasts p WHERE p.podcast_name = c.channel_name)
+      `);
+      return rows[0].count;
+    },
+    load: async (limit, offset) => {
+      const [rows] = await pool.execute(`
+        SELECT c.slug, MAX(p.processed_at) as last_updated
+        FROM channels c
+        JOIN podcasts p ON p.podcast_name = c.channel_name
+        WHERE c.slug IS NOT NULL
+        GROUP BY c.id, c.slug
+        ORDER BY c.slug
+        LIMIT ${limit} OFFSET ${offset}
+      `);
+      return rows.map(row => ({ loc: seo.channelUrl(row.slug), lastmod: row.last_updated, changefreq: 'weekly', priority: '0.7' }));
+    }
+  },
+
+  episodes: {
+    count: async () => {
+      const [rows] = await pool.execute('SELECT COUNT(*) as count FROM podcasts');
+      return rows[0].count;
+    },
+    load: async (limit, offset) => {
+      const [rows] = await pool.execute(`
+        SELECT id, processed_at FROM podcasts
+        ORDER BY id
+        LIMIT ${limit} OFFSET ${offset}
+      `);
+      return rows.map(row => ({ loc: seo.episodeUrl(row.id), lastmod: row.processed_at, changefreq: 'monthly', priority: '0.6' }));
+    }
+  }
+};
+
+// sitemap.xml - every page when it fits in one file, otherwise a sitemap index
+app.get('/sitemap.xml', async (req, res) => {
+  try {
+    const counts = {};
+    for (const [name, section] of Object.entries(SITEMAP_SECTIONS)) {
+      counts[name] = await section.count();
+    }
+    const totalUrls = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    let xml;
+    if (totalUrls <= seo.SITEMAP_MAX_URLS) {
+      const urls = [];
+      for (const section of Object.values(SITEMAP_SECTIONS)) {
+        urls.push(...await section.load(seo.SITEMAP_MAX_URLS, 0));
+      }
+      xml = seo.renderUrlset(urls);
+    } else {
+      const sitemaps = [];
+      for (const [name, count] of Object.entries(counts)) {
+        for (let n = 1; n <= Math.ceil(count / seo.SITEMAP_MAX_URLS); n++) {
+          sitemaps.push({ loc: `${SITE_URL}/sitemap-${name}-${n}.xml`, lastmod: new Date() });
+        }
+      }
+      xml = seo.renderSitemapIndex(sitemaps);
+    }
+
+    res.type('application/xml');
+    res.send(xml);
+
+  } catch (error) {
+    console.error('Sitemap error:', error);
+    res.status(500).send('Error generating sitemap');
+  }
+});
+
+// One file of a split sitemap (listed by the sitemap index)
+app.get('/sitemap-:section-:page.xml', async (req, res) => {
+  try {
+    const section = Object.prototype.hasOwnProperty.call(SITEMAP_SECTIONS, req.params.section)
+      ? SITEMAP_SECTIONS[req.params.section]
+      : null;
+    const page = /^\d+$/.test(req.params.page) ? parseInt(req.params.page) : 0;
+    if (!section || page < 1) {
+      return res.status(404).send('Sitemap not found');
+    }
+
+    const urls = await section.load(seo.SITEMAP_MAX_URLS, (page - 1) * seo.SITEMAP_MAX_URLS);
+    if (urls.length === 0) {
+      return res.status(404).send('Sitemap not found');
+    }
+
+    res.type('application/xml');
+    res.send(seo.renderUrlset(urls));
+  } catch (error) {
+    console.error('Sitemap error:', error);
+    res.status(500).send('Error generating sitemap');
+  }
+});
+
+// ============================================
+// CHANNEL MANAGEMENT ENDPOINTS
+// ============================================
+
+// Get all channels with stats
+app.get('/api/channels', requireAdmin, async (req, res) => {
+  try {
+    // Get channels that have processed videos
+    const [rows] = await pool.execute(`
+      SELECT
+        podcast_name as channel_name,
         MIN(spotify_url) as channel_url,
         COUNT(*) as videos_processed,
         MAX(processed_at) as last_processed,
         MAX(ai_processed_at) as ai_processed_at,
-        MAX(upload_date) as newest_video_date
+        MAX(upload_date) as newest_video_date,
+        SUM(subtitle_kind = 'manual') as manual_subtitles,
+        SUM(subtitle_kind = 'auto') as auto_subtitles,
+        SUM(is_translated) as translated_subtitles,
+        SUM(subtitle_lang IS NOT NULL AND SUBSTRING_INDEX(subtitle_lang, '-', 1) <> language) as other_language_subtitles,
+        GROUP_CONCAT(DISTINCT subtitle_lang ORDER BY subtitle_lang SEPARATOR ', ') as subtitle_languages
       FROM podcasts
       GROUP BY podcast_name
       ORDER BY last_processed DESC
@@ -826,7 +1346,8 @@ app.get('/api/channels', async (req, res) => {
 
     // Get ALL channels from the channels table (including those without processed videos)
     const [channelStats] = await pool.execute(`
-      SELECT channel_name, total_videos, channel_url, last_video_date, last_checked, language, created_at
+      SELECT channel_name, total_videos, channel_url, last_video_date, last_checked, language, created_at,
+        rss_feed_url, apple_podcasts_id, feed_checked_at, source_type
       FROM channels
       WHERE channel_name IS NOT NULL
     `);
@@ -873,6 +1394,18 @@ app.get('/api/channels', async (req, res) => {
         last_video_date_on_youtube: stats?.last_video_date || null,
         last_checked: stats?.last_checked || null,
         has_new_videos: hasNewVideos,
+        rss_feed_url: stats?.rss_feed_url || null,
+        apple_podcasts_id: stats?.apple_podcasts_id || null,
+        feed_checked_at: stats?.feed_checked_at || null,
+        source_type: stats?.source_type || 'youtube',
+        // Subtitle tracks the indexed transcripts came from (other language: not the episode's language)
+        subtitles: {
+          manual: Number(row.manual_subtitles) || 0,
+          auto: Number(row.auto_subtitles) || 0,
+          translated: Number(row.translated_subtitles) || 0,
+          other_language: Number(row.other_language_subtitles) || 0,
+          languages: row.subtitle_languages ? row.subtitle_languages.split(', ') : []
+        },
         status: 'active'
       };
     });
@@ -892,6 +1425,10 @@ app.get('/api/channels', async (req, res) => {
           last_video_date_on_youtube: channelStat.last_video_date || null,
           last_checked: channelStat.last_checked || null,
           has_new_videos: true,
+          rss_feed_url: channelStat.rss_feed_url || null,
+          apple_podcasts_id: channelStat.apple_podcasts_id || null,
+          feed_checked_at: channelStat.feed_checked_at || null,
+          source_type: channelStat.source_type || 'youtube',
           status: 'pending',
           language: channelStat.language,
           added_at: channelStat.created_at
@@ -914,7 +1451,7 @@ function extractChannelUrl(videoUrl) {
 }
 
 // Add a new channel to the list (without processing it)
-app.post('/api/channels', async (req, res) => {
+app.post('/api/channels', requireAdmin, async (req, res) => {
   try {
     const { url, language = 'en' } = req.body;
 
@@ -922,6 +1459,25 @@ app.post('/api/channels', async (req, res) => {
       return res.status(400).json({ error: 'URL is required' });
     }
 
+    // A podcast RSS feed becomes an RSS channel, named after the feed
+    if (detectUrlType(url) === 'feed') {
+      let feed;
+      try {
+        feed = await feeds.fetchFeed(url);
+      } catch (error) {
+        return res.status(400).json({ error: `Could not read a podcast RSS feed at this URL: ${error.message}` });
+      }
+      const channelName = await saveFeedChannel(url, feed, language);
+      const totalEpisodes = feed.items.filter(feedEpisodeUrl).length;
+
+      addLog('info', `Channel added: ${channelName}`, { url, language, totalVideos: totalEpisodes, source: 'rss' });
+
+      return res.json({
+        success: true,
+        channel: { name: channelName, url, total_videos: totalEpisodes, language }
+      });
+    }
+
     // Validate it's a channel URL
     if (!url.includes('/channel/') && !url.includes('/c/') && !url.includes('/@') && !url.includes('/user/')) {
       return res.status(400).json({ error: 'Please provide a channel URL, not a video URL' });
@@ -935,9 +1491,12 @@ app.post('/api/channels', async (req, res) => {
 
     try {
       // Get channel name and URL from the first video
-      const cmd = ytdlp(`--playlist-items 1 --print "%(channel)s" --print "%(channel_url)s" "${cleanUrl}/videos"`);
-      console.log('Running command:', cmd);
-      const { stdout } = await execPromise(cmd, { timeout: 120000 });
+      console.log('Reading channel info from', `${cleanUrl}/videos`);
+      const { stdout } = await ytdlp(
+        ['--playlist-items', '1', '--print', '%(channel)s', '--print', '%(channel_url)s'],
+        `${cleanUrl}/videos`,
+        { timeout: 120000 }
+      );
 
       const lines = stdout.trim().split('\n').filter(l => l.trim());
       if (lines.length >= 1) {
@@ -981,6 +1540,7 @@ app.post('/api/channels', async (req, res) => {
       INSERT INTO channels (channel_name, channel_url, total_videos, language, last_checked, updated_at)
       VALUES (?, ?, ?, ?, NULL, NOW())
     `, [channelName, channelUrl, totalVideos, language]);
+    await ensureChannelSlug(channelName);
 
     addLog('info', `Channel added: ${channelName}`, { url: channelUrl, language, totalVideos });
 
@@ -1001,7 +1561,7 @@ app.post('/api/channels', async (req, res) => {
 });
 
 // Refresh channel video count and check for new videos
-app.post('/api/refresh-channel-count', async (req, res) => {
+app.post('/api/refresh-channel-count', requireAdmin, async (req, res) => {
   try {
     const { channelName, channelUrl } = req.body;
 
@@ -1015,13 +1575,14 @@ app.post('/api/refresh-channel-count', async (req, res) => {
     let actualChannelUrl = channelUrl;
     const urlType = detectUrlType(channelUrl);
 
+    if (urlType === 'feed') {
+      return res.json(await checkFeedChannelUpdates(channelName, channelUrl));
+    }
+
     if (urlType === 'video') {
       console.log(`[Check Updates] URL is a video, extracting channel URL...`);
       try {
-        const { stdout } = await execPromise(
-          ytdlp(`--print channel_url --no-download "${channelUrl}"`),
-          { timeout: 30000 }
-        );
+        const { stdout } = await ytdlp(['--print', 'channel_url', '--no-download'], channelUrl, { timeout: 30000 });
         actualChannelUrl = stdout.trim();
         console.log(`[Check Updates] Extracted channel URL: ${actualChannelUrl}`);
       } catch (e) {
@@ -1031,8 +1592,9 @@ app.post('/api/refresh-channel-count', async (req, res) => {
     }
 
     // Get all videos from channel to count and find the newest
-    const { stdout: allVideosJson } = await execPromise(
-      ytdlp(`--flat-playlist --dump-json "${actualChannelUrl}"`),
+    const { stdout: allVideosJson } = await ytdlp(
+      ['--flat-playlist', '--dump-json'],
+      actualChannelUrl,
       { timeout: 120000, maxBuffer: 50 * 1024 * 1024 }
     );
 
@@ -1047,8 +1609,9 @@ app.post('/api/refresh-channel-count', async (req, res) => {
       const firstVideo = JSON.parse(videoLines[0]);
       if (firstVideo.id) {
         try {
-          const { stdout: videoInfo } = await execPromise(
-            ytdlp(`--dump-json --no-download "https://www.youtube.com/watch?v=${firstVideo.id}"`),
+          const { stdout: videoInfo } = await ytdlp(
+            ['--dump-json', '--no-download'],
+            `https://www.youtube.com/watch?v=${firstVideo.id}`,
             { timeout: 30000 }
           );
           const info = JSON.parse(videoInfo);
@@ -1115,6 +1678,7 @@ app.post('/api/refresh-channel-count', async (req, res) => {
         last_checked = NOW(),
         updated_at = NOW()
     `, [channelName, actualChannelUrl, totalVideos, lastVideoDate]);
+    await ensureChannelSlug(channelName);
 
     res.json({
       success: true,
@@ -1132,7 +1696,7 @@ app.post('/api/refresh-channel-count', async (req, res) => {
 });
 
 // Process missing videos for a channel
-app.post('/api/process-missing', async (req, res) => {
+app.post('/api/process-missing', requireAdmin, async (req, res) => {
   try {
     const { channelName, channelUrl } = req.body;
 
@@ -1140,164 +1704,159 @@ app.post('/api/process-missing', async (req, res) => {
       return res.status(400).json({ error: 'Channel URL is required' });
     }
 
-    // Get channel language from DB
+    // Get channel language and source from DB
     const [channelInfo] = await pool.execute(
-      'SELECT language FROM channels WHERE channel_name = ?',
+      'SELECT language, source_type FROM channels WHERE channel_name = ?',
       [channelName]
     );
     const language = channelInfo[0]?.language || 'en';
+    const isFeed = channelInfo[0]?.source_type === 'rss';
 
-    // Get already processed video IDs for this channel
-    const [processed] = await pool.execute(
-      'SELECT spotify_url FROM podcasts WHERE podcast_name = ?',
-      [channelName]
-    );
-    const processedIds = new Set(processed.map(p => extractYoutubeId(p.spotify_url)));
-
-    // Also get skipped video IDs to exclude them
-    const [skippedVideos] = await pool.execute(
-      'SELECT video_id FROM skipped_videos WHERE channel_name = ?',
-      [channelName]
-    );
-    skippedVideos.forEach(s => processedIds.add(s.video_id));
-
-    // Start background job
-    const jobId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-
-    channelJobs.set(jobId, {
-      status: 'starting',
-      url: channelUrl,
-      channelName: channelName,
-      total: 0,
-      processed: 0,
-      skipped: 0,
-      failed: 0,
-      results: [],
-      currentVideo: null
-    });
+    // Queue background job - only missing videos (new episodes for an RSS channel)
+    const jobId = isFeed
+      ? await jobs.createJob('rss_feed', { url: channelUrl, maxEpisodes: 100, language })
+      : await jobs.createJob('channel_missing', { channelName, channelUrl, language });
 
     res.json({ success: true, jobId });
 
-    // Process in background - only missing videos
-    processMissingVideosAsync(jobId, channelUrl, processedIds, language);
-
   } catch (error) {
     console.error('Process missing error:', error);
     res.status(500).json({ error: 'Failed to start processing: ' + error.message });
   }
 });
 
-// Background processing for missing videos
-async function processMissingVideosAsync(jobId, channelUrl, processedIds, language = 'en') {
-  const job = channelJobs.get(jobId);
+// Background processing for missing videos (job type: channel_missing)
+async function processMissingVideosAsync(job) {
+  const { channelName, channelUrl, language = 'en' } = job.payload;
+  const jobId = job.id;
 
-  try {
-    job.status = 'fetching_videos';
-    // Get ALL videos from channel (no limit for missing videos processing)
-    const allVideos = await getChannelVideos(channelUrl, 10000);
+  job.status = 'fetching_videos';
+  await jobs.saveJob(job);
 
-    // Filter out already processed
-    const missingVideos = allVideos.filter(v => !processedIds.has(v.id));
+  // Get already processed video IDs for this channel
+  const [processed] = await pool.execute(
+    'SELECT spotify_url FROM podcasts WHERE podcast_name = ?',
+    [channelName]
+  );
+  const processedIds = new Set(processed.map(p => extractYoutubeId(p.spotify_url)));
 
-    job.total = missingVideos.length;
-    job.status = 'processing';
+  // Also get skipped video IDs to exclude them
+  const [skippedVideos] = await pool.execute(
+    'SELECT video_id FROM skipped_videos WHERE channel_name = ?',
+    [channelName]
+  );
+  skippedVideos.forEach(s => processedIds.add(s.video_id));
 
-    console.log(`[${jobId}] Found ${missingVideos.length} missing videos to process`);
+  // Get ALL videos from channel (no limit for missing videos processing)
+  const allVideos = await getChannelVideos(channelUrl, 10000);
 
-    for (let i = 0; i < missingVideos.length; i++) {
-      const video = missingVideos[i];
-      job.currentVideo = video.title;
+  // Filter out already processed, and what this job handled before a restart
+  const doneIds = getJobDoneIds(job);
+  const missingVideos = allVideos.filter(v => !processedIds.has(v.id) && !doneIds.has(v.id));
 
-      try {
-        console.log(`[${jobId}] Processing ${i + 1}/${missingVideos.length}: ${video.title}`);
-        const result = await processVideo(video.url, video.id, false, language);
+  if (!job.resumed || job.total === 0) {
+    job.total = missingVideos.length;
+  }
+  job.status = 'processing';
+  await jobs.saveJob(job);
 
-        if (result.skipped) {
-          job.skipped++;
-          job.results.push({ title: video.title, status: 'skipped', reason: result.reason });
-        } else {
-          job.processed++;
-          job.results.push({ title: video.title, status: 'success', id: result.id });
-        }
-      } catch (error) {
-        console.error(`[${jobId}] Error:`, error.message);
-        job.failed++;
-        job.results.push({ title: video.title, status: 'failed', error: error.message });
-      }
+  console.log(`[${jobId}] Found ${missingVideos.length} missing videos to process`);
+
+  for (let i = 0; i < missingVideos.length; i++) {
+    const video = missingVideos[i];
+    job.currentItem = video.title;
+
+    try {
+      console.log(`[${jobId}] Processing ${i + 1}/${missingVideos.length}: ${video.title}`);
+      const result = await processVideo(video.url, video.id, false, language);
 
-      // Keep only last 10 results in memory to avoid memory issues with large channels
-      if (job.results.length > 10) {
-        job.results = job.results.slice(-10);
+      if (result.skipped) {
+        job.skipped++;
+        job.results.push({ title: video.title, status: 'skipped', reason: result.reason });
+      } else {
+        job.processed++;
+        job.results.push({ title: video.title, status: 'success', id: result.id });
       }
+    } catch (error) {
+      console.error(`[${jobId}] Error:`, error.message);
+      job.failed++;
+      job.results.push({ title: video.title, status: 'failed', error: error.message });
+    }
 
-      await new Promise(r => setTimeout(r, 1000));
+    // Keep only last 10 results to avoid huge rows with large channels
+    if (job.results.length > 10) {
+      job.results = job.results.slice(-10);
     }
 
-    job.status = 'completed';
-    job.currentVideo = null;
-    console.log(`[${jobId}] Completed! Processed: ${job.processed}, Skipped: ${job.skipped}, Failed: ${job.failed}`);
+    await markJobItemDone(job, video.id);
 
-    // Update total_videos in channels table to reflect reality
-    // If we processed all available videos (no more missing), update total_videos to match
-    if (job.channelName) {
-      try {
-        const [countResult] = await pool.execute(
-          'SELECT COUNT(*) as count FROM podcasts WHERE podcast_name = ?',
-          [job.channelName]
-        );
-        const actualProcessed = countResult[0]?.count || 0;
+    await new Promise(r => setTimeout(r, 1000));
+  }
 
-        // If job.total was 0 (no missing videos found) or we processed/skipped everything,
-        // it means we've caught up - update total_videos to match our indexed count
-        const allDone = job.total === 0 || (job.processed + job.skipped + job.failed >= job.total);
+  job.status = 'completed';
+  job.currentItem = null;
+  console.log(`[${jobId}] Completed! Processed: ${job.processed}, Skipped: ${job.skipped}, Failed: ${job.failed}`);
 
-        if (allDone) {
-          // We've processed everything available, update total_videos to match indexed
-          await pool.execute(`
-            UPDATE channels
-            SET total_videos = ?,
-                last_checked = NOW(),
-                updated_at = NOW()
-            WHERE channel_name = ?
-          `, [actualProcessed, job.channelName]);
-          console.log(`[${jobId}] Updated channel: ${actualProcessed} total videos (all caught up)`);
-        } else {
-          // Still more to process, just update last_checked
-          await pool.execute(`
-            UPDATE channels
-            SET last_checked = NOW(),
-                updated_at = NOW()
-            WHERE channel_name = ?
-          `, [job.channelName]);
-          console.log(`[${jobId}] Updated last_checked for ${job.channelName}`);
-        }
-      } catch (dbError) {
-        console.error(`[${jobId}] Failed to update channel stats:`, dbError.message);
+  // Update total_videos in channels table to reflect reality
+  // If we processed all available videos (no more missing), update total_videos to match
+  if (channelName) {
+    try {
+      const [countResult] = await pool.execute(
+        'SELECT COUNT(*) as count FROM podcasts WHERE podcast_name = ?',
+        [channelName]
+      );
+      const actualProcessed = countResult[0]?.count || 0;
+
+      // If job.total was 0 (no missing videos found) or we processed/skipped everything,
+      // it means we've caught up - update total_videos to match our indexed count
+      const allDone = job.total === 0 || (job.processed + job.skipped + job.failed >= job.total);
+
+      if (allDone) {
+        // We've processed everything available, update total_videos to match indexed
+        await pool.execute(`
+          UPDATE channels
+          SET total_videos = ?,
+              last_checked = NOW(),
+              updated_at = NOW()
+          WHERE channel_name = ?
+        `, [actualProcessed, channelName]);
+        console.log(`[${jobId}] Updated channel: ${actualProcessed} total videos (all caught up)`);
+      } else {
+        // Still more to process, just update last_checked
+        await pool.execute(`
+          UPDATE channels
+          SET last_checked = NOW(),
+              updated_at = NOW()
+          WHERE channel_name = ?
+        `, [channelName]);
+        console.log(`[${jobId}] Updated last_checked for ${channelName}`);
       }
+    } catch (dbError) {
+      console.error(`[${jobId}] Failed to update channel stats:`, dbError.message);
     }
-
-  } catch (error) {
-    console.error(`[${jobId}] Error:`, error);
-    job.status = 'error';
-    job.error = error.message;
   }
 }
 
 // Retry skipped videos for a channel
-app.post('/api/retry-skipped', async (req, res) => {
+app.post('/api/retry-skipped', requireAdmin, async (req, res) => {
   try {
-    const { channelName, channelUrl } = req.body;
+    const { channelName, channelUrl, useAsr = false } = req.body;
 
     if (!channelUrl || !channelName) {
       return res.status(400).json({ error: 'Channel name and URL are required' });
     }
 
-    // Get channel language from DB
+    if (useAsr && !asr.isEnabled()) {
+      return res.status(400).json({ error: 'Speech-to-text is not configured (set ASR_PROVIDER)' });
+    }
+
+    // Get channel language and source from DB
     const [channelInfo] = await pool.execute(
-      'SELECT language FROM channels WHERE channel_name = ?',
+      'SELECT language, source_type FROM channels WHERE channel_name = ?',
       [channelName]
     );
     const language = channelInfo[0]?.language || 'en';
+    const isFeed = channelInfo[0]?.source_type === 'rss';
 
     // Get skipped videos for this channel
     const [skippedVideos] = await pool.execute(
@@ -1315,27 +1874,21 @@ app.post('/api/retry-skipped', async (req, res) => {
       [channelName]
     );
 
-    console.log(`[Retry-Skipped] Cleared ${skippedVideos.length} skipped videos for ${channelName}, language: ${language}`);
-
-    // Start background job
-    const jobId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-
-    channelJobs.set(jobId, {
-      status: 'starting',
-      url: channelUrl,
-      channelName: channelName,
-      total: skippedVideos.length,
-      processed: 0,
-      skipped: 0,
-      failed: 0,
-      results: [],
-      currentVideo: null
-    });
+    // Queue background job with the list of videos to retry (RSS channels re-read their feed,
+    // which offers the skipped episodes again now their entries are deleted)
+    const jobId = isFeed
+      ? await jobs.createJob('rss_feed', { url: channelUrl, maxEpisodes: 100, language, useAsr: !!useAsr })
+      : await jobs.createJob('retry_skipped', {
+        channelName,
+        channelUrl,
+        language,
+        useAsr: !!useAsr,
+        videos: skippedVideos.map(v => ({ video_id: v.video_id, video_url: v.video_url, video_title: v.video_title }))
+      }, { total: skippedVideos.length });
 
-    res.json({ success: true, jobId, videosToRetry: skippedVideos.length });
+    console.log(`[Retry-Skipped] Cleared ${skippedVideos.length} skipped videos for ${channelName}, language: ${language}${useAsr ? ', with speech-to-text' : ''}`);
 
-    // Process skipped videos in background
-    retrySkippedVideosAsync(jobId, skippedVideos, language);
+    res.json({ success: true, jobId, videosToRetry: skippedVideos.length });
 
   } catch (error) {
     console.error('Retry skipped error:', error);
@@ -1343,52 +1896,52 @@ app.post('/api/retry-skipped', async (req, res) => {
   }
 });
 
-// Background processing for retry skipped videos
-async function retrySkippedVideosAsync(jobId, skippedVideos, language = 'en') {
-  const job = channelJobs.get(jobId);
+// Background processing for retry skipped videos (job type: retry_skipped)
+async function retrySkippedVideosAsync(job) {
+  const { videos: skippedVideos, language = 'en', useAsr = false } = job.payload;
+  const jobId = job.id;
 
-  try {
-    job.status = 'processing';
-    console.log(`[${jobId}] Retrying ${skippedVideos.length} skipped videos`);
+  const doneIds = getJobDoneIds(job);
+  const pendingVideos = skippedVideos.filter(v => !doneIds.has(v.video_id));
 
-    for (let i = 0; i < skippedVideos.length; i++) {
-      const video = skippedVideos[i];
-      job.currentVideo = video.video_title;
+  job.status = 'processing';
+  await jobs.saveJob(job);
+  console.log(`[${jobId}] Retrying ${pendingVideos.length} skipped videos`);
 
-      try {
-        console.log(`[${jobId}] Retrying ${i + 1}/${skippedVideos.length}: ${video.video_title}`);
-        const result = await processVideo(video.video_url, video.video_id, false, language);
+  for (let i = 0; i < pendingVideos.length; i++) {
+    const video = pendingVideos[i];
+    job.currentItem = video.video_title;
 
-        if (result.skipped) {
-          job.skipped++;
-          job.results.push({ title: video.video_title, status: 'skipped', reason: result.reason });
-        } else {
-          job.processed++;
-          job.results.push({ title: video.video_title, status: 'success', id: result.id });
-        }
-      } catch (error) {
-        console.error(`[${jobId}] Error:`, error.message);
-        job.failed++;
-        job.results.push({ title: video.video_title, status: 'failed', error: error.message });
-      }
+    try {
+      console.log(`[${jobId}] Retrying ${i + 1}/${pendingVideos.length}: ${video.video_title}`);
+      const result = await processVideo(video.video_url, video.video_id, false, language, { useAsr });
 
-      // Keep only last 10 results in memory
-      if (job.results.length > 10) {
-        job.results = job.results.slice(-10);
+      if (result.skipped) {
+        job.skipped++;
+        job.results.push({ title: video.video_title, status: 'skipped', reason: result.reason });
+      } else {
+        job.processed++;
+        job.results.push({ title: video.video_title, status: 'success', id: result.id });
       }
+    } catch (error) {
+      console.error(`[${jobId}] Error:`, error.message);
+      job.failed++;
+      job.results.push({ title: video.video_title, status: 'failed', error: error.message });
+    }
 
-      await new Promise(r => setTimeout(r, 1000));
+    // Keep only last 10 results
+    if (job.results.length > 10) {
+      job.results = job.results.slice(-10);
     }
 
-    job.status = 'completed';
-    job.currentVideo = null;
-    console.log(`[${jobId}] Retry completed! Processed: ${job.processed}, Skipped: ${job.skipped}, Failed: ${job.failed}`);
+    await markJobItemDone(job, video.video_id);
 
-  } catch (error) {
-    console.error(`[${jobId}] Error:`, error);
-    job.status = 'error';
-    job.error = error.message;
+    await new Promise(r => setTimeout(r, 1000));
   }
+
+  job.status = 'completed';
+  job.currentItem = null;
+  console.log(`[${jobId}] Retry completed! Processed: ${job.processed}, Skipped: ${job.skipped}, Failed: ${job.failed}`);
 }
 
 // ============================================
@@ -1396,14 +1949,31 @@ async function retrySkippedVideosAsync(jobId, skippedVideos, language = 'en') {
 // ============================================
 
 // Get AI processing status
-app.get('/api/ai-status', async (req, res) => {
+app.get('/api/ai-status', requireAdmin, async (req, res) => {
   try {
-    const [keywordCount] = await pool.execute('SELECT COUNT(DISTINCT keyword) as count FROM keywords');
-    const [videoCount] = await pool.execute('SELECT COUNT(*) as count FROM podcasts WHERE keywords IS NOT NULL AND keywords != ""');
+    const [keywordCount] = await pool.execute('SELECT COUNT(DISTINCT k.keyword) as count FROM keywords k JOIN episode_keywords ek ON ek.keyword_id = k.id');
+    const [videoCount] = await pool.execute('SELECT COUNT(DISTINCT podcast_id) as count FROM episode_keywords');
     const [lastProcessed] = await pool.execute('SELECT MAX(ai_processed_at) as last FROM podcasts WHERE ai_processed_at IS NOT NULL');
     const [missingThumbnails] = await pool.execute('SELECT COUNT(*) as count FROM podcasts WHERE thumbnail_url IS NULL OR thumbnail_url = ""');
-    const [videosWithoutKeywords] = await pool.execute('SELECT COUNT(*) as count FROM podcasts WHERE keywords IS NULL OR keywords = ""');
-    const [missingDates] = await pool.execute('SELECT COUNT(*) as count FROM podcasts WHERE upload_date IS NULL');
+    const [videosWithoutKeywords] = await pool.execute(`SELECT COUNT(*) as count FROM podcasts WHERE ${EPISODE_HAS_NO_KEYWORDS_SQL}`);
+    const [missingDates] = await pool.execute('SELECT COUNT(*) as count FROM podcasts WHERE upload_date IS NULL OR duration_seconds IS NULL');
+
+    // Episodes not yet indexed for semantic search with the configured embedding model
+    let videosWithoutEmbeddings = null;
+    if (embeddings.isEnabled()) {
+      const [missingEmbeddings] = await pool.execute(
+        `SELECT COUNT(*) as count FROM podcasts WHERE ${EPISODE_HAS_NO_EMBEDDINGS_SQL}`,
+        [embeddings.getModelKey(embeddings.getProvider())]
+      );
+      videosWithoutEmbeddings = missingEmbeddings[0].count || 0;
+    }
+
+    // Episodes due for a Spotify match attempt
+    let videosWithoutSpotifyMatch = null;
+    if (spotify.isEnabled()) {
+      const [missingMatches] = await pool.execute(`SELECT COUNT(*) as count FROM podcasts WHERE ${EPISODE_NEEDS_SPOTIFY_MATCH_SQL}`);
+      videosWithoutSpotifyMatch = missingMatches[0].count || 0;
+    }
 
     res.json({
       total_keywords: keywordCount[0].count || 0,
@@ -1411,7 +1981,13 @@ app.get('/api/ai-status', async (req, res) => {
       last_processed: lastProcessed[0].last,
       missing_thumbnails: missingThumbnails[0].count || 0,
       videos_without_keywords: videosWithoutKeywords[0].count || 0,
-      missing_dates: missingDates[0].count || 0
+      missing_dates: missingDates[0].count || 0,
+      embeddings_enabled: embeddings.isEnabled(),
+      videos_without_embeddings: videosWithoutEmbeddings,
+      spotify_enabled: spotify.isEnabled(),
+      asr_enabled: asr.isEnabled(),
+      asr_auto: asr.isEnabled() && asr.AUTO_TRANSCRIBE,
+      videos_without_spotify_match: videosWithoutSpotifyMatch
     });
   } catch (error) {
     console.error('AI status error:', error);
@@ -1420,180 +1996,198 @@ app.get('/api/ai-status', async (req, res) => {
 });
 
 // Start AI processing for all videos
-app.post('/api/process-ai', async (req, res) => {
+app.post('/api/process-ai', requireAdmin, async (req, res) => {
   try {
     const { newOnly = false } = req.body || {};
-    const jobId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-
-    aiJobs.set(jobId, {
-      status: 'starting',
-      total: 0,
-      processed: 0,
-      keywords_count: 0,
-      newOnly: newOnly
-    });
+    const jobId = await jobs.createJob('ai_keywords', { newOnly });
 
     res.json({ success: true, jobId });
 
-    // Process in background
-    processAiAsync(jobId, newOnly);
-
   } catch (error) {
     console.error('AI processing error:', error);
     res.status(500).json({ error: 'Failed to start AI processing' });
   }
 });
 
-// Get AI job status
-app.get('/api/ai-status/:jobId', (req, res) => {
-  const job = aiJobs.get(req.params.jobId);
-
-  if (!job) {
-    // Job not found - likely server restarted, return completed status to stop polling
-    return res.json({
-      status: 'completed',
-      error: 'Job expired (server restarted)',
-      total: 0,
-      processed: 0
+// Get AI job status (also used for backfill jobs)
+app.get('/api/ai-status/:jobId', requireAdmin, async (req, res) => {
+  try {
+    const job = await jobs.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      status: job.status,
+      type: job.type,
+      total: job.total,
+      processed: job.processed,
+      keywords_count: job.data.keywords_count || 0,
+      matched_count: job.data.matched_count || 0,
+      failed: job.failed,
+      newOnly: !!job.payload.newOnly,
+      error: job.error
     });
+  } catch (error) {
+    console.error('AI job status error:', error);
+    res.status(500).json({ error: 'Database error' });
   }
-
-  res.json(job);
 });
 
-// Background AI processing
-async function processAiAsync(jobId, newOnly = false) {
-  const job = aiJobs.get(jobId);
+// Clean, filter blacklisted, dedupe and limit keywords returned by the LLM
+function cleanKeywords(keywords, blacklist) {
+  return keywords
+    .map(k => String(k).toLowerCase().trim())
+    .filter(k => k.length > 2 && k.length < 50)
+    .filter(k => !blacklist.has(k))
+    .filter((k, i, all) => all.indexOf(k) === i)
+    .slice(0, 10);
+}
 
+// SQL expression: an episode's keywords as a comma-separated list, in extraction order.
+// Correlated on podcasts.id, so use it in queries on the (unaliased) podcasts table.
+const EPISODE_KEYWORDS_SQL = `(
+  SELECT GROUP_CONCAT(k.keyword ORDER BY ek.position SEPARATOR ',')
+  FROM episode_keywords ek
+  JOIN keywords k ON k.id = ek.keyword_id
+  WHERE ek.podcast_id = podcasts.id
+)`;
+
+// SQL condition: the episode has no keywords yet
+const EPISODE_HAS_NO_KEYWORDS_SQL = 'NOT EXISTS (SELECT 1 FROM episode_keywords ek WHERE ek.podcast_id = podcasts.id)';
+
+// Replace an episode's keywords (episode_keywords rows) in one transaction
+async function saveEpisodeKeywords(podcastId, keywords, language) {
+  const connection = await pool.getConnection();
   try {
-    // Get blacklisted keywords
-    const [blacklistRows] = await pool.execute('SELECT keyword FROM keyword_blacklist');
-    const blacklist = new Set(blacklistRows.map(r => r.keyword.toLowerCase()));
-
-    // Get videos based on mode
-    let query;
-    if (newOnly) {
-      // Only process videos without keywords (new videos)
-      query = `
-        SELECT id, episode_title, podcast_name, summary, transcript, language
-        FROM podcasts
-        WHERE (keywords IS NULL OR keywords = '')
-        ORDER BY processed_at DESC
-      `;
-    } else {
-      // Reprocess ALL videos (reset keywords)
-      query = `
-        SELECT id, episode_title, podcast_name, summary, transcript, language
-        FROM podcasts
-        ORDER BY processed_at DESC
-      `;
+    await connection.beginTransaction();
+    await connection.execute('DELETE FROM episode_keywords WHERE podcast_id = ?', [podcastId]);
+
+    for (let i = 0; i < keywords.length; i++) {
+      // LAST_INSERT_ID(id) makes insertId return the existing row's ID on duplicates
+      const [result] = await connection.execute(`
+        INSERT INTO keywords (keyword, language, updated_at)
+        VALUES (?, ?, NOW())
+        ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id), updated_at = NOW()
+      `, [keywords[i], language]);
+
+      await connection.execute(
+        'INSERT IGNORE INTO episode_keywords (podcast_id, keyword_id, position) VALUES (?, ?, ?)',
+        [podcastId, result.insertId, i]
+      );
     }
-    const [videos] = await pool.execute(query);
 
-    job.total = videos.length;
-    job.status = 'processing';
+    await connection.execute('UPDATE podcasts SET ai_processed_at = NOW() WHERE id = ?', [podcastId]);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
 
-    const modeLabel = newOnly ? 'NEW ONLY' : 'ALL';
-    console.log(`[AI-${jobId}] Processing ${videos.length} videos for keywords [${modeLabel}] (${blacklist.size} blacklisted terms)`);
+  related.invalidate(podcastId);
+}
 
-    const allKeywords = new Map(); // Map of "keyword|language" -> count
+// Remove keywords no episode uses anymore
+async function pruneOrphanKeywords() {
+  const [result] = await pool.execute(`
+    DELETE k FROM keywords k
+    LEFT JOIN episode_keywords ek ON ek.keyword_id = k.id
+    WHERE ek.keyword_id IS NULL
+  `);
+  return result.affectedRows;
+}
 
-    for (let i = 0; i < videos.length; i++) {
-      const video = videos[i];
-      const videoLang = video.language || 'en';
+// Background AI processing (job type: ai_keywords)
+async function processAiAsync(job) {
+  const { newOnly = false } = job.payload;
+  const jobId = job.id;
 
-      try {
-        // Extract keywords using Gemini
-        const textToAnalyze = `Title: ${video.episode_title}\nChannel: ${video.podcast_name}\nSummary: ${video.summary || ''}\n\nTranscript excerpt: ${(video.transcript || '').substring(0, 10000)}`;
+  // Get blacklisted keywords
+  const [blacklistRows] = await pool.execute('SELECT keyword FROM keyword_blacklist');
+  const blacklist = new Set(blacklistRows.map(r => r.keyword.toLowerCase()));
 
-        // Language-specific instructions for keywords
-        const langInstructions = {
-          'en': 'Extract keywords in English.',
-          'fr': 'Extrais les mots-clés en français.'
-        };
-        const langInstruction = langInstructions[videoLang] || 'Extract keywords in the same language as the content.';
+  // Get videos based on mode
+  let query;
+  if (newOnly) {
+    // Only process videos without keywords (new videos)
+    query = `
+      SELECT id, episode_title, podcast_name, summary, transcript, language
+      FROM podcasts
+      WHERE ${EPISODE_HAS_NO_KEYWORDS_SQL}
+      ORDER BY processed_at DESC, id DESC
+    `;
+  } else {
+    // Reprocess ALL videos (each video's keywords are replaced)
+    query = `
+      SELECT id, episode_title, podcast_name, summary, transcript, language
+      FROM podcasts
+      ORDER BY processed_at DESC, id DESC
+    `;
+  }
+  const [allVideos] = await pool.execute(query);
 
-        const prompt = `Extract 5-10 main keywords/topics from this video content. Return ONLY a JSON array of lowercase keywords, no explanations. Focus on main subjects, people mentioned, concepts discussed.
+  // Skip videos this job already handled before a restart
+  const doneIds = getJobDoneIds(job);
+  const videos = allVideos.filter(v => !doneIds.has(v.id));
 
-IMPORTANT: ${langInstruction}
+  if (!job.resumed || job.total === 0) {
+    job.total = videos.length;
+  }
+  job.status = 'processing';
+  await jobs.saveJob(job);
 
-Example output: ["artificial intelligence", "elon musk", "space exploration", "neural networks"]
+  const modeLabel = newOnly ? 'NEW ONLY' : 'ALL';
+  console.log(`[AI-${jobId}] Processing ${videos.length} videos for keywords [${modeLabel}] (${blacklist.size} blacklisted terms)`);
 
-Content:
-${textToAnalyze}`;
+  // Distinct "keyword|language" extracted, persisted with the job so a resume keeps earlier ones
+  const allKeywords = new Set(job.data.extractedKeywords || []);
 
-        const result = await model.generateContent(prompt);
-        const text = result.response.text();
+  for (let i = 0; i < videos.length; i++) {
+    const video = videos[i];
+    const videoLang = video.language || 'en';
 
-        let keywords = [];
-        try {
-          const jsonMatch = text.match(/\[[\s\S]*\]/);
-          if (jsonMatch) {
-            keywords = JSON.parse(jsonMatch[0]);
-          }
-        } catch (e) {
-          // Try to extract comma-separated keywords
-          keywords = text.split(',').map(k => k.trim().toLowerCase().replace(/["\[\]]/g, '')).filter(k => k.length > 2);
-        }
+    try {
+      // Extract keywords using the configured LLM provider
+      const rawKeywords = await llm.extractTranscriptKeywords({
+        title: video.episode_title,
+        channel: video.podcast_name,
+        summary: video.summary,
+        transcript: video.transcript || '',
+        language: videoLang
+      });
+      const keywords = cleanKeywords(rawKeywords, blacklist);
 
-        // Clean, filter blacklisted, and limit keywords
-        keywords = keywords
-          .map(k => k.toLowerCase().trim())
-          .filter(k => k.length > 2 && k.length < 50)
-          .filter(k => !blacklist.has(k))
-          .slice(0, 10);
+      // Replace the video's keywords (counts are derived from episode_keywords)
+      await saveEpisodeKeywords(video.id, keywords, videoLang);
+      keywords.forEach(k => allKeywords.add(`${k}|${videoLang}`));
 
-        // Update video with keywords
-        const keywordsStr = keywords.join(',');
-        await pool.execute(
-          'UPDATE podcasts SET keywords = ?, ai_processed_at = NOW() WHERE id = ?',
-          [keywordsStr, video.id]
-        );
+      job.processed++;
+      console.log(`[AI-${jobId}] Processed ${i + 1}/${videos.length}: ${video.episode_title} - ${keywords.length} keywords`);
 
-        // Track keyword counts with language (only non-blacklisted)
-        keywords.forEach(k => {
-          const key = `${k}|${videoLang}`;
-          allKeywords.set(key, (allKeywords.get(key) || 0) + 1);
-        });
-
-        job.processed++;
-        console.log(`[AI-${jobId}] Processed ${i + 1}/${videos.length}: ${video.episode_title} - ${keywords.length} keywords`);
-
-        // Rate limiting
-        await new Promise(r => setTimeout(r, 500));
-
-      } catch (error) {
-        console.error(`[AI-${jobId}] Error processing video ${video.id}:`, error.message);
-        job.processed++;
-      }
-    }
+      job.data.extractedKeywords = [...allKeywords];
+      await markJobItemDone(job, video.id);
 
-    // Save all keywords to keywords table (excluding blacklisted)
-    console.log(`[AI-${jobId}] Saving ${allKeywords.size} unique keywords`);
+      // Rate limiting
+      await new Promise(r => setTimeout(r, 500));
 
-    for (const [keyLang, count] of allKeywords) {
-      const [keyword, lang] = keyLang.split('|');
-      if (!blacklist.has(keyword)) {
-        await pool.execute(`
-          INSERT INTO keywords (keyword, language, count, updated_at)
-          VALUES (?, ?, ?, NOW())
-          ON DUPLICATE KEY UPDATE
-            count = count + VALUES(count),
-            updated_at = NOW()
-        `, [keyword, lang, count]);
-      }
+    } catch (error) {
+      console.error(`[AI-${jobId}] Error processing video ${video.id}:`, error.message);
+      job.processed++;
+      await markJobItemDone(job, video.id);
     }
+  }
 
-    job.status = 'completed';
-    job.keywords_count = allKeywords.size;
+  // Keywords that were only used by replaced keyword sets are gone now
+  const pruned = await pruneOrphanKeywords();
+  console.log(`[AI-${jobId}] Pruned ${pruned} unused keywords`);
 
-    console.log(`[AI-${jobId}] Completed! ${allKeywords.size} keywords extracted`);
+  job.status = 'completed';
+  job.data.keywords_count = allKeywords.size;
 
-  } catch (error) {
-    console.error(`[AI-${jobId}] Error:`, error);
-    job.status = 'error';
-    job.error = error.message;
-  }
+  console.log(`[AI-${jobId}] Completed! ${allKeywords.size} keywords extracted`);
 }
 
 // Get popular keywords (excluding blacklisted)
@@ -1606,21 +2200,25 @@ app.get('/api/keywords', async (req, res) => {
     let query;
     let params = [];
 
+    // Counts are the number of episodes using each keyword (episode_keywords)
     if (includeBlacklisted) {
       if (language) {
         query = `
-          SELECT k.keyword, k.count, k.language, (b.keyword IS NOT NULL) as is_blacklisted
+          SELECT k.keyword, COUNT(ek.podcast_id) as count, k.language, (b.keyword IS NOT NULL) as is_blacklisted
           FROM keywords k
+          JOIN episode_keywords ek ON ek.keyword_id = k.id
           LEFT JOIN keyword_blacklist b ON k.keyword = b.keyword
           WHERE k.language = ?
-          ORDER BY k.count DESC
+          GROUP BY k.id, b.keyword
+          ORDER BY count DESC
           LIMIT ?
         `;
         params = [language, limit];
       } else {
         query = `
-          SELECT k.keyword, SUM(k.count) as count, (b.keyword IS NOT NULL) as is_blacklisted
+          SELECT k.keyword, COUNT(ek.podcast_id) as count, (b.keyword IS NOT NULL) as is_blacklisted
           FROM keywords k
+          JOIN episode_keywords ek ON ek.keyword_id = k.id
           LEFT JOIN keyword_blacklist b ON k.keyword = b.keyword
           GROUP BY k.keyword, b.keyword
           ORDER BY count DESC
@@ -1631,18 +2229,21 @@ app.get('/api/keywords', async (req, res) => {
     } else {
       if (language) {
         query = `
-          SELECT k.keyword, k.count, k.language, false as is_blacklisted
+          SELECT k.keyword, COUNT(ek.podcast_id) as count, k.language, false as is_blacklisted
           FROM keywords k
+          JOIN episode_keywords ek ON ek.keyword_id = k.id
           LEFT JOIN keyword_blacklist b ON k.keyword = b.keyword
           WHERE b.keyword IS NULL AND k.language = ?
-          ORDER BY k.count DESC
+          GROUP BY k.id
+          ORDER BY count DESC
           LIMIT ?
         `;
         params = [language, limit];
       } else {
         query = `
-          SELECT k.keyword, SUM(k.count) as count, false as is_blacklisted
+          SELECT k.keyword, COUNT(ek.podcast_id) as count, false as is_blacklisted
           FROM keywords k
+          JOIN episode_keywords ek ON ek.keyword_id = k.id
           LEFT JOIN keyword_blacklist b ON k.keyword = b.keyword
           WHERE b.keyword IS NULL
           GROUP BY k.keyword
@@ -1665,8 +2266,21 @@ app.get('/api/keywords', async (req, res) => {
 // KEYWORD BLACKLIST ENDPOINTS
 // ============================================
 
+// Delete a keyword (all languages) together with its episode links
+async function deleteKeyword(keyword) {
+  await pool.execute(`
+    DELETE ek FROM episode_keywords ek
+    JOIN keywords k ON k.id = ek.keyword_id
+    WHERE k.keyword = ?
+  `, [keyword]);
+  await pool.execute('DELETE FROM keywords WHERE keyword = ?', [keyword]);
+
+  // Rarity and shared keywords changed for every episode that had it
+  related.clearCache();
+}
+
 // Get all blacklisted keywords
-app.get('/api/keyword-blacklist', async (req, res) => {
+app.get('/api/keyword-blacklist', requireAdmin, async (req, res) => {
   try {
     const [rows] = await pool.execute('SELECT keyword, created_at FROM keyword_blacklist ORDER BY keyword');
     res.json(rows);
@@ -1677,7 +2291,7 @@ app.get('/api/keyword-blacklist', async (req, res) => {
 });
 
 // Add keyword to blacklist
-app.post('/api/keyword-blacklist', async (req, res) => {
+app.post('/api/keyword-blacklist', requireAdmin, async (req, res) => {
   try {
     const { keyword } = req.body;
 
@@ -1692,8 +2306,8 @@ app.post('/api/keyword-blacklist', async (req, res) => {
       [cleanKeyword]
     );
 
-    // Also remove from keywords table
-    await pool.execute('DELETE FROM keywords WHERE keyword = ?', [cleanKeyword]);
+    // Also remove the keyword and its episode links
+    await deleteKeyword(cleanKeyword);
 
     res.json({ success: true, keyword: cleanKeyword });
   } catch (error) {
@@ -1703,7 +2317,7 @@ app.post('/api/keyword-blacklist', async (req, res) => {
 });
 
 // Remove keyword from blacklist
-app.delete('/api/keyword-blacklist/:keyword', async (req, res) => {
+app.delete('/api/keyword-blacklist/:keyword', requireAdmin, async (req, res) => {
   try {
     const keyword = decodeURIComponent(req.params.keyword);
 
@@ -1717,7 +2331,7 @@ app.delete('/api/keyword-blacklist/:keyword', async (req, res) => {
 });
 
 // Bulk add keywords to blacklist
-app.post('/api/keyword-blacklist/bulk', async (req, res) => {
+app.post('/api/keyword-blacklist/bulk', requireAdmin, async (req, res) => {
   try {
     const { keywords } = req.body;
 
@@ -1731,7 +2345,7 @@ app.post('/api/keyword-blacklist/bulk', async (req, res) => {
 
     for (const keyword of cleanKeywords) {
       await pool.execute('INSERT IGNORE INTO keyword_blacklist (keyword) VALUES (?)', [keyword]);
-      await pool.execute('DELETE FROM keywords WHERE keyword = ?', [keyword]);
+      await deleteKeyword(keyword);
     }
 
     res.json({ success: true, count: cleanKeywords.length });
@@ -1760,7 +2374,8 @@ function decodeHtmlEntities(text) {
 }
 
 // Extract context snippets from transcript around search terms
-function extractContextSnippets(transcript, searchTerms, maxSnippets = 3, contextChars = 150) {
+// When timings are available, each snippet also gets the video time of the match
+function extractContextSnippets(transcript, searchTerms, maxSnippets = 3, contextChars = 150, timings = null) {
   if (!transcript) return [];
 
   // Decode any HTML entities in the transcript first
@@ -1777,313 +2392,1494 @@ function extractContextSnippets(transcript, searchTerms, maxSnippets = 3, contex
       const index = lowerTranscript.indexOf(term.toLowerCase(), startIndex);
       if (index === -1) break;
 
-      // Get context around the match
-      const snippetStart = Math.max(0, index - contextChars);
-      const snippetEnd = Math.min(transcript.length, index + term.length + contextChars);
+      // Get context around the match
+      const snippetStart = Math.max(0, index - contextChars);
+      const snippetEnd = Math.min(transcript.length, index + term.length + contextChars);
+
+      let snippet = transcript.substring(snippetStart, snippetEnd);
+
+      // Clean up snippet boundaries
+      if (snippetStart > 0) snippet = '...' + snippet.substring(snippet.indexOf(' ') + 1);
+      if (snippetEnd < transcript.length) snippet = snippet.substring(0, snippet.lastIndexOf(' ')) + '...';
+
+      // Check if this snippet overlaps with existing ones
+      const overlaps = snippets.some(s => {
+        const sLower = s.text.toLowerCase();
+        return sLower.includes(snippet.toLowerCase().substring(10, 50)) ||
+               snippet.toLowerCase().includes(sLower.substring(10, 50));
+      });
+
+      if (!overlaps && snippet.length > 20) {
+        snippets.push({
+          text: snippet,
+          matchedTerm: term,
+          start: findTimeAtOffset(timings, index)
+        });
+      }
+
+      startIndex = index + term.length;
+    }
+
+    if (snippets.length >= maxSnippets) break;
+  }
+
+  return snippets;
+}
+
+// Snippets for semantically matched chunks: the start of each chunk (by chunk offset in the transcript).
+// Same shape as extractContextSnippets results, with matchedTerm null and the chunk similarity.
+function buildSemanticSnippets(transcript, chunks, maxSnippets = 2, timings = null, maxChars = 300) {
+  if (!transcript) return [];
+
+  return chunks.slice(0, maxSnippets).map(chunk => {
+    let text = transcript.substr(chunk.offset, chunk.length);
+    if (text.length > maxChars) {
+      text = text.substring(0, text.lastIndexOf(' ', maxChars)) + '...';
+    }
+    if (chunk.offset > 0) text = '...' + text;
+
+    return {
+      text: decodeHtmlEntities(text),
+      matchedTerm: null,
+      start: findTimeAtOffset(timings, chunk.offset),
+      similarity: Math.round(chunk.similarity * 1000) / 1000
+    };
+  });
+}
+
+// Facet counts for a search: top keywords and duration buckets.
+// buildMatchCondition(exceptDimension) gives the search condition without that dimension's own filter.
+async function getSearchFacets(buildMatchCondition) {
+  const keywordMatch = buildMatchCondition('keyword');
+  const [keywordRows] = await pool.execute(
+    `SELECT fk.keyword, COUNT(*) as count
+     FROM podcasts
+     JOIN episode_keywords fek ON fek.podcast_id = podcasts.id
+     JOIN keywords fk ON fk.id = fek.keyword_id
+     WHERE ${keywordMatch.sql}
+     GROUP BY fk.keyword
+     ORDER BY count DESC, fk.keyword ASC
+     LIMIT ${KEYWORD_FACET_LIMIT}`,
+    keywordMatch.params
+  );
+
+  const durationMatch = buildMatchCondition('duration');
+  const [durationRows] = await pool.execute(
+    `SELECT ${durationFacetColumns()} FROM podcasts WHERE ${durationMatch.sql}`,
+    durationMatch.params
+  );
+
+  return {
+    keywords: keywordRows.map(row => ({ keyword: row.keyword, count: row.count })),
+    durations: DURATION_BUCKETS.map(bucket => ({
+      ...bucket,
+      count: Number(durationRows[0][bucket.key]) || 0
+    }))
+  };
+}
+
+// Search videos by keywords and text (including transcript)
+app.get('/api/search', async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const query = req.query.q;
+    const language = req.query.lang || null; // Filter by language if provided
+    const channelFilter = req.query.channel || null; // Filter by specific channel
+
+    const sort = req.query.sort === 'newest' ? 'newest' : 'relevance';
+    // lexical (default): text and keyword matching, semantic: nearest transcript chunks by meaning, hybrid: both
+    const mode = SEARCH_MODES.includes(req.query.mode) ? req.query.mode : 'lexical';
+    // prefer=manual: episodes transcribed from manual subtitles come first (in the chosen sort)
+    const preferManual = req.query.prefer === 'manual';
+    const cursorKey = `${mode}-${sort}${preferManual ? '-manual' : ''}`;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+
+    if (!query || query.length < 2) {
+      return res.status(400).json({ error: 'Search query must be at least 2 characters' });
+    }
+
+    let offset = 0;
+    if (req.query.cursor) {
+      offset = decodeSearchCursor(req.query.cursor, cursorKey);
+      if (offset === null) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    // Parse the query syntax (phrases, OR, -exclusions, field prefixes) into parameterized SQL
+    const parsedQuery = parseQuery(query);
+    if (parsedQuery.groups.length === 0) {
+      return res.status(400).json({ error: 'Search query must include at least one term to look for' });
+    }
+    const compiled = compileQuery(parsedQuery);
+    const searchTerms = compiled.terms;
+
+    if (mode !== 'lexical' && !embeddings.isEnabled()) {
+      return res.status(400).json({ error: 'Semantic search is not available' });
+    }
+
+    // Semantic matches: episodes whose transcript chunks are closest in meaning to the query
+    let semanticEpisodes = new Map();
+    if (mode !== 'lexical') {
+      const nearestChunks = await embeddings.searchChunks(searchTerms.join(' ') || query, SEMANTIC_CHUNK_LIMIT);
+      semanticEpisodes = groupChunksByEpisode(nearestChunks);
+    }
+
+    // Candidate episodes for the mode (before language and filters)
+    const semanticMatch = semanticMatchCondition(semanticEpisodes);
+    let candidates = { sql: `(${compiled.condition})`, params: compiled.conditionParams };
+    if (mode === 'semantic') {
+      candidates = semanticMatch;
+    } else if (mode === 'hybrid') {
+      candidates = {
+        sql: `(${compiled.condition} OR ${semanticMatch.sql})`,
+        params: [...compiled.conditionParams, ...semanticMatch.params]
+      };
+    }
+
+    // Date, duration and keyword filters
+    const searchFilters = parseSearchFilters(req.query);
+    if (searchFilters.error) {
+      return res.status(400).json({ error: searchFilters.error });
+    }
+
+    // Matching episodes in the requested language, with all filters except the given facet dimension
+    const buildMatchCondition = (exceptDimension = null) => {
+      const filters = filterConditions(searchFilters, exceptDimension);
+      let sql = candidates.sql;
+      const params = [...candidates.params];
+      if (language) {
+        sql += ` AND language = ?`;
+        params.push(language);
+      }
+      return { sql: sql + filters.sql, params: [...params, ...filters.params] };
+    };
+    const match = buildMatchCondition();
+
+    // On the first page, get all matching channels with their result counts (no limit) and the facets.
+    // Later pages ("load more") reuse what the client got with the first page.
+    let channels;
+    let totalResults;
+    let facets;
+    let didYouMean = null;
+    if (offset === 0) {
+      const channelsQuery = `
+        SELECT podcast_name, COUNT(*) as result_count
+        FROM podcasts
+        WHERE ${match.sql}
+        GROUP BY podcast_name ORDER BY result_count DESC
+      `;
+      const channelsParams = match.params;
+
+      const [channelRows] = await pool.execute(channelsQuery, channelsParams);
+
+      // Build the channels list with counts
+      // Keep both raw name (for filtering) and decoded name (for display)
+      channels = channelRows.map(row => ({
+        name: decodeHtmlEntities(row.podcast_name),
+        rawName: row.podcast_name,
+        count: row.result_count
+      }));
+      totalResults = channelRows.reduce((sum, c) => sum + c.result_count, 0);
+      facets = await getSearchFacets(buildMatchCondition);
+
+      // Nothing found: offer the query with misspelled words corrected from the keyword vocabulary
+      if (totalResults === 0 && mode !== 'semantic') {
+        didYouMean = await suggest.suggestCorrection(query);
+      }
+    }
+
+    // Rank all matches and take one page of IDs (one extra row tells us if there is a next page).
+    // Title and keyword hits get fixed boosts, text relevance (term frequency) fills in the rest;
+    // semantic and hybrid modes blend in the similarity of the closest transcript chunk.
+    const semanticScore = semanticScoreColumn(semanticEpisodes);
+    let innerQuery = `
+      SELECT id, upload_date, processed_at, ${compiled.scoreColumns}, ${semanticScore.sql} as semantic_score
+      FROM podcasts
+      WHERE ${match.sql}
+    `;
+
+    let params = [...compiled.scoreParams, ...semanticScore.params, ...match.params];
+
+    if (channelFilter) {
+      innerQuery += ` AND podcast_name = ?`;
+      params.push(channelFilter);
+    }
+
+    let rankedQuery = mode === 'lexical'
+      ? withRelevanceScore(innerQuery)
+      : withSemanticScore(withRelevanceScore(innerQuery), mode);
+
+    // Episodes that searchers of this query often clicked rank a little higher
+    if (sort === 'relevance') {
+      const clickBoosts = await clicks.getClickBoosts(normalizeSearchQuery(query));
+      if (clickBoosts.size > 0) {
+        const boosted = withClickBoost(rankedQuery, clickBoosts);
+        rankedQuery = boosted.sql;
+        params = [...boosted.params, ...params];
+      }
+    }
+    if (preferManual) {
+      rankedQuery = withManualTranscriptFirst(rankedQuery);
+    }
+    const pageQuery = rankedQuery +
+      ` ORDER BY ${preferManual ? 'manual_transcript DESC, ' : ''}${SEARCH_SORTS[sort]} LIMIT ${limit + 1} OFFSET ${offset}`;
+
+    const [pageRows] = await pool.execute(pageQuery, params);
+    const hasMore = pageRows.length > limit;
+    const page = pageRows.slice(0, limit);
+
+    // Then load the heavy columns (transcripts) for this page only, keeping the ranked order
+    let rows = [];
+    if (page.length > 0) {
+      const [detailRows] = await pool.query(
+        `SELECT id, spotify_url, podcast_name, episode_title, summary, ${EPISODE_KEYWORDS_SQL} as keywords, processed_at,
+          thumbnail_url, transcript, transcript_timings, language, upload_date, duration_seconds,
+          spotify_episode_url, spotify_match_confidence, feed_item_guid, apple_episode_url, source_type
+         FROM podcasts WHERE id IN (?)`,
+        [page.map(r => r.id)]
+      );
+      const detailsById = new Map(detailRows.map(row => [row.id, row]));
+      rows = page
+        .filter(r => detailsById.has(r.id))
+        .map(r => ({ ...detailsById.get(r.id), relevance_score: r.relevance_score }));
+    }
+
+    const channelPodcastLinks = await getChannelPodcastLinks(rows);
+
+    // Process results to extract context snippets and decode HTML entities
+    const results = rows.map(row => {
+      const timings = parseTimings(row.transcript_timings);
+      const lexicalSnippets = mode === 'semantic' ? [] : extractContextSnippets(row.transcript, searchTerms, 3, 150, timings);
+      const semanticSnippets = semanticEpisodes.has(row.id)
+        ? buildSemanticSnippets(row.transcript, semanticEpisodes.get(row.id).chunks, 2, timings)
+        : [];
+      // Semantic mode leads with passages found by meaning, hybrid with exact matches
+      const snippets = (mode === 'semantic' ? [...semanticSnippets, ...lexicalSnippets] : [...lexicalSnippets, ...semanticSnippets])
+        .slice(0, 3)
+        .map(snippet => ({ ...snippet, timestamp_url: buildTimestampUrl(row.spotify_url, snippet.start) }));
+
+      // Decode HTML entities in text fields
+      const decodedTitle = decodeHtmlEntities(row.episode_title);
+      const decodedSummary = decodeHtmlEntities(row.summary);
+      const decodedPodcastName = decodeHtmlEntities(row.podcast_name);
+
+      // Generate Spotify search URL
+      const spotifySearchUrl = `https://open.spotify.com/search/${encodeURIComponent(decodedTitle)}`;
+
+      return {
+        id: row.id,
+        spotify_url: row.spotify_url,
+        source_type: row.source_type,
+        podcast_name: decodedPodcastName,
+        episode_title: decodedTitle,
+        summary: decodedSummary,
+        keywords: row.keywords,
+        processed_at: row.processed_at,
+        upload_date: row.upload_date,
+        duration_seconds: row.duration_seconds,
+        thumbnail_url: row.thumbnail_url,
+        relevance_score: row.relevance_score,
+        context_snippets: snippets,
+        spotify_search_url: spotifySearchUrl,
+        spotify_episode_url: directSpotifyUrl(row),
+        ...podcastLinks(row, channelPodcastLinks.get(row.podcast_name))
+      };
+    });
+
+    logSearchQuery(req, {
+      query,
+      language,
+      channelFilter,
+      mode,
+      offset,
+      resultCount: totalResults,
+      latencyMs: Date.now() - startedAt
+    });
+
+    // Return results with channels list and facets for filtering (channels/facets/totalResults on the first page only)
+    res.json({
+      results,
+      channels,
+      facets,
+      filters: searchFilters.filters,
+      terms: searchTerms,
+      mode,
+      prefer: preferManual ? 'manual' : null,
+      totalResults,
+      didYouMean,
+      nextCursor: hasMore ? encodeSearchCursor(offset + page.length, cursorKey) : null
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Autocomplete for the search box: keywords, channels and episode titles starting with q
+app.get('/api/suggest', async (req, res) => {
+  try {
+    const prefix = String(req.query.q || '').trim();
+    const language = req.query.lang || null;
+
+    if (prefix.length < 2 || prefix.length > 100) {
+      return res.json({ suggestions: [] });
+    }
+
+    const suggestions = (await suggest.findSuggestions(prefix, language)).map(suggestion => {
+      const text = decodeHtmlEntities(suggestion.text);
+      if (suggestion.type === 'channel') {
+        const { slug, ...channel } = suggestion;
+        return { ...channel, text, url: slug ? seo.channelPath(slug) : `/?q=${encodeURIComponent(`channel:"${text.replace(/"/g, '')}"`)}` };
+      }
+      if (suggestion.type === 'episode') return { type: 'episode', text, url: `/episode/${suggestion.id}` };
+      return suggestion;
+    });
+
+    res.json({ suggestions });
+  } catch (error) {
+    console.error('Suggest error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ============================================
+// SEARCH ANALYTICS
+// ============================================
+
+// Salt for client hashes. Without a configured salt a random one is used, so the same
+// visitor gets a new hash after every restart (unique-client counts then reset too).
+const SEARCH_LOG_SALT = process.env.SEARCH_LOG_SALT || crypto.randomBytes(16).toString('hex');
+
+// Queries need this many searches in the period to count as trending
+const TRENDING_MIN_SEARCHES = 3;
+
+// Lowercase, single-spaced and cut to the column size, so variants of a query group together
+function normalizeSearchQuery(query) {
+  return String(query).toLowerCase().replace(/\s+/g, ' ').trim().substring(0, 255);
+}
+
+// In-memory sliding-window limiter: isLimited(key) is true once key was allowed `limit` times
+// within the last windowMs (the call that is refused is not counted)
+function createRateLimiter(limit, windowMs) {
+  const requests = new Map(); // key -> timestamps of recent allowed calls
+
+  return function isLimited(key) {
+    const now = Date.now();
+
+    // Forget keys that have been quiet for a whole window
+    if (requests.size > 10000) {
+      for (const [k, times] of requests) {
+        if (now - times[times.length - 1] > windowMs) requests.delete(k);
+      }
+    }
+
+    const recent = (requests.get(key) || []).filter(t => now - t < windowMs);
+    const limited = recent.length >= limit;
+    if (!limited) recent.push(now);
+    requests.set(key, recent);
+    return limited;
+  };
+}
+
+// Click beacons are public writes that feed ranking: a budget per IP, and only the first few
+// clicks of an IP on one episode count (whatever the query or user agent)
+const CLICK_RATE_LIMIT = parseInt(process.env.CLICK_RATE_LIMIT_PER_HOUR) || 60;
+const CLICK_MAX_PER_EPISODE = parseInt(process.env.CLICK_MAX_PER_EPISODE_PER_DAY) || 3;
+const isClickRateLimited = createRateLimiter(CLICK_RATE_LIMIT, 60 * 60 * 1000);
+const isEpisodeClickCapped = createRateLimiter(CLICK_MAX_PER_EPISODE, 24 * 60 * 60 * 1000);
+
+// Anonymous, stable per-visitor id: salted hash of IP and user agent
+function hashClient(req) {
+  return crypto.createHash('sha256')
+    .update(`${SEARCH_LOG_SALT}:${req.ip}:${req.headers['user-agent'] || ''}`)
+    .digest('hex');
+}
+
+// Record a search (never fails the search itself)
+function logSearchQuery(req, entry) {
+  pool.execute(
+    `INSERT INTO search_queries (query, language, channel_filter, search_mode, page_offset, result_count, latency_ms, client_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      normalizeSearchQuery(entry.query),
+      entry.language ? String(entry.language).substring(0, 2) : null,
+      entry.channelFilter ? String(entry.channelFilter).substring(0, 255) : null,
+      entry.mode,
+      entry.offset,
+      entry.resultCount === undefined ? null : entry.resultCount,
+      entry.latencyMs,
+      hashClient(req)
+    ]
+  ).catch(error => console.error('Search log error:', error.message));
+}
+
+// Click beacon from the result list: { q, episode_id, position, link } (sent with navigator.sendBeacon)
+app.post('/api/search/click', async (req, res) => {
+  try {
+    const { q, episode_id, position, link } = req.body || {};
+    const podcastId = Number(episode_id);
+    const rank = Number(position);
+
+    if (typeof q !== 'string' || q.trim().length < 2 || !Number.isInteger(podcastId) ||
+        !Number.isInteger(rank) || rank < 1 || rank > 1000 || !clicks.CLICK_LINK_TYPES.includes(link)) {
+      return res.status(400).json({ error: 'Invalid click' });
+    }
+
+    if (isClickRateLimited(req.ip)) {
+      return res.status(429).json({ error: 'Too many clicks, please try again later' });
+    }
+    // Over the cap the click is accepted but not counted
+    if (isEpisodeClickCapped(`${req.ip}:${podcastId}`)) {
+      return res.status(204).end();
+    }
+
+    await clicks.recordClick({
+      query: normalizeSearchQuery(q),
+      podcastId,
+      position: rank,
+      link,
+      clientHash: hashClient(req)
+    });
+    res.status(204).end();
+  } catch (error) {
+    // Unknown episode ids fail the foreign key; nothing to record then
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(400).json({ error: 'Unknown episode' });
+    }
+    console.error('Click tracking error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Report period from ?from=YYYY-MM-DD&to=YYYY-MM-DD (both inclusive, default: the last 7 days).
+// Returns { from, to, start, end } with end exclusive, or { error }.
+function parseReportRange(query) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const today = new Date().toISOString().split('T')[0];
+  const to = query.to || today;
+  const from = query.from || new Date(Date.parse(to) - 6 * 86400000).toISOString().split('T')[0];
+
+  if (!datePattern.test(from) || !datePattern.test(to) || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+    return { error: 'Dates must be YYYY-MM-DD' };
+  }
+  if (from > to) {
+    return { error: '"from" must not be after "to"' };
+  }
+
+  const end = new Date(Date.parse(to) + 86400000).toISOString().split('T')[0];
+  return { from, to, start: from, end };
+}
+
+// Shared parameters of the report endpoints: range, optional language, row limit
+function parseReportParams(req) {
+  const range = parseReportRange(req.query);
+  if (range.error) return range;
+  return {
+    ...range,
+    language: req.query.lang || null,
+    limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500)
+  };
+}
+
+// SQL condition for first-page searches in the period (and language); "load more" calls are not new searches
+function reportCondition(report) {
+  let sql = 'created_at >= ? AND created_at < ? AND page_offset = 0';
+  const params = [report.start, report.end];
+  if (report.language) {
+    sql += ' AND language = ?';
+    params.push(report.language);
+  }
+  return { sql, params };
+}
+
+// Totals for the period
+app.get('/api/analytics/summary', requireAdmin, async (req, res) => {
+  try {
+    const report = parseReportParams(req);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+    const condition = reportCondition(report);
+
+    const [rows] = await pool.execute(`
+      SELECT COUNT(*) as searches,
+        COUNT(DISTINCT query) as unique_queries,
+        COUNT(DISTINCT client_hash) as unique_clients,
+        SUM(result_count = 0) as zero_result_searches,
+        ROUND(AVG(latency_ms)) as avg_latency_ms
+      FROM search_queries
+      WHERE ${condition.sql}
+    `, condition.params);
+
+    res.json({ from: report.from, to: report.to, ...rows[0], zero_result_searches: Number(rows[0].zero_result_searches) || 0 });
+  } catch (error) {
+    console.error('Analytics summary error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Most searched queries in the period
+app.get('/api/analytics/top-queries', requireAdmin, async (req, res) => {
+  try {
+    const report = parseReportParams(req);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+    const condition = reportCondition(report);
+
+    const [rows] = await pool.execute(`
+      SELECT query, COUNT(*) as searches, COUNT(DISTINCT client_hash) as clients,
+        ROUND(AVG(result_count)) as avg_results, MAX(created_at) as last_searched
+      FROM search_queries
+      WHERE ${condition.sql}
+      GROUP BY query
+      ORDER BY searches DESC, last_searched DESC
+      LIMIT ${report.limit}
+    `, condition.params);
+
+    res.json({ from: report.from, to: report.to, queries: rows });
+  } catch (error) {
+    console.error('Top queries error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Queries growing fastest compared with the period of the same length just before
+app.get('/api/analytics/trending-queries', requireAdmin, async (req, res) => {
+  try {
+    const report = parseReportParams(req);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+    const periodMs = Date.parse(report.end) - Date.parse(report.start);
+    const previousStart = new Date(Date.parse(report.start) - periodMs).toISOString().split('T')[0];
+    const condition = reportCondition({ ...report, start: previousStart });
+
+    const [rows] = await pool.execute(`
+      SELECT query,
+        SUM(created_at >= ?) as searches,
+        SUM(created_at < ?) as previous_searches
+      FROM search_queries
+      WHERE ${condition.sql}
+      GROUP BY query
+      HAVING searches >= ${TRENDING_MIN_SEARCHES}
+      ORDER BY (searches + 1) / (previous_searches + 1) DESC, searches DESC
+      LIMIT ${report.limit}
+    `, [report.start, report.start, ...condition.params]);
+
+    res.json({
+      from: report.from,
+      to: report.to,
+      queries: rows.map(row => ({
+        query: row.query,
+        searches: Number(row.searches),
+        previous_searches: Number(row.previous_searches),
+        growth: Math.round(((Number(row.searches) + 1) / (Number(row.previous_searches) + 1)) * 10) / 10
+      }))
+    });
+  } catch (error) {
+    console.error('Trending queries error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Queries that found nothing: what visitors want that the archive does not have yet
+app.get('/api/analytics/zero-result-queries', requireAdmin, async (req, res) => {
+  try {
+    const report = parseReportParams(req);
+    if (report.error) {
+      return res.status(400).json({ error: report.error });
+    }
+    const condition = reportCondition(report);
+
+    const [rows] = await pool.execute(`
+      SELECT query, COUNT(*) as searches, COUNT(DISTINCT client_hash) as clients,
+        GROUP_CONCAT(DISTINCT language) as languages, MAX(created_at) as last_searched
+      FROM search_queries
+      WHERE ${condition.sql} AND result_count = 0
+      GROUP BY query
+      ORDER BY clients DESC, searches DESC
+      LIMIT ${report.limit}
+    `, condition.params);
+
+    res.json({ from: report.from, to: report.to, queries: rows });
+  } catch (error) {
+    console.error('Zero-result queries error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ============================================
+// ASK THE ARCHIVE (question answering)
+// ============================================
+
+// Passages sent to the LLM: total, per episode, and characters per lexical passage side
+const ASK_MAX_PASSAGES = 8;
+const ASK_PASSAGES_PER_EPISODE = 2;
+const ASK_CONTEXT_CHARS = 350;
+
+// Each question costs an LLM call, so public clients get a budget per hour
+const ASK_RATE_LIMIT = parseInt(process.env.ASK_RATE_LIMIT_PER_HOUR) || 30;
+const ASK_RATE_WINDOW = 60 * 60 * 1000;
+
+// Keyed by client IP
+const isAskRateLimited = createRateLimiter(ASK_RATE_LIMIT, ASK_RATE_WINDOW);
+
+// Transcript passages most relevant to a question: [{ podcastId, title, channel, spotifyUrl, text, start }].
+// Uses the closest chunks by meaning when semantic search is set up, FULLTEXT relevance otherwise.
+async function findAnswerPassages(question, language) {
+  const passages = [];
+
+  if (embeddings.isEnabled()) {
+    const semanticEpisodes = groupChunksByEpisode(await embeddings.searchChunks(question, SEMANTIC_CHUNK_LIMIT));
+    const ids = [...semanticEpisodes.keys()].slice(0, ASK_MAX_PASSAGES);
+
+    if (ids.length > 0) {
+      let sql = `SELECT id, spotify_url, podcast_name, episode_title, transcript, transcript_timings FROM podcasts WHERE id IN (?)`;
+      const params = [ids];
+      if (language) {
+        sql += ' AND language = ?';
+        params.push(language);
+      }
+      const [rows] = await pool.query(sql, params);
+      const rowsById = new Map(rows.map(row => [row.id, row]));
+
+      for (const id of ids) {
+        const row = rowsById.get(id);
+        if (!row) continue;
+        const snippets = buildSemanticSnippets(row.transcript, semanticEpisodes.get(id).chunks, ASK_PASSAGES_PER_EPISODE, parseTimings(row.transcript_timings), ASK_CONTEXT_CHARS * 2);
+        snippets.forEach(snippet => passages.push({ row, snippet }));
+      }
+    }
+  }
+
+  if (passages.length === 0) {
+    // Natural-language FULLTEXT relevance ignores stopwords and weighs rare words higher, which suits questions
+    let sql = `
+      SELECT id, spotify_url, podcast_name, episode_title, transcript, transcript_timings,
+        MATCH(${FULLTEXT_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE) as score
+      FROM podcasts
+      WHERE MATCH(${FULLTEXT_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE)
+    `;
+    const params = [question, question];
+    if (language) {
+      sql += ' AND language = ?';
+      params.push(language);
+    }
+    sql += ` ORDER BY score DESC LIMIT ${Math.ceil(ASK_MAX_PASSAGES / ASK_PASSAGES_PER_EPISODE)}`;
+    const [rows] = await pool.execute(sql, params);
+
+    // Look for the question's content words, longest (most specific) first
+    const terms = [...new Set((question.toLowerCase().match(/[\p{L}\p{N}'-]{4,}/gu) || []))]
+      .filter(word => !FULLTEXT_STOPWORDS.has(word))
+      .sort((a, b) => b.length - a.length);
+
+    for (const row of rows) {
+      const snippets = extractContextSnippets(row.transcript, terms, ASK_PASSAGES_PER_EPISODE, ASK_CONTEXT_CHARS, parseTimings(row.transcript_timings));
+      snippets.forEach(snippet => passages.push({ row, snippet }));
+    }
+  }
+
+  return passages.slice(0, ASK_MAX_PASSAGES).map(({ row, snippet }) => ({
+    podcastId: row.id,
+    title: decodeHtmlEntities(row.episode_title),
+    channel: decodeHtmlEntities(row.podcast_name),
+    spotifyUrl: row.spotify_url,
+    text: snippet.text,
+    start: snippet.start
+  }));
+}
+
+// Answer a question from the archive, with the episodes it cites
+app.post('/api/ask', async (req, res) => {
+  try {
+    const question = String((req.body && req.body.question) || '').trim();
+    const language = (req.body && req.body.lang) || null;
+
+    if (question.length < 5 || question.length > 500) {
+      return res.status(400).json({ error: 'Question must be between 5 and 500 characters' });
+    }
+
+    if (isAskRateLimited(req.ip)) {
+      return res.status(429).json({ error: 'Too many questions, please try again later' });
+    }
+
+    const passages = await findAnswerPassages(question, language);
+    if (passages.length === 0) {
+      return res.json({ answer: null, citations: [] });
+    }
+
+    const result = await llm.getProvider().answerQuestion({
+      question,
+      passages: passages.map(p => ({ title: p.title, channel: p.channel, text: p.text })),
+      language: language || 'en'
+    });
+
+    // Citation numbers match the [n] markers in the answer
+    const citations = result.citations.map(n => {
+      const passage = passages[n - 1];
+      return {
+        n,
+        episode_id: passage.podcastId,
+        title: passage.title,
+        channel: passage.channel,
+        snippet: passage.text,
+        start: passage.start,
+        timestamp_url: buildTimestampUrl(passage.spotifyUrl, passage.start)
+      };
+    });
+
+    res.json({ answer: result.answer, citations });
+  } catch (error) {
+    console.error('Ask error:', error);
+    res.status(500).json({ error: 'Could not answer the question' });
+  }
+});
+
+// ============================================
+// THUMBNAIL BACKFILL ENDPOINT
+// ============================================
+
+// Backfill thumbnails for existing videos
+app.post('/api/backfill-thumbnails', requireAdmin, async (req, res) => {
+  try {
+    const jobId = await jobs.createJob('backfill_thumbnails');
+
+    res.json({ success: true, jobId });
+
+  } catch (error) {
+    console.error('Backfill thumbnails error:', error);
+    res.status(500).json({ error: 'Failed to start thumbnail backfill' });
+  }
+});
+
+// Background thumbnail backfill (job type: backfill_thumbnails)
+async function backfillThumbnailsAsync(job) {
+  const jobId = job.id;
+
+  // Get videos without thumbnails
+  const [allVideos] = await pool.execute(`
+    SELECT id, spotify_url, episode_title
+    FROM podcasts
+    WHERE thumbnail_url IS NULL OR thumbnail_url = ''
+  `);
+
+  // Skip videos this job already tried before a restart
+  const doneIds = getJobDoneIds(job);
+  const videos = allVideos.filter(v => !doneIds.has(v.id));
+
+  if (!job.resumed || job.total === 0) {
+    job.total = videos.length;
+  }
+  job.status = 'processing';
+  await jobs.saveJob(job);
+
+  console.log(`[Thumbnails-${jobId}] Backfilling ${videos.length} videos`);
+
+  for (let i = 0; i < videos.length; i++) {
+    const video = videos[i];
+
+    try {
+      const ytInfo = await getYoutubeInfo(video.spotify_url);
+
+      if (ytInfo.thumbnail) {
+        await pool.execute(
+          'UPDATE podcasts SET thumbnail_url = ? WHERE id = ?',
+          [ytInfo.thumbnail, video.id]
+        );
+        console.log(`[Thumbnails-${jobId}] Updated ${i + 1}/${videos.length}: ${video.episode_title}`);
+      }
+
+      job.processed++;
+      await markJobItemDone(job, video.id);
+
+      // Rate limiting
+      await new Promise(r => setTimeout(r, 300));
+
+    } catch (error) {
+      console.error(`[Thumbnails-${jobId}] Error on video ${video.id}:`, error.message);
+      job.processed++;
+      await markJobItemDone(job, video.id);
+    }
+  }
+
+  job.status = 'completed';
+  console.log(`[Thumbnails-${jobId}] Completed! ${job.processed} thumbnails updated`);
+}
+
+// ============================================
+// DATE BACKFILL ENDPOINT
+// ============================================
+
+// Backfill upload dates for existing videos
+app.post('/api/backfill-dates', requireAdmin, async (req, res) => {
+  try {
+    const jobId = await jobs.createJob('backfill_dates');
+
+    res.json({ success: true, jobId });
+
+  } catch (error) {
+    console.error('Backfill dates error:', error);
+    res.status(500).json({ error: 'Failed to start date backfill' });
+  }
+});
+
+// ============================================
+// SEMANTIC SEARCH INDEXING
+// ============================================
+
+// SQL condition: the episode has no chunk embeddings for a model (takes the model key)
+const EPISODE_HAS_NO_EMBEDDINGS_SQL = `NOT EXISTS (
+  SELECT 1 FROM episode_chunk_embeddings e WHERE e.podcast_id = podcasts.id AND e.model_key = ?
+)`;
+
+// Embed all episodes that are not indexed yet
+app.post('/api/process-embeddings', requireAdmin, async (req, res) => {
+  try {
+    if (!embeddings.isEnabled()) {
+      return res.status(400).json({ error: 'Semantic search is not configured (set EMBEDDING_PROVIDER)' });
+    }
+
+    const jobId = await jobs.createJob('embeddings');
+
+    res.json({ success: true, jobId });
+
+  } catch (error) {
+    console.error('Process embeddings error:', error);
+    res.status(500).json({ error: 'Failed to start embedding job' });
+  }
+});
+
+// Background embedding of transcripts (job type: embeddings)
+async function processEmbeddingsAsync(job) {
+  const jobId = job.id;
+  const provider = embeddings.getProvider();
+
+  const [allVideos] = await pool.execute(
+    `SELECT id, episode_title FROM podcasts WHERE ${EPISODE_HAS_NO_EMBEDDINGS_SQL}`,
+    [embeddings.getModelKey(provider)]
+  );
+
+  // Skip videos this job already tried before a restart
+  const doneIds = getJobDoneIds(job);
+  const videos = allVideos.filter(v => !doneIds.has(v.id));
+
+  if (!job.resumed || job.total === 0) {
+    job.total = videos.length;
+  }
+  job.status = 'processing';
+  await jobs.saveJob(job);
+
+  console.log(`[Embeddings-${jobId}] Embedding ${videos.length} videos with ${provider.name} (${provider.model})`);
+
+  for (let i = 0; i < videos.length; i++) {
+    const video = videos[i];
+
+    try {
+      // Load transcripts one at a time, they can be large
+      const [rows] = await pool.execute('SELECT transcript FROM podcasts WHERE id = ?', [video.id]);
+      if (rows.length > 0) {
+        const chunkCount = await embeddings.embedEpisode(video.id, rows[0].transcript, provider);
+        console.log(`[Embeddings-${jobId}] ${i + 1}/${videos.length}: ${video.episode_title} (${chunkCount} chunks)`);
+      }
+      job.processed++;
+    } catch (error) {
+      console.error(`[Embeddings-${jobId}] Error on video ${video.id}:`, error.message);
+      job.failed++;
+    }
+    await markJobItemDone(job, video.id);
+  }
+
+  job.status = 'completed';
+  console.log(`[Embeddings-${jobId}] Completed! ${job.processed} videos embedded, ${job.failed} failed`);
+}
+
+// Background date backfill (job type: backfill_dates)
+async function backfillDatesAsync(job) {
+  const jobId = job.id;
+
+  // Get videos without upload_date or duration
+  const [allVideos] = await pool.execute(`
+    SELECT id, spotify_url, episode_title
+    FROM podcasts
+    WHERE upload_date IS NULL OR duration_seconds IS NULL
+  `);
+
+  // Skip videos this job already tried before a restart
+  const doneIds = getJobDoneIds(job);
+  const videos = allVideos.filter(v => !doneIds.has(v.id));
+
+  if (!job.resumed || job.total === 0) {
+    job.total = videos.length;
+  }
+  job.status = 'processing';
+  await jobs.saveJob(job);
+
+  console.log(`[Dates-${jobId}] Backfilling ${videos.length} videos`);
+
+  for (let i = 0; i < videos.length; i++) {
+    const video = videos[i];
+
+    try {
+      const ytInfo = await getYoutubeInfo(video.spotify_url);
+
+      if (ytInfo.uploadDate || ytInfo.duration) {
+        // Only fill in what is missing
+        await pool.execute(
+          'UPDATE podcasts SET upload_date = COALESCE(upload_date, ?), duration_seconds = COALESCE(duration_seconds, ?) WHERE id = ?',
+          [ytInfo.uploadDate || null, ytInfo.duration ? Math.round(ytInfo.duration) : null, video.id]
+        );
+        console.log(`[Dates-${jobId}] Updated ${i + 1}/${videos.length}: ${video.episode_title}`);
+      }
+
+      job.processed++;
+      await markJobItemDone(job, video.id);
+
+      // Rate limiting
+      await new Promise(r => setTimeout(r, 300));
+
+    } catch (error) {
+      console.error(`[Dates-${jobId}] Error on video ${video.id}:`, error.message);
+      job.processed++;
+      await markJobItemDone(job, video.id);
+    }
+  }
+
+  job.status = 'completed';
+  console.log(`[Dates-${jobId}] Completed! ${job.processed} dates updated`);
+}
+
+// ============================================
+// SPOTIFY EPISODE MATCHING
+// ============================================
+
+// Episodes without a match are tried again after this many days (Spotify often publishes later)
+const SPOTIFY_RETRY_DAYS = 7;
+
+// SQL condition: the episode was never matched, or not found and due for another try
+const EPISODE_NEEDS_SPOTIFY_MATCH_SQL = `(spotify_matched_at IS NULL OR
+  (spotify_episode_id IS NULL AND spotify_matched_at < NOW() - INTERVAL ${SPOTIFY_RETRY_DAYS} DAY))`;
+
+// The matched Spotify episode URL when the match is confident enough to link to directly
+function directSpotifyUrl(row) {
+  return spotify.directEpisodeUrl(row.spotify_episode_url, row.spotify_match_confidence);
+}
+
+// Match episodes to Spotify that were never matched or are due for a retry
+app.post('/api/match-spotify', requireAdmin, async (req, res) => {
+  try {
+    if (!spotify.isEnabled()) {
+      return res.status(400).json({ error: 'Spotify matching is not configured (set SPOTIFY_CATALOG_PROVIDER)' });
+    }
+
+    const jobId = await jobs.createJob('spotify_match');
+
+    res.json({ success: true, jobId });
+
+  } catch (error) {
+    console.error('Match Spotify error:', error);
+    res.status(500).json({ error: 'Failed to start Spotify matching' });
+  }
+});
+
+// Background Spotify matching (job type: spotify_match)
+async function matchSpotifyEpisodesAsync(job) {
+  const jobId = job.id;
+  const matcher = spotify.createMatcher();
+
+  // Grouped by channel so each show is looked up once
+  const [allVideos] = await pool.execute(`
+    SELECT id, podcast_name, episode_title, upload_date, duration_seconds
+    FROM podcasts
+    WHERE ${EPISODE_NEEDS_SPOTIFY_MATCH_SQL}
+    ORDER BY podcast_name, id
+  `);
+
+  // Skip videos this job already tried before a restart
+  const doneIds = getJobDoneIds(job);
+  const videos = allVideos.filter(v => !doneIds.has(v.id));
 
-      let snippet = transcript.substring(snippetStart, snippetEnd);
+  if (!job.resumed || job.total === 0) {
+    job.total = videos.length;
+  }
+  job.status = 'processing';
+  await jobs.saveJob(job);
 
-      // Clean up snippet boundaries
-      if (snippetStart > 0) snippet = '...' + snippet.substring(snippet.indexOf(' ') + 1);
-      if (snippetEnd < transcript.length) snippet = snippet.substring(0, snippet.lastIndexOf(' ')) + '...';
+  console.log(`[Spotify-${jobId}] Matching ${videos.length} videos`);
 
-      // Check if this snippet overlaps with existing ones
-      const overlaps = snippets.some(s => {
-        const sLower = s.text.toLowerCase();
-        return sLower.includes(snippet.toLowerCase().substring(10, 50)) ||
-               snippet.toLowerCase().includes(sLower.substring(10, 50));
+  for (let i = 0; i < videos.length; i++) {
+    const video = videos[i];
+
+    try {
+      const result = await matcher.matchEpisode({
+        podcast_name: decodeHtmlEntities(video.podcast_name),
+        episode_title: decodeHtmlEntities(video.episode_title),
+        upload_date: video.upload_date,
+        duration_seconds: video.duration_seconds
       });
 
-      if (!overlaps && snippet.length > 20) {
-        snippets.push({
-          text: snippet,
-          matchedTerm: term
-        });
-      }
+      await pool.execute(
+        `UPDATE podcasts SET spotify_show_id = ?, spotify_episode_id = ?, spotify_episode_url = ?,
+          spotify_match_confidence = ?, spotify_matched_at = NOW()
+         WHERE id = ?`,
+        [result.showId, result.episodeId, result.url, result.confidence, video.id]
+      );
 
-      startIndex = index + term.length;
+      if (result.episodeId) {
+        console.log(`[Spotify-${jobId}] ${i + 1}/${videos.length}: ${video.episode_title} (confidence ${result.confidence})`);
+      }
+      job.processed++;
+    } catch (error) {
+      console.error(`[Spotify-${jobId}] Error on video ${video.id}:`, error.message);
+      job.failed++;
     }
-
-    if (snippets.length >= maxSnippets) break;
+    await markJobItemDone(job, video.id);
   }
 
-  return snippets;
+  job.status = 'completed';
+  console.log(`[Spotify-${jobId}] Completed! ${job.processed} videos checked, ${job.failed} failed`);
 }
 
-// Search videos by keywords and text (including transcript)
-app.get('/api/search', async (req, res) => {
+// ============================================
+// PODCAST FEEDS & APPLE PODCASTS LINKS
+// ============================================
+
+// Feed item matches below this confidence (0-100) are not stored
+const FEED_MATCH_MIN_CONFIDENCE = 70;
+
+// Podcast identities of the channels of some episode rows: Map podcast_name -> { rss_feed_url, apple_podcasts_id }.
+// Only looked up for rows matched to a feed item (the only ones that get podcast links).
+async function getChannelPodcastLinks(rows) {
+  const names = [...new Set(rows.filter(row => row.feed_item_guid).map(row => row.podcast_name))];
+  if (names.length === 0) return new Map();
+
+  const [channelRows] = await pool.query(
+    'SELECT channel_name, rss_feed_url, apple_podcasts_id FROM channels WHERE channel_name IN (?)',
+    [names]
+  );
+  return new Map(channelRows.map(row => [row.channel_name, row]));
+}
+
+// "Listen on Apple Podcasts" and "Open in your podcast app" URLs for an episode matched to its feed
+function podcastLinks(row, channel) {
+  if (!row.feed_item_guid || !channel) {
+    return { apple_podcasts_url: null, podcast_app_url: null };
+  }
+  return {
+    apple_podcasts_url: row.apple_episode_url || (channel.apple_podcasts_id ? feeds.appleShowUrl(channel.apple_podcasts_id) : null),
+    podcast_app_url: channel.rss_feed_url ? feeds.podcastAppUrl(channel.rss_feed_url) : null
+  };
+}
+
+// Set (or clear) a channel's RSS feed URL and Apple Podcasts ID, then match its episodes to the feed
+app.post('/api/channels/podcast-links', requireAdmin, async (req, res) => {
   try {
-    const query = req.query.q;
-    const language = req.query.lang || null; // Filter by language if provided
-    const channelFilter = req.query.channel || null; // Filter by specific channel
+    const { channelName, rssFeedUrl, applePodcastsId } = req.body;
 
-    if (!query || query.length < 2) {
-      return res.status(400).json({ error: 'Search query must be at least 2 characters' });
+    if (!channelName) {
+      return res.status(400).json({ error: 'Channel name is required' });
     }
 
-    const searchTerms = query.toLowerCase().split(/\s+/).filter(t => t.length > 1);
-    const searchPattern = `%${query}%`;
+    const feedUrl = rssFeedUrl ? String(rssFeedUrl).trim() : null;
+    if (feedUrl && (!/^https?:\/\/\S+$/i.test(feedUrl) || feedUrl.length > 500)) {
+      return res.status(400).json({ error: 'RSS feed URL must be an http(s) URL' });
+    }
 
-    // First, get all matching channels with their result counts (no limit)
-    let channelsQuery = `
-      SELECT podcast_name, COUNT(*) as result_count
-      FROM podcasts
-      WHERE
-        (LOWER(episode_title) LIKE ? OR
-        LOWER(keywords) LIKE ? OR
-        LOWER(summary) LIKE ? OR
-        LOWER(transcript) LIKE ?)
-    `;
-    let channelsParams = [searchPattern, searchPattern, searchPattern, searchPattern];
+    const appleId = applePodcastsId ? feeds.parseApplePodcastsId(applePodcastsId) : null;
+    if (applePodcastsId && !appleId) {
+      return res.status(400).json({ error: 'Apple Podcasts ID must be a number or a podcasts.apple.com URL' });
+    }
 
-    if (language) {
-      channelsQuery += ` AND language = ?`;
-      channelsParams.push(language);
+    // Channels known only from their processed videos get a channels row here
+    await pool.execute(`
+      INSERT INTO channels (channel_name, rss_feed_url, apple_podcasts_id)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE rss_feed_url = VALUES(rss_feed_url), apple_podcasts_id = VALUES(apple_podcasts_id)
+    `, [channelName, feedUrl, appleId]);
+    await ensureChannelSlug(channelName);
+
+    if (!feedUrl) {
+      // Without a feed there is nothing to match against
+      await pool.execute(
+        `UPDATE podcasts SET feed_item_guid = NULL, feed_match_confidence = NULL, apple_episode_url = NULL WHERE podcast_name = ? AND source_type != 'rss'`,
+        [channelName]
+      );
+      return res.json({ success: true, jobId: null });
     }
 
-    channelsQuery += ` GROUP BY podcast_name ORDER BY result_count DESC`;
+    const jobId = await jobs.createJob('podcast_feeds', { channelName });
+    addLog('info', `Podcast links set: ${channelName}`, { rssFeedUrl: feedUrl, applePodcastsId: appleId });
 
-    const [channelRows] = await pool.execute(channelsQuery, channelsParams);
+    res.json({ success: true, jobId });
 
-    // Build the channels list with counts
-    // Keep both raw name (for filtering) and decoded name (for display)
-    const channels = channelRows.map(row => ({
-      name: decodeHtmlEntities(row.podcast_name),
-      rawName: row.podcast_name,
-      count: row.result_count
-    }));
+  } catch (error) {
+    console.error('Podcast links error:', error);
+    res.status(500).json({ error: 'Failed to save podcast links' });
+  }
+});
 
-    // Now get the top 50 results
-    let sqlQuery = `
-      SELECT
-        id, spotify_url, podcast_name, episode_title, summary, keywords, processed_at,
-        thumbnail_url, transcript, language, upload_date,
-        (
-          (CASE WHEN LOWER(episode_title) LIKE ? THEN 50 ELSE 0 END) +
-          (CASE WHEN LOWER(keywords) LIKE ? THEN 40 ELSE 0 END) +
-          (CASE WHEN LOWER(summary) LIKE ? THEN 30 ELSE 0 END) +
-          (CASE WHEN LOWER(transcript) LIKE ? THEN 20 ELSE 0 END)
-        ) as relevance_score
-      FROM podcasts
-      WHERE
-        (LOWER(episode_title) LIKE ? OR
-        LOWER(keywords) LIKE ? OR
-        LOWER(summary) LIKE ? OR
-        LOWER(transcript) LIKE ?)
-    `;
+// Match the episodes of every channel with a feed (new episodes, updated feeds)
+app.post('/api/sync-feeds', requireAdmin, async (req, res) => {
+  try {
+    const jobId = await jobs.createJob('podcast_feeds');
 
-    let params = [searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern];
+    res.json({ success: true, jobId });
 
-    if (language) {
-      sqlQuery += ` AND language = ?`;
-      params.push(language);
-    }
+  } catch (error) {
+    console.error('Sync feeds error:', error);
+    res.status(500).json({ error: 'Failed to start feed sync' });
+  }
+});
 
-    if (channelFilter) {
-      sqlQuery += ` AND podcast_name = ?`;
-      params.push(channelFilter);
+// Match one channel's episodes to the items of its feed. Returns the number of matched episodes.
+async function syncChannelFeed(channel) {
+  const feed = await feeds.fetchFeed(channel.rss_feed_url);
+
+  // Apple episode pages are a bonus: without them the links go to the show page
+  let appleEpisodes = new Map();
+  if (channel.apple_podcasts_id) {
+    try {
+      appleEpisodes = await feeds.lookupAppleEpisodes(channel.apple_podcasts_id);
+    } catch (error) {
+      console.error(`[Feeds] Apple lookup failed for ${channel.channel_name}:`, error.message);
     }
+  }
 
-    sqlQuery += ` ORDER BY relevance_score DESC, upload_date DESC, processed_at DESC LIMIT 50`;
+  // Episodes indexed from the feed itself already know their item
+  const [episodes] = await pool.execute(
+    `SELECT id, episode_title, upload_date, duration_seconds FROM podcasts WHERE podcast_name = ? AND source_type != 'rss'`,
+    [channel.channel_name]
+  );
+  const matches = feeds.matchFeedItems(
+    episodes.map(episode => ({ ...episode, episode_title: decodeHtmlEntities(episode.episode_title) })),
+    feed.items
+  );
 
-    const [rows] = await pool.execute(sqlQuery, params);
+  let matched = 0;
+  for (const episode of episodes) {
+    const result = matches.get(episode.id);
+    const item = result && result.confidence >= FEED_MATCH_MIN_CONFIDENCE ? result.item : null;
+    const guid = item ? feeds.itemGuid(item) : null;
 
-    // Process results to extract context snippets and decode HTML entities
-    const results = rows.map(row => {
-      const snippets = extractContextSnippets(row.transcript, searchTerms);
+    await pool.execute(
+      'UPDATE podcasts SET feed_item_guid = ?, feed_match_confidence = ?, apple_episode_url = ? WHERE id = ?',
+      [guid, item ? result.confidence : null, (item && item.guid && appleEpisodes.get(item.guid)) || null, episode.id]
+    );
+    if (item) matched++;
+  }
 
-      // Decode HTML entities in text fields
-      const decodedTitle = decodeHtmlEntities(row.episode_title);
-      const decodedSummary = decodeHtmlEntities(row.summary);
-      const decodedPodcastName = decodeHtmlEntities(row.podcast_name);
+  await pool.execute('UPDATE channels SET feed_checked_at = NOW() WHERE channel_name = ?', [channel.channel_name]);
+  return matched;
+}
 
-      // Generate Spotify search URL
-      const spotifySearchUrl = `https://open.spotify.com/search/${encodeURIComponent(decodedTitle)}`;
+// Background feed matching (job type: podcast_feeds), for one channel or all channels with a feed
+async function syncPodcastFeedsAsync(job) {
+  const jobId = job.id;
+  const { channelName } = job.payload;
 
-      return {
-        id: row.id,
-        spotify_url: row.spotify_url,
-        podcast_name: decodedPodcastName,
-        episode_title: decodedTitle,
-        summary: decodedSummary,
-        keywords: row.keywords,
-        processed_at: row.processed_at,
-        upload_date: row.upload_date,
-        thumbnail_url: row.thumbnail_url,
-        relevance_score: row.relevance_score,
-        context_snippets: snippets,
-        spotify_search_url: spotifySearchUrl
-      };
-    });
+  const [allChannels] = channelName
+    ? await pool.execute('SELECT channel_name, rss_feed_url, apple_podcasts_id FROM channels WHERE channel_name = ? AND rss_feed_url IS NOT NULL', [channelName])
+    : await pool.execute('SELECT channel_name, rss_feed_url, apple_podcasts_id FROM channels WHERE rss_feed_url IS NOT NULL');
 
-    // Return results with channels list for filtering
-    res.json({
-      results,
-      channels,
-      totalResults: channelRows.reduce((sum, c) => sum + c.result_count, 0)
-    });
-  } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ error: 'Search failed' });
+  // Skip channels this job already synced before a restart
+  const doneIds = getJobDoneIds(job);
+  const channels = allChannels.filter(c => !doneIds.has(c.channel_name));
+
+  if (!job.resumed || job.total === 0) {
+    job.total = channels.length;
+  }
+  job.status = 'processing';
+  await jobs.saveJob(job);
+
+  for (const channel of channels) {
+    job.currentItem = channel.channel_name;
+    try {
+      const matched = await syncChannelFeed(channel);
+      console.log(`[Feeds-${jobId}] ${channel.channel_name}: ${matched} episodes matched to the feed`);
+      job.data.matched_count = (job.data.matched_count || 0) + matched;
+      job.processed++;
+    } catch (error) {
+      console.error(`[Feeds-${jobId}] Error on ${channel.channel_name}:`, error.message);
+      addLog('error', `Feed sync failed: ${channel.channel_name}`, { error: error.message });
+      job.failed++;
+    }
+    await markJobItemDone(job, channel.channel_name);
   }
-});
+
+  job.status = 'completed';
+  job.currentItem = null;
+  console.log(`[Feeds-${jobId}] Completed! ${job.processed} feeds synced, ${job.failed} failed`);
+}
 
 // ============================================
-// THUMBNAIL BACKFILL ENDPOINT
+// PODCAST RSS SOURCES
 // ============================================
 
-// Backfill thumbnails for existing videos
-app.post('/api/backfill-thumbnails', async (req, res) => {
-  try {
-    const jobId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+// New feed episodes processed per RSS channel on each cron run (as for YouTube channels)
+const CRON_MAX_FEED_EPISODES = 10;
 
-    aiJobs.set(jobId, {
-      status: 'starting',
-      total: 0,
-      processed: 0,
-      type: 'thumbnails'
-    });
+// Where an RSS episode is played: its audio file, else its web page (stored in spotify_url)
+function feedEpisodeUrl(item) {
+  const url = item.enclosure_url || item.link;
+  return url && /^https?:\/\//i.test(url) && url.length <= 500 ? url : null;
+}
 
-    res.json({ success: true, jobId });
+// skipped_videos key of a feed item (video_id holds 20 characters)
+function feedEpisodeId(item) {
+  return crypto.createHash('sha1').update(feeds.itemGuid(item) || feedEpisodeUrl(item) || '').digest('hex').substring(0, 20);
+}
 
-    // Process in background
-    backfillThumbnailsAsync(jobId);
+// Timed segments ({ start, text }) of a downloaded transcript file
+function parseFeedTranscript({ format, content }) {
+  return subtitles.parseSubtitles(content, format);
+}
 
-  } catch (error) {
-    console.error('Backfill thumbnails error:', error);
-    res.status(500).json({ error: 'Failed to start thumbnail backfill' });
+// Process a feed item and save it as an episode of the feed's channel
+// (options.useAsr: transcribe the audio when the item has no transcript, see shouldUseAsr)
+async function processFeedEpisode(item, feed, channelName, language = 'en', options = {}) {
+  const url = feedEpisodeUrl(item);
+  const title = item.title || 'Unknown';
+
+  // The <podcast:transcript> in the channel language, in the best supported format
+  const transcriptFile = await feeds.fetchTranscript(item, language);
+  let { transcript, timings } = buildTimedTranscript(transcriptFile ? parseFeedTranscript(transcriptFile) : []);
+  let transcriptSource = 'feed';
+  let skipReason = 'no_transcript';
+
+  if ((!transcript || transcript.length < 50) && shouldUseAsr(options) && item.enclosure_url) {
+    const fallback = await transcribeAudioFallback(item.enclosure_url, feedEpisodeId(item), item.duration_seconds, language);
+    ({ transcript, timings } = buildTimedTranscript(fallback.segments || []));
+    transcriptSource = 'asr';
+    skipReason = fallback.reason || 'no_speech';
   }
-});
 
-// Background thumbnail backfill
-async function backfillThumbnailsAsync(jobId) {
-  const job = aiJobs.get(jobId);
+  if (!transcript || transcript.length < 50) {
+    // Save to skipped_videos so the cron does not retry it (Retry Skipped does)
+    try {
+      await pool.execute(
+        `INSERT IGNORE INTO skipped_videos (video_id, video_url, channel_name, video_title, skip_reason)
+         VALUES (?, ?, ?, ?, ?)`,
+        [feedEpisodeId(item), url, channelName, title, skipReason]
+      );
+    } catch (e) {
+      // Ignore errors (duplicate key, etc.)
+    }
+    return { skipped: true, reason: skipReason, channel: channelName, title };
+  }
 
-  try {
-    // Get videos without thumbnails
-    const [videos] = await pool.execute(`
-      SELECT id, spotify_url, episode_title
-      FROM podcasts
-      WHERE thumbnail_url IS NULL OR thumbnail_url = ''
-    `);
+  const analysis = await llm.analyzeTranscript({ title, channel: channelName, transcript, language });
 
-    job.total = videos.length;
-    job.status = 'processing';
+  const uploadDate = item.published_at ? item.published_at.substring(0, 10) : null;
+  const thumbnail = item.image_url || feed.image_url || null;
 
-    console.log(`[Thumbnails-${jobId}] Backfilling ${videos.length} videos`);
+  // The episode is its own feed item (a certain match), which gives it the podcast links
+  const [insertResult] = await pool.execute(
+    `INSERT INTO podcasts (spotify_url, podcast_name, episode_title, transcript, transcript_timings, best_part, summary, thumbnail_url, language, upload_date, duration_seconds, transcript_source, source_type, feed_item_guid, feed_match_confidence)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'rss', ?, 100)`,
+    [
+      url,
+      channelName,
+      title,
+      transcript,
+      JSON.stringify(timings),
+      analysis.best_part || '',
+      analysis.summary || '',
+      thumbnail,
+      language,
+      uploadDate,
+      item.duration_seconds || null,
+      transcriptSource,
+      feeds.itemGuid(item)
+    ]
+  );
 
-    for (let i = 0; i < videos.length; i++) {
-      const video = videos[i];
+  if (embeddings.isEnabled()) {
+    try {
+      await embeddings.embedEpisode(insertResult.insertId, transcript);
+    } catch (error) {
+      console.error(`[Embeddings] Could not embed feed episode ${title}:`, error.message);
+    }
+  }
 
-      try {
-        const ytInfo = await getYoutubeInfo(video.spotify_url);
+  return {
+    success: true,
+    id: insertResult.insertId,
+    title,
+    channel: channelName,
+    summary: analysis.summary,
+    thumbnail,
+    uploadDate
+  };
+}
 
-        if (ytInfo.thumbnail) {
-          await pool.execute(
-            'UPDATE podcasts SET thumbnail_url = ? WHERE id = ?',
-            [ytInfo.thumbnail, video.id]
-          );
-          console.log(`[Thumbnails-${jobId}] Updated ${i + 1}/${videos.length}: ${video.episode_title}`);
-        }
+// Create or refresh the channels row of a feed and return the channel name (the feed title when
+// the feed is new). A YouTube channel of the same name keeps its row: its feed goes under Podcast Links.
+async function saveFeedChannel(feedUrl, feed, language = 'en') {
+  const [known] = await pool.execute(
+    `SELECT channel_name FROM channels WHERE channel_url = ? AND source_type = 'rss'`,
+    [feedUrl]
+  );
+  const channelName = known.length > 0 ? known[0].channel_name : (feed.title || new URL(feedUrl).hostname).substring(0, 255);
 
-        job.processed++;
+  if (known.length === 0) {
+    const [existing] = await pool.execute('SELECT source_type FROM channels WHERE channel_name = ?', [channelName]);
+    if (existing.length > 0 && existing[0].source_type !== 'rss') {
+      throw new Error(`"${channelName}" is already a YouTube channel. Set this feed under its Podcast Links instead.`);
+    }
+  }
 
-        // Rate limiting
-        await new Promise(r => setTimeout(r, 300));
+  const episodes = feed.items.filter(feedEpisodeUrl);
+  const newestDate = episodes.map(item => item.published_at).filter(Boolean).sort().pop();
+
+  await pool.execute(`
+    INSERT INTO channels (channel_name, channel_url, source_type, rss_feed_url, total_videos, language, last_video_date, last_checked, updated_at)
+    VALUES (?, ?, 'rss', ?, ?, ?, ?, NOW(), NOW())
+    ON DUPLICATE KEY UPDATE
+      channel_url = VALUES(channel_url),
+      rss_feed_url = VALUES(rss_feed_url),
+      total_videos = VALUES(total_videos),
+      last_video_date = VALUES(last_video_date),
+      last_checked = NOW(),
+      updated_at = NOW()
+  `, [channelName, feedUrl, feedUrl, episodes.length, language, newestDate ? newestDate.substring(0, 10) : null]);
+  await ensureChannelSlug(channelName);
+
+  return channelName;
+}
 
-      } catch (error) {
-        console.error(`[Thumbnails-${jobId}] Error on video ${video.id}:`, error.message);
-        job.processed++;
-      }
-    }
+// Feed items of a channel not indexed or skipped yet, newest first (items with no URL to play are left out)
+async function findNewFeedItems(channelName, items) {
+  const [processed] = await pool.execute(
+    'SELECT spotify_url, feed_item_guid FROM podcasts WHERE podcast_name = ?',
+    [channelName]
+  );
+  const [skipped] = await pool.execute(
+    'SELECT video_id FROM skipped_videos WHERE channel_name = ?',
+    [channelName]
+  );
 
-    job.status = 'completed';
-    console.log(`[Thumbnails-${jobId}] Completed! ${job.processed} thumbnails updated`);
+  const processedUrls = new Set(processed.map(p => p.spotify_url));
+  const processedGuids = new Set(processed.map(p => p.feed_item_guid).filter(Boolean));
+  const skippedIds = new Set(skipped.map(s => s.video_id));
 
-  } catch (error) {
-    console.error(`[Thumbnails-${jobId}] Error:`, error);
-    job.status = 'error';
-    job.error = error.message;
-  }
+  return items
+    .filter(item => {
+      const url = feedEpisodeUrl(item);
+      return url && !processedUrls.has(url) && !processedGuids.has(feeds.itemGuid(item)) && !skippedIds.has(feedEpisodeId(item));
+    })
+    .sort((a, b) => (b.published_at || '').localeCompare(a.published_at || ''));
 }
 
-// ============================================
-// DATE BACKFILL ENDPOINT
-// ============================================
+// Background feed processing (job type: rss_feed): index the newest new episodes of a feed
+async function processFeedAsync(job) {
+  const { url: feedUrl, maxEpisodes = 50, language = 'en', useAsr = false } = job.payload;
+  const jobId = job.id;
 
-// Backfill upload dates for existing videos
-app.post('/api/backfill-dates', async (req, res) => {
-  try {
-    const jobId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+  job.status = 'fetching_videos';
+  await jobs.saveJob(job);
+  const feed = await feeds.fetchFeed(feedUrl);
+  const channelName = await saveFeedChannel(feedUrl, feed, language);
 
-    aiJobs.set(jobId, {
-      status: 'starting',
-      total: 0,
-      processed: 0,
-      type: 'dates'
-    });
+  const allNewItems = await findNewFeedItems(channelName, feed.items);
+  const newItems = allNewItems.slice(0, maxEpisodes);
 
-    res.json({ success: true, jobId });
+  // Keep the original counters when resuming
+  if (!job.resumed || job.total === 0) {
+    job.total = newItems.length;
+    job.skipped = feed.items.length - allNewItems.length;
+  }
+  const doneIds = getJobDoneIds(job);
+  const pendingItems = newItems.filter(item => !doneIds.has(feedEpisodeId(item)));
 
-    // Process in background
-    backfillDatesAsync(jobId);
+  job.status = 'processing';
+  job.data.channelName = channelName;
+  await jobs.saveJob(job);
 
-  } catch (error) {
-    console.error('Backfill dates error:', error);
-    res.status(500).json({ error: 'Failed to start date backfill' });
-  }
-});
+  console.log(`[${jobId}] Feed "${channelName}": ${feed.items.length} items, ${allNewItems.length} new, ${pendingItems.length} to process`);
 
-// Background date backfill
-async function backfillDatesAsync(jobId) {
-  const job = aiJobs.get(jobId);
+  for (let i = 0; i < pendingItems.length; i++) {
+    const item = pendingItems[i];
+    job.currentItem = item.title;
 
-  try {
-    // Get videos without upload_date
-    const [videos] = await pool.execute(`
-      SELECT id, spotify_url, episode_title
-      FROM podcasts
-      WHERE upload_date IS NULL
-    `);
+    try {
+      console.log(`[${jobId}] Processing ${i + 1}/${pendingItems.length}: ${item.title}`);
+      const result = await processFeedEpisode(item, feed, channelName, language, { useAsr });
 
-    job.total = videos.length;
-    job.status = 'processing';
+      if (result.skipped) {
+        job.skipped++;
+        job.results.push({ title: item.title, status: 'skipped', reason: result.reason });
+      } else {
+        job.processed++;
+        job.results.push({ title: item.title, status: 'success', id: result.id, summary: result.summary });
+      }
+    } catch (error) {
+      console.error(`[${jobId}] Error processing ${item.title}:`, error.message);
+      job.failed++;
+      job.results.push({ title: item.title, status: 'failed', error: error.message });
+    }
 
-    console.log(`[Dates-${jobId}] Backfilling ${videos.length} videos`);
+    await markJobItemDone(job, feedEpisodeId(item));
+  }
 
-    for (let i = 0; i < videos.length; i++) {
-      const video = videos[i];
+  job.status = 'completed';
+  job.currentItem = null;
+}
 
-      try {
-        const ytInfo = await getYoutubeInfo(video.spotify_url);
+// Cron step for an RSS channel: index up to CRON_MAX_FEED_EPISODES new feed episodes
+async function checkFeedChannel(channel, results) {
+  const language = channel.language || 'en';
+  const feed = await feeds.fetchFeed(channel.channel_url);
+  await saveFeedChannel(channel.channel_url, feed, language);
 
-        if (ytInfo.uploadDate) {
-          await pool.execute(
-            'UPDATE podcasts SET upload_date = ? WHERE id = ?',
-            [ytInfo.uploadDate, video.id]
-          );
-          console.log(`[Dates-${jobId}] Updated ${i + 1}/${videos.length}: ${video.episode_title}`);
-        }
+  const newItems = await findNewFeedItems(channel.channel_name, feed.items);
+  results.channelsChecked++;
+  results.newVideosFound += newItems.length;
 
-        job.processed++;
+  if (newItems.length === 0) return;
+  addLog('cron', `Found ${newItems.length} new episodes for ${channel.channel_name}`);
 
-        // Rate limiting
-        await new Promise(r => setTimeout(r, 300));
+  for (const item of newItems.slice(0, CRON_MAX_FEED_EPISODES)) {
+    const url = feedEpisodeUrl(item);
+    try {
+      addLog('process', `Processing: ${item.title}`, { channel: channel.channel_name, url, language });
+      const result = await processFeedEpisode(item, feed, channel.channel_name, language);
 
-      } catch (error) {
-        console.error(`[Dates-${jobId}] Error on video ${video.id}:`, error.message);
-        job.processed++;
+      if (result.skipped) {
+        results.videosSkipped++;
+        addLog('process', `Skipped: ${item.title}`, { reason: result.reason, url });
+      } else {
+        results.videosProcessed++;
+        addLog('process', `Processed: ${item.title}`, { id: result.id, url });
       }
+    } catch (error) {
+      results.videosFailed++;
+      addLog('error', `Failed to process: ${item.title}`, { error: error.message, url });
     }
+  }
+}
 
-    job.status = 'completed';
-    console.log(`[Dates-${jobId}] Completed! ${job.processed} dates updated`);
+// "Check for Updates" on an RSS channel: the feed's episodes against the indexed ones
+async function checkFeedChannelUpdates(channelName, feedUrl) {
+  const feed = await feeds.fetchFeed(feedUrl);
+  await saveFeedChannel(feedUrl, feed);
 
-  } catch (error) {
-    console.error(`[Dates-${jobId}] Error:`, error);
-    job.status = 'error';
-    job.error = error.message;
-  }
+  const [[{ count: videosInDb, newest }]] = await pool.execute(
+    'SELECT COUNT(*) as count, MAX(upload_date) as newest FROM podcasts WHERE podcast_name = ?',
+    [channelName]
+  );
+  const newItems = await findNewFeedItems(channelName, feed.items);
+  const newestDate = feed.items.map(item => item.published_at).filter(Boolean).sort().pop();
+
+  return {
+    success: true,
+    totalVideos: feed.items.filter(feedEpisodeUrl).length,
+    videosInDb,
+    missingVideos: newItems.length,
+    lastVideoDate: newestDate ? newestDate.substring(0, 10) : null,
+    newestInDb: newest,
+    hasNewVideos: newItems.length > 0
+  };
 }
 
 // Get indexed stats for public footer
@@ -2135,7 +3931,8 @@ app.get('/api/indexed-stats', async (req, res) => {
 
     res.json({
       total_episodes: totalCount[0].total || 0,
-      channels: channelsWithTotal
+      channels: channelsWithTotal,
+      semantic_search: embeddings.isEnabled()
     });
   } catch (error) {
     console.error('Indexed stats error:', error);
@@ -2144,13 +3941,13 @@ app.get('/api/indexed-stats', async (req, res) => {
 });
 
 // Update podcasts endpoint to support pagination
-app.get('/api/podcasts', async (req, res) => {
+app.get('/api/podcasts', requireAdmin, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
     const offset = parseInt(req.query.offset) || 0;
 
     const [rows] = await pool.execute(`
-      SELECT id, spotify_url, podcast_name, episode_title, summary, best_part, keywords, processed_at, thumbnail_url
+      SELECT id, spotify_url, podcast_name, episode_title, summary, best_part, ${EPISODE_KEYWORDS_SQL} as keywords, processed_at, thumbnail_url
       FROM podcasts
       ORDER BY processed_at DESC
       LIMIT ? OFFSET ?
@@ -2171,7 +3968,7 @@ app.get('/api/podcasts', async (req, res) => {
 const CRON_SECRET = process.env.CRON_SECRET || 'change-me-in-production';
 
 // Get system logs
-app.get('/api/logs', (req, res) => {
+app.get('/api/logs', requireAdmin, (req, res) => {
   const { limit = 100, type } = req.query;
   let logs = systemLogs;
 
@@ -2219,7 +4016,7 @@ async function runCronJob() {
   try {
     // Get all channels with their language setting
     const [channels] = await pool.execute(`
-      SELECT DISTINCT channel_name, channel_url, language
+      SELECT DISTINCT channel_name, channel_url, language, source_type
       FROM channels
       WHERE channel_url IS NOT NULL AND channel_url != ''
     `);
@@ -2245,6 +4042,12 @@ async function runCronJob() {
       try {
         addLog('cron', `Checking channel: ${channel.channel_name}`);
 
+        // RSS channels are polled through their feed (no YouTube rate limiting to wait for)
+        if (channel.source_type === 'rss') {
+          await checkFeedChannel(channel, results);
+          continue;
+        }
+
         // Get processed video IDs
         const [processed] = await pool.execute(
           'SELECT spotify_url FROM podcasts WHERE podcast_name = ?',
@@ -2339,7 +4142,7 @@ async function processAiForNewVideos() {
   const [videos] = await pool.execute(`
     SELECT id, episode_title, podcast_name, transcript, summary, language
     FROM podcasts
-    WHERE (keywords IS NULL OR keywords = '')
+    WHERE ${EPISODE_HAS_NO_KEYWORDS_SQL}
     AND transcript IS NOT NULL AND transcript != ''
     LIMIT 50
   `);
@@ -2355,58 +4158,18 @@ async function processAiForNewVideos() {
     try {
       const videoLang = video.language || 'en';
 
-      // Extract keywords using Gemini
-      const textToAnalyze = `Title: ${video.episode_title}\nChannel: ${video.podcast_name}\nSummary: ${video.summary || ''}\n\nTranscript excerpt: ${(video.transcript || '').substring(0, 10000)}`;
-
-      const langInstructions = {
-        'en': 'Extract keywords in English.',
-        'fr': 'Extrais les mots-clés en français.'
-      };
-      const langInstruction = langInstructions[videoLang] || 'Extract keywords in the same language as the content.';
-
-      const prompt = `Extract 5-10 main keywords/topics from this video content. Return ONLY a JSON array of lowercase keywords, no explanations. Focus on main subjects, people mentioned, concepts discussed.
-
-IMPORTANT: ${langInstruction}
-
-Example output: ["artificial intelligence", "elon musk", "space exploration", "neural networks"]
-
-Content:
-${textToAnalyze}`;
-
-      const result = await model.generateContent(prompt);
-      const text = result.response.text();
-
-      let keywords = [];
-      try {
-        const jsonMatch = text.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-          keywords = JSON.parse(jsonMatch[0]);
-        }
-      } catch (e) {
-        keywords = text.split(',').map(k => k.trim().toLowerCase().replace(/["\[\]]/g, '')).filter(k => k.length > 2);
-      }
-
-      // Clean, filter blacklisted, and limit keywords
-      keywords = keywords
-        .map(k => k.toLowerCase().trim())
-        .filter(k => k.length > 2 && k.length < 50)
-        .filter(k => !blacklist.has(k))
-        .slice(0, 10);
+      // Extract keywords using the configured LLM provider
+      const rawKeywords = await llm.extractTranscriptKeywords({
+        title: video.episode_title,
+        channel: video.podcast_name,
+        summary: video.summary,
+        transcript: video.transcript || '',
+        language: videoLang
+      });
+      const keywords = cleanKeywords(rawKeywords, blacklist);
 
       if (keywords.length > 0) {
-        // Update video with keywords
-        await pool.execute(
-          'UPDATE podcasts SET keywords = ?, ai_processed_at = NOW() WHERE id = ?',
-          [keywords.join(','), video.id]
-        );
-
-        // Insert into keywords table with language
-        for (const keyword of keywords) {
-          await pool.execute(
-            'INSERT IGNORE INTO keywords (keyword, video_id, language) VALUES (?, ?, ?)',
-            [keyword.toLowerCase().trim(), video.id, videoLang]
-          );
-        }
+        await saveEpisodeKeywords(video.id, keywords, videoLang);
 
         addLog('ai', `Processed: ${video.episode_title} - ${keywords.length} keywords`);
       }
@@ -2648,11 +4411,34 @@ async function initDefaultAdmin() {
   }
 }
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log('Supports: YouTube videos, channels, and playlists');
-  addLog('info', 'Server started', { port: PORT });
+// Background job handlers (see jobs.js)
+jobs.registerHandler('channel', processChannelAsync);
+jobs.registerHandler('channel_missing', processMissingVideosAsync);
+jobs.registerHandler('retry_skipped', retrySkippedVideosAsync);
+jobs.registerHandler('ai_keywords', processAiAsync);
+jobs.registerHandler('backfill_thumbnails', backfillThumbnailsAsync);
+jobs.registerHandler('backfill_dates', backfillDatesAsync);
+jobs.registerHandler('embeddings', processEmbeddingsAsync);
+jobs.registerHandler('spotify_match', matchSpotifyEpisodesAsync);
+jobs.registerHandler('podcast_feeds', syncPodcastFeedsAsync);
+jobs.registerHandler('rss_feed', processFeedAsync);
+
+// Listen when run directly (npm start); tests require the app and start it themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log('Supports: YouTube videos, channels, and playlists');
+    addLog('info', 'Server started', { port: PORT });
+
+    // Init admin (non-blocking)
+    initDefaultAdmin();
+
+    // Slugs for channel pages (non-blocking)
+    backfillChannelSlugs();
+
+    // Start the job worker, resuming jobs interrupted by the last restart
+    jobs.startWorker();
+  });
+}
 
-  // Init admin (non-blocking)
-  initDefaultAdmin();
-});
+module.exports = app;
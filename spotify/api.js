@@ -0,0 +1,100 @@
+// Spotify Web API catalog adapter (client credentials flow, no user login)
+// Needs SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET from https://developer.spotify.com/dashboard
+const TOKEN_URL = 'https://accounts.spotify.com/api/token';
+const API_URL = 'https://api.spotify.com/v1';
+
+// Spotify's maximum page size for show episodes
+const EPISODES_PAGE_SIZE = 50;
+
+function createSpotifyApiProvider(config = {}) {
+  const clientId = config.clientId || process.env.SPOTIFY_CLIENT_ID;
+  const clientSecret = config.clientSecret || process.env.SPOTIFY_CLIENT_SECRET;
+  const market = config.market || process.env.SPOTIFY_MARKET || 'US';
+  // Newest episodes fetched per show (older ones are rarely still unmatched)
+  const maxEpisodes = config.maxEpisodes || parseInt(process.env.SPOTIFY_MAX_EPISODES_PER_SHOW) || 500;
+  const timeout = config.timeout || 30000;
+
+  if (!clientId || !clientSecret) {
+    console.error('WARNING: SPOTIFY_CLIENT_ID or SPOTIFY_CLIENT_SECRET environment variable is not set');
+  }
+
+  let accessToken = null;
+  let tokenExpiresAt = 0;
+
+  async function getAccessToken() {
+    if (accessToken && Date.now() < tokenExpiresAt) return accessToken;
+
+    const response = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+      },
+      body: 'grant_type=client_credentials',
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Spotify token request failed (${response.status}): ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    accessToken = data.access_token;
+    // Renew a minute early
+    tokenExpiresAt = Date.now() + (data.expires_in - 60) * 1000;
+    return accessToken;
+  }
+
+  // GET an API path, waiting once when rate limited
+  async function request(path, params, retried = false) {
+    const url = `${API_URL}${path}?${new URLSearchParams({ ...params, market })}`;
+    const response = await fetch(url, {
+      headers: { 'Authorization': `Bearer ${await getAccessToken()}` },
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (response.status === 429 && !retried) {
+      const waitSeconds = parseInt(response.headers.get('retry-after')) || 5;
+      await new Promise(r => setTimeout(r, waitSeconds * 1000));
+      return request(path, params, true);
+    }
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Spotify request failed (${response.status}): ${body.substring(0, 200)}`);
+    }
+    return response.json();
+  }
+
+  return {
+    name: 'spotify',
+
+    // [{ id, name, publisher }]
+    async searchShows(query) {
+      const data = await request('/search', { q: query, type: 'show', limit: 10 });
+      return ((data.shows && data.shows.items) || [])
+        .filter(Boolean)
+        .map(show => ({ id: show.id, name: show.name, publisher: show.publisher }));
+    },
+
+    // [{ id, name, release_date, duration_ms, url }], newest first
+    async getShowEpisodes(showId) {
+      const episodes = [];
+      for (let offset = 0; offset < maxEpisodes; offset += EPISODES_PAGE_SIZE) {
+        const data = await request(`/shows/${encodeURIComponent(showId)}/episodes`, { limit: EPISODES_PAGE_SIZE, offset });
+        const items = (data.items || []).filter(Boolean);
+        episodes.push(...items.map(item => ({
+          id: item.id,
+          name: item.name,
+          release_date: item.release_date,
+          duration_ms: item.duration_ms,
+          url: (item.external_urls && item.external_urls.spotify) || `https://open.spotify.com/episode/${item.id}`
+        })));
+        if (!data.next || items.length === 0) break;
+      }
+      return episodes;
+    }
+  };
+}
+
+module.exports = { createSpotifyApiProvider };
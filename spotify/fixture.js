@@ -0,0 +1,39 @@
+// Fixture catalog for tests and local development: shows and episodes from JSON, no network access.
+// Pass { catalog } or point SPOTIFY_FIXTURE_FILE at a JSON file shaped like:
+// { "shows": [{ "id", "name", "publisher", "episodes": [{ "id", "name", "release_date", "duration_ms" }] }] }
+const fs = require('fs');
+
+function loadCatalog(file) {
+  if (!file) return { shows: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function createFixtureCatalogProvider(config = {}) {
+  const catalog = config.catalog || loadCatalog(config.file || process.env.SPOTIFY_FIXTURE_FILE);
+  const shows = catalog.shows || [];
+
+  return {
+    name: 'fixture',
+
+    // Shows sharing at least one word with the query, like a loose catalog search
+    async searchShows(query) {
+      const queryWords = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+      return shows
+        .filter(show => queryWords.some(word => `${show.name} ${show.publisher || ''}`.toLowerCase().includes(word)))
+        .map(show => ({ id: show.id, name: show.name, publisher: show.publisher || '' }));
+    },
+
+    async getShowEpisodes(showId) {
+      const show = shows.find(s => s.id === showId);
+      return (show ? show.episodes || [] : []).map(episode => ({
+        id: episode.id,
+        name: episode.name,
+        release_date: episode.release_date,
+        duration_ms: episode.duration_ms,
+        url: episode.url || `https://open.spotify.com/episode/${episode.id}`
+      }));
+    }
+  };
+}
+
+module.exports = { createFixtureCatalogProvider };
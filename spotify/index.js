@@ -0,0 +1,106 @@
+// Spotify episode matching
+// Resolves indexed episodes to a Spotify show and episode through a catalog provider.
+// Pick the provider with SPOTIFY_CATALOG_PROVIDER=spotify|fixture. Matching is off when unset.
+// Adapters implement searchShows(query) and getShowEpisodes(showId); matching itself is in match.js.
+const { createSpotifyApiProvider } = require('./api');
+const { createFixtureCatalogProvider } = require('./fixture');
+const match = require('./match');
+
+// Matches at least this confident (0-100) replace the Spotify search link with a direct one
+const LINK_MIN_CONFIDENCE = parseInt(process.env.SPOTIFY_LINK_MIN_CONFIDENCE) || 80;
+
+const PROVIDERS = {
+  spotify: createSpotifyApiProvider,
+  fixture: createFixtureCatalogProvider
+};
+
+// Create a provider by name (config is passed to the adapter)
+function createProvider(name, config = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown Spotify catalog provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(config);
+}
+
+let defaultProvider = null;
+
+function isEnabled() {
+  return !!(defaultProvider || process.env.SPOTIFY_CATALOG_PROVIDER);
+}
+
+// Get the provider configured through the environment (created once)
+function getProvider() {
+  if (!defaultProvider) {
+    if (!process.env.SPOTIFY_CATALOG_PROVIDER) {
+      throw new Error('Spotify matching is not configured (set SPOTIFY_CATALOG_PROVIDER)');
+    }
+    defaultProvider = createProvider(process.env.SPOTIFY_CATALOG_PROVIDER.toLowerCase());
+    console.log(`[Spotify] Using ${defaultProvider.name} catalog provider`);
+  }
+  return defaultProvider;
+}
+
+// Override the default provider (tests, scripts)
+function setProvider(provider) {
+  defaultProvider = provider;
+}
+
+// Matcher for a batch of episodes. Show lookups and episode lists are cached per channel
+// for the matcher's lifetime, so a batch queries the catalog once per channel.
+function createMatcher(provider = getProvider()) {
+  const showsByChannel = new Map();   // channel name -> { show, score } or null
+  const episodesByShow = new Map();   // show id -> catalog episodes
+
+  async function findShow(channelName) {
+    if (!showsByChannel.has(channelName)) {
+      showsByChannel.set(channelName, match.pickShow(channelName, await provider.searchShows(channelName)));
+    }
+    return showsByChannel.get(channelName);
+  }
+
+  async function getEpisodes(showId) {
+    if (!episodesByShow.has(showId)) {
+      episodesByShow.set(showId, await provider.getShowEpisodes(showId));
+    }
+    return episodesByShow.get(showId);
+  }
+
+  return {
+    // Match one episode ({ podcast_name, episode_title, upload_date, duration_seconds }, decoded text).
+    // Returns { showId, episodeId, url, confidence }; ids and url are null when nothing matched.
+    async matchEpisode(episode) {
+      const showMatch = await findShow(episode.podcast_name);
+      if (!showMatch) {
+        return { showId: null, episodeId: null, url: null, confidence: 0 };
+      }
+
+      const episodeMatch = match.pickEpisode(episode, await getEpisodes(showMatch.show.id));
+      if (!episodeMatch) {
+        return { showId: showMatch.show.id, episodeId: null, url: null, confidence: 0 };
+      }
+
+      return {
+        showId: showMatch.show.id,
+        episodeId: episodeMatch.candidate.id,
+        url: episodeMatch.candidate.url,
+        confidence: match.matchConfidence(showMatch.score, episodeMatch.score)
+      };
+    }
+  };
+}
+
+// The matched episode URL when the match is confident enough to link to directly, else null
+function directEpisodeUrl(url, confidence) {
+  return url && confidence >= LINK_MIN_CONFIDENCE ? url : null;
+}
+
+module.exports = {
+  LINK_MIN_CONFIDENCE,
+  directEpisodeUrl,
+  createProvider,
+  getProvider,
+  setProvider,
+  isEnabled,
+  createMatcher
+};
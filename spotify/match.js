@@ -0,0 +1,130 @@
+// Fuzzy matching of indexed episodes against Spotify catalog entries
+// Titles are compared as word sets, release dates by distance in days, durations by relative difference.
+// Pure functions, no catalog or database access.
+
+// Words that YouTube titles add and Spotify titles usually lack
+const NOISE_WORDS = new Set(['official', 'video', 'audio', 'full', 'episode', 'ep', 'podcast', 'hd']);
+
+// Signal weights for an episode score (weights of missing signals are shared out among the others)
+const EPISODE_WEIGHTS = { title: 0.6, date: 0.25, duration: 0.15 };
+
+// Dates this many days apart (or more) score 0; within a day they score 1
+const DATE_TOLERANCE_DAYS = 14;
+
+// Durations differing by this share (or more) score 0
+const DURATION_TOLERANCE = 0.2;
+
+// Below these the candidate is not considered a match at all
+const MIN_SHOW_SIMILARITY = 0.6;
+const MIN_TITLE_SIMILARITY = 0.5;
+
+// Runner-up episodes scoring within this margin make the match ambiguous (confidence is lowered)
+const AMBIGUITY_MARGIN = 0.05;
+const AMBIGUITY_PENALTY = 0.8;
+
+// Lowercase words without accents, punctuation or noise words
+function titleWords(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter(word => word && !NOISE_WORDS.has(word));
+}
+
+// 0-1: word overlap (Dice coefficient), or containment when one title is the other plus extras
+// (YouTube titles often append the channel name or a guest list)
+function titleSimilarity(a, b) {
+  const wordsA = new Set(titleWords(a));
+  const wordsB = new Set(titleWords(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+
+  const dice = (2 * shared) / (wordsA.size + wordsB.size);
+  const containment = shared / Math.min(wordsA.size, wordsB.size);
+  // A short title contained in a long one is weaker evidence than an equal title
+  return Math.max(dice, containment * 0.9);
+}
+
+// 0-1 by distance in days, or null when either date is unknown
+function dateSimilarity(a, b) {
+  if (!a || !b) return null;
+  const timeA = new Date(a).getTime();
+  const timeB = new Date(b).getTime();
+  if (isNaN(timeA) || isNaN(timeB)) return null;
+
+  const days = Math.abs(timeA - timeB) / 86400000;
+  if (days <= 1) return 1;
+  return Math.max(0, 1 - (days - 1) / (DATE_TOLERANCE_DAYS - 1));
+}
+
+// 0-1 by relative difference, or null when either duration is unknown
+function durationSimilarity(seconds, otherSeconds) {
+  if (!seconds || !otherSeconds) return null;
+  const difference = Math.abs(seconds - otherSeconds) / Math.max(seconds, otherSeconds);
+  return Math.max(0, 1 - difference / DURATION_TOLERANCE);
+}
+
+// Best show for a channel name: { show, score } or null. shows: [{ id, name, publisher }]
+function pickShow(channelName, shows) {
+  let best = null;
+  for (const show of shows) {
+    const score = Math.max(titleSimilarity(channelName, show.name), titleSimilarity(channelName, show.publisher) * 0.9);
+    if (!best || score > best.score) best = { show, score };
+  }
+  return best && best.score >= MIN_SHOW_SIMILARITY ? best : null;
+}
+
+// Weighted score of a catalog episode for an indexed episode, over the signals both sides have
+function scoreEpisode(episode, candidate) {
+  const title = titleSimilarity(episode.episode_title, candidate.name);
+  const signals = {
+    title,
+    date: dateSimilarity(episode.upload_date, candidate.release_date),
+    duration: durationSimilarity(episode.duration_seconds, candidate.duration_ms ? candidate.duration_ms / 1000 : null)
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    if (value === null) continue;
+    weighted += EPISODE_WEIGHTS[signal] * value;
+    totalWeight += EPISODE_WEIGHTS[signal];
+  }
+  return { title, score: weighted / totalWeight };
+}
+
+// Best catalog episode for an indexed episode: { candidate, score } or null.
+// episode: { episode_title, upload_date, duration_seconds }, candidates: [{ id, name, release_date, duration_ms }]
+function pickEpisode(episode, candidates) {
+  const scored = candidates
+    .map(candidate => ({ candidate, ...scoreEpisode(episode, candidate) }))
+    .filter(match => match.title >= MIN_TITLE_SIMILARITY)
+    .sort((a, b) => b.score - a.score);
+  if (scored.length === 0) return null;
+
+  const [best, runnerUp] = scored;
+  const ambiguous = runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN;
+  return { candidate: best.candidate, score: ambiguous ? best.score * AMBIGUITY_PENALTY : best.score };
+}
+
+// 0-100 confidence of an episode match within a matched show
+function matchConfidence(showScore, episodeScore) {
+  return Math.round(100 * showScore * episodeScore);
+}
+
+module.exports = {
+  titleWords,
+  titleSimilarity,
+  dateSimilarity,
+  durationSimilarity,
+  pickShow,
+  scoreEpisode,
+  pickEpisode,
+  matchConfidence
+};
@@ -0,0 +1,127 @@
+// Subtitle cues to timed transcript segments
+// Cue-based formats share the same cleanup (markup, entities) and, for auto-generated tracks, the
+// same problem: YouTube auto-captions roll, so each cue repeats the line(s) of the previous one before
+// adding new words. Those cues are merged on their longest word overlap so every word is kept once.
+// Manual tracks are kept as written: a line said twice, or "No." answering "...say no?", is real text.
+// Cues are { start (seconds), end (seconds or null), lines: [text] }.
+
+// Named character references found in subtitle files (plus numeric ones)
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '', rlm: ''
+};
+
+// Decode entities in one pass (so "&amp;lt;" stays "&lt;"); unknown names are left as typed
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    const value = ENTITIES[name.toLowerCase()];
+    return value !== undefined ? value : match;
+  });
+}
+
+// Plain text of a cue line: inline markup removed (<c>, <c.color...>, <00:00:01.000> word timings,
+// <v Speaker>, <i>...) before entities are decoded, whitespace collapsed
+function cleanCueText(line) {
+  return decodeEntities(line.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+// Parse a VTT/SRT timestamp (HH:MM:SS.mmm or MM:SS.mmm, comma accepted) into seconds; null when malformed
+function parseTimestamp(timestamp) {
+  const parts = timestamp.trim().replace(',', '.').split(':');
+  if (parts.length < 2 || parts.length > 3) return null;
+  const numbers = parts.map(Number);
+  if (numbers.some(isNaN)) return null;
+  return numbers.reduce((total, part) => total * 60 + part, 0);
+}
+
+// Cues of a VTT or SRT file: blocks with a "start --> end" timing line, in time order. Blocks without
+// one (headers, VTT NOTE/STYLE/REGION) are skipped, as are cue identifiers and VTT cue settings.
+// Only an empty line ends a cue: YouTube pads its auto-caption cues with lines holding a single space.
+function parseCueBlocks(content) {
+  const cues = [];
+  const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [startText, endText = ''] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startText);
+    if (start === null) continue;
+
+    cues.push({
+      start,
+      end: parseTimestamp(endText.trim().split(/\s+/)[0] || ''),
+      lines: lines.slice(timingIndex + 1)
+    });
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// Words compared case- and punctuation-insensitively ("Today," continues "today")
+function wordKey(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+// Number of words at the start of cueKeys that repeat the end of previousKeys (longest overlap)
+function overlapLength(previousKeys, cueKeys) {
+  for (let length = Math.min(previousKeys.length, cueKeys.length); length > 0; length--) {
+    let matches = true;
+    for (let i = 0; i < length; i++) {
+      if (previousKeys[previousKeys.length - length + i] !== cueKeys[i]) {
+        matches = false;
+        break;
+      }
+    }
+    if (matches) return length;
+  }
+  return 0;
+}
+
+// Timed segments ({ start, text }) from cues ({ start, end, lines: [text] }, in time order).
+// With rolling (auto-generated tracks), the words a cue repeats from the previous ones are dropped;
+// otherwise only cues shown while the previous one is still on screen (start before its end) are
+// merged. A one-word overlap only counts when it is a whole line of the cue, so a word a speaker
+// really says twice ("yes. Yes, ...") is kept.
+function cuesToSegments(cues, { rolling = false } = {}) {
+  const segments = [];
+  let previousKeys = [];
+  let previousEnd = null;
+
+  for (const cue of cues) {
+    const lines = cue.lines.map(cleanCueText).filter(Boolean);
+    if (lines.length === 0) continue;
+
+    const words = lines.join(' ').split(' ');
+    const keys = words.map(wordKey);
+
+    // Only the recent words can be repeated by a rolling (or still displayed) cue
+    const mergeable = rolling || (previousEnd !== null && cue.start < previousEnd);
+    let overlap = mergeable ? overlapLength(previousKeys.slice(-keys.length), keys) : 0;
+    if (overlap === 1 && lines[0].split(' ').length > 1 && words.length > 1) {
+      overlap = 0;
+    }
+    previousEnd = cue.end;
+
+    const newWords = words.slice(overlap);
+    if (newWords.length > 0) {
+      segments.push({ start: cue.start, text: newWords.join(' ') });
+    }
+    previousKeys = previousKeys.concat(keys.slice(overlap)).slice(-200);
+  }
+
+  return segments;
+}
+
+module.exports = {
+  decodeEntities,
+  cleanCueText,
+  parseTimestamp,
+  parseCueBlocks,
+  cuesToSegments
+};
@@ -0,0 +1,47 @@
+// Subtitle and transcript file parsing
+// parseSubtitles(content, format) turns a subtitle file into timed segments ({ start (seconds), text })
+// ready for buildTimedTranscript, whatever the format. Pure functions on the file content, no file
+// or network access.
+const { parseVttSegments } = require('./vtt');
+const { parseSrtSegments } = require('./srt');
+const { parseTtmlSegments } = require('./ttml');
+const { parseJson3Segments } = require('./json3');
+const { parsePodcastJsonSegments } = require('./podcast-json');
+
+// Format name (a file extension) -> parser
+const PARSERS = {
+  vtt: parseVttSegments,
+  srt: parseSrtSegments,
+  ttml: parseTtmlSegments,
+  dfxp: parseTtmlSegments,
+  xml: parseTtmlSegments,
+  srv1: parseTtmlSegments,
+  srv2: parseTtmlSegments,
+  srv3: parseTtmlSegments,
+  json3: parseJson3Segments,
+  json: parsePodcastJsonSegments
+};
+
+const SUBTITLE_FORMATS = Object.keys(PARSERS);
+
+// Format of a subtitle file from its name ("abc123.en.srv3" -> "srv3"), or null when unsupported
+function formatFromFilename(filename) {
+  const extension = filename.toLowerCase().split('.').pop();
+  return PARSERS[extension] ? extension : null;
+}
+
+// options.auto: whether the track is auto-generated (YouTube auto-captions), when known
+function parseSubtitles(content, format, options = {}) {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(`Unsupported subtitle format "${format}". Use one of: ${SUBTITLE_FORMATS.join(', ')}`);
+  }
+  return parser(content, options);
+}
+
+module.exports = {
+  parseSubtitles,
+  formatFromFilename,
+  SUBTITLE_FORMATS,
+  parseVttSegments
+};
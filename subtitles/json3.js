@@ -0,0 +1,23 @@
+// YouTube json3 subtitles
+// { events: [{ tStartMs, dDurationMs, segs: [{ utf8, tOffsetMs }] }] }. Auto-caption events hold
+// each word once (the rolling display is done by the player), so events are not merged.
+const { cleanCueText } = require('./cues');
+
+function parseJson3Segments(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (e) {
+    throw new Error('Subtitles are not valid json3');
+  }
+
+  return (Array.isArray(data.events) ? data.events : [])
+    .filter(event => event && Array.isArray(event.segs))
+    .map(event => ({
+      start: Math.max(0, Number(event.tStartMs) || 0) / 1000,
+      text: cleanCueText(event.segs.map(seg => seg.utf8 || '').join(''))
+    }))
+    .filter(segment => segment.text);
+}
+
+module.exports = { parseJson3Segments };
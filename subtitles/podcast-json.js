@@ -0,0 +1,17 @@
+// Podcasting 2.0 JSON transcripts (linked by <podcast:transcript type="application/json">)
+// { segments: [{ startTime, endTime, body, speaker? }] }, times in seconds.
+
+function parsePodcastJsonSegments(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (e) {
+    throw new Error('Transcript is not valid JSON');
+  }
+
+  return (Array.isArray(data.segments) ? data.segments : [])
+    .filter(segment => segment && typeof segment.body === 'string' && segment.body.trim())
+    .map(segment => ({ start: Math.max(0, Number(segment.startTime) || 0), text: segment.body.trim() }));
+}
+
+module.exports = { parsePodcastJsonSegments };
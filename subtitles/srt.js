@@ -0,0 +1,15 @@
+// SubRip (SRT) subtitles
+// Numbered cues with a "00:00:01,000 --> 00:00:02,500" timing line. Besides HTML-like tags
+// (<i>, <font color>), some files carry ASS override codes ("{\an8}"), removed here.
+const { parseCueBlocks, cuesToSegments } = require('./cues');
+
+// auto: whether the track is auto-generated (rolling cues are merged); manual otherwise
+function parseSrtSegments(content, { auto = false } = {}) {
+  const cues = parseCueBlocks(content).map(cue => ({
+    ...cue,
+    lines: cue.lines.map(line => line.replace(/\{\\[^}]*\}/g, ''))
+  }));
+  return cuesToSegments(cues, { rolling: auto });
+}
+
+module.exports = { parseSrtSegments };
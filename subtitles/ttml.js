@@ -0,0 +1,74 @@
+// TTML and YouTube's XML subtitle formats
+// One parser for the XML family: TTML/DFXP (<p begin="..." end="...">), srv3 (<p t="ms" d="ms"> with
+// <s> word spans), srv2 (<text t="ms" d="ms">) and srv1 (<text start="s" dur="s">).
+// Elements are kept as they are: YouTube's XML auto-captions hold each word once (no rolling cues).
+const { cuesToSegments } = require('./cues');
+
+// TTML default frame rate, used by "HH:MM:SS:FF" clock times and "f" offsets
+const DEFAULT_FRAME_RATE = 30;
+
+function parseAttributes(text) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+  }
+  return attributes;
+}
+
+// A TTML time expression in seconds: clock time ("00:01:02.500", "00:01:02:12" with frames) or
+// offset time ("62.5s", "62500ms", "1.5m", "1h", "300f", "620000t"); null when malformed
+function parseTtmlTime(value, { frameRate, tickRate }) {
+  if (!value) return null;
+  const text = value.trim();
+
+  const clock = text.match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?$/);
+  if (clock) {
+    const frames = clock[4] ? Number(clock[4]) / frameRate : 0;
+    return Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3]) + frames;
+  }
+
+  const offset = text.match(/^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/);
+  if (!offset) return null;
+  const amount = Number(offset[1]);
+  switch (offset[2]) {
+    case 'h': return amount * 3600;
+    case 'm': return amount * 60;
+    case 's': return amount;
+    case 'ms': return amount / 1000;
+    case 'f': return amount / frameRate;
+    case 't': return amount / tickRate;
+  }
+  return null;
+}
+
+// Start of a <p>/<text> element in seconds, whichever XML dialect it comes from
+function elementStart(attributes, timing) {
+  if (attributes.begin !== undefined) return parseTtmlTime(attributes.begin, timing);
+  if (attributes.t !== undefined) return Number(attributes.t) / 1000;
+  if (attributes.start !== undefined) return Number(attributes.start);
+  return null;
+}
+
+// Parse TTML/srv XML into timed segments ({ start, text })
+function parseTtmlSegments(content) {
+  const root = parseAttributes((content.match(/<tt\b([^>]*)>/i) || [])[1] || '');
+  const frameRate = Number(root['ttp:framerate']) || DEFAULT_FRAME_RATE;
+  const timing = { frameRate, tickRate: Number(root['ttp:tickrate']) || frameRate };
+
+  const cues = [];
+  const pattern = /<(p|text)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    const start = elementStart(parseAttributes(match[2]), timing);
+    if (start === null || isNaN(start)) continue;
+
+    // <br/> separates lines; other markup (<span>, <s>) is removed with the tags
+    cues.push({ start, end: null, lines: match[3].split(/<br\s*\/?>/i) });
+  }
+
+  return cuesToSegments(cues.sort((a, b) => a.start - b.start));
+}
+
+module.exports = { parseTtmlSegments, parseTtmlTime };
@@ -0,0 +1,14 @@
+// WebVTT subtitles (YouTube's default download format, manual and auto captions)
+const { parseCueBlocks, cuesToSegments } = require('./cues');
+
+// Inline word timings ("hello<00:00:01.359><c> world</c>") are only found in YouTube auto-captions
+const WORD_TIMING_PATTERN = /<\d{2}:\d{2}:\d{2}\.\d{3}>/;
+
+// Parse VTT into timed segments ({ start, text }), rolling auto-caption repeats merged.
+// auto: whether the track is auto-generated (detected from word timings when not given)
+function parseVttSegments(content, { auto } = {}) {
+  const rolling = auto !== undefined ? auto : WORD_TIMING_PATTERN.test(content);
+  return cuesToSegments(parseCueBlocks(content), { rolling });
+}
+
+module.exports = { parseVttSegments };
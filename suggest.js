@@ -0,0 +1,176 @@
+// Search box suggestions: prefix autocomplete and "did you mean" spelling correction
+// Autocomplete matches keywords, episode titles and channel names. Corrections come from
+// the words of the keyword vocabulary, by edit distance.
+const pool = require('./db');
+const { FULLTEXT_STOPWORDS } = require('./search');
+
+const SUGGEST_LIMITS = { keyword: 5, episode: 3, channel: 2 };
+
+// Words shorter than this are never corrected (too many close neighbours)
+const MIN_CORRECTION_LENGTH = 4;
+
+// The vocabulary is reloaded after this long
+const VOCABULARY_TTL = 10 * 60 * 1000;
+
+let vocabulary = null;     // word -> number of episodes
+let vocabularyLoadedAt = 0;
+let vocabularyLoading = null;
+
+// LIKE patterns matching the start of the text or of any word in it
+function prefixPatterns(prefix) {
+  const escaped = prefix.replace(/[\\%_]/g, '\\$&');
+  return [`${escaped}%`, `% ${escaped}%`];
+}
+
+// Prefix matches for the search box: [{ type, text, count?, id? }], keywords first
+async function findSuggestions(prefix, language = null) {
+  const [startPattern, wordPattern] = prefixPatterns(prefix.toLowerCase());
+
+  // Keywords used by the most episodes, the requested language first
+  const [keywordRows] = await pool.execute(`
+    SELECT k.keyword, COUNT(ek.podcast_id) as count, MAX(k.language <=> ?) as in_language,
+      MAX(k.keyword LIKE ?) as starts_with
+    FROM keywords k
+    JOIN episode_keywords ek ON ek.keyword_id = k.id
+    LEFT JOIN keyword_blacklist b ON k.keyword = b.keyword
+    WHERE b.keyword IS NULL AND (k.keyword LIKE ? OR k.keyword LIKE ?)
+    GROUP BY k.keyword
+    ORDER BY in_language DESC, starts_with DESC, count DESC
+    LIMIT ${SUGGEST_LIMITS.keyword}
+  `, [language, startPattern, startPattern, wordPattern]);
+
+  const [episodeRows] = await pool.execute(`
+    SELECT id, episode_title
+    FROM podcasts
+    WHERE episode_title LIKE ? OR episode_title LIKE ?
+    ORDER BY (language <=> ?) DESC, (episode_title LIKE ?) DESC, upload_date DESC
+    LIMIT ${SUGGEST_LIMITS.episode}
+  `, [startPattern, wordPattern, language, startPattern]);
+
+  const [channelRows] = await pool.execute(`
+    SELECT podcast_name, COUNT(*) as count,
+      (SELECT c.slug FROM channels c WHERE c.channel_name = podcasts.podcast_name) as slug
+    FROM podcasts
+    WHERE podcast_name LIKE ? OR podcast_name LIKE ?
+    GROUP BY podcast_name
+    ORDER BY MAX(language <=> ?) DESC, count DESC
+    LIMIT ${SUGGEST_LIMITS.channel}
+  `, [startPattern, wordPattern, language]);
+
+  return [
+    ...keywordRows.map(row => ({ type: 'keyword', text: row.keyword, count: row.count })),
+    ...channelRows.map(row => ({ type: 'channel', text: row.podcast_name, count: row.count, slug: row.slug })),
+    ...episodeRows.map(row => ({ type: 'episode', text: row.episode_title, id: row.id }))
+  ];
+}
+
+async function loadVocabulary() {
+  const [rows] = await pool.execute(`
+    SELECT k.keyword, COUNT(ek.podcast_id) as count
+    FROM keywords k
+    JOIN episode_keywords ek ON ek.keyword_id = k.id
+    LEFT JOIN keyword_blacklist b ON k.keyword = b.keyword
+    WHERE b.keyword IS NULL
+    GROUP BY k.keyword
+  `);
+
+  const words = new Map();
+  for (const row of rows) {
+    for (const word of row.keyword.split(/\s+/)) {
+      if (word.length >= MIN_CORRECTION_LENGTH && !FULLTEXT_STOPWORDS.has(word)) {
+        words.set(word, (words.get(word) || 0) + row.count);
+      }
+    }
+  }
+  return words;
+}
+
+// The keyword vocabulary, reloaded every VOCABULARY_TTL
+async function getVocabulary() {
+  if (vocabulary && Date.now() - vocabularyLoadedAt < VOCABULARY_TTL) {
+    return vocabulary;
+  }
+  if (!vocabularyLoading) {
+    vocabularyLoading = loadVocabulary()
+      .then(words => {
+        vocabulary = words;
+        vocabularyLoadedAt = Date.now();
+        return words;
+      })
+      .finally(() => { vocabularyLoading = null; });
+  }
+  return vocabularyLoading;
+}
+
+// Edit distance with adjacent transpositions (optimal string alignment), or maxDistance + 1
+// as soon as the distance is known to exceed maxDistance
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Closest vocabulary word for a misspelled word (most used on ties), or null
+function correctWord(word, words) {
+  if (word.length < MIN_CORRECTION_LENGTH || words.has(word) || FULLTEXT_STOPWORDS.has(word)) return null;
+
+  // One typo for short words, two for longer ones
+  const maxDistance = word.length <= 5 ? 1 : 2;
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  let bestCount = 0;
+
+  for (const [candidate, count] of words) {
+    const distance = editDistance(word, candidate, maxDistance);
+    if (distance < bestDistance || (distance === bestDistance && distance <= maxDistance && count > bestCount)) {
+      best = candidate;
+      bestDistance = distance;
+      bestCount = count;
+    }
+  }
+
+  return bestDistance <= maxDistance ? best : null;
+}
+
+// "Did you mean" for a query: the query with misspelled words replaced, or null when nothing changed.
+// Field names ("title:") and OR are left alone, the rest of the syntax is kept as typed.
+async function suggestCorrection(query) {
+  const words = await getVocabulary();
+  if (words.size === 0) return null;
+
+  let changed = false;
+  const corrected = query.replace(/[\p{L}\p{N}']+(:)?/gu, (token, field) => {
+    if (field || token === 'OR') return token;
+    const correction = correctWord(token.toLowerCase(), words);
+    if (!correction) return token;
+    changed = true;
+    return correction;
+  });
+
+  return changed ? corrected : null;
+}
+
+module.exports = {
+  findSuggestions,
+  suggestCorrection
+};
@@ -0,0 +1,107 @@
+// Every route behind requireAdmin answers 401 without a valid X-Admin-Token.
+// The app runs against a stubbed db pool: no MySQL server is needed.
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+
+// Admin sessions known to the stub, by token
+const sessions = {
+  'valid-token': { user_id: 1, email: 'admin@example.com', expires_at: new Date(Date.now() + 60 * 60 * 1000) },
+  'expired-token': { user_id: 1, email: 'admin@example.com', expires_at: new Date(Date.now() - 60 * 1000) }
+};
+
+// Answers the session lookup like MySQL would (expired sessions filtered out), anything else with no rows
+const stubPool = {
+  async execute(sql, params = []) {
+    if (sql.includes('FROM admin_sessions')) {
+      const session = sessions[params[0]];
+      const valid = session && (!sql.includes('expires_at > NOW()') || session.expires_at > new Date());
+      return [valid ? [{ user_id: session.user_id, email: session.email }] : [], []];
+    }
+    return [[], []];
+  },
+  async query(sql, params) {
+    return this.execute(sql, params);
+  }
+};
+require.cache[path.join(__dirname, '..', 'db.js')] = {
+  id: path.join(__dirname, '..', 'db.js'),
+  filename: path.join(__dirname, '..', 'db.js'),
+  loaded: true,
+  exports: stubPool
+};
+
+const app = require('../server');
+
+// [method, path] of the routes using the requireAdmin middleware, with :params filled in
+function protectedRoutes() {
+  return app._router.stack
+    .filter(layer => layer.route && layer.route.stack.some(handler => handler.name === 'requireAdmin'))
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => [
+      method.toUpperCase(),
+      layer.route.path.replace(/:(\w+)/g, '1')
+    ]));
+}
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+async function call(method, route, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers['X-Admin-Token'] = token;
+  const response = await fetch(baseUrl + route, {
+    method,
+    headers,
+    body: method === 'GET' ? undefined : '{}'
+  });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+test('admin routes are found', () => {
+  const routes = protectedRoutes();
+  assert.ok(routes.length > 20, `only ${routes.length} protected routes`);
+  assert.ok(routes.some(([method, route]) => method === 'GET' && route === '/api/channels'));
+  assert.ok(routes.some(([method, route]) => method === 'POST' && route === '/api/process'));
+});
+
+test('no token: 401 on every admin route', async () => {
+  for (const [method, route] of protectedRoutes()) {
+    const { status, body } = await call(method, route, null);
+    assert.strictEqual(status, 401, `${method} ${route}`);
+    assert.strictEqual(body.error, 'Authentication required');
+  }
+});
+
+test('unknown token: 401 on every admin route', async () => {
+  for (const [method, route] of protectedRoutes()) {
+    const { status, body } = await call(method, route, 'not-a-session');
+    assert.strictEqual(status, 401, `${method} ${route}`);
+    assert.strictEqual(body.error, 'Invalid session');
+  }
+});
+
+test('expired token: 401 on every admin route', async () => {
+  for (const [method, route] of protectedRoutes()) {
+    const { status, body } = await call(method, route, 'expired-token');
+    assert.strictEqual(status, 401, `${method} ${route}`);
+    assert.strictEqual(body.error, 'Invalid session');
+  }
+});
+
+test('valid token: the route runs', async () => {
+  const { status, body } = await call('GET', '/api/channels', 'valid-token');
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body, []);
+});
@@ -0,0 +1,89 @@
+// Channel pages are found by the slug stored on the channels row
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+
+// Two names with the same slugify() result: the second got a numbered slug
+const slugs = new Map([
+  ['lex-fridman-podcast', 'Lex Fridman Podcast'],
+  ['lex-fridman-podcast-2', 'Lex Fridman: Podcast']
+]);
+
+const queries = [];
+const stubPool = {
+  async execute(sql, params = []) {
+    queries.push(sql);
+    if (/FROM channels WHERE slug = \?/.test(sql)) {
+      return [slugs.has(params[0]) ? [{ channel_name: slugs.get(params[0]) }] : [], []];
+    }
+    if (/COUNT\(\*\) as total/.test(sql)) {
+      return [[{ total: 1, language: 'en' }], []];
+    }
+    if (/^\s*SELECT COUNT\([^)]*\) as count\b/.test(sql)) {
+      return [[{ count: /FROM channels/.test(sql) ? slugs.size : 0 }], []];
+    }
+    if (/SELECT c\.slug, MAX/.test(sql)) {
+      return [[...slugs.keys()].map(slug => ({ slug, last_updated: null })), []];
+    }
+    if (/as channel_slug/.test(sql) && /WHERE podcast_name = \?/.test(sql)) {
+      return [[{ id: 7, podcast_name: params[0], episode_title: 'Episode 7', channel_slug: [...slugs].find(([, name]) => name === params[0])[0] }], []];
+    }
+    return [[], []];
+  },
+  async query(sql) {
+    queries.push(sql);
+    return [[], []];
+  }
+};
+require.cache[path.join(__dirname, '..', 'db.js')] = {
+  id: path.join(__dirname, '..', 'db.js'),
+  filename: path.join(__dirname, '..', 'db.js'),
+  loaded: true,
+  exports: stubPool
+};
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+test('a known slug renders its channel without scanning every channel name', async () => {
+  queries.length = 0;
+  const response = await fetch(`${baseUrl}/channel/Lex-Fridman-Podcast`);
+  assert.strictEqual(response.status, 200);
+  assert.match(await response.text(), /Lex Fridman Podcast/);
+  assert.ok(!queries.some(sql => /DISTINCT podcast_name/.test(sql)));
+});
+
+test('an unknown slug is a 404', async () => {
+  const response = await fetch(`${baseUrl}/channel/no-such-channel`);
+  assert.strictEqual(response.status, 404);
+});
+
+test('a channel with a numbered slug is reachable and links to itself', async () => {
+  const response = await fetch(`${baseUrl}/channel/lex-fridman-podcast-2`);
+  assert.strictEqual(response.status, 200);
+  const html = await response.text();
+  assert.match(html, /Lex Fridman: Podcast/);
+  assert.match(html, /<link rel="canonical" href="[^"]*\/channel\/lex-fridman-podcast-2">/);
+});
+
+test('the sitemap lists channels by their stored slug', async () => {
+  const response = await fetch(`${baseUrl}/sitemap.xml`);
+  assert.strictEqual(response.status, 200);
+  const xml = await response.text();
+  assert.match(xml, /\/channel\/lex-fridman-podcast<\/loc>/);
+  assert.match(xml, /\/channel\/lex-fridman-podcast-2<\/loc>/);
+});
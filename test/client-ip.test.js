@@ -0,0 +1,60 @@
+// Per-client limits use the address seen by the trusted proxy, not the client's X-Forwarded-For
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.ASK_RATE_LIMIT_PER_HOUR = '2';
+process.env.TRUST_PROXY_HOPS = '1';
+delete process.env.EMBEDDING_PROVIDER;
+
+// No passages in the stub archive: questions are answered with { answer: null }
+const stubPool = {
+  async execute() { return [[], []]; },
+  async query() { return [[], []]; }
+};
+require.cache[path.join(__dirname, '..', 'db.js')] = {
+  id: path.join(__dirname, '..', 'db.js'),
+  filename: path.join(__dirname, '..', 'db.js'),
+  loaded: true,
+  exports: stubPool
+};
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+// Ask a question through the proxy: it appends the client's real address to X-Forwarded-For
+async function ask(clientHeader, realAddress) {
+  const response = await fetch(`${baseUrl}/api/ask`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Forwarded-For': clientHeader ? `${clientHeader}, ${realAddress}` : realAddress
+    },
+    body: JSON.stringify({ question: 'What is composting?' })
+  });
+  return response.status;
+}
+
+test('rotating X-Forwarded-For does not reset the question budget', async () => {
+  assert.strictEqual(await ask('10.0.0.1', '203.0.113.7'), 200);
+  assert.strictEqual(await ask('10.0.0.2', '203.0.113.7'), 200);
+  assert.strictEqual(await ask('10.0.0.3', '203.0.113.7'), 429);
+  assert.strictEqual(await ask(null, '203.0.113.7'), 429);
+});
+
+test('other clients keep their own budget', async () => {
+  assert.strictEqual(await ask('203.0.113.7', '198.51.100.20'), 200);
+});
@@ -0,0 +1,88 @@
+// Nearest-neighbour scans over the in-memory index return the best `limit` rows, best first
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const DIMENSIONS = 8;
+const provider = { name: 'test', model: 'random-8' };
+
+// Deterministic pseudo-random vectors (no seed in Math.random)
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648 - 0.5;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+function toBuffer(vector) {
+  const buffer = Buffer.alloc(vector.length * 4);
+  vector.forEach((value, i) => buffer.writeFloatLE(value, i * 4));
+  return buffer;
+}
+
+const rows = Array.from({ length: 300 }, (_, i) => ({
+  podcast_id: 1 + (i % 30),
+  char_offset: i * 1000,
+  char_length: 1000,
+  dimensions: DIMENSIONS,
+  embedding: toBuffer(normalize(Array.from({ length: DIMENSIONS }, random)))
+}));
+
+const stubPool = {
+  async execute(sql) {
+    if (/COUNT\(\*\) as count/.test(sql)) return [[{ count: rows.length, max_id: rows.length }], []];
+    return [rows, []];
+  }
+};
+require.cache[path.join(__dirname, '..', 'db.js')] = {
+  id: path.join(__dirname, '..', 'db.js'),
+  filename: path.join(__dirname, '..', 'db.js'),
+  loaded: true,
+  exports: stubPool
+};
+
+const store = require('../embeddings/store');
+
+function readVector(row) {
+  return Array.from({ length: DIMENSIONS }, (_, d) => row.embedding.readFloatLE(d * 4));
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+test('findNearestChunks matches a full sort of every chunk', async () => {
+  const query = normalize(Array.from({ length: DIMENSIONS }, random));
+  const expected = rows
+    .map(row => ({ offset: row.char_offset, similarity: dot(readVector(row), query) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, 10);
+
+  const nearest = await store.findNearestChunks(provider, query, 10);
+  assert.deepStrictEqual(nearest.map(chunk => chunk.offset), expected.map(chunk => chunk.offset));
+  for (let i = 0; i < nearest.length; i++) {
+    assert.ok(Math.abs(nearest[i].similarity - expected[i].similarity) < 1e-5);
+    assert.strictEqual(nearest[i].length, 1000);
+  }
+});
+
+test('findNearestChunks returns every chunk when the limit is larger than the index', async () => {
+  const nearest = await store.findNearestChunks(provider, Array(DIMENSIONS).fill(1), 1000);
+  assert.strictEqual(nearest.length, rows.length);
+  for (let i = 1; i < nearest.length; i++) {
+    assert.ok(nearest[i - 1].similarity >= nearest[i].similarity);
+  }
+});
+
+test('findSimilarEpisodes leaves out the episode itself and ranks the rest', async () => {
+  const similar = await store.findSimilarEpisodes(provider, 1, 5);
+  assert.strictEqual(similar.length, 5);
+  assert.ok(!similar.some(episode => episode.podcastId === 1));
+  for (let i = 1; i < similar.length; i++) {
+    assert.ok(similar[i - 1].similarity >= similar[i].similarity);
+  }
+});
@@ -0,0 +1,222 @@
+// Podcast feed parsing, transcripts and episode matching against local fixture feeds
+// (test/fixtures/feeds), downloaded through feeds.setFetcher instead of the network
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const feeds = require('../feeds');
+const { parseDuration } = require('../feeds/parse');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'feeds');
+
+// Fixture served for each URL (anything else is a 404)
+const FIXTURE_URLS = {
+  'https://working-hour.example.com/feed.xml': 'show.xml',
+  'https://working-hour.example.com/42.vtt': '42.vtt',
+  'https://working-hour.example.com/42.json': '42.json'
+};
+
+let requested = [];
+
+test.beforeEach(() => {
+  requested = [];
+  feeds.setFetcher(async (url, maxBytes) => {
+    requested.push(url);
+    if (!FIXTURE_URLS[url]) throw new Error(`Request for ${url} failed (404)`);
+    const content = fs.readFileSync(path.join(FIXTURES, FIXTURE_URLS[url]), 'utf8');
+    assert.ok(Buffer.byteLength(content) <= maxBytes);
+    return content;
+  });
+});
+
+test.after(() => {
+  feeds.setFetcher(null);
+});
+
+test('channel and items are parsed', async () => {
+  const feed = await feeds.fetchFeed('https://working-hour.example.com/feed.xml');
+  assert.strictEqual(feed.title, 'The Working Hour');
+  assert.strictEqual(feed.author, 'Jane & Sam');
+  assert.strictEqual(feed.image_url, 'https://working-hour.example.com/cover.jpg');
+  assert.strictEqual(feed.language, 'en-us');
+  assert.deepStrictEqual(feed.items.map(item => item.title), [
+    'Episode 42: The Future of Work',
+    'Sleep & Memory: why rest matters',
+    'Ask Us Anything',
+    'Bonus: Holiday Special'
+  ]);
+
+  const [first, second, third, bonus] = feed.items;
+  assert.strictEqual(first.guid, 'wh-42');
+  assert.strictEqual(first.published_at, '2025-01-06T08:00:00.000Z');
+  assert.strictEqual(first.enclosure_url, 'https://cdn.example.com/wh-42.mp3?source=rss&id=42');
+  assert.strictEqual(first.image_url, 'https://working-hour.example.com/42.jpg');
+  assert.strictEqual(second.guid, 'https://working-hour.example.com/?p=41');
+  assert.strictEqual(third.published_at, '2024-12-23T13:00:00.000Z');
+  assert.strictEqual(bonus.published_at, null);
+});
+
+test('itunes:duration variants', async () => {
+  const feed = await feeds.fetchFeed('https://working-hour.example.com/feed.xml');
+  assert.deepStrictEqual(feed.items.map(item => item.duration_seconds), [3723, 3570, 3600, null]);
+  assert.strictEqual(parseDuration('00:45:00'), 2700);
+  assert.strictEqual(parseDuration(' 90 '), 90);
+  assert.strictEqual(parseDuration('1:2:3:4'), null);
+  assert.strictEqual(parseDuration(''), null);
+});
+
+test('podcast:transcript elements are listed with their type and language', async () => {
+  const feed = await feeds.fetchFeed('https://working-hour.example.com/feed.xml');
+  assert.deepStrictEqual(feed.items[0].transcripts.map(t => [t.type, t.language, t.rel]), [
+    ['application/x-subrip', 'fr', null],
+    ['text/vtt', 'en', null],
+    ['application/json', 'en', 'captions'],
+    ['text/html', null, null]
+  ]);
+  assert.deepStrictEqual(feed.items[1].transcripts, [
+    { url: 'https://working-hour.example.com/41.vtt', type: 'text/vtt', language: null, rel: null }
+  ]);
+  assert.deepStrictEqual(feed.items[2].transcripts, []);
+});
+
+test('the transcript in the requested language and preferred format is downloaded', async () => {
+  const feed = await feeds.fetchFeed('https://working-hour.example.com/feed.xml');
+  const transcript = await feeds.fetchTranscript(feed.items[0], 'en');
+  assert.strictEqual(transcript.format, 'json');
+  assert.strictEqual(transcript.url, 'https://working-hour.example.com/42.json');
+  assert.strictEqual(JSON.parse(transcript.content).segments.length, 2);
+  assert.strictEqual(await feeds.fetchTranscript(feed.items[2], 'en'), null);
+});
+
+test('items without a guid are identified by their enclosure, then their title', async () => {
+  const feed = await feeds.fetchFeed('https://working-hour.example.com/feed.xml');
+  assert.deepStrictEqual(feed.items.map(feeds.itemGuid), [
+    'wh-42',
+    'https://working-hour.example.com/?p=41',
+    'https://cdn.example.com/wh-40.mp3',
+    'wh-bonus'
+  ]);
+});
+
+test('episodes are matched by title, date and duration', async () => {
+  const feed = await feeds.fetchFeed('https://working-hour.example.com/feed.xml');
+  const episodes = [
+    { id: 1, episode_title: 'The Future of Work | Episode 42 (Full Podcast)', upload_date: '2025-01-06', duration_seconds: 3725 },
+    { id: 2, episode_title: 'Why rest matters - Sleep and Memory', upload_date: '2024-12-31', duration_seconds: 3590 },
+    { id: 3, episode_title: 'Cooking with cast iron', upload_date: '2025-01-06', duration_seconds: 3723 }
+  ];
+
+  const matches = feeds.matchFeedItems(episodes, feed.items);
+  assert.deepStrictEqual([...matches.keys()], [1, 2]);
+  assert.strictEqual(matches.get(1).item.guid, 'wh-42');
+  assert.strictEqual(matches.get(1).confidence, 100);
+  assert.strictEqual(matches.get(2).item.guid, 'https://working-hour.example.com/?p=41');
+  assert.ok(matches.get(2).confidence >= 80 && matches.get(2).confidence < 100);
+});
+
+test('a date or duration far off lowers the confidence', async () => {
+  const feed = await feeds.fetchFeed('https://working-hour.example.com/feed.xml');
+  const [close] = feeds.matchFeedItems([
+    { id: 1, episode_title: 'Episode 42: The Future of Work', upload_date: '2025-01-06', duration_seconds: 3723 }
+  ], feed.items).values();
+  const [far] = feeds.matchFeedItems([
+    { id: 1, episode_title: 'Episode 42: The Future of Work', upload_date: '2025-03-01', duration_seconds: 1800 }
+  ], feed.items).values();
+  assert.strictEqual(close.confidence, 100);
+  assert.strictEqual(far.confidence, 60);
+});
+
+test('documents without a <channel> are rejected', async () => {
+  assert.throws(() => feeds.parseFeed('<html><body>Not a feed</body></html>'), /Not an RSS feed/);
+  await assert.rejects(feeds.fetchFeed('https://working-hour.example.com/missing.xml'), /404/);
+});
+
+test('the default downloader stops reading past the size limit', async (t) => {
+  feeds.setFetcher(null);
+  const chunk = new TextEncoder().encode('<item>'.repeat(10000));
+  let chunksRead = 0;
+  t.mock.method(global, 'fetch', async () => new Response(new ReadableStream({
+    pull(controller) {
+      chunksRead++;
+      controller.enqueue(chunk);
+    }
+  })));
+
+  await assert.rejects(feeds.fetchFeed('http://93.184.216.34/endless.xml'), /too large/);
+  assert.ok(chunksRead < 400, `${chunksRead} chunks read`);
+});
+
+test('the default downloader refuses a declared Content-Length over the limit', async (t) => {
+  feeds.setFetcher(null);
+  t.mock.method(global, 'fetch', async () => new Response('<rss/>', {
+    headers: { 'Content-Length': String(100 * 1024 * 1024) }
+  }));
+  await assert.rejects(feeds.fetchFeed('http://93.184.216.34/huge.xml'), /too large/);
+});
+
+test('private, loopback and non-http URLs are never requested', async (t) => {
+  feeds.setFetcher(null);
+  const fetchMock = t.mock.method(global, 'fetch', async () => new Response('<rss><channel></channel></rss>'));
+
+  for (const url of [
+    'http://127.0.0.1/feed.xml',
+    'http://localhost:3000/feed.xml',
+    'http://10.1.2.3/feed.xml',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/feed.xml',
+    'http://[::ffff:192.168.0.1]/feed.xml'
+  ]) {
+    await assert.rejects(feeds.fetchFeed(url), /private or local address/, url);
+  }
+  await assert.rejects(feeds.fetchFeed('file:///etc/passwd'), /Only http:\/\/ and https:\/\//);
+  assert.strictEqual(fetchMock.mock.callCount(), 0);
+});
+
+test('redirects to a private address are refused', async (t) => {
+  feeds.setFetcher(null);
+  const fetchMock = t.mock.method(global, 'fetch', async () => new Response(null, {
+    status: 302,
+    headers: { Location: 'http://127.0.0.1:8080/admin' }
+  }));
+  await assert.rejects(feeds.fetchFeed('http://93.184.216.34/feed.xml'), /private or local address/);
+  assert.strictEqual(fetchMock.mock.callCount(), 1);
+});
+
+test('transcript links from a feed get the same checks and a smaller size limit', async (t) => {
+  feeds.setFetcher(null);
+  const item = { transcripts: [{ url: 'http://192.168.1.10/42.vtt', type: 'text/vtt' }] };
+  await assert.rejects(feeds.fetchTranscript(item, 'en'), /private or local address/);
+
+  t.mock.method(global, 'fetch', async () => new Response('WEBVTT', {
+    headers: { 'Content-Length': String(6 * 1024 * 1024) }
+  }));
+  item.transcripts[0].url = 'http://93.184.216.34/42.vtt';
+  await assert.rejects(feeds.fetchTranscript(item, 'en'), /too large/);
+});
+
+test('HTML pages and Atom feeds are not taken for RSS feeds', () => {
+  assert.throws(() => feeds.parseFeed('<!DOCTYPE html><html><body><div class="channel">x</div><channel></channel></body></html>'), /Not an RSS feed/);
+  assert.throws(() => feeds.parseFeed('<?xml version="1.0"?><feed xmlns="http://www.w3.org/2005/Atom"><title>x</title></feed>'), /Atom feeds are not supported/);
+  assert.strictEqual(feeds.parseFeed('\uFEFF<?xml version="1.0"?>\n<!-- generated -->\n<rss version="2.0"><channel><title>x</title></channel></rss>').title, 'x');
+});
+
+test('enclosures that are not http(s) URLs are dropped', () => {
+  const feed = feeds.parseFeed(`<rss version="2.0"><channel><title>x</title>
+    <item><title>a</title><enclosure url="file:///etc/passwd" type="audio/mpeg"/></item>
+    <item><title>b</title><enclosure url="not a url" type="audio/mpeg"/></item>
+    <item><title>c</title><enclosure url="https://cdn.example.com/c.mp3" type="audio/mpeg"/></item>
+  </channel></rss>`);
+  assert.deepStrictEqual(feed.items.map(item => item.enclosure_url), [null, null, 'https://cdn.example.com/c.mp3']);
+});
+
+test('image and link URLs from a feed are http(s) URLs with no quotes left to break out of an attribute', () => {
+  const feed = feeds.parseFeed(`<rss version="2.0"><channel><title>x</title>
+    <link>javascript:alert(1)</link>
+    <itunes:image href='https://cdn.example.com/a.jpg" onerror="alert(1)'/>
+    <item><title>a</title><itunes:image href="javascript:alert(1)"/></item>
+  </channel></rss>`);
+  assert.strictEqual(feed.link, null);
+  assert.ok(feed.image_url.startsWith('https://cdn.example.com/'));
+  assert.ok(!/["' ]/.test(feed.image_url));
+  assert.strictEqual(feed.items[0].image_url, null);
+});
@@ -0,0 +1,176 @@
+// Transcript analysis pipeline (single pass and map-reduce) on the offline mock provider.
+// The chunk cache runs against an in-memory stub of the db pool.
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Small thresholds so a few sentences make a "long" transcript
+process.env.LLM_SINGLE_PASS_CHARS = '600';
+process.env.LLM_CHUNK_CHARS = '400';
+
+// llm_chunk_cache rows by cache_key
+const cacheRows = new Map();
+const stubPool = {
+  async execute(sql, params) {
+    if (sql.startsWith('SELECT result FROM llm_chunk_cache')) {
+      return [cacheRows.has(params[0]) ? [{ result: cacheRows.get(params[0]) }] : [], []];
+    }
+    if (sql.startsWith('INSERT INTO llm_chunk_cache')) {
+      cacheRows.set(params[0], params[2]);
+      return [{ affectedRows: 1 }, []];
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  }
+};
+require.cache[path.join(__dirname, '..', 'db.js')] = {
+  id: path.join(__dirname, '..', 'db.js'),
+  filename: path.join(__dirname, '..', 'db.js'),
+  loaded: true,
+  exports: stubPool
+};
+
+const llm = require('../llm');
+
+// Mock provider counting the calls made to each method
+function countingMockProvider() {
+  const provider = llm.createProvider('mock');
+  const calls = { generateAnalysis: 0, mergeAnalyses: 0, extractKeywords: 0 };
+  for (const method of Object.keys(calls)) {
+    const original = provider[method];
+    provider[method] = (input) => {
+      calls[method]++;
+      return original(input);
+    };
+  }
+  return { provider, calls };
+}
+
+// Sentences about a topic, numbered so every chunk is different
+function topicSentences(topic, count) {
+  return Array.from({ length: count }, (_, i) => `Part ${i + 1} of the talk covers ${topic} in some detail.`).join(' ');
+}
+
+test.beforeEach(() => {
+  cacheRows.clear();
+});
+
+test('short transcripts are analyzed in one call', async () => {
+  const { provider, calls } = countingMockProvider();
+  const analysis = await llm.analyzeTranscript({
+    title: 'Gardening basics',
+    channel: 'Green Hour',
+    transcript: 'Tomatoes need sun. Water them in the morning. Mulch keeps the soil moist through the summer.'
+  }, provider);
+
+  assert.deepStrictEqual(analysis, {
+    summary: 'Tomatoes need sun. Water them in the morning.',
+    best_part: 'Mulch keeps the soil moist through the summer.'
+  });
+  assert.deepStrictEqual(calls, { generateAnalysis: 1, mergeAnalyses: 0, extractKeywords: 0 });
+  assert.strictEqual(cacheRows.size, 0);
+});
+
+test('long transcripts are chunked, analyzed per chunk and merged', async () => {
+  const { provider, calls } = countingMockProvider();
+  const transcript = `${topicSentences('composting', 8)} ${topicSentences('irrigation', 8)}`;
+  const chunks = llm.chunkTranscript(transcript, 400);
+  assert.ok(chunks.length >= 3);
+  assert.ok(chunks.every(chunk => chunk.length <= 400));
+
+  const analysis = await llm.analyzeTranscript({ title: 'Soil', channel: 'Green Hour', transcript }, provider);
+  assert.strictEqual(calls.generateAnalysis, chunks.length);
+  assert.strictEqual(calls.mergeAnalyses, 1);
+  assert.strictEqual(analysis.summary, 'Part 1 of the talk covers composting in some detail. ' +
+    splitFirstSentence(chunks[1]) + ' ' + splitFirstSentence(chunks[2]));
+  assert.match(analysis.best_part, /covers (composting|irrigation)/);
+  assert.strictEqual(cacheRows.size, chunks.length);
+});
+
+test('a re-run reuses the cached chunk results', async () => {
+  const transcript = topicSentences('beekeeping', 20);
+  const first = countingMockProvider();
+  const firstAnalysis = await llm.analyzeTranscript({ title: 'Bees', channel: 'Green Hour', transcript }, first.provider);
+
+  const second = countingMockProvider();
+  const secondAnalysis = await llm.analyzeTranscript({ title: 'Bees', channel: 'Green Hour', transcript }, second.provider);
+  assert.strictEqual(second.calls.generateAnalysis, 0);
+  assert.strictEqual(second.calls.mergeAnalyses, 1);
+  assert.deepStrictEqual(secondAnalysis, firstAnalysis);
+});
+
+test('keywords of a long transcript are ranked across chunks', async () => {
+  const { provider, calls } = countingMockProvider();
+  const transcript = `${topicSentences('composting', 10)} ${topicSentences('composting irrigation', 10)}`;
+  const keywords = await llm.extractTranscriptKeywords({ title: 'Soil', channel: 'Green Hour', summary: '', transcript }, provider);
+
+  assert.strictEqual(calls.extractKeywords, llm.chunkTranscript(transcript, 400).length);
+  assert.strictEqual(keywords[0], 'composting');
+  assert.ok(keywords.includes('irrigation'));
+});
+
+test('malformed replies are not cached', async () => {
+  const prompts = require('../llm/prompts');
+  const transcript = topicSentences('pruning', 20);
+  let replies = 0;
+  // Same name and model as the mock, so both share cache keys
+  const flaky = {
+    ...llm.createProvider('mock'),
+    async generateAnalysis() {
+      replies++;
+      return prompts.parseAnalysis('Sorry, I cannot help with that.');
+    },
+    async extractKeywords() {
+      return prompts.parseKeywords('');
+    }
+  };
+
+  await llm.analyzeTranscript({ title: 'Trees', channel: 'Green Hour', transcript }, flaky);
+  await llm.extractTranscriptKeywords({ title: 'Trees', channel: 'Green Hour', summary: '', transcript }, flaky);
+  assert.strictEqual(cacheRows.size, 0);
+
+  // The next run asks the model again, and caches what it gets right
+  const { provider, calls } = countingMockProvider();
+  await llm.analyzeTranscript({ title: 'Trees', channel: 'Green Hour', transcript }, provider);
+  assert.strictEqual(calls.generateAnalysis, replies);
+  assert.strictEqual(cacheRows.size, replies);
+});
+
+function splitFirstSentence(text) {
+  return text.split(/(?<=[.!?])\s+/)[0];
+}
+
+test('failed chunk analyses are left out of the merge', async () => {
+  const prompts = require('../llm/prompts');
+  const transcript = `${topicSentences('composting', 8)} ${topicSentences('irrigation', 8)}`;
+  const chunks = llm.chunkTranscript(transcript, 400);
+  const { provider, calls } = countingMockProvider();
+  let merged = null;
+
+  // The model fails on the second chunk only
+  const generateAnalysis = provider.generateAnalysis;
+  provider.generateAnalysis = async (input) => input.part === 2
+    ? prompts.parseAnalysis('Sorry, I cannot help with that.')
+    : generateAnalysis(input);
+  const mergeAnalyses = provider.mergeAnalyses;
+  provider.mergeAnalyses = async (input) => {
+    merged = input.partials;
+    return mergeAnalyses(input);
+  };
+
+  const analysis = await llm.analyzeTranscript({ title: 'Soil', channel: 'Green Hour', transcript }, provider);
+  assert.strictEqual(merged.length, chunks.length - 1);
+  assert.ok(!merged.some(prompts.isFailedAnalysis));
+  assert.doesNotMatch(analysis.summary, /Could not generate/);
+  assert.doesNotMatch(analysis.best_part, /Could not extract/);
+  assert.strictEqual(calls.mergeAnalyses, 1);
+});
+
+test('the fallback is returned only when every chunk failed', async () => {
+  const prompts = require('../llm/prompts');
+  const { provider, calls } = countingMockProvider();
+  provider.generateAnalysis = async () => prompts.parseAnalysis('');
+
+  const analysis = await llm.analyzeTranscript({ title: 'Soil', channel: 'Green Hour', transcript: topicSentences('mulch', 20) }, provider);
+  assert.deepStrictEqual(analysis, { ...prompts.FALLBACK_ANALYSIS });
+  assert.strictEqual(calls.mergeAnalyses, 0);
+});
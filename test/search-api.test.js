@@ -0,0 +1,52 @@
+// /api/search query validation (the database is never reached for rejected queries)
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+
+const queries = [];
+const stubPool = {
+  async execute(sql) {
+    queries.push(sql);
+    return [[], []];
+  },
+  async query(sql) {
+    queries.push(sql);
+    return [[], []];
+  }
+};
+require.cache[path.join(__dirname, '..', 'db.js')] = {
+  id: path.join(__dirname, '..', 'db.js'),
+  filename: path.join(__dirname, '..', 'db.js'),
+  loaded: true,
+  exports: stubPool
+};
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+test('a query of only exclusions is rejected', async () => {
+  queries.length = 0;
+  const response = await fetch(`${baseUrl}/api/search?q=${encodeURIComponent('-crypto -"pump and dump"')}`);
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(await response.json(), { error: 'Search query must include at least one term to look for' });
+  assert.deepStrictEqual(queries, []);
+});
+
+test('stray punctuation is not a term either', async () => {
+  const response = await fetch(`${baseUrl}/api/search?q=${encodeURIComponent('-- &&')}`);
+  assert.strictEqual(response.status, 400);
+});
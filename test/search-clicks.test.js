@@ -0,0 +1,79 @@
+// Click beacons are limited per client IP, whatever user agent they send
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.TRUST_PROXY_HOPS = '1';
+process.env.CLICK_RATE_LIMIT_PER_HOUR = '5';
+process.env.CLICK_MAX_PER_EPISODE_PER_DAY = '2';
+
+// No earlier clicks in the stub: every click that reaches recordClick is inserted
+const inserts = [];
+const stubPool = {
+  async execute(sql, params) {
+    if (/^\s*INSERT INTO search_clicks/.test(sql)) inserts.push(params);
+    return [[], []];
+  },
+  async query() { return [[], []]; }
+};
+require.cache[path.join(__dirname, '..', 'db.js')] = {
+  id: path.join(__dirname, '..', 'db.js'),
+  filename: path.join(__dirname, '..', 'db.js'),
+  loaded: true,
+  exports: stubPool
+};
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+let userAgents = 0;
+
+// Send a click beacon from address, with a fresh user agent every time
+async function click(address, episodeId, q = 'composting') {
+  const response = await fetch(`${baseUrl}/api/search/click`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': `agent-${++userAgents}`,
+      'X-Forwarded-For': address
+    },
+    body: JSON.stringify({ q, episode_id: episodeId, position: 1, link: 'youtube' })
+  });
+  return response.status;
+}
+
+test('only the first clicks of a client on an episode are counted', async () => {
+  inserts.length = 0;
+  assert.strictEqual(await click('203.0.113.7', 1, 'composting'), 204);
+  assert.strictEqual(await click('203.0.113.7', 1, 'compost bins'), 204);
+  assert.strictEqual(await click('203.0.113.7', 1, 'worm farms'), 204);
+  assert.strictEqual(inserts.length, 2);
+
+  // Other episodes and other clients are counted separately
+  assert.strictEqual(await click('203.0.113.7', 2), 204);
+  assert.strictEqual(await click('198.51.100.20', 1), 204);
+  assert.strictEqual(inserts.length, 4);
+});
+
+test('rotating the user agent does not reset the click budget', async () => {
+  assert.strictEqual(await click('192.0.2.1', 10), 204);
+  assert.strictEqual(await click('192.0.2.1', 11), 204);
+  assert.strictEqual(await click('192.0.2.1', 12), 204);
+  assert.strictEqual(await click('192.0.2.1', 13), 204);
+  assert.strictEqual(await click('192.0.2.1', 14), 204);
+  assert.strictEqual(await click('192.0.2.1', 15), 429);
+  assert.strictEqual(await click('192.0.2.2', 15), 204);
+});
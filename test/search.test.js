@@ -0,0 +1,126 @@
+// Query parsing and FULLTEXT/LIKE SQL building (no database needed)
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuery, compileQuery } = require('../search');
+
+// Parameters of the WHERE condition: the FULLTEXT expression and LIKE patterns of each term
+function conditionParams(query) {
+  return compileQuery(parseQuery(query)).conditionParams;
+}
+
+test('plain words use a FULLTEXT prefix match', () => {
+  assert.deepStrictEqual(conditionParams('ufo'), ['ufo*', '%ufo%']);
+});
+
+test('hyphenated words InnoDB indexes as separate tokens become a phrase', () => {
+  assert.deepStrictEqual(conditionParams('self-driving'), ['"self driving"', '%self-driving%']);
+  assert.deepStrictEqual(conditionParams('"remote-first work"'), ['"remote first work"', '%remote-first work%']);
+});
+
+test('words with a token under the min size fall back to LIKE', () => {
+  const covid = compileQuery(parseQuery('covid-19'));
+  assert.match(covid.condition, /LOWER\(transcript\) LIKE \?/);
+  assert.doesNotMatch(covid.condition, /MATCH/);
+  assert.deepStrictEqual(covid.conditionParams, ['%covid-19%', '%covid-19%', '%covid-19%', '%covid-19%']);
+
+  const time = compileQuery(parseQuery('10:30'));
+  assert.doesNotMatch(time.condition, /MATCH/);
+  assert.deepStrictEqual(time.conditionParams[0], '%10:30%');
+});
+
+test('boolean-mode operators never reach the FULLTEXT expression', () => {
+  for (const query of ['c++ programming', 'foo~bar', '"(quoted)" <tag>', 'name@example']) {
+    const compiled = compileQuery(parseQuery(query));
+    const expressions = compiled.conditionParams.filter(param => !param.startsWith('%'));
+    for (const expression of expressions) {
+      assert.match(expression, /^("[\p{L}\p{N}_' ]+"|[\p{L}\p{N}_']+\*)$/u, `${query}: ${expression}`);
+    }
+  }
+});
+
+test('apostrophes inside words are kept', () => {
+  assert.deepStrictEqual(conditionParams("don't"), ["don't*", "%don't%"]);
+});
+
+test('FULLTEXT matches are never OR-ed with a scan of every row', () => {
+  const compiled = compileQuery(parseQuery('ufo OR aliens roswell -hoax'));
+  assert.doesNotMatch(compiled.condition, /IN BOOLEAN MODE\)\s+OR/);
+  // One candidate UNION per group (the OR-ed terms share one), one NOT IN per exclusion
+  assert.strictEqual(compiled.condition.match(/podcasts\.id IN \(SELECT id FROM \(/g).length, 3);
+  assert.match(compiled.condition, /NOT podcasts\.id IN/);
+  assert.doesNotMatch(compiled.condition, /LOWER\(transcript\)/);
+});
+
+test('terms are AND-ed, OR joins a term to the group before it', () => {
+  const { groups, excludes } = parseQuery('elon musk OR tesla | spacex');
+  assert.deepStrictEqual(groups.map(group => group.map(term => term.value)), [['elon'], ['musk', 'tesla', 'spacex']]);
+  assert.deepStrictEqual(excludes, []);
+
+  // A leading OR has nothing to join
+  assert.deepStrictEqual(parseQuery('OR ufo').groups.map(group => group.map(term => term.value)), [['ufo']]);
+});
+
+test('quoted phrases stay one term', () => {
+  const [[term]] = parseQuery('"Artificial   General Intelligence"').groups;
+  assert.deepStrictEqual(term, { field: 'text', value: 'artificial general intelligence', phrase: true, exclude: false });
+});
+
+test('a minus excludes words, phrases and field terms', () => {
+  const { groups, excludes } = parseQuery('ufo -hoax -"weather balloon" -channel:tabloid');
+  assert.deepStrictEqual(groups.map(group => group.map(term => term.value)), [['ufo']]);
+  assert.deepStrictEqual(excludes.map(term => [term.field, term.value, term.phrase]), [
+    ['text', 'hoax', false],
+    ['text', 'weather balloon', true],
+    ['channel', 'tabloid', false]
+  ]);
+
+  const compiled = compileQuery(parseQuery('ufo -channel:tabloid'));
+  assert.match(compiled.condition, /NOT COALESCE\(LOWER\(podcast_name\) LIKE \?, FALSE\)/);
+  // Excluded terms are neither highlighted nor boosted
+  assert.deepStrictEqual(compiled.terms, ['ufo']);
+});
+
+test('field prefixes search one column each', () => {
+  const title = compileQuery(parseQuery('title:"deep dive"'));
+  assert.strictEqual(title.condition, '(LOWER(episode_title) LIKE ?)');
+  assert.deepStrictEqual(title.conditionParams, ['%deep dive%']);
+
+  const channel = compileQuery(parseQuery('Channel:Lex'));
+  assert.strictEqual(channel.condition, '(LOWER(podcast_name) LIKE ?)');
+  assert.deepStrictEqual(channel.conditionParams, ['%lex%']);
+  // Channel names are not looked for in transcripts
+  assert.deepStrictEqual(channel.terms, []);
+
+  const keyword = compileQuery(parseQuery('keyword:ai_safety'));
+  assert.match(keyword.condition, /k\.keyword LIKE \?/);
+  assert.deepStrictEqual(keyword.conditionParams, ['%ai\\_safety%']);
+
+  // An unknown prefix is part of the word
+  assert.deepStrictEqual(parseQuery('foo:bar').groups[0][0].value, 'foo:bar');
+});
+
+test('bound parameters follow the placeholders in query order', () => {
+  const compiled = compileQuery(parseQuery('title:mars OR rover 10:30 -channel:kids'));
+  assert.deepStrictEqual(compiled.conditionParams, [
+    // Group 1: the FULLTEXT candidates (MATCH, then keyword LIKE), then the title term
+    'rover*', '%rover%', '%mars%',
+    // Group 2: LIKE fallback on title, summary, transcript and keywords
+    '%10:30%', '%10:30%', '%10:30%', '%10:30%',
+    // Exclusion
+    '%kids%'
+  ]);
+  assert.strictEqual(compiled.condition.split('?').length - 1, compiled.conditionParams.length);
+
+  // Title boost (text and title terms), keyword boost (text terms), then text scores
+  assert.deepStrictEqual(compiled.scoreParams, [
+    '%mars%', '%rover%', '%10:30%',
+    '%rover%', '%10:30%',
+    'rover',
+    '%10:30%', '%10:30%'
+  ]);
+  assert.strictEqual(compiled.scoreColumns.split('?').length - 1, compiled.scoreParams.length);
+});
+
+test('a query of only exclusions has no group to search', () => {
+  assert.deepStrictEqual(parseQuery('-crypto -"pump and dump"').groups, []);
+});
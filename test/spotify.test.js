@@ -0,0 +1,104 @@
+// Spotify show and episode matching against the fixture catalog (no network)
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const spotify = require('../spotify');
+const match = require('../spotify/match');
+
+const CATALOG_FILE = path.join(__dirname, 'fixtures', 'spotify', 'catalog.json');
+
+const MUSK_EPISODE = {
+  podcast_name: 'Lex Fridman',
+  episode_title: 'Elon Musk: War, AI, Aliens, Politics, Physics, Video Games, and Humanity | Lex Fridman Podcast #400',
+  upload_date: '2023-11-09',
+  duration_seconds: 7985
+};
+
+function fixtureProvider() {
+  return spotify.createProvider('fixture', { file: CATALOG_FILE });
+}
+
+test('pickShow matches the channel name to a show name or publisher', async () => {
+  const provider = fixtureProvider();
+
+  const byName = match.pickShow('Lex Fridman Podcast', await provider.searchShows('Lex Fridman Podcast'));
+  assert.strictEqual(byName.show.id, 'show-lex');
+  assert.strictEqual(byName.score, 1);
+
+  // Publisher matches count a little less than show names
+  const byPublisher = match.pickShow('Scicomm Media', await provider.searchShows('Scicomm Media'));
+  assert.strictEqual(byPublisher.show.id, 'show-huberman');
+  assert.strictEqual(byPublisher.score, 0.9);
+});
+
+test('pickShow returns null below the show similarity threshold', async () => {
+  const provider = fixtureProvider();
+  // "Lexicon Valley" comes back from the loose catalog search but shares no word
+  const shows = await provider.searchShows('Lexicon Talk');
+  assert.ok(shows.some(show => show.id === 'show-lexicon'));
+  assert.strictEqual(match.pickShow('Lexicon Talk', shows), null);
+  assert.strictEqual(match.pickShow('Random Talk', await provider.searchShows('Random Talk')), null);
+});
+
+test('pickEpisode prefers the title, date and duration match', async () => {
+  const episodes = await fixtureProvider().getShowEpisodes('show-lex');
+  const picked = match.pickEpisode(MUSK_EPISODE, episodes);
+  assert.strictEqual(picked.candidate.id, 'ep-musk');
+  assert.strictEqual(picked.candidate.url, 'https://open.spotify.com/episode/ep-musk');
+  assert.ok(picked.score > 0.9);
+});
+
+test('pickEpisode returns null when no title is similar enough', async () => {
+  const episodes = await fixtureProvider().getShowEpisodes('show-lex');
+  // Same date and duration as the debate episodes, unrelated title
+  assert.strictEqual(match.pickEpisode({ episode_title: 'Cooking with Lex', upload_date: '2024-05-01', duration_seconds: 3600 }, episodes), null);
+});
+
+test('a runner-up scoring within the margin lowers the score by the ambiguity penalty', async () => {
+  const episodes = await fixtureProvider().getShowEpisodes('show-lex');
+  const episode = { episode_title: 'Debate: Is AGI Near?', upload_date: '2024-05-01', duration_seconds: 3600 };
+
+  // Parts 1 and 2 score the same
+  const [part1, part2] = episodes.filter(candidate => candidate.id.startsWith('ep-debate'));
+  assert.strictEqual(match.scoreEpisode(episode, part1).score, match.scoreEpisode(episode, part2).score);
+
+  const picked = match.pickEpisode(episode, episodes);
+  assert.strictEqual(picked.score, match.scoreEpisode(episode, part1).score * 0.8);
+
+  // Alone, the same candidate keeps its full score
+  assert.strictEqual(match.pickEpisode(episode, [part1]).score, match.scoreEpisode(episode, part1).score);
+});
+
+test('the matcher combines show and episode scores and queries each show once', async () => {
+  const provider = fixtureProvider();
+  let searches = 0;
+  let episodeLists = 0;
+  const counting = {
+    name: provider.name,
+    searchShows: query => { searches++; return provider.searchShows(query); },
+    getShowEpisodes: id => { episodeLists++; return provider.getShowEpisodes(id); }
+  };
+  const matcher = spotify.createMatcher(counting);
+
+  const musk = await matcher.matchEpisode(MUSK_EPISODE);
+  assert.strictEqual(musk.showId, 'show-lex');
+  assert.strictEqual(musk.episodeId, 'ep-musk');
+  assert.strictEqual(musk.confidence, match.matchConfidence(1, match.pickEpisode(MUSK_EPISODE, await provider.getShowEpisodes('show-lex')).score));
+
+  const debate = await matcher.matchEpisode({ podcast_name: 'Lex Fridman', episode_title: 'Debate: Is AGI Near?', upload_date: '2024-05-01', duration_seconds: 3600 });
+  assert.strictEqual(debate.episodeId, 'ep-debate-1');
+  assert.ok(debate.confidence < spotify.LINK_MIN_CONFIDENCE);
+  assert.strictEqual(searches, 1);
+  assert.strictEqual(episodeLists, 1);
+
+  const unknown = await matcher.matchEpisode({ podcast_name: 'Random Talk', episode_title: 'Anything' });
+  assert.deepStrictEqual(unknown, { showId: null, episodeId: null, url: null, confidence: 0 });
+});
+
+test('only matches at or above the confidence threshold get a direct link', () => {
+  const url = 'https://open.spotify.com/episode/ep-musk';
+  const threshold = spotify.LINK_MIN_CONFIDENCE;
+  assert.strictEqual(spotify.directEpisodeUrl(url, threshold), url);
+  assert.strictEqual(spotify.directEpisodeUrl(url, threshold - 1), null);
+  assert.strictEqual(spotify.directEpisodeUrl(null, 100), null);
+});
@@ -0,0 +1,88 @@
+// SRT, TTML/YouTube XML, json3 and Podcasting 2.0 JSON parsing against fixtures (test/fixtures/subtitles)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseSubtitles, formatFromFilename } = require('../subtitles');
+const { parseTtmlTime } = require('../subtitles/ttml');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'subtitles', name), 'utf8');
+
+// What the manual fixtures say, in every format
+const MANUAL_SEGMENTS = [
+  { start: 1, text: 'Did you say no?' },
+  { start: 3, text: 'No.' },
+  { start: 5, text: 'I am not sure.' },
+  { start: 7, text: 'I am not sure.' },
+  { start: 9.5, text: 'Fish & chips tonight' }
+];
+
+const AUTO_SEGMENTS = [
+  { start: 0.16, text: 'welcome back to the show' },
+  { start: 2.32, text: "today we're talking about R&D" }
+];
+
+test('srt: manual cues are kept, markup and ASS codes removed', () => {
+  assert.deepStrictEqual(parseSubtitles(fixture('manual.en.srt'), 'srt'), MANUAL_SEGMENTS);
+});
+
+test('srt: rolling cues are merged when the track is auto-generated', () => {
+  const content = '1\n00:00:00,000 --> 00:00:02,000\nhello there\n\n2\n00:00:02,000 --> 00:00:04,000\nhello there\nhow are you\n';
+  assert.deepStrictEqual(parseSubtitles(content, 'srt', { auto: true }), [
+    { start: 0, text: 'hello there' },
+    { start: 2, text: 'how are you' }
+  ]);
+  assert.strictEqual(parseSubtitles(content, 'srt').length, 2);
+  assert.strictEqual(parseSubtitles(content, 'srt')[1].text, 'hello there how are you');
+});
+
+test('ttml: clock, frame and tick times; repeated lines kept', () => {
+  const segments = parseSubtitles(fixture('captions.ttml'), 'ttml');
+  assert.deepStrictEqual(segments, [
+    { start: 1.5, text: 'Did you say no?' },
+    { start: 3.4, text: 'No.' },
+    { start: 5, text: 'I am not sure.' },
+    { start: 7, text: 'I am not sure.' },
+    { start: 9.5, text: 'Fish & chips tonight' }
+  ]);
+});
+
+test('ttml: time expressions', () => {
+  const timing = { frameRate: 30, tickRate: 1000 };
+  assert.strictEqual(parseTtmlTime('01:02:03.5', timing), 3723.5);
+  assert.strictEqual(parseTtmlTime('00:00:01:15', timing), 1.5);
+  assert.strictEqual(parseTtmlTime('1.5m', timing), 90);
+  assert.strictEqual(parseTtmlTime('250ms', timing), 0.25);
+  assert.strictEqual(parseTtmlTime('60f', timing), 2);
+  assert.strictEqual(parseTtmlTime('2500t', timing), 2.5);
+  assert.strictEqual(parseTtmlTime('soon', timing), null);
+});
+
+test('srv3: word spans joined, empty line-append paragraphs skipped', () => {
+  assert.deepStrictEqual(parseSubtitles(fixture('auto.en.srv3'), 'srv3'), AUTO_SEGMENTS);
+});
+
+test('srv1: start and duration in seconds', () => {
+  assert.deepStrictEqual(parseSubtitles(fixture('auto.en.srv1'), 'srv1'), AUTO_SEGMENTS);
+});
+
+test('json3: events with segs, window and line-append events skipped', () => {
+  assert.deepStrictEqual(parseSubtitles(fixture('auto.en.json3'), 'json3'), AUTO_SEGMENTS);
+  assert.throws(() => parseSubtitles('<xml/>', 'json3'), /not valid json3/);
+});
+
+test('podcast json: segments with a body, times in seconds', () => {
+  assert.deepStrictEqual(parseSubtitles(fixture('transcript.json'), 'json'), [
+    { start: 0.5, text: 'Did you say no?' },
+    { start: 3, text: 'No.' },
+    { start: 5, text: 'I am not sure.' }
+  ]);
+});
+
+test('formats are picked from the file name', () => {
+  assert.strictEqual(formatFromFilename('abc123.en.srv3'), 'srv3');
+  assert.strictEqual(formatFromFilename('abc123.fr-en.VTT'), 'vtt');
+  assert.strictEqual(formatFromFilename('abc123.audio.webm'), null);
+  assert.strictEqual(formatFromFilename('abc123.en.vtt.part'), null);
+  assert.throws(() => parseSubtitles('', 'ass'), /Unsupported subtitle format "ass"/);
+});
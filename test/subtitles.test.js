@@ -0,0 +1,71 @@
+// VTT parsing against YouTube manual and auto-caption fixtures (test/fixtures/subtitles)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseVttSegments } = require('../subtitles');
+const { cleanCueText, decodeEntities } = require('../subtitles/cues');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'subtitles', name), 'utf8');
+
+test('auto-captions: rolling cues are merged so every word is kept once', () => {
+  assert.deepStrictEqual(parseVttSegments(fixture('auto.en.vtt')), [
+    { start: 0, text: 'welcome back to the show' },
+    { start: 2.32, text: "today we're talking about R&D" },
+    { start: 5.2, text: 'budgets > 10% of revenue' },
+    { start: 8.44, text: 'yes yes exactly' }
+  ]);
+});
+
+test('auto-captions: detected from word timings, or forced by the caller', () => {
+  const content = fixture('auto.en.vtt').replace(/<\d{2}:\d{2}:\d{2}\.\d{3}>/g, '');
+  assert.strictEqual(parseVttSegments(content).length, 7);
+  assert.strictEqual(parseVttSegments(content, { auto: true }).length, 4);
+});
+
+test('manual captions: cues are kept as written', () => {
+  assert.deepStrictEqual(parseVttSegments(fixture('manual.en.vtt')), [
+    { start: 1, text: 'Did you say no?' },
+    { start: 3, text: 'No.' },
+    { start: 5, text: 'I am not sure.' },
+    { start: 7, text: 'I am not sure.' },
+    { start: 9.5, text: 'Tom & Jerry\'s "café" <3 it all' }
+  ]);
+});
+
+test('manual captions: cues still on screen when the next one starts are merged', () => {
+  const content = [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:04.000',
+    'we went to the',
+    '',
+    '00:00:02.000 --> 00:00:05.000',
+    'we went to the beach'
+  ].join('\n');
+  assert.deepStrictEqual(parseVttSegments(content), [
+    { start: 1, text: 'we went to the' },
+    { start: 2, text: 'beach' }
+  ]);
+});
+
+test('headers, NOTE blocks, CRLF line endings and a BOM are handled', () => {
+  const content = '\uFEFFWEBVTT\r\n\r\nNOTE a --> b is not a cue\r\n\r\nSTYLE\r\n::cue { color: red }\r\n\r\n' +
+    'intro\r\n00:01:02.500 --> 00:01:04.000 align:start\r\nHello\r\n';
+  assert.deepStrictEqual(parseVttSegments(content), [{ start: 62.5, text: 'Hello' }]);
+});
+
+test('cleanCueText strips <c> and word timing tags', () => {
+  assert.strictEqual(
+    cleanCueText('so<00:00:01.359><c> what</c><00:00:01.680><c.colorE5E5E5> happened</c>'),
+    'so what happened'
+  );
+  assert.strictEqual(cleanCueText('<v.loud Speaker One><b>Hi</b>   there</v>'), 'Hi there');
+});
+
+test('decodeEntities decodes named and numeric references in one pass', () => {
+  assert.strictEqual(decodeEntities('A &amp; B &lt;i&gt; &quot;x&quot; &apos;y&apos;'), 'A & B <i> "x" \'y\'');
+  assert.strictEqual(decodeEntities('caf&#233; caf&#xE9; &#x1F600;'), 'café café 😀');
+  assert.strictEqual(decodeEntities('&amp;lt; stays &lt;'), '&lt; stays <');
+  assert.strictEqual(decodeEntities('&unknown; &#0;'), '&unknown; &#0;');
+});